@@ -273,6 +273,390 @@ CREATE TABLE IF NOT EXISTS daily_statistics (
     INDEX idx_daily_stats_date (date)
 ) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
 
+-- ======================================================================
+-- MIGRATION: Multi-server domain cache
+-- ======================================================================
+-- Version: 1.6.0
+-- Date: 2026-10-18
+
+-- Scope cached domains to the Plesk server they belong to
+ALTER TABLE domain_cache
+ADD COLUMN IF NOT EXISTS server_id INT NOT NULL DEFAULT 0 COMMENT 'plesk_servers.id (0 for the environment-configured server)' FIRST,
+DROP PRIMARY KEY,
+ADD PRIMARY KEY (server_id, id);
+
+-- ======================================================================
+-- MIGRATION: Per-server TLS settings
+-- ======================================================================
+-- Version: 1.7.0
+-- Date: 2026-10-18
+
+-- Custom CA bundle and certificate pinning for Plesk servers
+ALTER TABLE plesk_servers
+ADD COLUMN IF NOT EXISTS ca_bundle TEXT NULL COMMENT 'PEM encoded CA certificates used to verify the panel' AFTER ssl_verify,
+ADD COLUMN IF NOT EXISTS tls_fingerprint VARCHAR(95) NULL COMMENT 'Pinned SHA-256 certificate fingerprint' AFTER ca_bundle;
+
+-- ======================================================================
+-- MIGRATION: Per-user permission grants
+-- ======================================================================
+-- Version: 1.8.0
+-- Date: 2026-10-18
+
+-- Grants scoped to a Plesk server, a Plesk customer and a resource type (NULL server or customer means any)
+CREATE TABLE IF NOT EXISTS user_permissions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    plesk_server_id INT NULL,
+    customer_id INT NULL COMMENT 'Plesk client ID',
+    resource_type ENUM(
+        '*',
+        'server',
+        'domains',
+        'customers',
+        'dns',
+        'databases',
+        'ftpusers'
+    ) NOT NULL,
+    actions SET(
+        'read',
+        'create',
+        'update',
+        'suspend',
+        'delete'
+    ) NOT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+    FOREIGN KEY (plesk_server_id) REFERENCES plesk_servers (id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL,
+    INDEX idx_user_id (user_id),
+    INDEX idx_server_customer (plesk_server_id, customer_id)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- ======================================================================
+-- MIGRATION: Two-factor authentication
+-- ======================================================================
+-- Version: 1.9.0
+-- Date: 2026-10-18
+
+-- TOTP secret (vault-encrypted), enforcement flag and last accepted time step
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN DEFAULT FALSE AFTER email_verification_token,
+ADD COLUMN IF NOT EXISTS two_factor_secret TEXT NULL AFTER two_factor_enabled,
+ADD COLUMN IF NOT EXISTS two_factor_required BOOLEAN DEFAULT FALSE AFTER two_factor_secret,
+ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT NULL AFTER two_factor_required;
+
+-- One-time recovery codes (SHA-256 hashes)
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+    INDEX idx_user_code (user_id, code_hash)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+INSERT INTO
+    app_settings (
+        `key`,
+        `value`,
+        `type`,
+        `description`,
+        `is_public`
+    )
+VALUES (
+        'two_factor_enforcement',
+        'off',
+        'string',
+        'Require two-factor authentication: off, admins or all',
+        FALSE
+    )
+ON DUPLICATE KEY UPDATE
+    updated_at = CURRENT_TIMESTAMP;
+
+-- ======================================================================
+-- MIGRATION: Password reset and email verification
+-- ======================================================================
+-- Version: 1.10.0
+-- Date: 2026-10-18
+
+-- Verification links expire like reset links
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS email_verification_expires TIMESTAMP NULL AFTER email_verification_token;
+
+INSERT INTO
+    notification_templates (
+        `name`,
+        `type`,
+        `subject`,
+        `body`,
+        `variables`
+    )
+VALUES (
+        'email_verification',
+        'email',
+        'Verify your email address',
+        'Hello {{first_name}},\n\nPlease confirm your email address by opening the link below:\n{{verification_url}}\n\nThis link will expire in {{expires_in}}.\n\nBest regards,\nPlesk API Manager Team',
+        '["first_name", "verification_url", "expires_in"]'
+    )
+ON DUPLICATE KEY UPDATE
+    updated_at = CURRENT_TIMESTAMP;
+
+-- ======================================================================
+-- MIGRATION: Failed login throttling
+-- ======================================================================
+-- Version: 1.11.0
+-- Date: 2026-10-18
+
+-- Events without a user (e.g. IP lockouts) are logged with user_id NULL
+ALTER TABLE user_activity_log MODIFY user_id INT NULL;
+
+-- Failed login counters and lockouts per account and per IP
+CREATE TABLE IF NOT EXISTS login_throttle (
+    scope ENUM('account', 'ip') NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    user_id INT NULL,
+    failures INT NOT NULL DEFAULT 0,
+    last_failure_at TIMESTAMP NULL,
+    next_attempt_at TIMESTAMP NULL,
+    locked_until TIMESTAMP NULL,
+    PRIMARY KEY (scope, subject),
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_locked_until (locked_until)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+INSERT INTO
+    app_settings (
+        `key`,
+        `value`,
+        `type`,
+        `description`,
+        `is_public`
+    )
+VALUES (
+        'max_login_attempts_per_ip',
+        '20',
+        'number',
+        'Maximum failed logins from one IP address before lockout',
+        FALSE
+    ),
+    (
+        'login_lockout_minutes',
+        '15',
+        'number',
+        'Lockout duration in minutes after too many failed logins',
+        FALSE
+    )
+ON DUPLICATE KEY UPDATE
+    updated_at = CURRENT_TIMESTAMP;
+
+-- ======================================================================
+-- MIGRATION: Registration modes, invitations and approval queue
+-- ======================================================================
+-- Version: 1.12.0
+-- Date: 2026-10-18
+
+-- Existing accounts are approved
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS approval_status ENUM('pending', 'approved', 'rejected') DEFAULT 'approved' AFTER two_factor_last_step,
+ADD COLUMN IF NOT EXISTS reviewed_by INT NULL AFTER approval_status,
+ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP NULL AFTER reviewed_by,
+ADD INDEX IF NOT EXISTS idx_approval_status (approval_status);
+
+-- Registration invitations with a pre-assigned role
+CREATE TABLE IF NOT EXISTS user_invitations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    email VARCHAR(100) NULL,
+    role ENUM('admin', 'user', 'viewer') NOT NULL DEFAULT 'user',
+    invited_by INT NULL,
+    expires_at TIMESTAMP NULL,
+    accepted_at TIMESTAMP NULL,
+    accepted_user_id INT NULL,
+    revoked_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (invited_by) REFERENCES users (id) ON DELETE SET NULL,
+    FOREIGN KEY (accepted_user_id) REFERENCES users (id) ON DELETE SET NULL,
+    INDEX idx_expires_at (expires_at)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- registration_mode replaces enable_registration
+INSERT INTO
+    app_settings (
+        `key`,
+        `value`,
+        `type`,
+        `description`,
+        `is_public`
+    )
+VALUES (
+        'registration_mode',
+        'invite',
+        'string',
+        'Who can register: open, invite (invitation links only) or disabled',
+        TRUE
+    ),
+    (
+        'registration_requires_approval',
+        'true',
+        'boolean',
+        'Self-registered accounts stay inactive until an admin approves them',
+        FALSE
+    )
+ON DUPLICATE KEY UPDATE
+    updated_at = CURRENT_TIMESTAMP;
+
+-- Installs that allowed registration keep it open (new accounts now wait for approval)
+UPDATE app_settings mode
+JOIN app_settings legacy ON legacy.`key` = 'enable_registration'
+AND legacy.`value` = 'true'
+SET
+    mode.`value` = 'open'
+WHERE
+    mode.`key` = 'registration_mode';
+
+DELETE FROM app_settings WHERE `key` = 'enable_registration';
+
+INSERT INTO
+    notification_templates (
+        `name`,
+        `type`,
+        `subject`,
+        `body`,
+        `variables`
+    )
+VALUES (
+        'invitation',
+        'email',
+        'You are invited to Plesk API Manager',
+        'Hello,\n\n{{invited_by}} invited you to Plesk API Manager as {{role}}.\n\nCreate your account with the link below:\n{{invitation_url}}\n\nThis invitation will expire in {{expires_in}}.\n\nBest regards,\nPlesk API Manager Team',
+        '["invited_by", "role", "invitation_url", "expires_in"]'
+    )
+ON DUPLICATE KEY UPDATE
+    updated_at = CURRENT_TIMESTAMP;
+
+-- ======================================================================
+-- MIGRATION: Rate limits
+-- ======================================================================
+-- Version: 1.13.0
+-- Date: 2026-10-18
+
+-- Per-key limit, NULL for keys limited by the user limit only
+ALTER TABLE api_keys
+ADD COLUMN IF NOT EXISTS rate_limit_per_hour INT NULL AFTER usage_count;
+
+ALTER TABLE api_keys MODIFY rate_limit_per_hour INT NULL;
+
+-- Fixed-window request counters shared by every manager instance
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+    bucket VARCHAR(191) NOT NULL,
+    window_start TIMESTAMP NOT NULL,
+    hits INT NOT NULL DEFAULT 0,
+    PRIMARY KEY (bucket, window_start),
+    INDEX idx_window_start (window_start)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+INSERT INTO
+    app_settings (
+        `key`,
+        `value`,
+        `type`,
+        `description`,
+        `is_public`
+    )
+VALUES (
+        'api_rate_limit',
+        '100',
+        'number',
+        'API requests per minute per user (0 disables the limit)',
+        FALSE
+    ),
+    (
+        'rate_limit_groups',
+        '{"plesk-refresh":{"limit":20,"windowSeconds":3600},"cli":{"limit":60,"windowSeconds":3600}}',
+        'json',
+        'Requests per window and user for the route groups that fan out to Plesk',
+        FALSE
+    )
+ON DUPLICATE KEY UPDATE
+    description = VALUES(description),
+    updated_at = CURRENT_TIMESTAMP;
+
+-- ======================================================================
+-- MIGRATION: OpenID Connect single sign-on
+-- ======================================================================
+-- Version: 1.14.0
+-- Date: 2026-10-18
+
+-- Accounts provisioned from the identity provider, linked by its subject
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS auth_provider ENUM('local', 'oidc') DEFAULT 'local' AFTER reviewed_at,
+ADD COLUMN IF NOT EXISTS oidc_subject VARCHAR(255) NULL UNIQUE AFTER auth_provider;
+
+-- ID token of single sign-on sessions, sent back to the provider on logout
+ALTER TABLE user_sessions
+ADD COLUMN IF NOT EXISTS oidc_id_token TEXT NULL AFTER user_agent;
+
+-- Pending logins: state (SHA-256), nonce and PKCE code verifier
+CREATE TABLE IF NOT EXISTS oidc_login_requests (
+    state_hash CHAR(64) PRIMARY KEY,
+    nonce VARCHAR(64) NOT NULL,
+    code_verifier VARCHAR(128) NOT NULL,
+    return_to VARCHAR(255) NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_expires_at (expires_at)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- ======================================================================
+-- MIGRATION: Audit trail of mutating requests
+-- ======================================================================
+-- Version: 1.15.0
+-- Date: 2026-10-18
+
+-- Status answered by Plesk and the outcome of the request
+ALTER TABLE user_activity_log
+ADD COLUMN IF NOT EXISTS plesk_status INT NULL COMMENT 'Status answered by Plesk (audit trail, see lib/audit.js)' AFTER response_status,
+ADD COLUMN IF NOT EXISTS outcome ENUM('success', 'failure', 'denied') NULL AFTER plesk_status,
+ADD INDEX IF NOT EXISTS idx_outcome (outcome);
+
+-- ======================================================================
+-- MIGRATION: Hash-chained activity log
+-- ======================================================================
+-- Version: 1.16.0
+-- Date: 2026-10-18
+
+-- Rows are hash-chained and outlive the users they name: deleting a user no longer deletes their rows
+ALTER TABLE user_activity_log
+DROP FOREIGN KEY IF EXISTS user_activity_log_ibfk_1,
+ADD COLUMN IF NOT EXISTS prev_hash CHAR(64) NULL AFTER user_agent,
+ADD COLUMN IF NOT EXISTS entry_hash CHAR(64) NULL AFTER prev_hash;
+
+-- Head of the hash chain: the last chained row (rows written before the upgrade stay unchained)
+CREATE TABLE IF NOT EXISTS activity_log_chain (
+    id TINYINT PRIMARY KEY,
+    last_id INT NULL,
+    last_hash CHAR(64) NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO activity_log_chain (id, last_id, last_hash) VALUES (1, NULL, '0000000000000000000000000000000000000000000000000000000000000000');
+
+-- Signed checkpoints of the hash chain
+CREATE TABLE IF NOT EXISTS activity_log_checkpoints (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    last_id INT NOT NULL,
+    last_hash CHAR(64) NOT NULL,
+    entries INT NOT NULL,
+    key_id VARCHAR(64) NOT NULL,
+    signature TEXT NOT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_last_id (last_id)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
 -- ======================================================================
 -- UPDATE CONFIGURATION TABLE
 -- ======================================================================
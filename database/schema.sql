@@ -40,10 +40,21 @@ CREATE TABLE IF NOT EXISTS `users` (
     `password_reset_token` VARCHAR(255) NULL,
     `password_reset_expires` TIMESTAMP NULL,
     `email_verification_token` VARCHAR(255) NULL,
+    `email_verification_expires` TIMESTAMP NULL,
+    `two_factor_enabled` BOOLEAN DEFAULT FALSE,
+    `two_factor_secret` TEXT NULL,
+    `two_factor_required` BOOLEAN DEFAULT FALSE,
+    `two_factor_last_step` BIGINT NULL,
+    `approval_status` ENUM('pending', 'approved', 'rejected') DEFAULT 'approved',
+    `reviewed_by` INT NULL,
+    `reviewed_at` TIMESTAMP NULL,
+    `auth_provider` ENUM('local', 'oidc') DEFAULT 'local',
+    `oidc_subject` VARCHAR(255) NULL UNIQUE,
     INDEX `idx_username` (`username`),
     INDEX `idx_email` (`email`),
     INDEX `idx_role` (`role`),
     INDEX `idx_active` (`is_active`),
+    INDEX `idx_approval_status` (`approval_status`),
     INDEX `idx_created` (`created_at`),
     INDEX `idx_last_login` (`last_login`)
 ) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
@@ -56,6 +67,7 @@ CREATE TABLE IF NOT EXISTS `user_sessions` (
     `device_info` JSON NULL,
     `ip_address` VARCHAR(45) NOT NULL,
     `user_agent` TEXT NULL,
+    `oidc_id_token` TEXT NULL,
     `expires_at` TIMESTAMP NOT NULL,
     `is_active` BOOLEAN DEFAULT TRUE,
     `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -67,10 +79,65 @@ CREATE TABLE IF NOT EXISTS `user_sessions` (
     INDEX `idx_active` (`is_active`)
 ) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
 
--- User activity log for audit trail
-CREATE TABLE IF NOT EXISTS `user_activity_log` (
+-- One-time two-factor recovery codes (SHA-256 hashes). See lib/twoFactor.js
+CREATE TABLE IF NOT EXISTS `user_recovery_codes` (
     `id` INT AUTO_INCREMENT PRIMARY KEY,
     `user_id` INT NOT NULL,
+    `code_hash` CHAR(64) NOT NULL,
+    `used_at` TIMESTAMP NULL,
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+    INDEX `idx_user_code` (`user_id`, `code_hash`)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- Pending single sign-on logins: state (SHA-256), nonce and PKCE code verifier. See lib/oidc.js
+CREATE TABLE IF NOT EXISTS `oidc_login_requests` (
+    `state_hash` CHAR(64) PRIMARY KEY,
+    `nonce` VARCHAR(64) NOT NULL,
+    `code_verifier` VARCHAR(128) NOT NULL,
+    `return_to` VARCHAR(255) NULL,
+    `expires_at` TIMESTAMP NOT NULL,
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX `idx_expires_at` (`expires_at`)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- Permission grants scoped to a Plesk server, a Plesk customer and a resource type.
+-- NULL server or customer means any. See lib/permissions.js
+CREATE TABLE IF NOT EXISTS `user_permissions` (
+    `id` INT AUTO_INCREMENT PRIMARY KEY,
+    `user_id` INT NOT NULL,
+    `plesk_server_id` INT NULL,
+    `customer_id` INT NULL COMMENT 'Plesk client ID',
+    `resource_type` ENUM(
+        '*',
+        'server',
+        'domains',
+        'customers',
+        'dns',
+        'databases',
+        'ftpusers'
+    ) NOT NULL,
+    `actions` SET(
+        'read',
+        'create',
+        'update',
+        'suspend',
+        'delete'
+    ) NOT NULL,
+    `created_by` INT NULL,
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+    FOREIGN KEY (`plesk_server_id`) REFERENCES `plesk_servers` (`id`) ON DELETE CASCADE,
+    FOREIGN KEY (`created_by`) REFERENCES `users` (`id`) ON DELETE SET NULL,
+    INDEX `idx_user_id` (`user_id`),
+    INDEX `idx_server_customer` (`plesk_server_id`, `customer_id`)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- User activity log: account events and the audit trail of mutating requests (see lib/audit.js).
+-- Rows are hash-chained (prev_hash, entry_hash) and outlive the users they name. See lib/activity.js
+CREATE TABLE IF NOT EXISTS `user_activity_log` (
+    `id` INT AUTO_INCREMENT PRIMARY KEY,
+    `user_id` INT NULL,
     `activity_type` VARCHAR(50) NOT NULL,
     `description` TEXT NULL,
     `target_resource` VARCHAR(100) NULL,
@@ -79,15 +146,74 @@ CREATE TABLE IF NOT EXISTS `user_activity_log` (
     `request_path` VARCHAR(255) NULL,
     `request_data` JSON NULL,
     `response_status` INT NULL,
+    `plesk_status` INT NULL COMMENT 'Status answered by Plesk (audit trail, see lib/audit.js)',
+    `outcome` ENUM('success', 'failure', 'denied') NULL,
     `ip_address` VARCHAR(45) NOT NULL,
     `user_agent` TEXT NULL,
+    `prev_hash` CHAR(64) NULL,
+    `entry_hash` CHAR(64) NULL,
     `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
     INDEX `idx_user_id` (`user_id`),
     INDEX `idx_activity_type` (`activity_type`),
     INDEX `idx_created_at` (`created_at`),
     INDEX `idx_target_resource` (`target_resource`),
-    INDEX `idx_ip_address` (`ip_address`)
+    INDEX `idx_ip_address` (`ip_address`),
+    INDEX `idx_outcome` (`outcome`)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- Head of the activity log hash chain: the last chained row (see lib/activity.js)
+CREATE TABLE IF NOT EXISTS `activity_log_chain` (
+    `id` TINYINT PRIMARY KEY,
+    `last_id` INT NULL,
+    `last_hash` CHAR(64) NOT NULL,
+    `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO `activity_log_chain` (`id`, `last_id`, `last_hash`) VALUES (1, NULL, '0000000000000000000000000000000000000000000000000000000000000000');
+
+-- Signed checkpoints of the activity log hash chain (see lib/auditChain.js)
+CREATE TABLE IF NOT EXISTS `activity_log_checkpoints` (
+    `id` INT AUTO_INCREMENT PRIMARY KEY,
+    `last_id` INT NOT NULL,
+    `last_hash` CHAR(64) NOT NULL,
+    `entries` INT NOT NULL,
+    `key_id` VARCHAR(64) NOT NULL,
+    `signature` TEXT NOT NULL,
+    `created_by` INT NULL,
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX `idx_last_id` (`last_id`)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- Registration invitations with a pre-assigned role (see lib/invitations.js)
+CREATE TABLE IF NOT EXISTS `user_invitations` (
+    `id` INT AUTO_INCREMENT PRIMARY KEY,
+    `token_hash` CHAR(64) NOT NULL UNIQUE,
+    `email` VARCHAR(100) NULL,
+    `role` ENUM('admin', 'user', 'viewer') NOT NULL DEFAULT 'user',
+    `invited_by` INT NULL,
+    `expires_at` TIMESTAMP NULL,
+    `accepted_at` TIMESTAMP NULL,
+    `accepted_user_id` INT NULL,
+    `revoked_at` TIMESTAMP NULL,
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (`invited_by`) REFERENCES `users` (`id`) ON DELETE SET NULL,
+    FOREIGN KEY (`accepted_user_id`) REFERENCES `users` (`id`) ON DELETE SET NULL,
+    INDEX `idx_expires_at` (`expires_at`)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- Failed login counters and lockouts per account and per IP (see lib/loginThrottle.js)
+CREATE TABLE IF NOT EXISTS `login_throttle` (
+    `scope` ENUM('account', 'ip') NOT NULL,
+    `subject` VARCHAR(255) NOT NULL,
+    `user_id` INT NULL,
+    `failures` INT NOT NULL DEFAULT 0,
+    `last_failure_at` TIMESTAMP NULL,
+    `next_attempt_at` TIMESTAMP NULL,
+    `locked_until` TIMESTAMP NULL,
+    PRIMARY KEY (`scope`, `subject`),
+    FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+    INDEX `idx_user_id` (`user_id`),
+    INDEX `idx_locked_until` (`locked_until`)
 ) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
 
 -- ======================================================================
@@ -104,10 +230,15 @@ CREATE TABLE IF NOT EXISTS `plesk_servers` (
     `password_encrypted` TEXT NULL,
     `api_key_encrypted` TEXT NULL,
     `ssl_verify` BOOLEAN DEFAULT TRUE,
+    `ca_bundle` TEXT NULL COMMENT 'PEM encoded CA certificates used to verify the panel',
+    `tls_fingerprint` VARCHAR(95) NULL COMMENT 'Pinned SHA-256 certificate fingerprint',
     `is_active` BOOLEAN DEFAULT TRUE,
     `is_default` BOOLEAN DEFAULT FALSE,
     `version` VARCHAR(50) NULL,
     `platform` VARCHAR(50) NULL,
+    `server_group` VARCHAR(100) DEFAULT 'default',
+    `priority` INT DEFAULT 1,
+    `max_connections` INT DEFAULT 10,
     `last_check` TIMESTAMP NULL,
     `status` ENUM(
         'connected',
@@ -185,7 +316,8 @@ CREATE TABLE IF NOT EXISTS `plesk_customers` (
 
 -- Local domain cache used by the application
 CREATE TABLE IF NOT EXISTS `domain_cache` (
-    `id` INT PRIMARY KEY,
+    `server_id` INT NOT NULL DEFAULT 0 COMMENT 'plesk_servers.id (0 for the environment-configured server)',
+    `id` INT NOT NULL,
     `name` VARCHAR(255) NOT NULL,
     `status` ENUM('active', 'suspended', 'disabled', 'unknown') DEFAULT 'unknown',
     `created` DATETIME NULL,
@@ -195,6 +327,7 @@ CREATE TABLE IF NOT EXISTS `domain_cache` (
     `ip_addresses` JSON,
     `last_updated` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     `sync_error` TEXT NULL,
+    PRIMARY KEY (`server_id`, `id`),
     INDEX `idx_domain_cache_name` (`name`),
     INDEX `idx_domain_cache_status` (`status`),
     INDEX `idx_domain_cache_last_updated` (`last_updated`)
@@ -216,6 +349,7 @@ CREATE TABLE IF NOT EXISTS `api_keys` (
     `expires_at` TIMESTAMP NULL,
     `last_used_at` TIMESTAMP NULL,
     `usage_count` INT DEFAULT 0,
+    `rate_limit_per_hour` INT NULL,
     `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
@@ -226,6 +360,15 @@ CREATE TABLE IF NOT EXISTS `api_keys` (
     INDEX `idx_expires_at` (`expires_at`)
 ) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
 
+-- Fixed-window request counters shared by every manager instance (see lib/rateLimit)
+CREATE TABLE IF NOT EXISTS `rate_limit_counters` (
+    `bucket` VARCHAR(191) NOT NULL,
+    `window_start` TIMESTAMP NOT NULL,
+    `hits` INT NOT NULL DEFAULT 0,
+    PRIMARY KEY (`bucket`, `window_start`),
+    INDEX `idx_window_start` (`window_start`)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
 -- API request log for monitoring and analytics
 CREATE TABLE IF NOT EXISTS `api_request_log` (
     `id` INT AUTO_INCREMENT PRIMARY KEY,
@@ -384,6 +527,20 @@ VALUES (
         'Maximum login attempts before lockout',
         FALSE
     ),
+    (
+        'max_login_attempts_per_ip',
+        '20',
+        'number',
+        'Maximum failed logins from one IP address before lockout',
+        FALSE
+    ),
+    (
+        'login_lockout_minutes',
+        '15',
+        'number',
+        'Lockout duration in minutes after too many failed logins',
+        FALSE
+    ),
     (
         'session_timeout',
         '24',
@@ -402,16 +559,30 @@ VALUES (
         'api_rate_limit',
         '100',
         'number',
-        'API requests per minute per user',
+        'API requests per minute per user (0 disables the limit)',
         FALSE
     ),
     (
-        'enable_registration',
-        'false',
-        'boolean',
-        'Allow user registration',
+        'rate_limit_groups',
+        '{"plesk-refresh":{"limit":20,"windowSeconds":3600},"cli":{"limit":60,"windowSeconds":3600}}',
+        'json',
+        'Requests per window and user for the route groups that fan out to Plesk',
+        FALSE
+    ),
+    (
+        'registration_mode',
+        'invite',
+        'string',
+        'Who can register: open, invite (invitation links only) or disabled',
         TRUE
     ),
+    (
+        'registration_requires_approval',
+        'true',
+        'boolean',
+        'Self-registered accounts stay inactive until an admin approves them',
+        FALSE
+    ),
     (
         'email_verification_required',
         'false',
@@ -425,6 +596,13 @@ VALUES (
         'string',
         'Default UI theme',
         TRUE
+    ),
+    (
+        'two_factor_enforcement',
+        'off',
+        'string',
+        'Require two-factor authentication: off, admins or all',
+        FALSE
     )
 ON DUPLICATE KEY UPDATE
     `updated_at` = CURRENT_TIMESTAMP;
@@ -452,6 +630,20 @@ VALUES (
         'Hello {{first_name}},\n\nA password reset has been requested for your account.\n\nClick the link below to reset your password:\n{{reset_url}}\n\nThis link will expire in 1 hour.\n\nIf you did not request this reset, please ignore this email.\n\nBest regards,\nPlesk API Manager Team',
         '["first_name", "reset_url"]'
     ),
+    (
+        'invitation',
+        'email',
+        'You are invited to Plesk API Manager',
+        'Hello,\n\n{{invited_by}} invited you to Plesk API Manager as {{role}}.\n\nCreate your account with the link below:\n{{invitation_url}}\n\nThis invitation will expire in {{expires_in}}.\n\nBest regards,\nPlesk API Manager Team',
+        '["invited_by", "role", "invitation_url", "expires_in"]'
+    ),
+    (
+        'email_verification',
+        'email',
+        'Verify your email address',
+        'Hello {{first_name}},\n\nPlease confirm your email address by opening the link below:\n{{verification_url}}\n\nThis link will expire in {{expires_in}}.\n\nBest regards,\nPlesk API Manager Team',
+        '["first_name", "verification_url", "expires_in"]'
+    ),
     (
         'login_alert',
         'email',
@@ -75,7 +75,7 @@ ON DUPLICATE KEY UPDATE
 -- PLESK SERVER SEED DATA
 -- ======================================================================
 
--- Sample Plesk servers (encrypted fields are base64 encoded for demo)
+-- Sample Plesk servers (legacy base64 credentials for demo; run POST /api/servers/credentials/rotate to encrypt them with the vault)
 INSERT INTO
     `plesk_servers` (
         `name`,
@@ -0,0 +1,112 @@
+/**
+ * Single-use account tokens sent by email: password reset and email verification.
+ *
+ * The raw token only ever appears in the link mailed to the user. The users row
+ * keeps its SHA-256 hash (password_reset_token, email_verification_token) and an
+ * expiry; consuming a token clears both, so each link works once.
+ */
+const crypto = require('crypto');
+
+const KINDS = {
+	passwordReset: {
+		column: 'password_reset_token',
+		expiresColumn: 'password_reset_expires',
+		ttlMinutes: () => parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60,
+	},
+	emailVerification: {
+		column: 'email_verification_token',
+		expiresColumn: 'email_verification_expires',
+		ttlMinutes: () => (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48) * 60,
+		// Accounts waiting for admin approval can verify their address meanwhile
+		includePending: true,
+	},
+};
+
+/**
+ * Hash a token for storage
+ * @param {string} token
+ * @returns {string}
+ */
+function hashAccountToken(token) {
+	return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Human-readable lifetime for the mail templates
+ * @param {number} minutes
+ * @returns {string}
+ */
+function describeTtl(minutes) {
+	if (minutes % 60 !== 0) {
+		return `${minutes} minutes`;
+	}
+	const hours = minutes / 60;
+	return hours === 1 ? '1 hour' : `${hours} hours`;
+}
+
+/**
+ * Frontend link carrying a token (APP_URL is the frontend origin)
+ * @param {string} page - reset-password, verify-email or register
+ * @param {string} token
+ * @returns {string}
+ */
+function accountLink(page, token) {
+	const base = (process.env.APP_URL || 'http://localhost:3001').replace(/\/+$/, '');
+	return `${base}/${page}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Issues and consumes the password reset and email verification tokens
+ */
+class AccountTokens {
+	/**
+	 * @param {Object} config - dbPool
+	 */
+	constructor(config = {}) {
+		this.dbPool = config.dbPool;
+	}
+
+	/**
+	 * Issue a token, replacing any previous one of the same kind
+	 * @param {string} kind - passwordReset or emailVerification
+	 * @param {number} userId
+	 * @returns {Promise<Object>} - { token, expiresAt, expiresIn }
+	 */
+	async issue(kind, userId) {
+		const { column, expiresColumn, ttlMinutes } = KINDS[kind];
+		const token = crypto.randomBytes(32).toString('base64url');
+		const minutes = ttlMinutes();
+		const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+
+		await this.dbPool.execute(`UPDATE users SET ${column} = ?, ${expiresColumn} = ? WHERE id = ?`, [hashAccountToken(token), expiresAt, userId]);
+		return { token, expiresAt, expiresIn: describeTtl(minutes) };
+	}
+
+	/**
+	 * Consume a token
+	 * @param {string} kind - passwordReset or emailVerification
+	 * @param {string} token
+	 * @returns {Promise<Object|null>} - The users row, or null when the token is unknown, used or expired
+	 */
+	async consume(kind, token) {
+		const { column, expiresColumn, includePending } = KINDS[kind];
+		const hash = hashAccountToken(token);
+		const active = includePending ? "(is_active = TRUE OR approval_status = 'pending')" : 'is_active = TRUE';
+
+		const [users] = await this.dbPool.execute(`SELECT * FROM users WHERE ${column} = ? AND ${expiresColumn} > CURRENT_TIMESTAMP AND ${active}`, [hash]);
+		if (users.length === 0) {
+			return null;
+		}
+
+		// Cleared only if still unused, so concurrent requests cannot both succeed
+		const [result] = await this.dbPool.execute(`UPDATE users SET ${column} = NULL, ${expiresColumn} = NULL WHERE id = ? AND ${column} = ?`, [users[0].id, hash]);
+		return result.affectedRows > 0 ? users[0] : null;
+	}
+}
+
+module.exports = {
+	AccountTokens,
+	accountLink,
+	describeTtl,
+	hashAccountToken,
+};
@@ -0,0 +1,312 @@
+/**
+ * The user_activity_log table: account events, the audit trail (see lib/audit),
+ * and searching and exporting them.
+ *
+ * Rows are hash-chained: each stores the SHA-256 of its content and of the
+ * previous row's hash (prev_hash, entry_hash), so editing or deleting a row breaks
+ * every link after it. Writes are serialized on the chain head (activity_log_chain),
+ * which holds the hash of the last row. lib/auditChain verifies the chain and signs
+ * checkpoints of its head.
+ *
+ * Searches filter by user, activity type (LOGIN, or a prefix such as API_KEY_*),
+ * target resource and ID, outcome, date range, IP address and free text, newest
+ * first. Pages are fetched with an opaque cursor (the last row's ID) instead of
+ * an offset, so they stay stable while rows are added and cheap deep into the
+ * history. Exports walk the same query in batches and are written out as they
+ * are read, never holding more than one batch in memory.
+ */
+const crypto = require('crypto');
+const { ValidationError } = require('./errors');
+
+// Columns of searches and exports, in export order
+const ACTIVITY_COLUMNS = ['id', 'created_at', 'user_id', 'username', 'activity_type', 'description', 'target_resource', 'target_id', 'request_method', 'request_path', 'request_data', 'response_status', 'plesk_status', 'outcome', 'ip_address', 'user_agent', 'prev_hash', 'entry_hash'];
+
+// Columns covered by entry_hash, in hashing order (created_at as a Unix timestamp)
+const CHAINED_COLUMNS = ['user_id', 'activity_type', 'description', 'target_resource', 'target_id', 'request_method', 'request_path', 'request_data', 'response_status', 'plesk_status', 'outcome', 'ip_address', 'user_agent', 'created_at'];
+
+// prev_hash of the first chained row
+const GENESIS_HASH = '0'.repeat(64);
+
+// Rows read per query while exporting
+const EXPORT_BATCH_SIZE = 1000;
+
+/**
+ * JSON with object keys sorted, so equal values always serialize the same way
+ * (MySQL reorders the keys of JSON columns)
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+	if (Array.isArray(value)) {
+		return `[${value.map(canonicalJson).join(',')}]`;
+	}
+	if (value && typeof value === 'object') {
+		return `{${Object.keys(value)
+			.sort()
+			.filter((key) => value[key] !== undefined)
+			.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+			.join(',')}}`;
+	}
+	return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash of a row chained to the previous one
+ * @param {string} prevHash - entry_hash of the previous row
+ * @param {Object} row - CHAINED_COLUMNS values as stored (request_data parsed, created_at in Unix seconds)
+ * @returns {string} - SHA-256 hex
+ */
+function hashEntry(prevHash, row) {
+	const values = CHAINED_COLUMNS.map((column) => (row[column] === undefined ? null : row[column]));
+	return crypto.createHash('sha256').update(`${prevHash}\n${canonicalJson(values)}`).digest('hex');
+}
+
+/**
+ * Write a row to user_activity_log, chained to the last one
+ * @param {Object} db - mysql2 promise pool (req.services.db)
+ * @param {Object} entry - userId, type (activity_type), description, ip, and for the
+ *   audit trail (see lib/audit) userAgent, targetResource, targetId, method, path,
+ *   requestData, responseStatus, pleskStatus and outcome
+ */
+async function logActivity(db, entry) {
+	const row = {
+		user_id: entry.userId === undefined || entry.userId === null ? null : Number(entry.userId),
+		activity_type: entry.type,
+		description: entry.description || null,
+		target_resource: entry.targetResource || null,
+		target_id: entry.targetId === undefined || entry.targetId === null ? null : String(entry.targetId),
+		request_method: entry.method || null,
+		request_path: entry.path || null,
+		// As read back from the JSON column
+		request_data: entry.requestData ? JSON.parse(JSON.stringify(entry.requestData)) : null,
+		response_status: entry.responseStatus || null,
+		plesk_status: entry.pleskStatus || null,
+		outcome: entry.outcome || null,
+		ip_address: entry.ip || '',
+		user_agent: entry.userAgent || null,
+		created_at: Math.floor(Date.now() / 1000),
+	};
+
+	const connection = await db.getConnection();
+	try {
+		await connection.beginTransaction();
+
+		const [heads] = await connection.execute('SELECT last_hash FROM activity_log_chain WHERE id = 1 FOR UPDATE');
+		const prevHash = heads.length > 0 ? heads[0].last_hash : GENESIS_HASH;
+		const entryHash = hashEntry(prevHash, row);
+
+		const [result] = await connection.execute(
+			'INSERT INTO user_activity_log (user_id, activity_type, description, target_resource, target_id, request_method, request_path, request_data, response_status, plesk_status, outcome, ip_address, user_agent, created_at, prev_hash, entry_hash) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, FROM_UNIXTIME(?), ?, ?)',
+			[...CHAINED_COLUMNS.map((column) => (column === 'request_data' && row.request_data ? JSON.stringify(row.request_data) : row[column])), prevHash, entryHash]
+		);
+		await connection.execute('INSERT INTO activity_log_chain (id, last_id, last_hash) VALUES (1, ?, ?) ON DUPLICATE KEY UPDATE last_id = VALUES(last_id), last_hash = VALUES(last_hash)', [result.insertId, entryHash]);
+
+		await connection.commit();
+	} catch (error) {
+		await connection.rollback();
+		throw error;
+	} finally {
+		connection.release();
+	}
+}
+
+/**
+ * Escape LIKE wildcards in user input
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLike(value) {
+	return value.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Opaque cursor pointing after a row
+ * @param {number} id - ID of the last row of a page
+ * @returns {string}
+ */
+function encodeCursor(id) {
+	return Buffer.from(JSON.stringify({ id })).toString('base64url');
+}
+
+/**
+ * Row ID of a cursor
+ * @param {string} cursor
+ * @returns {number}
+ */
+function decodeCursor(cursor) {
+	try {
+		const { id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+		if (Number.isInteger(id) && id > 0) {
+			return id;
+		}
+	} catch (error) {
+		// Reported below
+	}
+	throw new ValidationError('Invalid cursor');
+}
+
+/**
+ * WHERE clause of a search
+ * @param {Object} filters - userId, types (activity types, TYPE_* for a prefix), resource, targetId, outcome, from, to, ip, q, beforeId
+ * @returns {Object} - { where, params }
+ */
+function activityFilter(filters = {}) {
+	const conditions = [];
+	const params = [];
+
+	if (filters.userId) {
+		conditions.push('al.user_id = ?');
+		params.push(filters.userId);
+	}
+	if (filters.types && filters.types.length > 0) {
+		conditions.push(`(${filters.types.map((type) => (type.endsWith('*') ? 'al.activity_type LIKE ?' : 'al.activity_type = ?')).join(' OR ')})`);
+		params.push(...filters.types.map((type) => (type.endsWith('*') ? `${escapeLike(type.slice(0, -1))}%` : type)));
+	}
+	if (filters.resource) {
+		conditions.push('al.target_resource = ?');
+		params.push(filters.resource);
+	}
+	if (filters.targetId) {
+		conditions.push('al.target_id = ?');
+		params.push(filters.targetId);
+	}
+	if (filters.outcome) {
+		conditions.push('al.outcome = ?');
+		params.push(filters.outcome);
+	}
+	if (filters.from) {
+		conditions.push('al.created_at >= ?');
+		params.push(filters.from);
+	}
+	if (filters.to) {
+		conditions.push('al.created_at <= ?');
+		params.push(filters.to);
+	}
+	if (filters.ip) {
+		conditions.push('al.ip_address = ?');
+		params.push(filters.ip);
+	}
+	if (filters.q) {
+		const pattern = `%${escapeLike(filters.q)}%`;
+		conditions.push('(al.description LIKE ? OR al.request_path LIKE ? OR al.target_id LIKE ? OR u.username LIKE ?)');
+		params.push(pattern, pattern, pattern, pattern);
+	}
+	if (filters.beforeId) {
+		conditions.push('al.id < ?');
+		params.push(filters.beforeId);
+	}
+
+	return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * Matching rows, newest first
+ * @param {Object} db - mysql2 promise pool
+ * @param {Object} filters - See activityFilter()
+ * @param {number} limit
+ * @returns {Promise<Object[]>}
+ */
+async function queryActivity(db, filters, limit) {
+	const { where, params } = activityFilter(filters);
+	const [rows] = await db.execute(`SELECT al.*, u.username FROM user_activity_log al LEFT JOIN users u ON al.user_id = u.id ${where} ORDER BY al.id DESC LIMIT ${Number(limit)}`, params);
+	return rows;
+}
+
+/**
+ * One page of a search
+ * @param {Object} db - mysql2 promise pool
+ * @param {Object} filters - See activityFilter()
+ * @param {Object} page - limit, cursor (from the previous page)
+ * @returns {Promise<Object>} - { rows, nextCursor } (nextCursor is null on the last page)
+ */
+async function searchActivity(db, filters, page = {}) {
+	const limit = page.limit || 50;
+	const rows = await queryActivity(db, { ...filters, beforeId: page.cursor ? decodeCursor(page.cursor) : null }, limit + 1);
+	const more = rows.length > limit;
+	const pageRows = more ? rows.slice(0, limit) : rows;
+
+	return { rows: pageRows, nextCursor: more ? encodeCursor(pageRows[pageRows.length - 1].id) : null };
+}
+
+/**
+ * Every matching row, newest first, read in batches
+ * @param {Object} db - mysql2 promise pool
+ * @param {Object} filters - See activityFilter()
+ * @param {number} batchSize
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* iterateActivity(db, filters, batchSize = EXPORT_BATCH_SIZE) {
+	let beforeId = null;
+	for (;;) {
+		const rows = await queryActivity(db, { ...filters, beforeId }, batchSize);
+		yield* rows;
+		if (rows.length < batchSize) {
+			return;
+		}
+		beforeId = rows[rows.length - 1].id;
+	}
+}
+
+/**
+ * Export representation of a row: the export columns, dates as ISO strings
+ * @param {Object} row
+ * @returns {Object}
+ */
+function toExportRecord(row) {
+	return Object.fromEntries(
+		ACTIVITY_COLUMNS.map((column) => {
+			let value = row[column] === undefined ? null : row[column];
+			if (value instanceof Date) {
+				value = value.toISOString();
+			} else if (column === 'request_data' && typeof value === 'string') {
+				try {
+					value = JSON.parse(value);
+				} catch (error) {
+					// Kept as stored
+				}
+			}
+			return [column, value];
+		})
+	);
+}
+
+/**
+ * CSV field: quoted when needed, and prefixed with ' when a spreadsheet would read it as a formula
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+	if (value === null || value === undefined) {
+		return '';
+	}
+	let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+	if (/^[=+\-@\t\r]/.test(text)) {
+		text = `'${text}`;
+	}
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV line of an export record
+ * @param {Object} record - From toExportRecord()
+ * @returns {string}
+ */
+function toCsvLine(record) {
+	return `${ACTIVITY_COLUMNS.map((column) => csvField(record[column])).join(',')}\r\n`;
+}
+
+module.exports = {
+	ACTIVITY_COLUMNS,
+	CHAINED_COLUMNS,
+	GENESIS_HASH,
+	activityFilter,
+	canonicalJson,
+	decodeCursor,
+	encodeCursor,
+	hashEntry,
+	iterateActivity,
+	logActivity,
+	searchActivity,
+	toCsvLine,
+	toExportRecord,
+};
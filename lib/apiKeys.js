@@ -0,0 +1,217 @@
+/**
+ * Scoped API keys for automation (api_keys table).
+ *
+ * A key belongs to a user and acts as that user, narrowed by its scopes
+ * (stored in the permissions column) and optionally bound to one Plesk server:
+ *
+ *   { name: 'dns-sync', scopes: ['domains:read', 'dns:write'], serverId: 2 }
+ *
+ * Scopes are resource:access, with the resource types of lib/permissions
+ * (* for every resource, and the only one admitted by routes that declare no
+ * permission) and an action, write (every action but read) or * as access.
+ * The key itself is only returned when it is minted or rotated; a SHA-256 hash
+ * of it is stored in key_hash. Every authenticated request updates
+ * last_used_at and usage_count, and counts against rate_limit_per_hour when
+ * set (see lib/rateLimit).
+ */
+const crypto = require('crypto');
+const { API_KEY_PREFIX } = require('./auth');
+const { ConflictError, NotFoundError } = require('./errors');
+const { ACTIONS, RESOURCE_TYPES } = require('./permissions');
+
+const SCOPE_ACCESS = ['*', 'write', ...ACTIONS];
+
+// resource:access, e.g. domains:read or dns:write
+const SCOPE_PATTERN = new RegExp(`^(${RESOURCE_TYPES.map((type) => type.replace('*', '\\*')).join('|')}):(${SCOPE_ACCESS.map((access) => access.replace('*', '\\*')).join('|')})$`);
+
+/**
+ * SHA-256 hash of an API key, as stored in key_hash
+ * @param {string} key
+ * @returns {string}
+ */
+function hashApiKey(key) {
+	return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate a new API key
+ * @returns {string}
+ */
+function generateApiKey() {
+	return `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Scopes stored in the permissions column (JSON array, returned parsed or as text)
+ * @param {*} value
+ * @returns {string[]}
+ */
+function parseScopes(value) {
+	if (Array.isArray(value)) {
+		return value;
+	}
+	try {
+		const scopes = JSON.parse(value || '[]');
+		return Array.isArray(scopes) ? scopes : [];
+	} catch (error) {
+		return [];
+	}
+}
+
+/**
+ * State of an api_keys row
+ * @param {Object} row
+ * @returns {string} - active, revoked or expired
+ */
+function apiKeyStatus(row) {
+	if (!row.is_active) {
+		return 'revoked';
+	}
+	return row.expires_at && new Date(row.expires_at) <= new Date() ? 'expired' : 'active';
+}
+
+/**
+ * API representation of an api_keys row (never includes the hash)
+ * @param {Object} row
+ * @returns {Object}
+ */
+function toApiKey(row) {
+	return {
+		id: row.id,
+		userId: row.user_id,
+		name: row.key_name,
+		scopes: parseScopes(row.permissions),
+		serverId: row.plesk_server_id === null || row.plesk_server_id === undefined ? null : Number(row.plesk_server_id),
+		rateLimitPerHour: row.rate_limit_per_hour || null,
+		status: apiKeyStatus(row),
+		expiresAt: row.expires_at,
+		lastUsedAt: row.last_used_at,
+		usageCount: row.usage_count || 0,
+		createdAt: row.created_at,
+	};
+}
+
+/**
+ * Mints, rotates, revokes and authenticates API keys
+ */
+class ApiKeyStore {
+	/**
+	 * @param {Object} config - dbPool
+	 */
+	constructor(config = {}) {
+		this.dbPool = config.dbPool;
+	}
+
+	/**
+	 * Mint a key
+	 * @param {Object} data - userId, name, scopes, and optionally serverId, rateLimitPerHour and expiresInDays
+	 * @returns {Promise<Object>} - The key and its secret (only returned here and by rotate)
+	 */
+	async create(data) {
+		if (data.serverId) {
+			const [servers] = await this.dbPool.execute('SELECT id FROM plesk_servers WHERE id = ?', [data.serverId]);
+			if (servers.length === 0) {
+				throw new NotFoundError(`Plesk server ${data.serverId} not found`);
+			}
+		}
+
+		const key = generateApiKey();
+		const expiresAt = data.expiresInDays ? new Date(Date.now() + data.expiresInDays * 24 * 3600 * 1000) : null;
+
+		const [result] = await this.dbPool.execute('INSERT INTO api_keys (user_id, plesk_server_id, key_name, key_hash, permissions, rate_limit_per_hour, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)', [
+			data.userId,
+			data.serverId || null,
+			data.name,
+			hashApiKey(key),
+			JSON.stringify(data.scopes),
+			data.rateLimitPerHour || null,
+			expiresAt,
+		]);
+
+		return { ...(await this.get(result.insertId)), key };
+	}
+
+	/**
+	 * Get a key
+	 * @param {number} id
+	 * @returns {Promise<Object>}
+	 */
+	async get(id) {
+		const [rows] = await this.dbPool.execute('SELECT * FROM api_keys WHERE id = ?', [id]);
+		if (rows.length === 0) {
+			throw new NotFoundError('API key not found');
+		}
+		return toApiKey(rows[0]);
+	}
+
+	/**
+	 * List keys, newest first
+	 * @param {number|null} userId - Keys of one user, every key when null
+	 * @returns {Promise<Object[]>}
+	 */
+	async list(userId = null) {
+		const [rows] = userId ? await this.dbPool.execute('SELECT * FROM api_keys WHERE user_id = ? ORDER BY id DESC', [userId]) : await this.dbPool.execute('SELECT * FROM api_keys ORDER BY id DESC');
+		return rows.map(toApiKey);
+	}
+
+	/**
+	 * Replace the secret of an active key, keeping its name, scopes, server and expiry
+	 * @param {number} id
+	 * @returns {Promise<Object>} - The key and its new secret
+	 */
+	async rotate(id) {
+		const current = await this.get(id);
+		if (current.status !== 'active') {
+			throw new ConflictError(`API key is ${current.status}`);
+		}
+
+		const key = generateApiKey();
+		await this.dbPool.execute('UPDATE api_keys SET key_hash = ? WHERE id = ?', [hashApiKey(key), id]);
+
+		return { ...(await this.get(id)), key };
+	}
+
+	/**
+	 * Revoke a key
+	 * @param {number} id
+	 * @returns {Promise<Object>}
+	 */
+	async revoke(id) {
+		await this.get(id);
+		await this.dbPool.execute('UPDATE api_keys SET is_active = FALSE WHERE id = ?', [id]);
+		return this.get(id);
+	}
+
+	/**
+	 * Look up an active, unexpired key of an active user and record its use
+	 * @param {string} key
+	 * @returns {Promise<Object|null>} - { user, apiKey } for req.user and req.apiKey
+	 */
+	async authenticate(key) {
+		const [rows] = await this.dbPool.execute(
+			'SELECT k.*, u.username, u.email, u.role FROM api_keys k JOIN users u ON u.id = k.user_id WHERE k.key_hash = ? AND k.is_active = TRUE AND (k.expires_at IS NULL OR k.expires_at > CURRENT_TIMESTAMP) AND u.is_active = TRUE',
+			[hashApiKey(key)]
+		);
+		if (rows.length === 0) {
+			return null;
+		}
+
+		const row = rows[0];
+		await this.dbPool.execute('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, usage_count = usage_count + 1 WHERE id = ?', [row.id]);
+
+		const apiKey = toApiKey(row);
+		return {
+			user: { id: row.user_id, username: row.username, email: row.email, role: row.role, apiKeyId: row.id },
+			apiKey: { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes, serverId: apiKey.serverId, rateLimitPerHour: apiKey.rateLimitPerHour },
+		};
+	}
+}
+
+module.exports = {
+	ApiKeyStore,
+	SCOPE_PATTERN,
+	apiKeyStatus,
+	generateApiKey,
+	hashApiKey,
+	toApiKey,
+};
@@ -0,0 +1,190 @@
+/**
+ * Audit trail of mutating requests, written to user_activity_log.
+ *
+ * auditTrail() is mounted ahead of authentication on every authenticated route
+ * theme (see routes/index) and on the admin routes of the users router, and
+ * records each POST, PUT and DELETE once its response is sent:
+ *
+ * - activity_type: RESOURCE_ACTION, e.g. DOMAINS_DELETE, DNS_CREATE, CLI_CALL or
+ *   EXTENSIONS_ENABLE. The resource is the route's permission type (x-permission)
+ *   or its mount path; the action a literal path segment after the target
+ *   (/:id/enable), the permission action or the method (create, update, delete)
+ * - target_resource and target_id: the route parameter (:id, :name), or the id of
+ *   the created resource from the response. Secret parameters (the Plesk secret
+ *   key of DELETE /api/auth/keys/:key) are never stored
+ * - request_method, request_path and request_data with secrets redacted
+ * - response_status, plesk_status (last Plesk call of the request) and outcome:
+ *   success, failure or denied (401 and 403)
+ *
+ * Requests whose token is refused are recorded without a user. Account routes
+ * (login, sessions, two-factor and API keys of the caller) log their own events
+ * with logActivity. Writing the trail never fails a request.
+ */
+const { logActivity } = require('./activity');
+const { methodAction } = require('./auth');
+const { REDACTED, SECRET_FIELD, redact, redactUrl } = require('./logger');
+
+const AUDITED_METHODS = ['POST', 'PUT', 'DELETE'];
+
+/**
+ * Whether a route parameter holds a secret (:key is a Plesk secret key)
+ * @param {string} name - Parameter name
+ * @returns {boolean}
+ */
+function isSecretParam(name) {
+	return name === 'key' || SECRET_FIELD.test(name);
+}
+
+/**
+ * Outcome of a response status
+ * @param {number} status
+ * @returns {string} - success, failure or denied
+ */
+function outcomeOf(status) {
+	if (status === 401 || status === 403) {
+		return 'denied';
+	}
+	return status < 400 ? 'success' : 'failure';
+}
+
+/**
+ * Route of a mounted router matching a request, and its parameters. Looked up
+ * again once the response is sent: requests refused before routing never reach
+ * the route, and Express puts the parent router's params back on req.params when
+ * an error leaves it.
+ * @param {Object} router - Express router
+ * @param {string} method
+ * @param {string} path - Path below the mount point
+ * @returns {Object|null} - { route, params }
+ */
+function findRoute(router, method, path) {
+	for (const layer of (router && router.stack) || []) {
+		if (layer.route && layer.route._handles_method(method) && layer.match(path)) {
+			return { route: layer.route, params: layer.params };
+		}
+	}
+	return null;
+}
+
+/**
+ * Activity type and target of a request, from the matched route
+ * @param {Object} req - Request after routing (req.audit to look the route up, or req.route)
+ * @param {string|null} mountResource - Resource named by the mount path
+ * @param {Object} body - JSON response body
+ * @returns {Object} - { type, resource, targetId, path }
+ */
+function describeTarget(req, mountResource, body) {
+	const matched = (req.audit && findRoute(req.audit.router, req.method, req.audit.path)) || (req.route ? { route: req.route, params: req.params } : null);
+	const route = matched ? matched.route : null;
+	const routePath = route && typeof route.path === 'string' ? route.path : '';
+	const segments = routePath.split('/').filter(Boolean);
+	const literals = segments.filter((segment) => !segment.startsWith(':'));
+
+	const permission = route ? route.stack.map((layer) => layer.handle.openapi && layer.handle.openapi.permission).find(Boolean) : null;
+	const [permissionType, permissionAction] = permission ? permission.split(':') : [];
+	const resource = (permissionType !== '*' && permissionType) || mountResource || literals[0] || 'api';
+
+	// The last literal segment names the action when it follows a parameter
+	// (/:id/enable) or another literal (/domains/refresh, /credentials/rotate),
+	// or when it is the only one and the route declares no permission (/init)
+	const last = segments[segments.length - 1];
+	const isVerb = last && !last.startsWith(':') && last !== resource && (segments.length > 1 || !permission);
+	const action = isVerb ? last : permissionAction || methodAction(req.method);
+
+	const params = Object.fromEntries(Object.entries((matched && matched.params) || {}).filter(([name]) => !isSecretParam(name)));
+	let targetId = params.id || params.name || Object.values(params)[0] || null;
+	if (!targetId && body && body.data && ['string', 'number'].includes(typeof body.data.id)) {
+		targetId = body.data.id;
+	}
+
+	return {
+		type: `${resource}_${action}`.replace(/[^A-Za-z0-9]+/g, '_').toUpperCase().slice(0, 50),
+		resource,
+		targetId: targetId === null ? null : String(targetId).slice(0, 50),
+		path: auditedPath(req, route),
+	};
+}
+
+/**
+ * Request path as stored: the segments of secret route parameters and the
+ * values of secret query parameters are replaced by [REDACTED]
+ * @param {Object} req
+ * @param {Object|null} route - Matched route
+ * @returns {string}
+ */
+function auditedPath(req, route) {
+	if (route && typeof route.path === 'string' && req.audit) {
+		const [, query] = req.originalUrl.split(/\?(.*)/s);
+		const segments = req.audit.path.split('/');
+		route.path.split('/').forEach((segment, index) => {
+			if (segment.startsWith(':') && isSecretParam(segment.slice(1).replace(/\W.*$/, '')) && index < segments.length) {
+				segments[index] = REDACTED;
+			}
+		});
+		return redactUrl(`${req.audit.baseUrl}${segments.join('/')}${query ? `?${query}` : ''}`);
+	}
+	return redactUrl(req.originalUrl);
+}
+
+/**
+ * Middleware recording POST, PUT and DELETE requests in user_activity_log (use before authenticateToken)
+ * @param {string|null} mountResource - Resource of the mounted router (e.g. cli for /api/admin/cli), null when the routes name it
+ * @param {Object} router - The mounted router, to describe requests refused before they reach it
+ * @returns {Function}
+ */
+const auditTrail = (mountResource = null, router = null) => (req, res, next) => {
+	if (!AUDITED_METHODS.includes(req.method)) {
+		return next();
+	}
+
+	// A request passing several mounts (/api/plesk, then /api/plesk/server) is recorded once, for the last one
+	const recorded = Boolean(req.audit);
+	req.audit = { resource: mountResource, router, baseUrl: req.baseUrl, path: req.path };
+	if (recorded) {
+		return next();
+	}
+
+	// Plesk status of the request, reported by the Plesk client view (see resolvePleskClient)
+	req.onPleskCall = (call) => {
+		req.pleskStatus = call.status;
+	};
+
+	let responseBody = null;
+	const json = res.json;
+	res.json = function (body) {
+		responseBody = body;
+		return json.call(this, body);
+	};
+
+	res.on('finish', () => {
+		const { type, resource, targetId, path } = describeTarget(req, req.audit.resource, responseBody);
+		const status = res.statusCode;
+
+		logActivity(req.services.db, {
+			userId: req.user ? req.user.id : null,
+			type,
+			description: `${req.method} ${path.split('?')[0]} ${status}${responseBody && responseBody.code ? ` ${responseBody.code}` : ''}`,
+			ip: req.ip,
+			userAgent: req.get('user-agent'),
+			targetResource: resource,
+			targetId,
+			method: req.method,
+			path: path.slice(0, 255),
+			requestData: req.body && Object.keys(req.body).length > 0 ? redact(req.body) : null,
+			responseStatus: status,
+			pleskStatus: req.pleskStatus || (responseBody && responseBody.pleskStatus) || null,
+			outcome: outcomeOf(status),
+		}).catch((error) => {
+			req.log.error('Failed to write the audit trail', { error: error.message });
+		});
+	});
+
+	next();
+};
+
+module.exports = {
+	auditTrail,
+	describeTarget,
+	outcomeOf,
+	redact,
+};
@@ -0,0 +1,316 @@
+/**
+ * Verification and signed checkpoints of the activity log hash chain.
+ *
+ * Every user_activity_log row stores the SHA-256 of its content chained to the
+ * previous row's hash (see lib/activity). verify() walks the log in ID order,
+ * recomputes each hash and checks each link, and reports the first broken one:
+ *
+ * - hash_mismatch: the row was edited
+ * - link_mismatch: its prev_hash is not the previous row's hash (rows were deleted or inserted)
+ * - missing_hash: a row without a hash after chaining started
+ * - head_mismatch: the last row is not the chain head (the newest rows were deleted)
+ *
+ * Rows written before the chain was introduced have no hash and are only counted.
+ *
+ * Someone able to rewrite the table can recompute every hash, so the chain head
+ * is also signed: a checkpoint holds the last row ID, its hash and the number of
+ * chained rows, signed with the Ed25519 key in AUDIT_SIGNING_KEY (PKCS#8 PEM).
+ * Checkpoints are exported to files kept away from the database, and an exported
+ * checkpoint still matching the log proves every row up to it is unchanged. One
+ * is created every AUDIT_CHECKPOINT_INTERVAL_HOURS (default 24, 0 disables) when
+ * the chain has grown, or on demand.
+ */
+const crypto = require('crypto');
+const { CHAINED_COLUMNS, GENESIS_HASH, canonicalJson, hashEntry } = require('./activity');
+const { NotFoundError } = require('./errors');
+const { logger } = require('./logger');
+
+const CHECKPOINT_VERSION = 1;
+
+// Rows read per query while verifying
+const VERIFY_BATCH_SIZE = 1000;
+
+/**
+ * Audit chain settings from the environment
+ * @returns {Object}
+ */
+function getAuditChainConfig() {
+	const hours = process.env.AUDIT_CHECKPOINT_INTERVAL_HOURS;
+	return {
+		// Single line .env values carry the PEM line breaks as \n
+		signingKey: (process.env.AUDIT_SIGNING_KEY || '').replace(/\\n/g, '\n'),
+		checkpointIntervalHours: hours === undefined || hours === '' ? 24 : Number(hours),
+	};
+}
+
+/**
+ * Checkpoint document of a stored checkpoint
+ * @param {Object} row - activity_log_checkpoints row (created_at in Unix seconds)
+ * @returns {Object}
+ */
+function toCheckpoint(row) {
+	return {
+		version: CHECKPOINT_VERSION,
+		algorithm: 'Ed25519',
+		keyId: row.key_id,
+		lastId: row.last_id,
+		lastHash: row.last_hash,
+		entries: row.entries,
+		createdAt: new Date(Number(row.created_at) * 1000).toISOString(),
+		signature: row.signature,
+	};
+}
+
+/**
+ * Bytes covered by a checkpoint signature: the document without its signature
+ * @param {Object} checkpoint
+ * @returns {Buffer}
+ */
+function signedPayload(checkpoint) {
+	const { version, algorithm, keyId, lastId, lastHash, entries, createdAt } = checkpoint;
+	return Buffer.from(canonicalJson({ version, algorithm, keyId, lastId, lastHash, entries, createdAt }));
+}
+
+/**
+ * Verifier and signer of the activity log hash chain
+ */
+class AuditChain {
+	/**
+	 * @param {Object} config - dbPool, and overrides of the environment settings (see getAuditChainConfig)
+	 */
+	constructor(config = {}) {
+		const { dbPool, ...settings } = config;
+		this.dbPool = dbPool;
+		this.config = { ...getAuditChainConfig(), ...settings };
+
+		this.privateKey = this.config.signingKey ? crypto.createPrivateKey(this.config.signingKey) : null;
+		this.publicKey = this.privateKey ? crypto.createPublicKey(this.privateKey) : null;
+		this.keyId = this.publicKey ? crypto.createHash('sha256').update(this.publicKey.export({ type: 'spki', format: 'der' })).digest('hex').slice(0, 16) : null;
+
+		this.timer = null;
+	}
+
+	/**
+	 * Whether checkpoints can be signed
+	 * @returns {boolean}
+	 */
+	get signingEnabled() {
+		return Boolean(this.privateKey);
+	}
+
+	/**
+	 * Refuse when no signing key is configured
+	 */
+	assertSigningEnabled() {
+		if (!this.signingEnabled) {
+			throw new NotFoundError('Audit checkpoint signing is not configured. Set AUDIT_SIGNING_KEY in your environment.', 'AUDIT_SIGNING_DISABLED');
+		}
+	}
+
+	/**
+	 * Start creating checkpoints periodically (when signing is configured)
+	 */
+	start() {
+		const intervalMs = this.config.checkpointIntervalHours * 3600 * 1000;
+		if (!this.signingEnabled || !(intervalMs > 0) || this.timer) {
+			return;
+		}
+
+		this.timer = setInterval(() => {
+			this.checkpointIfChanged().catch((error) => {
+				logger.error('Failed to create the audit checkpoint', { error: error.message });
+			});
+		}, intervalMs);
+		this.timer.unref();
+	}
+
+	/**
+	 * Stop the periodic checkpoints
+	 */
+	stop() {
+		clearInterval(this.timer);
+		this.timer = null;
+	}
+
+	/**
+	 * Public key verifying the checkpoints
+	 * @returns {Object} - { algorithm, keyId, publicKey (SPKI PEM) }
+	 */
+	publicKeyInfo() {
+		this.assertSigningEnabled();
+		return { algorithm: 'Ed25519', keyId: this.keyId, publicKey: this.publicKey.export({ type: 'spki', format: 'pem' }) };
+	}
+
+	/**
+	 * Last chained row
+	 * @returns {Promise<Object>} - { id, hash } (id null while no row is chained)
+	 */
+	async head() {
+		const [rows] = await this.dbPool.execute('SELECT last_id, last_hash FROM activity_log_chain WHERE id = 1');
+		return rows.length > 0 ? { id: rows[0].last_id, hash: rows[0].last_hash } : { id: null, hash: GENESIS_HASH };
+	}
+
+	/**
+	 * Walk the whole chain
+	 * @param {Object} options - batchSize
+	 * @returns {Promise<Object>} - { valid, checked, unchained, head, brokenAt }
+	 *   brokenAt is null or { id, reason, expected, actual } for the first broken link
+	 */
+	async verify(options = {}) {
+		const batchSize = options.batchSize || VERIFY_BATCH_SIZE;
+		const head = await this.head();
+		const result = { valid: true, checked: 0, unchained: 0, head, brokenAt: null };
+		const broken = (id, reason, expected, actual) => ({ ...result, valid: false, brokenAt: { id, reason, expected, actual } });
+
+		// Rows written while walking are after the head read above and left out
+		const columns = CHAINED_COLUMNS.map((column) => (column === 'created_at' ? 'UNIX_TIMESTAMP(created_at) AS created_at' : column)).join(', ');
+		const upTo = head.id === null ? '' : ` AND id <= ${Number(head.id)}`;
+		let previous = null;
+		let lastId = 0;
+
+		for (;;) {
+			const [rows] = await this.dbPool.execute(`SELECT id, ${columns}, prev_hash, entry_hash FROM user_activity_log WHERE id > ?${upTo} ORDER BY id LIMIT ${Number(batchSize)}`, [lastId]);
+
+			for (const row of rows) {
+				lastId = row.id;
+				if (!row.entry_hash) {
+					if (previous) {
+						return broken(row.id, 'missing_hash', null, null);
+					}
+					result.unchained++;
+					continue;
+				}
+
+				const expectedPrev = previous ? previous.entry_hash : GENESIS_HASH;
+				if (row.prev_hash !== expectedPrev) {
+					return broken(row.id, 'link_mismatch', expectedPrev, row.prev_hash);
+				}
+
+				const hash = hashEntry(row.prev_hash, {
+					...row,
+					request_data: typeof row.request_data === 'string' ? JSON.parse(row.request_data) : row.request_data,
+					created_at: Number(row.created_at),
+				});
+				if (hash !== row.entry_hash) {
+					return broken(row.id, 'hash_mismatch', hash, row.entry_hash);
+				}
+
+				previous = row;
+				result.checked++;
+			}
+
+			if (rows.length < batchSize) {
+				break;
+			}
+		}
+
+		const lastHash = previous ? previous.entry_hash : GENESIS_HASH;
+		if ((previous ? previous.id : null) !== head.id || lastHash !== head.hash) {
+			return broken(head.id, 'head_mismatch', head.hash, lastHash);
+		}
+		return result;
+	}
+
+	/**
+	 * Sign the current chain head
+	 * @param {number|null} createdBy - User ID, null for periodic checkpoints
+	 * @returns {Promise<Object>} - The checkpoint document
+	 */
+	async createCheckpoint(createdBy = null) {
+		this.assertSigningEnabled();
+
+		const head = await this.head();
+		const lastId = head.id || 0;
+		const [[{ entries }]] = await this.dbPool.execute('SELECT COUNT(*) AS entries FROM user_activity_log WHERE id <= ? AND entry_hash IS NOT NULL', [lastId]);
+		const createdAt = Math.floor(Date.now() / 1000);
+
+		const checkpoint = toCheckpoint({ key_id: this.keyId, last_id: lastId, last_hash: head.hash, entries: Number(entries), created_at: createdAt, signature: null });
+		checkpoint.signature = crypto.sign(null, signedPayload(checkpoint), this.privateKey).toString('base64');
+
+		const [result] = await this.dbPool.execute('INSERT INTO activity_log_checkpoints (last_id, last_hash, entries, key_id, signature, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, FROM_UNIXTIME(?))', [
+			checkpoint.lastId,
+			checkpoint.lastHash,
+			checkpoint.entries,
+			checkpoint.keyId,
+			checkpoint.signature,
+			createdBy,
+			createdAt,
+		]);
+
+		return { id: result.insertId, ...checkpoint };
+	}
+
+	/**
+	 * Create a checkpoint unless the chain has not grown since the last one
+	 * @returns {Promise<Object|null>} - The checkpoint, null when skipped
+	 */
+	async checkpointIfChanged() {
+		const head = await this.head();
+		const [latest] = await this.dbPool.execute('SELECT last_id FROM activity_log_checkpoints ORDER BY id DESC LIMIT 1');
+		if (head.id === null || (latest.length > 0 && latest[0].last_id === head.id)) {
+			return null;
+		}
+		return this.createCheckpoint(null);
+	}
+
+	/**
+	 * Stored checkpoints, newest first
+	 * @param {number} limit
+	 * @returns {Promise<Object[]>}
+	 */
+	async listCheckpoints(limit = 50) {
+		const [rows] = await this.dbPool.execute(`SELECT id, last_id, last_hash, entries, key_id, signature, created_by, UNIX_TIMESTAMP(created_at) AS created_at FROM activity_log_checkpoints ORDER BY id DESC LIMIT ${Number(limit)}`);
+		return rows.map((row) => ({ id: row.id, createdBy: row.created_by, ...toCheckpoint(row) }));
+	}
+
+	/**
+	 * A stored checkpoint
+	 * @param {number} id
+	 * @returns {Promise<Object>} - The checkpoint document
+	 */
+	async getCheckpoint(id) {
+		const [rows] = await this.dbPool.execute('SELECT id, last_id, last_hash, entries, key_id, signature, UNIX_TIMESTAMP(created_at) AS created_at FROM activity_log_checkpoints WHERE id = ?', [id]);
+		if (rows.length === 0) {
+			throw new NotFoundError('Checkpoint not found');
+		}
+		return toCheckpoint(rows[0]);
+	}
+
+	/**
+	 * Check an exported checkpoint against its signature and the log
+	 * @param {Object} checkpoint - Checkpoint document
+	 * @returns {Promise<Object>} - { valid, reason } (reason: bad_signature, unknown_key, row_missing, hash_mismatch or entries_mismatch)
+	 */
+	async verifyCheckpoint(checkpoint) {
+		this.assertSigningEnabled();
+
+		if (checkpoint.keyId !== this.keyId) {
+			return { valid: false, reason: 'unknown_key' };
+		}
+		if (!crypto.verify(null, signedPayload(checkpoint), this.publicKey, Buffer.from(checkpoint.signature, 'base64'))) {
+			return { valid: false, reason: 'bad_signature' };
+		}
+
+		if (checkpoint.lastId > 0) {
+			const [rows] = await this.dbPool.execute('SELECT entry_hash FROM user_activity_log WHERE id = ?', [checkpoint.lastId]);
+			if (rows.length === 0) {
+				return { valid: false, reason: 'row_missing' };
+			}
+			if (rows[0].entry_hash !== checkpoint.lastHash) {
+				return { valid: false, reason: 'hash_mismatch' };
+			}
+		}
+
+		const [[{ entries }]] = await this.dbPool.execute('SELECT COUNT(*) AS entries FROM user_activity_log WHERE id <= ? AND entry_hash IS NOT NULL', [checkpoint.lastId]);
+		if (Number(entries) !== checkpoint.entries) {
+			return { valid: false, reason: 'entries_mismatch' };
+		}
+
+		return { valid: true, reason: null };
+	}
+}
+
+module.exports = {
+	AuditChain,
+	getAuditChainConfig,
+};
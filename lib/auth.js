@@ -0,0 +1,274 @@
+/**
+ * JWT authentication and role enforcement shared by every route theme.
+ *
+ * Roles are ordered viewer < user < admin:
+ * - viewer: read-only (GET/HEAD/OPTIONS)
+ * - user: reads and non-destructive writes (no DELETE)
+ * - admin: everything, and the only role allowed on admin-only routes
+ *
+ * Access tokens belong to a login session (see lib/sessions): a token whose
+ * session was revoked or expired is refused even though its signature is valid.
+ *
+ * API keys (see lib/apiKeys) are accepted in place of an access token, in the
+ * X-API-Key header or as the Bearer token. A key acts as its owner, so the
+ * owner's role and grants still apply, and its scopes narrow that further:
+ * routes declaring a permission need the matching scope (e.g. dns:read), every
+ * other route needs the wildcard resource (*:read for reads, *:write otherwise).
+ */
+const jwt = require('jsonwebtoken');
+const { AuthenticationError, ForbiddenError } = require('./errors');
+
+const ROLES = ['viewer', 'user', 'admin'];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Tells API keys apart from access tokens in the Authorization header
+const API_KEY_PREFIX = 'pam_';
+
+/**
+ * Secret used to sign and verify access tokens
+ * @returns {string}
+ */
+function getJwtSecret() {
+	return process.env.JWT_SECRET || 'default-secret-key';
+}
+
+/**
+ * Whether a role grants at least the given role
+ * @param {string} role - Role of the user
+ * @param {string} required - Minimum role
+ * @returns {boolean}
+ */
+function hasRole(role, required) {
+	const rank = ROLES.indexOf(role);
+	return rank !== -1 && rank >= ROLES.indexOf(required);
+}
+
+/**
+ * Minimum role for a request under the given policy
+ * @param {string} method - HTTP method
+ * @param {Object} policy - admin: admin-only routes, adminWrites: writes need admin
+ * @returns {string}
+ */
+function requiredRole(method, policy = {}) {
+	if (policy.admin) {
+		return 'admin';
+	}
+	if (READ_METHODS.includes(method)) {
+		return 'viewer';
+	}
+	if (method === 'DELETE' || policy.adminWrites) {
+		return 'admin';
+	}
+	return 'user';
+}
+
+/**
+ * Permission action of a request method, as checked against API key scopes
+ * @param {string} method - HTTP method
+ * @returns {string} - read, create, update or delete
+ */
+function methodAction(method) {
+	if (READ_METHODS.includes(method)) {
+		return 'read';
+	}
+	if (method === 'POST') {
+		return 'create';
+	}
+	return method === 'DELETE' ? 'delete' : 'update';
+}
+
+/**
+ * Whether the scopes of an API key cover an action on a resource type.
+ * A scope is resource:access, where the resource may be * and the access is an
+ * action, write (every action but read) or *.
+ * @param {Object} apiKey - req.apiKey
+ * @param {string} type - Resource type, * for routes without one
+ * @param {string} action
+ * @returns {boolean}
+ */
+function apiKeyAllows(apiKey, type, action) {
+	return apiKey.scopes.some((scope) => {
+		const [resource, access] = scope.split(':');
+		return (resource === '*' || resource === type) && (access === '*' || access === action || (access === 'write' && action !== 'read'));
+	});
+}
+
+/**
+ * Refuse an API key lacking the wildcard scope of the request (routes without a declared permission)
+ * @param {Object} req
+ * @returns {ForbiddenError|null}
+ */
+function checkApiKeyScope(req) {
+	if (!req.apiKey || apiKeyAllows(req.apiKey, '*', methodAction(req.method))) {
+		return null;
+	}
+	return new ForbiddenError(`API key scopes do not cover ${req.method} ${req.baseUrl}${req.path}`, 'PERMISSION_DENIED');
+}
+
+/**
+ * Sign an access token for a user and session
+ * @param {Object} user - users row (id, username, email, role)
+ * @param {number} sessionId - user_sessions ID
+ * @returns {string}
+ */
+function issueAccessToken(user, sessionId) {
+	return jwt.sign({ id: user.id, username: user.username, email: user.email, role: user.role, sid: sessionId }, getJwtSecret(), { expiresIn: process.env.JWT_EXPIRES_IN || '24h' });
+}
+
+/**
+ * Authenticate an API key and set req.user (its owner) and req.apiKey
+ * @param {Object} req
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+async function authenticateApiKey(req, key) {
+	const result = await req.services.apiKeys.authenticate(key);
+	if (!result) {
+		throw new AuthenticationError('Invalid, expired or revoked API key', 'INVALID_API_KEY');
+	}
+
+	req.user = result.user;
+	req.apiKey = result.apiKey;
+}
+
+/**
+ * Verify the Bearer token and its session (or the API key), and set req.user
+ */
+const authenticateToken = async (req, res, next) => {
+	// Already authenticated by an earlier mount, an API key is not counted twice
+	if (req.user) {
+		return next();
+	}
+
+	const authHeader = req.headers['authorization'];
+	const token = authHeader && authHeader.split(' ')[1];
+	const apiKey = req.headers['x-api-key'] || (token && token.startsWith(API_KEY_PREFIX) ? token : null);
+
+	if (apiKey) {
+		try {
+			await authenticateApiKey(req, apiKey);
+			return next();
+		} catch (error) {
+			return next(error);
+		}
+	}
+
+	if (!token) {
+		return next(new AuthenticationError('Access token required'));
+	}
+
+	let user;
+	try {
+		user = jwt.verify(token, getJwtSecret());
+	} catch (error) {
+		return next(new ForbiddenError('Invalid or expired token', 'INVALID_TOKEN'));
+	}
+
+	try {
+		if (!user.sid || !(await req.services.sessions.verify(user.sid, user.id))) {
+			return next(new AuthenticationError('Session expired or revoked', 'SESSION_REVOKED'));
+		}
+	} catch (error) {
+		return next(error);
+	}
+
+	req.user = user;
+	next();
+};
+
+authenticateToken.openapi = { security: [{ bearerAuth: [] }, { apiKeyAuth: [] }] };
+
+/**
+ * Refuse API keys on routes managing the account itself (use after authenticateToken)
+ */
+const requireSession = (req, res, next) => {
+	if (req.apiKey) {
+		return next(new ForbiddenError('This route requires a login session, API keys are not accepted', 'SESSION_REQUIRED'));
+	}
+	next();
+};
+
+/**
+ * Require a minimum role (use after authenticateToken)
+ * @param {string} role - 'viewer', 'user' or 'admin'
+ * @returns {Function}
+ */
+const requireRole = (role) => {
+	const middleware = (req, res, next) => {
+		if (!hasRole(req.user?.role, role)) {
+			return next(new ForbiddenError(`${role.charAt(0).toUpperCase()}${role.slice(1)} access required`));
+		}
+		const scopeError = checkApiKeyScope(req);
+		if (scopeError) {
+			return next(scopeError);
+		}
+		next();
+	};
+
+	middleware.openapi = { requiredRole: () => role };
+	return middleware;
+};
+
+/**
+ * Enforce the role policy of a route theme based on the request method
+ * (use after authenticateToken)
+ * @param {Object} policy - admin: admin-only routes, adminWrites: writes need admin,
+ *   grants: per-user permission grants replace the role defaults
+ * @returns {Function}
+ */
+const authorizeRequest = (policy = {}) => {
+	const middleware = async (req, res, next) => {
+		const role = req.user?.role;
+		const required = requiredRole(req.method, policy);
+
+		// API keys on themes with grants are checked by each route's declared permission (see lib/permissions)
+		const scopeError = policy.grants ? null : checkApiKeyScope(req);
+		if (scopeError) {
+			return next(scopeError);
+		}
+
+		// Users with permission grants are checked by each route instead (see lib/permissions)
+		if (policy.grants && role !== 'admin') {
+			try {
+				// Loaded once per request even when several theme routers are traversed
+				if (req.grants === undefined) {
+					const grants = await req.services.permissions.loadGrants(req.user.id);
+					req.grants = grants.length > 0 ? grants : null;
+				}
+				if (req.grants) {
+					return next();
+				}
+			} catch (error) {
+				return next(error);
+			}
+		}
+
+		if (hasRole(role, required)) {
+			return next();
+		}
+		if (role === 'viewer') {
+			return next(new ForbiddenError('Viewers have read-only access'));
+		}
+		next(new ForbiddenError(required === 'admin' ? 'Admin access required' : 'Insufficient role'));
+	};
+
+	// Documented as x-required-role on every operation (see lib/openapi)
+	middleware.openapi = { requiredRole: (method) => requiredRole(method.toUpperCase(), policy) };
+	return middleware;
+};
+
+module.exports = {
+	API_KEY_PREFIX,
+	ROLES,
+	apiKeyAllows,
+	authenticateToken,
+	authorizeRequest,
+	getJwtSecret,
+	hasRole,
+	issueAccessToken,
+	methodAction,
+	requireRole,
+	requireSession,
+	requiredRole,
+};
@@ -0,0 +1,262 @@
+/**
+ * Log of outbound Plesk calls in api_request_log, and latency and error statistics.
+ *
+ * PleskAPIClient reports every HTTP exchange with Plesk (retries included) with
+ * its method, endpoint, status, duration and error, plus the user, session, IP
+ * address and user agent of the request that caused it (none for background
+ * syncs, also when a request started them). Rows are buffered and written in multi-row inserts every
+ * PLESK_CALL_LOG_FLUSH_MS (default 5000) or once PLESK_CALL_LOG_BATCH_SIZE calls
+ * (default 200) are waiting, so recording never waits for MySQL. Successful calls
+ * can be sampled with PLESK_CALL_LOG_SAMPLE_RATE (0 to 1, default 1); failed calls
+ * are always kept. Failing writes drop their batch, and at most
+ * PLESK_CALL_LOG_MAX_BUFFER calls (default 10000) wait while MySQL is unreachable.
+ *
+ * Endpoints are stored without their query string and with numeric IDs replaced
+ * by :id (/domains/:id/status), so calls to the same route are grouped.
+ */
+const { logger } = require('./logger');
+
+// Latency percentiles reported per server
+const PERCENTILES = [50, 90, 95, 99];
+
+/**
+ * Call log settings from the environment
+ * @returns {Object}
+ */
+function getCallLogConfig() {
+	const sampleRate = parseFloat(process.env.PLESK_CALL_LOG_SAMPLE_RATE);
+	return {
+		sampleRate: isNaN(sampleRate) ? 1 : Math.min(Math.max(sampleRate, 0), 1),
+		flushIntervalMs: parseInt(process.env.PLESK_CALL_LOG_FLUSH_MS, 10) || 5000,
+		batchSize: parseInt(process.env.PLESK_CALL_LOG_BATCH_SIZE, 10) || 200,
+		maxBuffer: parseInt(process.env.PLESK_CALL_LOG_MAX_BUFFER, 10) || 10000,
+	};
+}
+
+/**
+ * Endpoint as logged: no query string, numeric path segments as :id
+ * @param {string} endpoint - e.g. /domains/12/status?full=1
+ * @returns {string} - e.g. /domains/:id/status
+ */
+function normalizeEndpoint(endpoint) {
+	return String(endpoint)
+		.split('?')[0]
+		.replace(/\/\d+(?=\/|$)/g, '/:id')
+		.slice(0, 255);
+}
+
+/**
+ * Nearest-rank percentiles of a latency histogram
+ * @param {Array<Array<number>>} histogram - [durationMs, calls] pairs sorted by duration
+ * @param {number[]} percentiles - e.g. [50, 95]
+ * @returns {Object} - { p50, p95 } in milliseconds (null without calls)
+ */
+function latencyPercentiles(histogram, percentiles = PERCENTILES) {
+	const total = histogram.reduce((sum, [, calls]) => sum + calls, 0);
+	return Object.fromEntries(
+		percentiles.map((percentile) => {
+			const rank = Math.ceil((percentile / 100) * total);
+			let seen = 0;
+			const bucket = histogram.find(([, calls]) => (seen += calls) >= rank);
+			return [`p${percentile}`, bucket ? bucket[0] : null];
+		})
+	);
+}
+
+/**
+ * WHERE clause of a statistics query
+ * @param {Object} filters - from, to (Date), serverId (0 for the environment-configured server, null for every server)
+ * @param {string} alias - Table alias prefixing the columns
+ * @returns {Object} - { where, params }
+ */
+function statsFilter(filters, alias = '') {
+	const column = (name) => (alias ? `${alias}.${name}` : name);
+	const conditions = [`${column('created_at')} >= ?`, `${column('created_at')} <= ?`];
+	const params = [filters.from, filters.to];
+
+	if (filters.serverId === 0) {
+		conditions.push(`${column('plesk_server_id')} IS NULL`);
+	} else if (filters.serverId) {
+		conditions.push(`${column('plesk_server_id')} = ?`);
+		params.push(filters.serverId);
+	}
+	return { where: `WHERE ${conditions.join(' AND ')}`, params };
+}
+
+/**
+ * Buffered writer and statistics of api_request_log
+ */
+class PleskCallLog {
+	/**
+	 * @param {Object} config - dbPool, and overrides of the environment settings (see getCallLogConfig)
+	 */
+	constructor(config = {}) {
+		const { dbPool, ...settings } = config;
+		this.dbPool = dbPool;
+		this.config = { ...getCallLogConfig(), ...settings };
+
+		this.buffer = [];
+		this.dropped = 0;
+		this.flushing = null;
+		this.timer = null;
+	}
+
+	/**
+	 * Start flushing periodically
+	 */
+	start() {
+		if (this.timer) {
+			return;
+		}
+		this.timer = setInterval(() => this.flush(), this.config.flushIntervalMs);
+		this.timer.unref();
+	}
+
+	/**
+	 * Stop flushing periodically and write what is left
+	 */
+	async stop() {
+		clearInterval(this.timer);
+		this.timer = null;
+		await this.flush();
+	}
+
+	/**
+	 * Queue a Plesk call
+	 * @param {Object} call - serverId, method, endpoint, status, durationMs, error, and from the
+	 *   request userId, sessionId, ip and userAgent
+	 */
+	record(call) {
+		const failed = Boolean(call.error) || !call.status || call.status >= 400;
+		if (!failed && this.config.sampleRate < 1 && Math.random() >= this.config.sampleRate) {
+			return;
+		}
+
+		this.buffer.push([
+			call.userId || null,
+			call.sessionId ? String(call.sessionId) : null,
+			call.serverId || null,
+			normalizeEndpoint(call.endpoint),
+			String(call.method).toUpperCase(),
+			call.status || null,
+			Math.round(call.durationMs),
+			call.ip || '',
+			call.userAgent || null,
+			call.error || null,
+			new Date(),
+		]);
+
+		if (this.buffer.length > this.config.maxBuffer) {
+			this.dropped += this.buffer.length - this.config.maxBuffer;
+			this.buffer.splice(0, this.buffer.length - this.config.maxBuffer);
+		}
+		if (this.buffer.length >= this.config.batchSize) {
+			this.flush();
+		}
+	}
+
+	/**
+	 * Write the queued calls (one flush at a time, failures are logged and never thrown)
+	 * @returns {Promise<void>}
+	 */
+	flush() {
+		if (this.flushing || this.buffer.length === 0) {
+			return this.flushing || Promise.resolve();
+		}
+
+		this.flushing = (async () => {
+			while (this.buffer.length > 0) {
+				const batch = this.buffer.splice(0, this.config.batchSize);
+				try {
+					// IGNORE: a call of a user or server deleted in the meantime is skipped instead of failing its batch
+					await this.dbPool.query('INSERT IGNORE INTO api_request_log (user_id, session_id, plesk_server_id, endpoint, method, response_status, response_time_ms, ip_address, user_agent, error_message, created_at) VALUES ?', [batch]);
+				} catch (error) {
+					this.dropped += batch.length;
+					logger.error('Failed to write Plesk calls to api_request_log', { calls: batch.length, error: error.message });
+					return;
+				}
+			}
+		})().finally(() => {
+			this.flushing = null;
+		});
+
+		return this.flushing;
+	}
+
+	/**
+	 * Endpoints with the highest average latency
+	 * @param {Object} filters - from, to, serverId, limit
+	 * @returns {Promise<Object[]>} - [{ method, endpoint, calls, avgMs, maxMs }]
+	 */
+	async slowestEndpoints(filters) {
+		const { where, params } = statsFilter(filters);
+		const [rows] = await this.dbPool.execute(
+			`SELECT method, endpoint, COUNT(*) AS calls, AVG(response_time_ms) AS avg_ms, MAX(response_time_ms) AS max_ms FROM api_request_log ${where} GROUP BY method, endpoint ORDER BY avg_ms DESC LIMIT ${Number(filters.limit)}`,
+			params
+		);
+		return rows.map((row) => ({ method: row.method, endpoint: row.endpoint, calls: Number(row.calls), avgMs: Math.round(Number(row.avg_ms)), maxMs: row.max_ms }));
+	}
+
+	/**
+	 * Endpoints with the most failed calls (status 400 and above, or no response)
+	 * @param {Object} filters - from, to, serverId, limit
+	 * @returns {Promise<Object[]>} - [{ method, endpoint, calls, errors, errorRate }]
+	 */
+	async errorRates(filters) {
+		const { where, params } = statsFilter(filters);
+		const [rows] = await this.dbPool.execute(
+			`SELECT method, endpoint, COUNT(*) AS calls, SUM(response_status IS NULL OR response_status >= 400) AS errors FROM api_request_log ${where} GROUP BY method, endpoint HAVING errors > 0 ORDER BY errors / calls DESC, errors DESC LIMIT ${Number(filters.limit)}`,
+			params
+		);
+		return rows.map((row) => ({ method: row.method, endpoint: row.endpoint, calls: Number(row.calls), errors: Number(row.errors), errorRate: Number(row.errors) / Number(row.calls) }));
+	}
+
+	/**
+	 * Latency percentiles and error counts per server (serverId 0 is the environment-configured server)
+	 * @param {Object} filters - from, to, serverId
+	 * @returns {Promise<Object[]>} - [{ serverId, name, calls, errors, avgMs, maxMs, p50, p90, p95, p99 }]
+	 */
+	async serverLatency(filters) {
+		const { where, params } = statsFilter(filters);
+		const joined = statsFilter(filters, 'l');
+		const [summaries] = await this.dbPool.execute(
+			`SELECT l.plesk_server_id, s.name, COUNT(*) AS calls, SUM(l.response_status IS NULL OR l.response_status >= 400) AS errors, AVG(l.response_time_ms) AS avg_ms, MAX(l.response_time_ms) AS max_ms FROM api_request_log l LEFT JOIN plesk_servers s ON s.id = l.plesk_server_id ${joined.where} GROUP BY l.plesk_server_id, s.name ORDER BY l.plesk_server_id`,
+			joined.params
+		);
+		// One row per server and distinct duration, so percentiles are exact without window functions (MySQL 5.7)
+		const [histogram] = await this.dbPool.execute(`SELECT plesk_server_id, response_time_ms, COUNT(*) AS calls FROM api_request_log ${where} GROUP BY plesk_server_id, response_time_ms ORDER BY plesk_server_id, response_time_ms`, params);
+
+		return summaries.map((row) => ({
+			serverId: row.plesk_server_id || 0,
+			name: row.name || (row.plesk_server_id ? null : 'Environment'),
+			calls: Number(row.calls),
+			errors: Number(row.errors),
+			avgMs: Math.round(Number(row.avg_ms)),
+			maxMs: row.max_ms,
+			...latencyPercentiles(histogram.filter((bucket) => bucket.plesk_server_id === row.plesk_server_id).map((bucket) => [bucket.response_time_ms, Number(bucket.calls)])),
+		}));
+	}
+
+	/**
+	 * Daily totals of the last 30 days (the v_api_usage_stats view)
+	 * @returns {Promise<Object[]>} - [{ date, totalRequests, uniqueUsers, avgResponseTime, successfulRequests, errorRequests }]
+	 */
+	async dailyUsage() {
+		const [rows] = await this.dbPool.execute('SELECT date, total_requests, unique_users, avg_response_time, successful_requests, error_requests FROM v_api_usage_stats');
+		return rows.map((row) => ({
+			date: row.date,
+			totalRequests: Number(row.total_requests),
+			uniqueUsers: Number(row.unique_users),
+			avgResponseTime: row.avg_response_time === null ? null : Math.round(Number(row.avg_response_time)),
+			successfulRequests: Number(row.successful_requests),
+			errorRequests: Number(row.error_requests),
+		}));
+	}
+}
+
+module.exports = {
+	PleskCallLog,
+	getCallLogConfig,
+	latencyPercentiles,
+	normalizeEndpoint,
+};
@@ -0,0 +1,92 @@
+/**
+ * Circuit breaker guarding calls to a single Plesk server.
+ *
+ * closed    - requests flow normally, consecutive failures are counted
+ * open      - requests fail fast until resetTimeout has elapsed
+ * half_open - one trial request is let through; success closes the circuit, failure reopens it
+ */
+class CircuitBreaker {
+	constructor(config = {}) {
+		this.failureThreshold = config.failureThreshold || parseInt(process.env.PLESK_BREAKER_THRESHOLD, 10) || 5;
+		this.resetTimeout = config.resetTimeout || parseInt(process.env.PLESK_BREAKER_RESET_MS, 10) || 30000;
+
+		this.state = 'closed';
+		this.failures = 0;
+		this.openedAt = null;
+		this.lastError = null;
+		this.trialInFlight = false;
+	}
+
+	/**
+	 * Whether a request may be sent now
+	 * @returns {boolean}
+	 */
+	canRequest() {
+		if (this.state === 'open') {
+			if (Date.now() - this.openedAt < this.resetTimeout) {
+				return false;
+			}
+			this.state = 'half_open';
+			this.trialInFlight = false;
+		}
+
+		if (this.state === 'half_open') {
+			if (this.trialInFlight) {
+				return false;
+			}
+			this.trialInFlight = true;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Record a successful request
+	 */
+	recordSuccess() {
+		this.state = 'closed';
+		this.failures = 0;
+		this.openedAt = null;
+		this.lastError = null;
+		this.trialInFlight = false;
+	}
+
+	/**
+	 * Record a failed request (server or transport failure)
+	 * @param {string} errorMessage
+	 */
+	recordFailure(errorMessage) {
+		this.failures++;
+		this.lastError = errorMessage;
+		this.trialInFlight = false;
+
+		if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+			this.state = 'open';
+			this.openedAt = Date.now();
+		}
+	}
+
+	/**
+	 * Time at which an open circuit lets a trial request through
+	 * @returns {Date|null}
+	 */
+	getRetryAt() {
+		return this.state === 'open' ? new Date(this.openedAt + this.resetTimeout) : null;
+	}
+
+	/**
+	 * Get breaker state for health reporting
+	 * @returns {Object}
+	 */
+	getState() {
+		return {
+			state: this.state,
+			failures: this.failures,
+			openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+			retryAt: this.getRetryAt() ? this.getRetryAt().toISOString() : null,
+			lastError: this.lastError,
+		};
+	}
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,116 @@
+const { AccountTokens } = require('./accountTokens');
+const { ApiKeyStore } = require('./apiKeys');
+const { AuditChain } = require('./auditChain');
+const { PleskCallLog } = require('./callLog');
+const { createPool, initializeUserTables } = require('./database');
+const { InvitationStore } = require('./invitations');
+const { logger } = require('./logger');
+const { LoginThrottle } = require('./loginThrottle');
+const { Mailer } = require('./mailer');
+const { OidcClient } = require('./oidc');
+const { PolicyEngine } = require('./permissions');
+const { RateLimiter } = require('./rateLimit');
+const { PleskServerRegistry } = require('./serverRegistry');
+const { SessionStore } = require('./sessions');
+const { AppSettings } = require('./settings');
+const DomainSyncEngine = require('./syncEngine');
+const { TwoFactorService } = require('./twoFactor');
+const { vault } = require('./vault');
+
+/**
+ * Process-wide service container.
+ *
+ * Owns the single MySQL pool, the Plesk server registry (and through it every
+ * Plesk client), the domain sync engine, the permission policy engine, the
+ * login session store, the application settings, two-factor authentication,
+ * outgoing mail, the password reset / email verification tokens, the failed
+ * login throttle, the registration invitations, the API keys, the rate
+ * limiter, the single sign-on client, the audit log hash chain and the log
+ * of outbound Plesk calls.
+ * Routes read their dependencies from req.services, so tests can build a
+ * container with fakes in place of any service.
+ */
+class ServiceContainer {
+	/**
+	 * @param {Object} overrides - Optional replacements for db, vault, syncEngine, registry, permissions, sessions, settings, twoFactor, mailer, accountTokens, loginThrottle, invitations, apiKeys, rateLimiter, oidc, auditChain or callLog
+	 */
+	constructor(overrides = {}) {
+		this.db = overrides.db || createPool();
+		this.vault = overrides.vault || vault;
+		this.syncEngine = overrides.syncEngine || new DomainSyncEngine({ dbPool: this.db });
+		this.callLog = overrides.callLog || new PleskCallLog({ dbPool: this.db });
+		this.registry = overrides.registry || new PleskServerRegistry({ dbPool: this.db, syncEngine: this.syncEngine, callLog: this.callLog });
+		this.permissions = overrides.permissions || new PolicyEngine({ dbPool: this.db });
+		this.sessions = overrides.sessions || new SessionStore({ dbPool: this.db });
+		this.settings = overrides.settings || new AppSettings({ dbPool: this.db });
+		this.twoFactor = overrides.twoFactor || new TwoFactorService({ dbPool: this.db, vault: this.vault, settings: this.settings });
+		this.mailer = overrides.mailer || new Mailer({ dbPool: this.db });
+		this.accountTokens = overrides.accountTokens || new AccountTokens({ dbPool: this.db });
+		this.loginThrottle = overrides.loginThrottle || new LoginThrottle({ dbPool: this.db, settings: this.settings });
+		this.invitations = overrides.invitations || new InvitationStore({ dbPool: this.db });
+		this.apiKeys = overrides.apiKeys || new ApiKeyStore({ dbPool: this.db });
+		this.rateLimiter = overrides.rateLimiter || new RateLimiter({ dbPool: this.db, settings: this.settings });
+		this.oidc = overrides.oidc || new OidcClient({ dbPool: this.db });
+		this.auditChain = overrides.auditChain || new AuditChain({ dbPool: this.db });
+
+		this.started = false;
+	}
+
+	/**
+	 * Startup hook: prepare database tables, the sync engine, the periodic audit checkpoints and the Plesk call log writer.
+	 * A database that is not reachable yet is logged but does not block startup.
+	 */
+	async start() {
+		if (this.started) {
+			return;
+		}
+
+		try {
+			await initializeUserTables(this.db);
+			logger.info('Database tables initialized');
+		} catch (error) {
+			logger.error('Failed to initialize database', { error: error.message });
+		}
+
+		await this.syncEngine.start();
+		this.auditChain.start();
+		this.callLog.start();
+		this.started = true;
+	}
+
+	/**
+	 * Shutdown hook: let background syncs finish their current batch and write the queued Plesk calls, then close the pool
+	 */
+	async stop() {
+		this.auditChain.stop();
+		await this.syncEngine.stop();
+		await this.callLog.stop();
+		await this.db.end();
+		this.started = false;
+	}
+
+	/**
+	 * Middleware exposing the container to route handlers as req.services
+	 * @returns {Function}
+	 */
+	middleware() {
+		return (req, res, next) => {
+			req.services = this;
+			next();
+		};
+	}
+}
+
+/**
+ * Create a service container
+ * @param {Object} overrides - Optional service replacements (see ServiceContainer)
+ * @returns {ServiceContainer}
+ */
+function createContainer(overrides = {}) {
+	return new ServiceContainer(overrides);
+}
+
+module.exports = {
+	ServiceContainer,
+	createContainer,
+};
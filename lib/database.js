@@ -0,0 +1,356 @@
+const mysql = require('mysql2/promise');
+const { GENESIS_HASH } = require('./activity');
+const { logger } = require('./logger');
+
+/**
+ * Database configuration from the environment
+ * @returns {Object}
+ */
+function getDbConfig() {
+	return {
+		host: process.env.DB_HOST || 'localhost',
+		user: process.env.DB_USER || 'root',
+		password: process.env.DB_PASSWORD || '',
+		database: process.env.DB_NAME || 'plesk_manager',
+		port: process.env.DB_PORT || 3306,
+	};
+}
+
+/**
+ * Create a MySQL connection pool
+ *
+ * Sessions run in UTC: TIMESTAMP columns convert through the session time zone, and the activity
+ * log hashes created_at as a Unix timestamp (see lib/activity), which a DST change must not move.
+ * @param {Object} overrides - Optional connection settings overriding the environment
+ * @returns {Object} - mysql2 promise pool
+ */
+function createPool(overrides = {}) {
+	const pool = mysql.createPool({
+		...getDbConfig(),
+		waitForConnections: true,
+		connectionLimit: parseInt(process.env.DB_CONNECTION_LIMIT, 10) || 10,
+		queueLimit: 0,
+		timezone: 'Z',
+		...overrides,
+	});
+
+	// Queued ahead of the first query of every new connection
+	pool.on('connection', (connection) => {
+		connection.query("SET time_zone = '+00:00'", (error) => {
+			if (error) logger.error('Failed to set the session time zone', { error: error.message });
+		});
+	});
+
+	return pool;
+}
+
+/**
+ * Create the user tables used by the /api/users routes
+ * @param {Object} pool - mysql2 promise pool
+ */
+async function initializeUserTables(pool) {
+	const connection = await pool.getConnection();
+
+	try {
+		// Create users table
+		await connection.execute(`
+			CREATE TABLE IF NOT EXISTS users (
+				id INT AUTO_INCREMENT PRIMARY KEY,
+				username VARCHAR(50) UNIQUE NOT NULL,
+				email VARCHAR(100) UNIQUE NOT NULL,
+				password_hash VARCHAR(255) NOT NULL,
+				first_name VARCHAR(50) NOT NULL,
+				last_name VARCHAR(50) NOT NULL,
+				role ENUM('admin', 'user', 'viewer') DEFAULT 'user',
+				is_active BOOLEAN DEFAULT TRUE,
+				created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+				updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+				last_login TIMESTAMP NULL,
+				email_verified BOOLEAN DEFAULT FALSE,
+				password_reset_token VARCHAR(255) NULL,
+				password_reset_expires TIMESTAMP NULL,
+				email_verification_token VARCHAR(255) NULL,
+				email_verification_expires TIMESTAMP NULL,
+				two_factor_enabled BOOLEAN DEFAULT FALSE,
+				two_factor_secret TEXT NULL,
+				two_factor_required BOOLEAN DEFAULT FALSE,
+				two_factor_last_step BIGINT NULL,
+				approval_status ENUM('pending', 'approved', 'rejected') DEFAULT 'approved',
+				reviewed_by INT NULL,
+				reviewed_at TIMESTAMP NULL,
+				auth_provider ENUM('local', 'oidc') DEFAULT 'local',
+				oidc_subject VARCHAR(255) NULL UNIQUE
+			)
+		`);
+
+		// Upgrade user tables created by older versions (see lib/accountTokens, lib/twoFactor and lib/oidc)
+		const userColumns = {
+			email_verified: 'BOOLEAN DEFAULT FALSE',
+			password_reset_token: 'VARCHAR(255) NULL',
+			password_reset_expires: 'TIMESTAMP NULL',
+			email_verification_token: 'VARCHAR(255) NULL',
+			email_verification_expires: 'TIMESTAMP NULL',
+			two_factor_enabled: 'BOOLEAN DEFAULT FALSE',
+			two_factor_secret: 'TEXT NULL',
+			two_factor_required: 'BOOLEAN DEFAULT FALSE',
+			two_factor_last_step: 'BIGINT NULL',
+			approval_status: "ENUM('pending', 'approved', 'rejected') DEFAULT 'approved'",
+			reviewed_by: 'INT NULL',
+			reviewed_at: 'TIMESTAMP NULL',
+			auth_provider: "ENUM('local', 'oidc') DEFAULT 'local'",
+			oidc_subject: 'VARCHAR(255) NULL UNIQUE',
+		};
+		for (const [column, definition] of Object.entries(userColumns)) {
+			const [existing] = await connection.query('SHOW COLUMNS FROM users LIKE ?', [column]);
+			if (existing.length === 0) {
+				await connection.query(`ALTER TABLE users ADD COLUMN ${column} ${definition}`);
+			}
+		}
+
+		// Create two-factor recovery codes table
+		await connection.execute(`
+			CREATE TABLE IF NOT EXISTS user_recovery_codes (
+				id INT AUTO_INCREMENT PRIMARY KEY,
+				user_id INT NOT NULL,
+				code_hash CHAR(64) NOT NULL,
+				used_at TIMESTAMP NULL,
+				created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+				FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+				INDEX idx_user_code (user_id, code_hash)
+			)
+		`);
+
+		// Create user sessions table
+		await connection.execute(`
+			CREATE TABLE IF NOT EXISTS user_sessions (
+				id INT AUTO_INCREMENT PRIMARY KEY,
+				user_id INT NOT NULL,
+				token_hash VARCHAR(255) NOT NULL,
+				device_info JSON NULL,
+				ip_address VARCHAR(45) NOT NULL,
+				user_agent TEXT NULL,
+				oidc_id_token TEXT NULL,
+				expires_at TIMESTAMP NOT NULL,
+				is_active BOOLEAN DEFAULT TRUE,
+				created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+				last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+				FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+				INDEX idx_user_active (user_id, is_active)
+			)
+		`);
+
+		// Upgrade session tables created before sessions were persisted (see lib/sessions)
+		const [sessionColumns] = await connection.execute("SHOW COLUMNS FROM user_sessions LIKE 'is_active'");
+		if (sessionColumns.length === 0) {
+			await connection.execute("ALTER TABLE user_sessions ADD COLUMN device_info JSON NULL AFTER token_hash, ADD COLUMN ip_address VARCHAR(45) NOT NULL DEFAULT '' AFTER device_info, ADD COLUMN user_agent TEXT NULL AFTER ip_address, ADD COLUMN is_active BOOLEAN DEFAULT TRUE AFTER expires_at, ADD COLUMN last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP");
+		}
+		const [idTokenColumn] = await connection.execute("SHOW COLUMNS FROM user_sessions LIKE 'oidc_id_token'");
+		if (idTokenColumn.length === 0) {
+			await connection.execute('ALTER TABLE user_sessions ADD COLUMN oidc_id_token TEXT NULL AFTER user_agent');
+		}
+
+		// Create single sign-on login requests table (see lib/oidc)
+		await connection.execute(`
+			CREATE TABLE IF NOT EXISTS oidc_login_requests (
+				state_hash CHAR(64) PRIMARY KEY,
+				nonce VARCHAR(64) NOT NULL,
+				code_verifier VARCHAR(128) NOT NULL,
+				return_to VARCHAR(255) NULL,
+				expires_at TIMESTAMP NOT NULL,
+				created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+				INDEX idx_expires_at (expires_at)
+			)
+		`);
+
+		// Create permission grants table (see lib/permissions)
+		await connection.execute(`
+			CREATE TABLE IF NOT EXISTS user_permissions (
+				id INT AUTO_INCREMENT PRIMARY KEY,
+				user_id INT NOT NULL,
+				plesk_server_id INT NULL,
+				customer_id INT NULL,
+				resource_type ENUM('*', 'server', 'domains', 'customers', 'dns', 'databases', 'ftpusers') NOT NULL,
+				actions SET('read', 'create', 'update', 'suspend', 'delete') NOT NULL,
+				created_by INT NULL,
+				created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+				FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+				INDEX idx_user_id (user_id)
+			)
+		`);
+
+		// Create application settings table (see lib/settings)
+		await connection.execute(`
+			CREATE TABLE IF NOT EXISTS app_settings (
+				id INT AUTO_INCREMENT PRIMARY KEY,
+				\`key\` VARCHAR(100) UNIQUE NOT NULL,
+				value TEXT NULL,
+				type ENUM('string', 'number', 'boolean', 'json') DEFAULT 'string',
+				description TEXT NULL,
+				is_public BOOLEAN DEFAULT FALSE,
+				created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+				updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+			)
+		`);
+
+		// Create user activity log table
+		await connection.execute(`
+			CREATE TABLE IF NOT EXISTS user_activity_log (
+				id INT AUTO_INCREMENT PRIMARY KEY,
+				user_id INT NULL,
+				activity_type VARCHAR(50) NOT NULL,
+				description TEXT,
+				target_resource VARCHAR(100) NULL,
+				target_id VARCHAR(50) NULL,
+				request_method VARCHAR(10) NULL,
+				request_path VARCHAR(255) NULL,
+				request_data JSON NULL,
+				response_status INT NULL,
+				plesk_status INT NULL,
+				outcome ENUM('success', 'failure', 'denied') NULL,
+				ip_address VARCHAR(45),
+				user_agent TEXT NULL,
+				prev_hash CHAR(64) NULL,
+				entry_hash CHAR(64) NULL,
+				created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+				INDEX idx_user_id (user_id)
+			)
+		`);
+
+		// Audit trail columns on activity logs created by older versions (see lib/audit)
+		const activityColumns = {
+			target_resource: 'VARCHAR(100) NULL',
+			target_id: 'VARCHAR(50) NULL',
+			request_method: 'VARCHAR(10) NULL',
+			request_path: 'VARCHAR(255) NULL',
+			request_data: 'JSON NULL',
+			response_status: 'INT NULL',
+			plesk_status: 'INT NULL',
+			outcome: "ENUM('success', 'failure', 'denied') NULL",
+			user_agent: 'TEXT NULL',
+			prev_hash: 'CHAR(64) NULL',
+			entry_hash: 'CHAR(64) NULL',
+		};
+		for (const [column, definition] of Object.entries(activityColumns)) {
+			const [existing] = await connection.query('SHOW COLUMNS FROM user_activity_log LIKE ?', [column]);
+			if (existing.length === 0) {
+				await connection.query(`ALTER TABLE user_activity_log ADD COLUMN ${column} ${definition}`);
+			}
+		}
+
+		// Events without a user (e.g. IP lockouts) are logged with user_id NULL
+		const [activityUser] = await connection.execute("SHOW COLUMNS FROM user_activity_log LIKE 'user_id'");
+		if (activityUser[0].Null === 'NO') {
+			await connection.query('ALTER TABLE user_activity_log MODIFY user_id INT NULL');
+		}
+
+		// Deleting a user would delete their rows and break the hash chain, the log keeps them
+		const [activityForeignKeys] = await connection.execute("SELECT CONSTRAINT_NAME FROM information_schema.KEY_COLUMN_USAGE WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'user_activity_log' AND REFERENCED_TABLE_NAME = 'users'");
+		for (const { CONSTRAINT_NAME: constraint } of activityForeignKeys) {
+			await connection.query(`ALTER TABLE user_activity_log DROP FOREIGN KEY \`${constraint}\``);
+		}
+
+		// Create activity log hash chain head and checkpoint tables (see lib/activity and lib/auditChain)
+		await connection.execute(`
+			CREATE TABLE IF NOT EXISTS activity_log_chain (
+				id TINYINT PRIMARY KEY,
+				last_id INT NULL,
+				last_hash CHAR(64) NOT NULL,
+				updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+			)
+		`);
+		await connection.execute('INSERT IGNORE INTO activity_log_chain (id, last_id, last_hash) VALUES (1, NULL, ?)', [GENESIS_HASH]);
+
+		await connection.execute(`
+			CREATE TABLE IF NOT EXISTS activity_log_checkpoints (
+				id INT AUTO_INCREMENT PRIMARY KEY,
+				last_id INT NOT NULL,
+				last_hash CHAR(64) NOT NULL,
+				entries INT NOT NULL,
+				key_id VARCHAR(64) NOT NULL,
+				signature TEXT NOT NULL,
+				created_by INT NULL,
+				created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+				INDEX idx_last_id (last_id)
+			)
+		`);
+
+		// Create failed login counters table
+		await connection.execute(`
+			CREATE TABLE IF NOT EXISTS login_throttle (
+				scope ENUM('account', 'ip') NOT NULL,
+				subject VARCHAR(255) NOT NULL,
+				user_id INT NULL,
+				failures INT NOT NULL DEFAULT 0,
+				last_failure_at TIMESTAMP NULL,
+				next_attempt_at TIMESTAMP NULL,
+				locked_until TIMESTAMP NULL,
+				PRIMARY KEY (scope, subject),
+				FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+				INDEX idx_locked_until (locked_until)
+			)
+		`);
+
+		// Create registration invitations table
+		await connection.execute(`
+			CREATE TABLE IF NOT EXISTS user_invitations (
+				id INT AUTO_INCREMENT PRIMARY KEY,
+				token_hash CHAR(64) NOT NULL UNIQUE,
+				email VARCHAR(100) NULL,
+				role ENUM('admin', 'user', 'viewer') NOT NULL DEFAULT 'user',
+				invited_by INT NULL,
+				expires_at TIMESTAMP NULL,
+				accepted_at TIMESTAMP NULL,
+				accepted_user_id INT NULL,
+				revoked_at TIMESTAMP NULL,
+				created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+				FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL,
+				FOREIGN KEY (accepted_user_id) REFERENCES users(id) ON DELETE SET NULL
+			)
+		`);
+
+		// Create rate limit counters table (see lib/rateLimit)
+		await connection.execute(`
+			CREATE TABLE IF NOT EXISTS rate_limit_counters (
+				bucket VARCHAR(191) NOT NULL,
+				window_start TIMESTAMP NOT NULL,
+				hits INT NOT NULL DEFAULT 0,
+				PRIMARY KEY (bucket, window_start),
+				INDEX idx_window_start (window_start)
+			)
+		`);
+
+		// Per-key rate limits on API key tables created before them
+		const [apiKeyTables] = await connection.query("SHOW TABLES LIKE 'api_keys'");
+		if (apiKeyTables.length > 0) {
+			const [rateLimitColumn] = await connection.query("SHOW COLUMNS FROM api_keys LIKE 'rate_limit_per_hour'");
+			if (rateLimitColumn.length === 0) {
+				await connection.query('ALTER TABLE api_keys ADD COLUMN rate_limit_per_hour INT NULL AFTER usage_count');
+			}
+		}
+
+		// Create user notifications table
+		await connection.execute(`
+			CREATE TABLE IF NOT EXISTS user_notifications (
+				id INT AUTO_INCREMENT PRIMARY KEY,
+				user_id INT NOT NULL,
+				type ENUM('info', 'success', 'warning', 'error') DEFAULT 'info',
+				title VARCHAR(255) NOT NULL,
+				message TEXT NOT NULL,
+				action_url VARCHAR(255) NULL,
+				is_read BOOLEAN DEFAULT FALSE,
+				expires_at TIMESTAMP NULL,
+				created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+				FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+				INDEX idx_user_read (user_id, is_read)
+			)
+		`);
+	} finally {
+		connection.release();
+	}
+}
+
+module.exports = {
+	createPool,
+	getDbConfig,
+	initializeUserTables,
+};
@@ -0,0 +1,260 @@
+/**
+ * Typed errors shared by the Plesk client, the services and the routes.
+ * Every error carries an HTTP status and a machine-readable code; the error
+ * middleware turns them into the response envelope:
+ *
+ *   { success: false, error, code, status, requestId, details }
+ */
+const { logger, redactUrl } = require('./logger');
+
+// mysql2 error codes raised when the database cannot be reached at all
+const DB_CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT', 'PROTOCOL_CONNECTION_LOST', 'ER_CON_COUNT_ERROR', 'ER_ACCESS_DENIED_ERROR', 'ER_BAD_DB_ERROR'];
+
+class AppError extends Error {
+	/**
+	 * @param {string} message - Message returned to API clients
+	 * @param {Object} options - status, code, details, cause
+	 */
+	constructor(message, options = {}) {
+		super(message);
+		this.name = this.constructor.name;
+		this.status = options.status || 500;
+		this.code = options.code || 'INTERNAL_ERROR';
+		this.details = options.details === undefined ? null : options.details;
+		if (options.cause) {
+			this.cause = options.cause;
+		}
+	}
+}
+
+class ValidationError extends AppError {
+	constructor(message, details = null) {
+		super(message, { status: 400, code: 'VALIDATION_ERROR', details });
+	}
+}
+
+class AuthenticationError extends AppError {
+	constructor(message = 'Authentication required', code = 'UNAUTHORIZED') {
+		super(message, { status: 401, code });
+	}
+}
+
+class ForbiddenError extends AppError {
+	constructor(message = 'Access denied', code = 'FORBIDDEN') {
+		super(message, { status: 403, code });
+	}
+}
+
+class NotFoundError extends AppError {
+	constructor(message, code = 'NOT_FOUND') {
+		super(message, { status: 404, code });
+	}
+}
+
+class ConflictError extends AppError {
+	constructor(message, code = 'CONFLICT') {
+		super(message, { status: 409, code });
+	}
+}
+
+// Sent with a Retry-After header when retryAfter (seconds) is known
+class TooManyRequestsError extends AppError {
+	constructor(message = 'Too many requests', code = 'TOO_MANY_REQUESTS', retryAfter = null) {
+		super(message, { status: 429, code, details: retryAfter === null ? null : { retryAfter } });
+		this.retryAfter = retryAfter;
+	}
+}
+
+/**
+ * Base class for failed Plesk REST API calls.
+ * `pleskStatus` is the status Plesk answered with (null when no response was received)
+ * and `details` the response body Plesk sent.
+ */
+class PleskError extends AppError {
+	constructor(message, options = {}) {
+		super(message, { status: 502, code: 'PLESK_ERROR', ...options });
+		this.pleskStatus = options.pleskStatus || null;
+	}
+}
+
+// Plesk rejected our credentials (reported as 502, the caller's own credentials are fine)
+class PleskAuthError extends PleskError {
+	constructor(message, options = {}) {
+		super(message, { ...options, status: 502, code: 'PLESK_AUTH_FAILED' });
+	}
+}
+
+class PleskNotFound extends PleskError {
+	constructor(message, options = {}) {
+		super(message, { ...options, status: 404, code: 'PLESK_NOT_FOUND' });
+	}
+}
+
+// Plesk refused the request data (400, 409 and 422 are passed through)
+class PleskValidation extends PleskError {
+	constructor(message, options = {}) {
+		super(message, { status: 400, ...options, code: 'PLESK_VALIDATION_FAILED' });
+	}
+}
+
+// Plesk could not be reached, failed internally or the circuit breaker is open
+class PleskUnavailable extends PleskError {
+	constructor(message, options = {}) {
+		super(message, { status: 503, ...options, code: 'PLESK_UNAVAILABLE' });
+	}
+}
+
+/**
+ * Failure of the local MySQL database. The SQL error is kept as `cause`
+ * for logging and never returned to API clients.
+ */
+class LocalDbError extends AppError {
+	constructor(cause) {
+		const unreachable = DB_CONNECTION_ERROR_CODES.includes(cause?.code);
+		super(unreachable ? 'Local database unavailable' : 'Local database error', {
+			status: unreachable ? 503 : 500,
+			code: 'LOCAL_DB_ERROR',
+			cause,
+		});
+	}
+}
+
+/**
+ * Build the typed error for a failed Plesk request
+ * @param {Error} error - Axios error
+ * @returns {PleskError}
+ */
+function fromPleskResponse(error) {
+	if (!error.response) {
+		const status = ['ETIMEDOUT', 'ECONNABORTED'].includes(error.code) ? 504 : 503;
+		return new PleskUnavailable(`Plesk server unreachable: ${error.message}`, { status, cause: error });
+	}
+
+	const pleskStatus = error.response.status;
+	const options = { pleskStatus, details: error.response.data === undefined ? null : error.response.data, cause: error };
+	const message = error.response.data?.message || error.message;
+
+	if (pleskStatus === 401 || pleskStatus === 403) {
+		return new PleskAuthError(message, options);
+	}
+	if (pleskStatus === 404) {
+		return new PleskNotFound(message, options);
+	}
+	if ([400, 409, 422].includes(pleskStatus)) {
+		return new PleskValidation(message, { ...options, status: pleskStatus });
+	}
+	if (pleskStatus === 429 || pleskStatus === 503) {
+		return new PleskUnavailable(message, { ...options, status: 503 });
+	}
+	if (pleskStatus === 504) {
+		return new PleskUnavailable(message, { ...options, status: 504 });
+	}
+	if (pleskStatus >= 500) {
+		return new PleskUnavailable(message, { ...options, status: 502 });
+	}
+
+	return new PleskError(message, options);
+}
+
+/**
+ * Whether an error was raised by mysql2
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isDatabaseError(error) {
+	return Boolean(error && (error.sqlState || error.sqlMessage || (error.fatal && DB_CONNECTION_ERROR_CODES.includes(error.code))));
+}
+
+/**
+ * Normalize anything thrown by a route into an AppError
+ * @param {Error} error
+ * @returns {AppError}
+ */
+function toAppError(error) {
+	if (error instanceof AppError) {
+		return error;
+	}
+	if (isDatabaseError(error)) {
+		return new LocalDbError(error);
+	}
+	// Malformed JSON request bodies rejected by express.json()
+	if (error?.type === 'entity.parse.failed') {
+		return new ValidationError('Malformed JSON request body');
+	}
+
+	const message = process.env.NODE_ENV === 'development' && error?.message ? error.message : 'Internal server error';
+	return new AppError(message, { cause: error });
+}
+
+/**
+ * Response envelope for an error
+ * @param {AppError} error
+ * @param {string} requestId
+ * @returns {Object}
+ */
+function toEnvelope(error, requestId) {
+	const envelope = {
+		success: false,
+		error: error.message,
+		code: error.code,
+		status: error.status,
+		requestId,
+		details: error.details,
+	};
+
+	if (error instanceof PleskError) {
+		envelope.pleskStatus = error.pleskStatus;
+	}
+
+	return envelope;
+}
+
+/**
+ * Express error middleware mapping every error to the envelope
+ * @returns {Function}
+ */
+const errorHandler = () => (err, req, res, next) => {
+	if (res.headersSent) {
+		return next(err);
+	}
+
+	const error = toAppError(err);
+	if (error.status >= 500) {
+		(req.log || logger).error(`${req.method} ${redactUrl(req.originalUrl)} failed`, { error: error.cause || error });
+	}
+
+	if (error.retryAfter) {
+		res.set('Retry-After', String(error.retryAfter));
+	}
+	res.status(error.status).json(toEnvelope(error, req.id));
+};
+
+/**
+ * Final handler for unknown routes
+ * @returns {Function}
+ */
+const notFoundHandler = () => (req, res, next) => {
+	next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`, 'ROUTE_NOT_FOUND'));
+};
+
+module.exports = {
+	AppError,
+	AuthenticationError,
+	ConflictError,
+	ForbiddenError,
+	LocalDbError,
+	NotFoundError,
+	PleskAuthError,
+	PleskError,
+	PleskNotFound,
+	PleskUnavailable,
+	PleskValidation,
+	TooManyRequestsError,
+	ValidationError,
+	errorHandler,
+	fromPleskResponse,
+	isDatabaseError,
+	notFoundHandler,
+	toAppError,
+	toEnvelope,
+};
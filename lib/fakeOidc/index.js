@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_USERS = [
+	{ sub: 'fake-admin', preferred_username: 'oidcadmin', email: 'oidcadmin@example.com', email_verified: true, given_name: 'Ada', family_name: 'Admin', groups: ['manager-admins'] },
+	{ sub: 'fake-user', preferred_username: 'oidcuser', email: 'oidcuser@example.com', email_verified: true, given_name: 'Uma', family_name: 'User', groups: ['manager-users'] },
+	{ sub: 'fake-viewer', preferred_username: 'oidcviewer', email: 'oidcviewer@example.com', email_verified: true, given_name: 'Vic', family_name: 'Viewer', groups: ['manager-viewers'] },
+	{ sub: 'fake-outsider', preferred_username: 'outsider', email: 'outsider@example.com', email_verified: true, given_name: 'Otto', family_name: 'Outsider', groups: ['sales'] },
+];
+
+/**
+ * Minimal OpenID Connect provider for offline development and integration
+ * tests. Implements discovery, the authorization code flow with PKCE (S256),
+ * client_secret_basic / client_secret_post authentication, RS256 ID tokens,
+ * the JWKS and RP-initiated logout.
+ *
+ * There is no login form: /authorize signs in the user picked with
+ * signInAs(), or named by the login_hint parameter, or the first user.
+ *
+ *   const provider = new FakeOidcProvider();
+ *   const issuer = await provider.start();
+ *   provider.signInAs('oidcviewer');
+ *
+ * Ended sessions are recorded in provider.logouts.
+ */
+class FakeOidcProvider {
+	/**
+	 * @param {Object} options - clientId, clientSecret, users (ID token claims, with preferred_username)
+	 */
+	constructor(options = {}) {
+		this.clientId = options.clientId || process.env.FAKE_OIDC_CLIENT_ID || 'plesk-api-manager';
+		this.clientSecret = options.clientSecret || process.env.FAKE_OIDC_CLIENT_SECRET || 'fake-oidc-secret';
+		this.users = options.users || DEFAULT_USERS;
+		this.keyId = crypto.randomBytes(8).toString('hex');
+		this.keyPair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+		this.codes = new Map();
+		this.currentUser = null;
+		this.logouts = [];
+		this.httpServer = null;
+		this.url = null;
+		this.app = this.createApp();
+	}
+
+	/**
+	 * Issuer identifier (the base URL once started)
+	 * @returns {string|null}
+	 */
+	get issuer() {
+		return this.url;
+	}
+
+	/**
+	 * Pick the user /authorize signs in
+	 * @param {string|null} username - preferred_username, null for the default
+	 */
+	signInAs(username) {
+		this.findUser(username);
+		this.currentUser = username;
+	}
+
+	/**
+	 * Forget issued codes, logouts and the signed-in user
+	 */
+	reset() {
+		this.codes.clear();
+		this.currentUser = null;
+		this.logouts = [];
+	}
+
+	/**
+	 * User by preferred_username (the first one when no name is given)
+	 * @param {string|null} username
+	 * @returns {Object}
+	 */
+	findUser(username) {
+		const user = username ? this.users.find((item) => item.preferred_username === username) : this.users[0];
+		if (!user) {
+			throw new Error(`Unknown fake OIDC user ${username}`);
+		}
+		return user;
+	}
+
+	/**
+	 * Sign an ID token for a user
+	 * @param {Object} user - Claims of the user
+	 * @param {Object} options - nonce, audience, expiresIn, and claims overriding the user's
+	 * @returns {string}
+	 */
+	issueIdToken(user, options = {}) {
+		const { nonce, audience = this.clientId, expiresIn = 300, ...claims } = options;
+		return jwt.sign({ ...user, ...(nonce ? { nonce } : {}), ...claims }, this.keyPair.privateKey, { algorithm: 'RS256', keyid: this.keyId, issuer: this.issuer, audience, expiresIn });
+	}
+
+	/**
+	 * Start listening
+	 * @param {number} port - 0 picks a free port
+	 * @param {string} host
+	 * @returns {Promise<string>} - Issuer URL to use as OIDC_ISSUER
+	 */
+	start(port = 0, host = '127.0.0.1') {
+		return new Promise((resolve, reject) => {
+			this.httpServer = this.app.listen(port, host, () => {
+				this.url = `http://${host}:${this.httpServer.address().port}`;
+				resolve(this.url);
+			});
+			this.httpServer.once('error', reject);
+		});
+	}
+
+	/**
+	 * Stop listening
+	 * @returns {Promise<void>}
+	 */
+	stop() {
+		return new Promise((resolve) => {
+			if (!this.httpServer) {
+				return resolve();
+			}
+			this.httpServer.close(() => resolve());
+			this.httpServer.closeAllConnections();
+			this.httpServer = null;
+		});
+	}
+
+	/**
+	 * Client credentials from the Authorization header (client_secret_basic) or the body (client_secret_post)
+	 * @param {Object} req
+	 * @returns {Object} - { id, secret }
+	 */
+	clientCredentials(req) {
+		const header = req.get('Authorization') || '';
+		if (header.startsWith('Basic ')) {
+			const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':');
+			return { id: decodeURIComponent(id), secret: decodeURIComponent(secret || '') };
+		}
+		return { id: req.body.client_id, secret: req.body.client_secret };
+	}
+
+	createApp() {
+		const app = express();
+		app.use(express.urlencoded({ extended: false }));
+
+		app.get('/.well-known/openid-configuration', (req, res) => {
+			res.json({
+				issuer: this.issuer,
+				authorization_endpoint: `${this.issuer}/authorize`,
+				token_endpoint: `${this.issuer}/token`,
+				jwks_uri: `${this.issuer}/jwks`,
+				end_session_endpoint: `${this.issuer}/logout`,
+				response_types_supported: ['code'],
+				subject_types_supported: ['public'],
+				id_token_signing_alg_values_supported: ['RS256'],
+				code_challenge_methods_supported: ['S256'],
+				token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+				scopes_supported: ['openid', 'profile', 'email', 'groups'],
+			});
+		});
+
+		app.get('/jwks', (req, res) => {
+			res.json({ keys: [{ ...this.keyPair.publicKey.export({ format: 'jwk' }), kid: this.keyId, use: 'sig', alg: 'RS256' }] });
+		});
+
+		app.get('/authorize', (req, res) => {
+			const { response_type: responseType, client_id: clientId, redirect_uri: redirectUri, state, nonce, code_challenge: challenge, code_challenge_method: challengeMethod, login_hint: loginHint } = req.query;
+
+			if (clientId !== this.clientId || !redirectUri) {
+				return res.status(400).json({ error: 'invalid_request', error_description: 'Unknown client or missing redirect_uri' });
+			}
+
+			const target = new URL(redirectUri);
+			if (state) {
+				target.searchParams.set('state', state);
+			}
+
+			let user;
+			try {
+				user = this.findUser(loginHint || this.currentUser);
+			} catch (error) {
+				target.searchParams.set('error', 'access_denied');
+				return res.redirect(target.toString());
+			}
+
+			if (responseType !== 'code' || !challenge || challengeMethod !== 'S256') {
+				target.searchParams.set('error', 'invalid_request');
+				target.searchParams.set('error_description', 'The code flow with an S256 code challenge is required');
+				return res.redirect(target.toString());
+			}
+
+			const code = crypto.randomBytes(24).toString('base64url');
+			this.codes.set(code, { user, redirectUri, challenge, nonce, expiresAt: Date.now() + 60 * 1000 });
+
+			target.searchParams.set('code', code);
+			res.redirect(target.toString());
+		});
+
+		app.post('/token', (req, res) => {
+			const client = this.clientCredentials(req);
+			if (client.id !== this.clientId || client.secret !== this.clientSecret) {
+				return res.status(401).json({ error: 'invalid_client' });
+			}
+			if (req.body.grant_type !== 'authorization_code') {
+				return res.status(400).json({ error: 'unsupported_grant_type' });
+			}
+
+			// Codes are single use, whatever the outcome
+			const grant = this.codes.get(req.body.code);
+			this.codes.delete(req.body.code);
+
+			if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri) {
+				return res.status(400).json({ error: 'invalid_grant' });
+			}
+
+			const challenge = crypto
+				.createHash('sha256')
+				.update(req.body.code_verifier || '')
+				.digest('base64url');
+			if (challenge !== grant.challenge) {
+				return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+			}
+
+			res.json({
+				access_token: crypto.randomBytes(24).toString('base64url'),
+				token_type: 'Bearer',
+				expires_in: 300,
+				id_token: this.issueIdToken(grant.user, { nonce: grant.nonce }),
+			});
+		});
+
+		app.get('/logout', (req, res) => {
+			const { id_token_hint: idTokenHint, post_logout_redirect_uri: postLogoutRedirectUri } = req.query;
+
+			let subject = null;
+			try {
+				subject = jwt.verify(idTokenHint, this.keyPair.publicKey, { algorithms: ['RS256'], issuer: this.issuer, ignoreExpiration: true }).sub;
+			} catch (error) {
+				return res.status(400).json({ error: 'invalid_request', error_description: 'Invalid id_token_hint' });
+			}
+
+			this.logouts.push({ subject, postLogoutRedirectUri: postLogoutRedirectUri || null });
+			if (postLogoutRedirectUri) {
+				return res.redirect(postLogoutRedirectUri);
+			}
+			res.json({ loggedOut: true });
+		});
+
+		return app;
+	}
+}
+
+module.exports = {
+	DEFAULT_USERS,
+	FakeOidcProvider,
+};
@@ -0,0 +1,294 @@
+const express = require('express');
+const { FakePleskError, FakePleskStore } = require('./store');
+
+const DEFAULT_FAULTS = {
+	latency: 0,
+	errorRate: 0,
+	errorStatus: 500,
+	authFailure: false,
+};
+
+/**
+ * Stateful stand-in for the Plesk REST API (/api/v2) used for offline development
+ * and integration tests. Serves domains, clients, dns, databases, dbusers, ftpusers,
+ * extensions, cli and server endpoints from an in-memory store loaded from fixtures.
+ *
+ * Faults can be injected globally (latency, random 5xx responses, auth failures) or
+ * with rules matching a method and path:
+ *
+ *   fake.setFaults({ latency: 200, errorRate: 0.1 });
+ *   fake.addFault({ method: 'GET', path: '/domains', status: 503, times: 2 });
+ *
+ * The same controls are exposed over HTTP under /__fake (faults, reset, state).
+ */
+class FakePleskServer {
+	/**
+	 * @param {Object} options - fixtures, apiKey, username, password, faults
+	 */
+	constructor(options = {}) {
+		this.store = new FakePleskStore(options.fixtures);
+		this.credentials = {
+			apiKey: options.apiKey || process.env.FAKE_PLESK_API_KEY || 'fake-plesk-key',
+			username: options.username || process.env.FAKE_PLESK_USERNAME || 'admin',
+			password: options.password || process.env.FAKE_PLESK_PASSWORD || 'changeme',
+		};
+		this.faults = { ...DEFAULT_FAULTS, ...options.faults };
+		this.rules = [];
+		this.requests = [];
+		this.httpServer = null;
+		this.url = null;
+		this.app = this.createApp();
+	}
+
+	/**
+	 * Replace the global fault settings (latency, errorRate, errorStatus, authFailure)
+	 * @param {Object} faults
+	 */
+	setFaults(faults = {}) {
+		this.faults = { ...DEFAULT_FAULTS, ...faults };
+	}
+
+	/**
+	 * Add a fault rule
+	 * @param {Object} rule - method, path (prefix or RegExp), status, latency, message, times
+	 */
+	addFault(rule) {
+		this.rules.push({ times: Infinity, ...rule });
+	}
+
+	/**
+	 * Remove all fault rules and global faults
+	 */
+	clearFaults() {
+		this.faults = { ...DEFAULT_FAULTS };
+		this.rules = [];
+	}
+
+	/**
+	 * Restore the fixture state, clear faults and the request log
+	 */
+	reset() {
+		this.store.reset();
+		this.clearFaults();
+		this.requests = [];
+	}
+
+	/**
+	 * Start listening
+	 * @param {number} port - 0 picks a free port
+	 * @param {string} host
+	 * @returns {Promise<string>} - Base URL to use as PLESK_URL
+	 */
+	start(port = 0, host = '127.0.0.1') {
+		return new Promise((resolve, reject) => {
+			this.httpServer = this.app.listen(port, host, () => {
+				this.url = `http://${host}:${this.httpServer.address().port}`;
+				resolve(this.url);
+			});
+			this.httpServer.once('error', reject);
+		});
+	}
+
+	/**
+	 * Stop listening
+	 * @returns {Promise<void>}
+	 */
+	stop() {
+		return new Promise((resolve) => {
+			if (!this.httpServer) {
+				return resolve();
+			}
+			this.httpServer.close(() => resolve());
+			this.httpServer.closeAllConnections();
+			this.httpServer = null;
+		});
+	}
+
+	/**
+	 * Find the first fault rule matching a request and consume one use of it
+	 */
+	takeRule(req) {
+		const rule = this.rules.find((item) => {
+			if (item.times <= 0) return false;
+			if (item.method && item.method.toUpperCase() !== req.method) return false;
+			if (item.path instanceof RegExp) return item.path.test(req.path);
+			return !item.path || req.path === item.path || req.path.startsWith(`${item.path}/`);
+		});
+
+		if (rule) {
+			rule.times -= 1;
+		}
+		return rule;
+	}
+
+	isAuthenticated(req) {
+		const apiKey = req.headers['x-api-key'];
+		if (apiKey) {
+			return apiKey === this.credentials.apiKey || this.store.apiKeys.has(apiKey);
+		}
+
+		const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+		if (scheme !== 'Basic' || !encoded) {
+			return false;
+		}
+		const [username, password] = Buffer.from(encoded, 'base64').toString('utf8').split(':');
+		return username === this.credentials.username && password === this.credentials.password;
+	}
+
+	/**
+	 * Middleware applying latency, auth and error faults before the handlers run
+	 */
+	faultMiddleware() {
+		return async (req, res, next) => {
+			this.requests.push({ method: req.method, path: req.path, query: req.query, body: req.body, at: new Date().toISOString() });
+
+			const rule = this.takeRule(req);
+			const latency = (rule && rule.latency) || this.faults.latency;
+			if (latency) {
+				await new Promise((resolve) => setTimeout(resolve, latency));
+			}
+
+			if (this.faults.authFailure || (rule && rule.status === 401) || !this.isAuthenticated(req)) {
+				return res.status(401).json({ code: 1001, message: 'Authentication failed' });
+			}
+
+			if (rule && rule.status) {
+				if (rule.headers) {
+					res.set(rule.headers);
+				}
+				return res.status(rule.status).json({ code: 0, message: rule.message || `Injected fault (HTTP ${rule.status})` });
+			}
+
+			if (this.faults.errorRate && Math.random() < this.faults.errorRate) {
+				return res.status(this.faults.errorStatus).json({ code: 0, message: `Injected fault (HTTP ${this.faults.errorStatus})` });
+			}
+
+			next();
+		};
+	}
+
+	createApp() {
+		const app = express();
+		const store = this.store;
+		app.use(express.json());
+
+		// Control endpoints (not part of the Plesk API)
+		const control = express.Router();
+		control.get('/faults', (req, res) => res.json({ faults: this.faults, rules: this.rules.map((rule) => ({ ...rule, path: String(rule.path || '') })) }));
+		control.put('/faults', (req, res) => {
+			this.setFaults(req.body.faults || {});
+			this.rules = [];
+			(req.body.rules || []).forEach((rule) => this.addFault(rule));
+			res.json({ faults: this.faults, rules: this.rules });
+		});
+		control.delete('/faults', (req, res) => {
+			this.clearFaults();
+			res.json({ faults: this.faults, rules: [] });
+		});
+		control.post('/reset', (req, res) => {
+			this.reset();
+			res.json({ reset: true });
+		});
+		control.get('/state', (req, res) => res.json(store.snapshot()));
+		control.get('/requests', (req, res) => res.json(this.requests));
+		app.use('/__fake', control);
+
+		const api = express.Router();
+		api.use(this.faultMiddleware());
+
+		// Wrap a store call so FakePleskErrors become Plesk style error responses
+		const handle =
+			(fn, status = 200) =>
+			(req, res) => {
+				try {
+					res.status(status).json(fn(req));
+				} catch (error) {
+					if (error instanceof FakePleskError) {
+						return res.status(error.status).json({ code: error.code, message: error.message });
+					}
+					res.status(500).json({ code: 0, message: error.message });
+				}
+			};
+
+		// Server
+		api.get('/server', handle(() => store.server));
+		api.get('/server/ips', handle(() => store.ips));
+		api.post('/server/init', handle((req) => store.initServer(req.body)));
+		api.post('/server/license', handle((req) => store.installLicense(req.body)));
+
+		// Domains
+		api.get('/domains', handle((req) => store.listDomains(req.query.name)));
+		api.post('/domains', handle((req) => store.createDomain(req.body), 201));
+		api.get('/domains/:id', handle((req) => store.formatDomain(store.findDomain(req.params.id))));
+		api.put('/domains/:id', handle((req) => store.updateDomain(req.params.id, req.body)));
+		api.delete('/domains/:id', handle((req) => store.deleteDomain(req.params.id)));
+		api.get('/domains/:id/status', handle((req) => ({ status: store.findDomain(req.params.id).status })));
+		api.put('/domains/:id/status', handle((req) => store.setDomainStatus(req.params.id, req.body.status)));
+		api.put('/domains/:id/suspend', handle((req) => store.setDomainStatus(req.params.id, 'suspended')));
+		api.put('/domains/:id/activate', handle((req) => store.setDomainStatus(req.params.id, 'active')));
+
+		// Clients
+		api.get('/clients', handle(() => store.clients));
+		api.post('/clients', handle((req) => store.createClient(req.body), 201));
+		api.get('/clients/:id', handle((req) => store.findClient(req.params.id)));
+		api.put('/clients/:id', handle((req) => store.updateClient(req.params.id, req.body)));
+		api.delete('/clients/:id', handle((req) => store.deleteClient(req.params.id)));
+		api.get('/clients/:id/statistics', handle((req) => store.getClientStatistics(req.params.id)));
+		api.get('/clients/:id/domains', handle((req) => store.getClientDomains(req.params.id)));
+		api.put('/clients/:id/suspend', handle((req) => store.setClientStatus(req.params.id, 'suspended')));
+		api.put('/clients/:id/activate', handle((req) => store.setClientStatus(req.params.id, 'active')));
+
+		// DNS
+		api.get('/dns/records', handle((req) => store.listDnsRecords(req.query.domain)));
+		api.post('/dns/records', handle((req) => store.createDnsRecord(req.query.domain, req.body), 201));
+		api.get('/dns/records/:id', handle((req) => store.findDnsRecord(req.params.id)));
+		api.put('/dns/records/:id', handle((req) => store.updateDnsRecord(req.params.id, req.body)));
+		api.delete('/dns/records/:id', handle((req) => store.deleteDnsRecord(req.params.id)));
+
+		// Databases
+		api.get('/databases', handle((req) => store.listDatabases(req.query.domain)));
+		api.post('/databases', handle((req) => store.createDatabase(req.body), 201));
+		api.delete('/databases/:id', handle((req) => store.deleteDatabase(req.params.id)));
+		api.get('/dbusers', handle((req) => store.listDatabaseUsers(req.query.dbId)));
+		api.post('/dbusers', handle((req) => store.createDatabaseUser(req.body), 201));
+		api.put('/dbusers/:id', handle((req) => store.updateDatabaseUser(req.params.id, req.body)));
+		api.delete('/dbusers/:id', handle((req) => store.deleteDatabaseUser(req.params.id)));
+		api.get('/dbservers', handle((req) => store.listDatabaseServers(req.query.id)));
+
+		// FTP users
+		api.get('/ftpusers', handle((req) => store.listFtpUsers(req.query)));
+		api.post('/ftpusers', handle((req) => store.createFtpUser(req.body), 201));
+		api.put('/ftpusers/:name', handle((req) => store.updateFtpUser(req.params.name, req.body)));
+		api.delete('/ftpusers/:name', handle((req) => store.deleteFtpUser(req.params.name)));
+
+		// Extensions
+		api.get('/extensions', handle(() => store.extensions));
+		api.post('/extensions', handle((req) => store.installExtension(req.body), 201));
+		api.get('/extensions/:id', handle((req) => store.findExtension(req.params.id)));
+		api.delete('/extensions/:id', handle((req) => store.uninstallExtension(req.params.id)));
+		api.put('/extensions/:id/enable', handle((req) => store.setExtensionActive(req.params.id, true)));
+		api.put('/extensions/:id/disable', handle((req) => store.setExtensionActive(req.params.id, false)));
+
+		// CLI
+		api.get('/cli/commands', handle(() => store.listCliCommands()));
+		api.get('/cli/:id/ref', handle((req) => store.findCliCommand(req.params.id).ref));
+		api.post('/cli/:id/call', handle((req) => store.callCliCommand(req.params.id, req.body.params)));
+
+		// API keys
+		api.post('/auth/keys', handle((req) => store.createApiKey(req.body), 201));
+		api.delete('/auth/keys/:key', handle((req) => store.deleteApiKey(req.params.key)));
+
+		api.use((req, res) => {
+			res.status(404).json({ code: 0, message: `Unknown endpoint ${req.method} ${req.path}` });
+		});
+
+		app.use('/api/v2', api);
+		return app;
+	}
+}
+
+module.exports = {
+	FakePleskServer,
+	FakePleskStore,
+	FakePleskError,
+};
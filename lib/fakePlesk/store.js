@@ -0,0 +1,594 @@
+const crypto = require('crypto');
+const defaultFixtures = require('./fixtures/default.json');
+
+const COLLECTIONS = ['clients', 'domains', 'dnsRecords', 'dbservers', 'databases', 'dbusers', 'ftpusers', 'extensions', 'catalog'];
+
+/**
+ * Error returned by the fake Plesk API as `{ code, message }` with an HTTP status
+ */
+class FakePleskError extends Error {
+	constructor(status, message, code = 0) {
+		super(message);
+		this.name = 'FakePleskError';
+		this.status = status;
+		this.code = code;
+	}
+}
+
+/**
+ * In-memory state of the fake Plesk server.
+ * Loaded from a fixture object (see fixtures/default.json) and mutated by the REST handlers.
+ */
+class FakePleskStore {
+	/**
+	 * @param {Object} fixtures - Fixture data, defaults to fixtures/default.json
+	 */
+	constructor(fixtures = defaultFixtures) {
+		this.fixtures = fixtures;
+		this.reset();
+	}
+
+	/**
+	 * Restore the state loaded from the fixtures
+	 */
+	reset() {
+		const data = JSON.parse(JSON.stringify(this.fixtures));
+
+		this.server = data.server || {};
+		this.ips = data.ips || [];
+		this.cli = data.cli || {};
+		this.license = null;
+		this.initialized = true;
+		this.apiKeys = new Map();
+
+		COLLECTIONS.forEach((name) => {
+			this[name] = data[name] || [];
+		});
+
+		this.domains.forEach((domain) => Object.assign(domain, this.domainDefaults(domain)));
+
+		const ids = COLLECTIONS.flatMap((name) => this[name].map((item) => item.id)).filter(Number.isInteger);
+		this.lastId = Math.max(0, ...ids);
+	}
+
+	/**
+	 * Allocate an ID for a new object
+	 * @returns {number}
+	 */
+	nextId() {
+		this.lastId += 1;
+		return this.lastId;
+	}
+
+	/**
+	 * Copy of the current state (for assertions and the /__fake/state endpoint)
+	 * @returns {Object}
+	 */
+	snapshot() {
+		const state = { server: this.server, ips: this.ips, license: this.license, apiKeys: [...this.apiKeys.keys()] };
+		COLLECTIONS.forEach((name) => {
+			state[name] = this[name];
+		});
+		return JSON.parse(JSON.stringify(state));
+	}
+
+	// ==========================================
+	// DOMAINS
+	// ==========================================
+
+	domainDefaults(domain) {
+		return {
+			ascii_name: domain.ascii_name || domain.name,
+			guid: domain.guid || crypto.randomUUID(),
+			base_domain_id: domain.base_domain_id || 0,
+			hosting_type: domain.hosting_type || 'virtual',
+			www_root: domain.www_root || `/var/www/vhosts/${domain.name}/httpdocs`,
+			created: domain.created || new Date().toISOString().slice(0, 10),
+			status: domain.status || 'active',
+			owner_id: domain.owner_id || 1,
+			ip_addresses: domain.ip_addresses || [],
+		};
+	}
+
+	/**
+	 * Public representation of a domain (status is only exposed through /domains/:id/status)
+	 */
+	formatDomain(domain) {
+		const { status, owner_id, ip_addresses, ...fields } = domain;
+		return fields;
+	}
+
+	listDomains(name) {
+		const domains = name ? this.domains.filter((domain) => domain.name === name) : this.domains;
+		return domains.map((domain) => this.formatDomain(domain));
+	}
+
+	findDomain(id) {
+		const domain = this.domains.find((item) => item.id === Number(id));
+		if (!domain) {
+			throw new FakePleskError(404, `Domain with ID ${id} does not exist`, 1013);
+		}
+		return domain;
+	}
+
+	findDomainByName(name) {
+		const domain = this.domains.find((item) => item.name === name);
+		if (!domain) {
+			throw new FakePleskError(404, `Domain ${name} does not exist`, 1013);
+		}
+		return domain;
+	}
+
+	/**
+	 * Resolve a `parent_domain` reference ({ id }, { name } or { guid })
+	 */
+	resolveParentDomain(ref) {
+		if (!ref) {
+			throw new FakePleskError(400, 'parent_domain is required', 1019);
+		}
+		const domain = this.domains.find((item) => (ref.id && item.id === ref.id) || (ref.name && item.name === ref.name) || (ref.guid && item.guid === ref.guid));
+		if (!domain) {
+			throw new FakePleskError(404, 'Parent domain does not exist', 1013);
+		}
+		return domain;
+	}
+
+	createDomain(data) {
+		if (!data.name) {
+			throw new FakePleskError(400, 'Domain name is required', 1019);
+		}
+		if (this.domains.some((domain) => domain.name === data.name)) {
+			throw new FakePleskError(409, `Domain ${data.name} already exists`, 1007);
+		}
+
+		let ownerId = 1;
+		if (data.owner_client && data.owner_client.login) {
+			ownerId = this.findClientByLogin(data.owner_client.login).id;
+		}
+
+		const domain = {
+			id: this.nextId(),
+			name: data.name,
+			hosting_type: data.hosting_type,
+			owner_id: ownerId,
+			ip_addresses: [].concat(data.ip_addresses || []),
+			description: data.description || '',
+		};
+		Object.assign(domain, this.domainDefaults(domain));
+		this.domains.push(domain);
+
+		return { id: domain.id, guid: domain.guid };
+	}
+
+	updateDomain(id, data) {
+		const domain = this.findDomain(id);
+		['name', 'hosting_type', 'description'].forEach((field) => {
+			if (data[field] !== undefined) {
+				domain[field] = data[field];
+			}
+		});
+		return { id: domain.id, guid: domain.guid };
+	}
+
+	deleteDomain(id) {
+		const domain = this.findDomain(id);
+		this.domains = this.domains.filter((item) => item !== domain);
+		this.dnsRecords = this.dnsRecords.filter((record) => record.domain !== domain.name);
+		const databaseIds = this.databases.filter((db) => db.parent_domain === domain.id).map((db) => db.id);
+		this.databases = this.databases.filter((db) => db.parent_domain !== domain.id);
+		this.dbusers = this.dbusers.filter((user) => !databaseIds.includes(user.database_id) && user.parent_domain !== domain.id);
+		this.ftpusers = this.ftpusers.filter((user) => user.parent_domain !== domain.id);
+		return { id: domain.id };
+	}
+
+	setDomainStatus(id, status) {
+		if (!['active', 'suspended', 'disabled'].includes(status)) {
+			throw new FakePleskError(400, 'Status must be one of: active, suspended, disabled', 1019);
+		}
+		const domain = this.findDomain(id);
+		domain.status = status;
+		return { status };
+	}
+
+	// ==========================================
+	// CLIENTS
+	// ==========================================
+
+	findClient(id) {
+		const client = this.clients.find((item) => item.id === Number(id));
+		if (!client) {
+			throw new FakePleskError(404, `Client with ID ${id} does not exist`, 1013);
+		}
+		return client;
+	}
+
+	findClientByLogin(login) {
+		const client = this.clients.find((item) => item.login === login);
+		if (!client) {
+			throw new FakePleskError(404, `Client ${login} does not exist`, 1013);
+		}
+		return client;
+	}
+
+	createClient(data) {
+		if (!data.login || !data.name) {
+			throw new FakePleskError(400, 'login and name are required', 1019);
+		}
+		if (this.clients.some((client) => client.login === data.login)) {
+			throw new FakePleskError(409, `Client ${data.login} already exists`, 1007);
+		}
+
+		const client = {
+			id: this.nextId(),
+			login: data.login,
+			name: data.name,
+			company: data.company || '',
+			email: data.email || '',
+			type: data.type || 'customer',
+			status: 0,
+			guid: crypto.randomUUID(),
+		};
+		this.clients.push(client);
+
+		return { id: client.id, guid: client.guid };
+	}
+
+	updateClient(id, data) {
+		const client = this.findClient(id);
+		['login', 'name', 'company', 'email'].forEach((field) => {
+			if (data[field] !== undefined) {
+				client[field] = data[field];
+			}
+		});
+		return { id: client.id, guid: client.guid };
+	}
+
+	deleteClient(id) {
+		const client = this.findClient(id);
+		if (this.domains.some((domain) => domain.owner_id === client.id)) {
+			throw new FakePleskError(409, `Client ${client.login} still owns domains`, 1023);
+		}
+		this.clients = this.clients.filter((item) => item !== client);
+		return { id: client.id };
+	}
+
+	getClientDomains(id) {
+		const client = this.findClient(id);
+		return this.domains.filter((domain) => domain.owner_id === client.id).map((domain) => this.formatDomain(domain));
+	}
+
+	getClientStatistics(id) {
+		const client = this.findClient(id);
+		const domains = this.domains.filter((domain) => domain.owner_id === client.id);
+		const domainIds = domains.map((domain) => domain.id);
+		return {
+			domains: domains.length,
+			databases: this.databases.filter((db) => domainIds.includes(db.parent_domain)).length,
+			ftp_users: this.ftpusers.filter((user) => domainIds.includes(user.parent_domain)).length,
+			disk_space: 0,
+			traffic: 0,
+		};
+	}
+
+	setClientStatus(id, status) {
+		const client = this.findClient(id);
+		// Plesk reports 0 for active and 16 for suspended clients
+		client.status = status === 'suspended' ? 16 : 0;
+		return { id: client.id, status: client.status };
+	}
+
+	// ==========================================
+	// DNS
+	// ==========================================
+
+	listDnsRecords(domainName) {
+		if (!domainName) {
+			throw new FakePleskError(400, 'The domain parameter is required', 1019);
+		}
+		this.findDomainByName(domainName);
+		return this.dnsRecords.filter((record) => record.domain === domainName);
+	}
+
+	findDnsRecord(id) {
+		const record = this.dnsRecords.find((item) => item.id === Number(id));
+		if (!record) {
+			throw new FakePleskError(404, `DNS record with ID ${id} does not exist`, 1013);
+		}
+		return record;
+	}
+
+	createDnsRecord(domainName, data) {
+		this.listDnsRecords(domainName);
+		if (!data.type || !data.host || !data.value) {
+			throw new FakePleskError(400, 'type, host and value are required', 1019);
+		}
+		const record = {
+			id: this.nextId(),
+			domain: domainName,
+			type: data.type,
+			host: data.host,
+			value: data.value,
+			opt: data.opt || '',
+			ttl: data.ttl || 3600,
+		};
+		this.dnsRecords.push(record);
+		return { id: record.id };
+	}
+
+	updateDnsRecord(id, data) {
+		const record = this.findDnsRecord(id);
+		['type', 'host', 'value', 'opt', 'ttl'].forEach((field) => {
+			if (data[field] !== undefined) {
+				record[field] = data[field];
+			}
+		});
+		return { id: record.id };
+	}
+
+	deleteDnsRecord(id) {
+		const record = this.findDnsRecord(id);
+		this.dnsRecords = this.dnsRecords.filter((item) => item !== record);
+		return { id: record.id };
+	}
+
+	// ==========================================
+	// DATABASES
+	// ==========================================
+
+	listDatabases(domainName) {
+		if (!domainName) {
+			return this.databases;
+		}
+		const domain = this.findDomainByName(domainName);
+		return this.databases.filter((db) => db.parent_domain === domain.id);
+	}
+
+	createDatabase(data) {
+		if (!data.name || !data.type) {
+			throw new FakePleskError(400, 'name and type are required', 1019);
+		}
+		const domain = this.resolveParentDomain(data.parent_domain);
+		if (this.databases.some((db) => db.name === data.name)) {
+			throw new FakePleskError(409, `Database ${data.name} already exists`, 1007);
+		}
+		const database = {
+			id: this.nextId(),
+			name: data.name,
+			type: data.type,
+			parent_domain: domain.id,
+			server_id: data.server_id || 1,
+		};
+		this.databases.push(database);
+		return { id: database.id };
+	}
+
+	deleteDatabase(id) {
+		const database = this.databases.find((item) => item.id === Number(id));
+		if (!database) {
+			throw new FakePleskError(404, `Database with ID ${id} does not exist`, 1013);
+		}
+		this.databases = this.databases.filter((item) => item !== database);
+		this.dbusers = this.dbusers.filter((user) => user.database_id !== database.id);
+		return { id: database.id };
+	}
+
+	listDatabaseUsers(databaseId) {
+		if (!databaseId) {
+			return this.dbusers;
+		}
+		return this.dbusers.filter((user) => user.database_id === Number(databaseId));
+	}
+
+	findDatabaseUser(id) {
+		const user = this.dbusers.find((item) => item.id === Number(id));
+		if (!user) {
+			throw new FakePleskError(404, `Database user with ID ${id} does not exist`, 1013);
+		}
+		return user;
+	}
+
+	createDatabaseUser(data) {
+		if (!data.login || !data.password) {
+			throw new FakePleskError(400, 'login and password are required', 1019);
+		}
+		const domain = this.resolveParentDomain(data.parent_domain);
+		if (data.database_id && !this.databases.some((db) => db.id === data.database_id)) {
+			throw new FakePleskError(404, `Database with ID ${data.database_id} does not exist`, 1013);
+		}
+		const user = {
+			id: this.nextId(),
+			login: data.login,
+			database_id: data.database_id || 0,
+			parent_domain: domain.id,
+			server_id: data.server_id || 1,
+		};
+		this.dbusers.push(user);
+		return { id: user.id };
+	}
+
+	updateDatabaseUser(id, data) {
+		const user = this.findDatabaseUser(id);
+		if (data.login !== undefined) {
+			user.login = data.login;
+		}
+		return { id: user.id };
+	}
+
+	deleteDatabaseUser(id) {
+		const user = this.findDatabaseUser(id);
+		this.dbusers = this.dbusers.filter((item) => item !== user);
+		return { id: user.id };
+	}
+
+	listDatabaseServers(id) {
+		return id ? this.dbservers.filter((server) => server.id === Number(id)) : this.dbservers;
+	}
+
+	// ==========================================
+	// FTP USERS
+	// ==========================================
+
+	listFtpUsers(filters = {}) {
+		let users = this.ftpusers;
+		if (filters.name) {
+			users = users.filter((user) => user.name === filters.name);
+		}
+		if (filters.domain) {
+			const domain = this.findDomainByName(filters.domain);
+			users = users.filter((user) => user.parent_domain === domain.id);
+		}
+		return users;
+	}
+
+	findFtpUser(name) {
+		const user = this.ftpusers.find((item) => item.name === name);
+		if (!user) {
+			throw new FakePleskError(404, `FTP user ${name} does not exist`, 1013);
+		}
+		return user;
+	}
+
+	createFtpUser(data) {
+		if (!data.name || !data.password) {
+			throw new FakePleskError(400, 'name and password are required', 1019);
+		}
+		const domain = this.resolveParentDomain(data.parent_domain);
+		if (this.ftpusers.some((user) => user.name === data.name)) {
+			throw new FakePleskError(409, `FTP user ${data.name} already exists`, 1007);
+		}
+		const user = {
+			name: data.name,
+			home: data.home || '/httpdocs',
+			quota: data.quota !== undefined ? data.quota : -1,
+			permissions: data.permissions || { read: 'true', write: 'true' },
+			parent_domain: domain.id,
+		};
+		this.ftpusers.push(user);
+		return { name: user.name };
+	}
+
+	updateFtpUser(name, data) {
+		const user = this.findFtpUser(name);
+		['name', 'home', 'quota', 'permissions'].forEach((field) => {
+			if (data[field] !== undefined) {
+				user[field] = data[field];
+			}
+		});
+		return { name: user.name };
+	}
+
+	deleteFtpUser(name) {
+		const user = this.findFtpUser(name);
+		this.ftpusers = this.ftpusers.filter((item) => item !== user);
+		return { name: user.name };
+	}
+
+	// ==========================================
+	// EXTENSIONS
+	// ==========================================
+
+	findExtension(id) {
+		const extension = this.extensions.find((item) => item.id === id);
+		if (!extension) {
+			throw new FakePleskError(404, `Extension ${id} is not installed`, 1013);
+		}
+		return extension;
+	}
+
+	installExtension(data) {
+		const id = data.id || (data.url || data.file || '').split('/').pop().replace(/\.zip$/, '');
+		if (!id) {
+			throw new FakePleskError(400, 'One of id, url or file is required', 1019);
+		}
+		if (this.extensions.some((extension) => extension.id === id)) {
+			throw new FakePleskError(409, `Extension ${id} is already installed`, 1007);
+		}
+		const entry = this.catalog.find((item) => item.id === id);
+		if (data.id && !entry) {
+			throw new FakePleskError(404, `Extension ${id} is not available in the catalog`, 1013);
+		}
+		this.extensions.push({ ...(entry || { id, name: id, version: '1.0.0', release: '1' }), active: true });
+		return { status: 'success', id };
+	}
+
+	setExtensionActive(id, active) {
+		const extension = this.findExtension(id);
+		extension.active = active;
+		return { status: 'success' };
+	}
+
+	uninstallExtension(id) {
+		const extension = this.findExtension(id);
+		this.extensions = this.extensions.filter((item) => item !== extension);
+		return { status: 'success' };
+	}
+
+	// ==========================================
+	// CLI
+	// ==========================================
+
+	listCliCommands() {
+		return Object.keys(this.cli);
+	}
+
+	findCliCommand(id) {
+		const command = this.cli[id];
+		if (!command) {
+			throw new FakePleskError(404, `Command ${id} does not exist`, 1013);
+		}
+		return command;
+	}
+
+	/**
+	 * Run a CLI command. Outputs come from the fixture `calls` map keyed by the first
+	 * parameter; {{domains}} and {{extensions}} expand to the current state.
+	 */
+	callCliCommand(id, params = []) {
+		const command = this.findCliCommand(id);
+		const output = (command.calls || {})[params[0]];
+
+		if (output === undefined) {
+			return { code: 1, stdout: '', stderr: `Unknown option ${params[0] || ''} for ${id}` };
+		}
+
+		const stdout = output.replace('{{domains}}', this.domains.map((domain) => domain.name).join('\n')).replace('{{extensions}}', this.extensions.map((extension) => `${extension.id} ${extension.version}`).join('\n'));
+
+		return { code: 0, stdout, stderr: '' };
+	}
+
+	// ==========================================
+	// SERVER / AUTH
+	// ==========================================
+
+	initServer(data) {
+		this.initialized = true;
+		this.server.admin = data.admin || this.server.admin;
+		return { status: 'success' };
+	}
+
+	installLicense(data) {
+		if (!data.key) {
+			throw new FakePleskError(400, 'License key is required', 1019);
+		}
+		this.license = data.key;
+		return { status: 'success' };
+	}
+
+	createApiKey(data = {}) {
+		const key = crypto.randomBytes(16).toString('hex');
+		this.apiKeys.set(key, { login: data.login || 'admin', description: data.description || '', ip: data.ip || null });
+		return { key };
+	}
+
+	deleteApiKey(key) {
+		if (!this.apiKeys.delete(key)) {
+			throw new FakePleskError(404, 'API key does not exist', 1013);
+		}
+		return {};
+	}
+}
+
+module.exports = {
+	FakePleskError,
+	FakePleskStore,
+};
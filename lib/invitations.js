@@ -0,0 +1,151 @@
+/**
+ * Invitations to register with a pre-assigned role.
+ *
+ * Admins create an invitation (optionally for one email address) and send the
+ * link; only a SHA-256 hash of its token is stored in user_invitations. An
+ * invitation works once and until it expires or is revoked.
+ */
+const crypto = require('crypto');
+const { hashAccountToken } = require('./accountTokens');
+const { ConflictError, NotFoundError } = require('./errors');
+
+/**
+ * State of an invitation row
+ * @param {Object} row
+ * @returns {string} - pending, accepted, revoked or expired
+ */
+function invitationStatus(row) {
+	if (row.accepted_at) {
+		return 'accepted';
+	}
+	if (row.revoked_at) {
+		return 'revoked';
+	}
+	return new Date(row.expires_at) <= new Date() ? 'expired' : 'pending';
+}
+
+/**
+ * API representation of an invitation row
+ * @param {Object} row
+ * @returns {Object}
+ */
+function toInvitation(row) {
+	return {
+		id: row.id,
+		email: row.email,
+		role: row.role,
+		status: invitationStatus(row),
+		invitedBy: row.invited_by,
+		acceptedUserId: row.accepted_user_id,
+		expiresAt: row.expires_at,
+		createdAt: row.created_at,
+	};
+}
+
+/**
+ * Stores and redeems registration invitations
+ */
+class InvitationStore {
+	/**
+	 * @param {Object} config - dbPool
+	 */
+	constructor(config = {}) {
+		this.dbPool = config.dbPool;
+	}
+
+	/**
+	 * Create an invitation
+	 * @param {Object} invitation - email (optional), role, expiresInHours, invitedBy
+	 * @returns {Promise<Object>} - The invitation and its token (only returned here)
+	 */
+	async create(invitation) {
+		const token = crypto.randomBytes(32).toString('base64url');
+		const expiresAt = new Date(Date.now() + invitation.expiresInHours * 3600 * 1000);
+
+		const [result] = await this.dbPool.execute('INSERT INTO user_invitations (token_hash, email, role, invited_by, expires_at) VALUES (?, ?, ?, ?, ?)', [hashAccountToken(token), invitation.email || null, invitation.role, invitation.invitedBy, expiresAt]);
+
+		return { ...(await this.get(result.insertId)), token };
+	}
+
+	/**
+	 * Get an invitation
+	 * @param {number} id
+	 * @returns {Promise<Object>}
+	 */
+	async get(id) {
+		const [rows] = await this.dbPool.execute('SELECT * FROM user_invitations WHERE id = ?', [id]);
+		if (rows.length === 0) {
+			throw new NotFoundError('Invitation not found');
+		}
+		return toInvitation(rows[0]);
+	}
+
+	/**
+	 * List invitations, newest first
+	 * @param {Object} filters - status (pending, accepted, revoked or expired)
+	 * @returns {Promise<Object[]>}
+	 */
+	async list(filters = {}) {
+		const [rows] = await this.dbPool.execute('SELECT * FROM user_invitations ORDER BY id DESC');
+		const invitations = rows.map(toInvitation);
+		return filters.status ? invitations.filter((invitation) => invitation.status === filters.status) : invitations;
+	}
+
+	/**
+	 * Find the pending invitation of a token
+	 * @param {string} token
+	 * @returns {Promise<Object|null>}
+	 */
+	async find(token) {
+		const [rows] = await this.dbPool.execute('SELECT * FROM user_invitations WHERE token_hash = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP', [hashAccountToken(token)]);
+		return rows.length > 0 ? toInvitation(rows[0]) : null;
+	}
+
+	/**
+	 * Claim an invitation for a new account
+	 * @param {number} id
+	 * @returns {Promise<boolean>} - False when it was accepted, revoked or expired in the meantime
+	 */
+	async claim(id) {
+		const [result] = await this.dbPool.execute('UPDATE user_invitations SET accepted_at = CURRENT_TIMESTAMP WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP', [id]);
+		return result.affectedRows > 0;
+	}
+
+	/**
+	 * Record the account created with a claimed invitation
+	 * @param {number} id
+	 * @param {number} userId
+	 */
+	async complete(id, userId) {
+		await this.dbPool.execute('UPDATE user_invitations SET accepted_user_id = ? WHERE id = ?', [userId, id]);
+	}
+
+	/**
+	 * Give a claimed invitation back (the registration failed)
+	 * @param {number} id
+	 */
+	async release(id) {
+		await this.dbPool.execute('UPDATE user_invitations SET accepted_at = NULL WHERE id = ? AND accepted_user_id IS NULL', [id]);
+	}
+
+	/**
+	 * Revoke an invitation that has not been accepted
+	 * @param {number} id
+	 * @returns {Promise<Object>}
+	 */
+	async revoke(id) {
+		const invitation = await this.get(id);
+		if (invitation.status === 'accepted') {
+			throw new ConflictError('Invitation has already been accepted');
+		}
+
+		await this.dbPool.execute('UPDATE user_invitations SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP) WHERE id = ? AND accepted_at IS NULL', [id]);
+		return this.get(id);
+	}
+}
+
+module.exports = {
+	InvitationStore,
+	invitationStatus,
+	toInvitation,
+};
@@ -0,0 +1,190 @@
+/**
+ * Structured logging: one JSON object per line with time, level, msg and the
+ * logger's bound fields (requestId, serverId, job, ...).
+ *
+ * LOG_LEVEL (error, warn, info, debug or silent, default info; silent under
+ * NODE_ENV=test) drops the less severe entries. error and warn go to stderr,
+ * info and debug to stdout. Fields whose names look like secrets are replaced by
+ * [REDACTED] at any depth, the same way the audit trail stores request bodies.
+ *
+ * Every request gets a child logger bound to its ID (req.log, see lib/requestId),
+ * and the Plesk client view of the request and the sync jobs it starts inherit it.
+ */
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Field names whose values are never logged or stored
+const SECRET_FIELD = /pass(word|wd)?|secret|token|api[_-]?key|private|credential|authorization|cookie|otp|recovery/i;
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Copy of a value with secret fields replaced. Command line arguments
+ * (string arrays) lose the value following a --password style flag too.
+ * @param {*} value
+ * @returns {*}
+ */
+function redact(value) {
+	if (Array.isArray(value)) {
+		return value.map((item, index) => {
+			if (typeof item === 'string') {
+				const previous = value[index - 1];
+				if (typeof previous === 'string' && /^-/.test(previous) && !previous.includes('=') && SECRET_FIELD.test(previous)) {
+					return REDACTED;
+				}
+				const flag = /^(-{1,2}[^=]+)=/.exec(item);
+				return flag && SECRET_FIELD.test(flag[1]) ? `${flag[1]}=${REDACTED}` : item;
+			}
+			return redact(item);
+		});
+	}
+	if (value instanceof Error) {
+		return { message: value.message, code: value.code, stack: value.stack };
+	}
+	if (value && typeof value === 'object' && !(value instanceof Date)) {
+		return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, SECRET_FIELD.test(key) ? REDACTED : redact(item)]));
+	}
+	return value;
+}
+
+/**
+ * URL with the values of secret query parameters replaced (?token=[REDACTED])
+ * @param {string} url - Path and query string
+ * @returns {string}
+ */
+function redactUrl(url) {
+	const [path, query] = String(url).split(/\?(.*)/s);
+	if (!query) {
+		return path;
+	}
+	const params = query.split('&').map((param) => {
+		const [key] = param.split('=');
+		return SECRET_FIELD.test(key) ? `${key}=${REDACTED}` : param;
+	});
+	return `${path}?${params.join('&')}`;
+}
+
+/**
+ * Level from LOG_LEVEL
+ * @returns {string}
+ */
+function getLogLevel() {
+	const level = (process.env.LOG_LEVEL || '').toLowerCase();
+	if (level in LEVELS || level === 'silent') {
+		return level;
+	}
+	return process.env.NODE_ENV === 'test' ? 'silent' : 'info';
+}
+
+/**
+ * Write a line to stderr (error, warn) or stdout (info, debug)
+ * @param {string} level
+ * @param {string} line
+ */
+function writeLine(level, line) {
+	(LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+class Logger {
+	/**
+	 * @param {Object} options - level (see LOG_LEVEL), bindings (fields of every entry), write (level, line) replacing stdout/stderr
+	 */
+	constructor(options = {}) {
+		this.level = options.level || getLogLevel();
+		this.bindings = options.bindings || {};
+		this.write = options.write || writeLine;
+	}
+
+	/**
+	 * Logger adding fields to every entry
+	 * @param {Object} bindings - e.g. { requestId }
+	 * @returns {Logger}
+	 */
+	child(bindings) {
+		return new Logger({ level: this.level, bindings: { ...this.bindings, ...bindings }, write: this.write });
+	}
+
+	/**
+	 * Whether entries of a level are written
+	 * @param {string} level
+	 * @returns {boolean}
+	 */
+	isLevelEnabled(level) {
+		return this.level !== 'silent' && LEVELS[level] <= LEVELS[this.level];
+	}
+
+	/**
+	 * Write an entry
+	 * @param {string} level - error, warn, info or debug
+	 * @param {string} msg - Message
+	 * @param {Object} fields - Additional fields (secrets are redacted)
+	 */
+	log(level, msg, fields = {}) {
+		if (!this.isLevelEnabled(level)) {
+			return;
+		}
+
+		const entry = { time: new Date().toISOString(), level, msg, ...redact({ ...this.bindings, ...fields }) };
+		let line;
+		try {
+			line = JSON.stringify(entry);
+		} catch (error) {
+			line = JSON.stringify({ time: entry.time, level, msg, ...this.bindings, logError: error.message });
+		}
+		this.write(level, line);
+	}
+
+	error(msg, fields) {
+		this.log('error', msg, fields);
+	}
+
+	warn(msg, fields) {
+		this.log('warn', msg, fields);
+	}
+
+	info(msg, fields) {
+		this.log('info', msg, fields);
+	}
+
+	debug(msg, fields) {
+		this.log('debug', msg, fields);
+	}
+}
+
+// Process-wide logger, configured from the environment
+const logger = new Logger();
+
+/**
+ * Middleware logging every request once its response is sent: method, path
+ * (secret query parameters redacted), status, duration, IP address, user agent
+ * and user. 5xx responses are logged as errors, 4xx as warnings.
+ * @returns {Function}
+ */
+const accessLog = () => (req, res, next) => {
+	const started = process.hrtime.bigint();
+
+	res.on('finish', () => {
+		const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+		(req.log || logger).log(level, `${req.method} ${redactUrl(req.originalUrl)} ${res.statusCode}`, {
+			method: req.method,
+			path: redactUrl(req.originalUrl),
+			status: res.statusCode,
+			durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+			ip: req.ip,
+			userAgent: req.get('user-agent'),
+			userId: req.user?.id,
+		});
+	});
+
+	next();
+};
+
+module.exports = {
+	Logger,
+	REDACTED,
+	SECRET_FIELD,
+	accessLog,
+	logger,
+	redact,
+	redactUrl,
+};
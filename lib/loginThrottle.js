@@ -0,0 +1,173 @@
+/**
+ * Brute-force protection for the login.
+ *
+ * Failed attempts are counted in login_throttle per account and per client IP.
+ * Every failure after the first delays the next attempt (1s, 2s, 4s ... up to
+ * 30s) and reaching the threshold locks the account (max_login_attempts app
+ * setting) or the IP (max_login_attempts_per_ip) for login_lockout_minutes.
+ * A counter left alone for login_lockout_minutes starts again from zero.
+ *
+ * Accounts are counted by user ID, so username and email share one counter.
+ * Unknown usernames are counted and locked the same way, which keeps lockouts
+ * from revealing which accounts exist. A successful login clears the account
+ * counter but never the IP counter.
+ */
+const { TooManyRequestsError } = require('./errors');
+
+const MAX_DELAY_SECONDS = 30;
+
+/**
+ * Seconds the next attempt has to wait after a number of consecutive failures
+ * @param {number} failures
+ * @returns {number}
+ */
+function progressiveDelay(failures) {
+	return failures < 2 ? 0 : Math.min(2 ** (failures - 2), MAX_DELAY_SECONDS);
+}
+
+/**
+ * Counter keys of a login attempt
+ * @param {string} identifier - Username or email as submitted
+ * @param {Object|null} user - Matching users row
+ * @param {string} ip - Client IP address
+ * @returns {Object} - { account: { subject, userId }, ip }
+ */
+function loginAttempt(identifier, user, ip) {
+	return {
+		account: user ? { subject: `user:${user.id}`, userId: user.id } : { subject: `name:${String(identifier).toLowerCase()}`, userId: null },
+		ip: ip || 'unknown',
+	};
+}
+
+/**
+ * Failed login counters, progressive delays and lockouts
+ */
+class LoginThrottle {
+	/**
+	 * @param {Object} config - dbPool, settings (AppSettings)
+	 */
+	constructor(config = {}) {
+		this.dbPool = config.dbPool;
+		this.settings = config.settings;
+	}
+
+	/**
+	 * Current limits from the app settings
+	 * @returns {Promise<Object>} - { account, ip, lockoutMinutes }
+	 */
+	async limits() {
+		const [account, ip, lockoutMinutes] = await Promise.all([this.settings.get('max_login_attempts'), this.settings.get('max_login_attempts_per_ip'), this.settings.get('login_lockout_minutes')]);
+		return { account, ip, lockoutMinutes };
+	}
+
+	/**
+	 * Refuse an attempt while its account or IP is locked or still has to wait
+	 * @param {Object} attempt - From loginAttempt()
+	 * @throws {TooManyRequestsError} ACCOUNT_LOCKED, IP_LOCKED or LOGIN_THROTTLED
+	 */
+	async check(attempt) {
+		const [rows] = await this.dbPool.execute(
+			"SELECT scope, TIMESTAMPDIFF(SECOND, CURRENT_TIMESTAMP, locked_until) AS locked_for, TIMESTAMPDIFF(SECOND, CURRENT_TIMESTAMP, next_attempt_at) AS wait_for FROM login_throttle WHERE (scope = 'account' AND subject = ?) OR (scope = 'ip' AND subject = ?)",
+			[attempt.account.subject, attempt.ip]
+		);
+
+		for (const row of rows) {
+			if (row.locked_for > 0) {
+				const message = row.scope === 'account' ? 'Account temporarily locked after too many failed logins' : 'Too many failed logins from this address';
+				throw new TooManyRequestsError(message, row.scope === 'account' ? 'ACCOUNT_LOCKED' : 'IP_LOCKED', row.locked_for);
+			}
+		}
+
+		const wait = Math.max(0, ...rows.map((row) => row.wait_for || 0));
+		if (wait > 0) {
+			throw new TooManyRequestsError('Too many failed logins, try again later', 'LOGIN_THROTTLED', wait);
+		}
+	}
+
+	/**
+	 * Count a failed attempt against its account and IP
+	 * @param {Object} attempt - From loginAttempt()
+	 * @returns {Promise<Object[]>} - Lockouts this failure started: { scope, subject, userId, minutes }
+	 */
+	async recordFailure(attempt) {
+		const limits = await this.limits();
+		const counters = [
+			{ scope: 'account', subject: attempt.account.subject, userId: attempt.account.userId, threshold: limits.account },
+			{ scope: 'ip', subject: attempt.ip, userId: null, threshold: limits.ip },
+		];
+		const locked = [];
+
+		for (const { scope, subject, userId, threshold } of counters) {
+			await this.dbPool.execute(
+				'INSERT INTO login_throttle (scope, subject, user_id, failures, last_failure_at) VALUES (?, ?, ?, 1, CURRENT_TIMESTAMP) ON DUPLICATE KEY UPDATE failures = IF(last_failure_at < CURRENT_TIMESTAMP - INTERVAL ? MINUTE, 1, failures + 1), last_failure_at = CURRENT_TIMESTAMP',
+				[scope, subject, userId, limits.lockoutMinutes]
+			);
+			const [rows] = await this.dbPool.execute('SELECT failures FROM login_throttle WHERE scope = ? AND subject = ?', [scope, subject]);
+			const failures = rows[0].failures;
+
+			if (failures >= threshold) {
+				// The counter restarts once the lockout is over
+				await this.dbPool.execute('UPDATE login_throttle SET failures = 0, next_attempt_at = NULL, locked_until = CURRENT_TIMESTAMP + INTERVAL ? MINUTE WHERE scope = ? AND subject = ?', [limits.lockoutMinutes, scope, subject]);
+				locked.push({ scope, subject, userId, minutes: limits.lockoutMinutes });
+			} else {
+				await this.dbPool.execute('UPDATE login_throttle SET next_attempt_at = CURRENT_TIMESTAMP + INTERVAL ? SECOND WHERE scope = ? AND subject = ?', [progressiveDelay(failures), scope, subject]);
+			}
+		}
+
+		return locked;
+	}
+
+	/**
+	 * Clear the account counter after a successful login
+	 * @param {Object} attempt - From loginAttempt()
+	 */
+	async recordSuccess(attempt) {
+		await this.dbPool.execute("DELETE FROM login_throttle WHERE scope = 'account' AND subject = ?", [attempt.account.subject]);
+	}
+
+	/**
+	 * Active lockouts
+	 * @returns {Promise<Object[]>}
+	 */
+	async listLockouts() {
+		const [rows] = await this.dbPool.execute(
+			"SELECT t.scope, t.subject, t.user_id, u.username, t.last_failure_at, t.locked_until FROM login_throttle t LEFT JOIN users u ON u.id = t.user_id WHERE t.locked_until > CURRENT_TIMESTAMP ORDER BY t.locked_until DESC"
+		);
+
+		return rows.map((row) => ({
+			scope: row.scope,
+			userId: row.user_id,
+			username: row.username || null,
+			ipAddress: row.scope === 'ip' ? row.subject : null,
+			identifier: row.scope === 'account' && !row.user_id ? row.subject.replace(/^name:/, '') : null,
+			lastFailureAt: row.last_failure_at,
+			lockedUntil: row.locked_until,
+		}));
+	}
+
+	/**
+	 * Unlock an account and reset its counter
+	 * @param {number} userId
+	 * @returns {Promise<boolean>} - Whether there was anything to clear
+	 */
+	async unlockAccount(userId) {
+		const [result] = await this.dbPool.execute("DELETE FROM login_throttle WHERE scope = 'account' AND user_id = ?", [userId]);
+		return result.affectedRows > 0;
+	}
+
+	/**
+	 * Unlock an IP address and reset its counter
+	 * @param {string} ip
+	 * @returns {Promise<boolean>} - Whether there was anything to clear
+	 */
+	async unlockIp(ip) {
+		const [result] = await this.dbPool.execute("DELETE FROM login_throttle WHERE scope = 'ip' AND subject = ?", [ip]);
+		return result.affectedRows > 0;
+	}
+}
+
+module.exports = {
+	LoginThrottle,
+	loginAttempt,
+	progressiveDelay,
+};
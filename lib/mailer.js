@@ -0,0 +1,167 @@
+/**
+ * Outgoing mail with pluggable transports.
+ *
+ * MAIL_TRANSPORT selects the transport:
+ * - smtp: any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD).
+ *   In development point it at a local SMTP catcher such as Mailpit
+ *   (SMTP_HOST=localhost SMTP_PORT=1025) to read the mails in a browser.
+ * - log: log the recipient and subject of every mail (default outside production).
+ *   The text carries reset and verification links, it is only logged at debug level.
+ * - memory: keep the mails in transport.sent (used by the tests)
+ *
+ * Messages are rendered from the email rows of notification_templates
+ * ({{variable}} placeholders), with built-in fallbacks for missing rows.
+ */
+const nodemailer = require('nodemailer');
+const { AppError } = require('./errors');
+const { logger } = require('./logger');
+
+const BUILT_IN_TEMPLATES = {
+	password_reset: {
+		subject: 'Password Reset Request',
+		body: 'Hello {{first_name}},\n\nA password reset has been requested for your account.\n\nClick the link below to reset your password:\n{{reset_url}}\n\nThis link will expire in {{expires_in}}.\n\nIf you did not request this reset, please ignore this email.\n\nBest regards,\nPlesk API Manager Team',
+	},
+	invitation: {
+		subject: 'You are invited to Plesk API Manager',
+		body: 'Hello,\n\n{{invited_by}} invited you to Plesk API Manager as {{role}}.\n\nCreate your account with the link below:\n{{invitation_url}}\n\nThis invitation will expire in {{expires_in}}.\n\nBest regards,\nPlesk API Manager Team',
+	},
+	email_verification: {
+		subject: 'Verify your email address',
+		body: 'Hello {{first_name}},\n\nPlease confirm your email address by opening the link below:\n{{verification_url}}\n\nThis link will expire in {{expires_in}}.\n\nBest regards,\nPlesk API Manager Team',
+	},
+};
+
+/**
+ * Replace {{name}} placeholders
+ * @param {string} text
+ * @param {Object} variables
+ * @returns {string}
+ */
+function renderTemplate(text, variables = {}) {
+	return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (variables[name] === undefined ? match : String(variables[name])));
+}
+
+/**
+ * Transport keeping messages in memory
+ * @returns {Object} - { sendMail, sent }
+ */
+function createMemoryTransport() {
+	const sent = [];
+	return {
+		sent,
+		sendMail: async (message) => {
+			sent.push(message);
+			return { messageId: `memory-${sent.length}` };
+		},
+	};
+}
+
+/**
+ * Transport logging messages instead of sending them
+ * @param {Object} log - Logger (default: the process logger)
+ * @returns {Object}
+ */
+function createLogTransport(log = logger) {
+	return {
+		sendMail: async (message) => {
+			log.info(`Mail to ${message.to}: ${message.subject}`, { to: message.to, subject: message.subject });
+			log.debug(`Mail text to ${message.to}`, { to: message.to, text: message.text });
+			return { messageId: 'log' };
+		},
+	};
+}
+
+/**
+ * Create the transport selected by MAIL_TRANSPORT
+ * @param {string} type - smtp, log or memory
+ * @returns {Object} - nodemailer-compatible transport (sendMail)
+ */
+function createMailTransport(type = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'log')) {
+	switch (type) {
+		case 'smtp':
+			return nodemailer.createTransport({
+				host: process.env.SMTP_HOST || 'localhost',
+				port: parseInt(process.env.SMTP_PORT, 10) || 587,
+				secure: process.env.SMTP_SECURE === 'true',
+				auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+			});
+		case 'memory':
+			return createMemoryTransport();
+		case 'log':
+			return createLogTransport();
+		default:
+			throw new Error(`Unknown MAIL_TRANSPORT "${type}" (expected smtp, log or memory)`);
+	}
+}
+
+/**
+ * Mailer rendering templates and sending them through a transport
+ */
+class Mailer {
+	/**
+	 * @param {Object} config - transport, dbPool (templates), from
+	 */
+	constructor(config = {}) {
+		this.transport = config.transport || createMailTransport();
+		this.dbPool = config.dbPool;
+		this.from = config.from || process.env.MAIL_FROM || 'Plesk API Manager <no-reply@pleskmanager.local>';
+	}
+
+	/**
+	 * Send a message
+	 * @param {Object} message - to, subject, text
+	 * @returns {Promise<Object>}
+	 */
+	async send(message) {
+		try {
+			return await this.transport.sendMail({ from: this.from, ...message });
+		} catch (error) {
+			throw new AppError('Mail could not be sent', { status: 503, code: 'MAIL_UNAVAILABLE', cause: error });
+		}
+	}
+
+	/**
+	 * Load an email template (notification_templates row, or the built-in one)
+	 * @param {string} name
+	 * @returns {Promise<Object>} - { subject, body }
+	 */
+	async getTemplate(name) {
+		if (this.dbPool) {
+			try {
+				const [rows] = await this.dbPool.execute("SELECT subject, body FROM notification_templates WHERE name = ? AND type = 'email' AND is_active = TRUE", [name]);
+				if (rows.length > 0) {
+					return rows[0];
+				}
+			} catch (error) {
+				// Databases bootstrapped without database/schema.sql have no templates table
+				if (error.code !== 'ER_NO_SUCH_TABLE') {
+					throw error;
+				}
+			}
+		}
+		if (!BUILT_IN_TEMPLATES[name]) {
+			throw new Error(`Unknown mail template "${name}"`);
+		}
+		return BUILT_IN_TEMPLATES[name];
+	}
+
+	/**
+	 * Render a template and send it
+	 * @param {string} name - Template name
+	 * @param {string} to - Recipient
+	 * @param {Object} variables - Placeholder values
+	 * @returns {Promise<Object>}
+	 */
+	async sendTemplate(name, to, variables = {}) {
+		const template = await this.getTemplate(name);
+		return this.send({ to, subject: renderTemplate(template.subject || '', variables), text: renderTemplate(template.body, variables) });
+	}
+}
+
+module.exports = {
+	BUILT_IN_TEMPLATES,
+	Mailer,
+	createLogTransport,
+	createMailTransport,
+	renderTemplate,
+};
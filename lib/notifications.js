@@ -0,0 +1,12 @@
+/**
+ * Add a user_notifications row for every active admin
+ * @param {Object} db - mysql2 promise pool (req.services.db)
+ * @param {Object} notification - type (info, success, warning, error), title, message, actionUrl
+ */
+async function notifyAdmins(db, notification) {
+	await db.execute("INSERT INTO user_notifications (user_id, type, title, message, action_url) SELECT id, ?, ?, ?, ? FROM users WHERE role = 'admin' AND is_active = TRUE", [notification.type || 'info', notification.title, notification.message, notification.actionUrl || null]);
+}
+
+module.exports = {
+	notifyAdmins,
+};
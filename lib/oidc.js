@@ -0,0 +1,412 @@
+/**
+ * OpenID Connect single sign-on (authorization code flow with PKCE).
+ *
+ * The manager is a confidential client of one identity provider, configured
+ * with OIDC_ISSUER, OIDC_CLIENT_ID and OIDC_CLIENT_SECRET (discovery is read
+ * from <issuer>/.well-known/openid-configuration). A login goes:
+ *
+ * 1. GET /api/users/login/oidc stores a login request (state, nonce and PKCE
+ *    code verifier, in oidc_login_requests) and redirects to the IdP.
+ * 2. The IdP sends the browser to OIDC_REDIRECT_URI (a frontend page) with a
+ *    code and the state, which the frontend posts to POST /api/users/login/oidc.
+ * 3. The code is exchanged for an ID token, which is verified against the
+ *    provider's JWKS, and the user is provisioned just in time.
+ *
+ * Users are matched by the subject claim (users.oidc_subject), then by a
+ * verified email address. The role follows the IdP groups on every login:
+ * OIDC_ADMIN_GROUPS, OIDC_USER_GROUPS and OIDC_VIEWER_GROUPS list the groups
+ * (highest role wins), OIDC_DEFAULT_ROLE applies when none matches (users are
+ * refused without it). The ID token is kept on the session so logging out can
+ * end the IdP session too (RP-initiated logout).
+ */
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { hashAccountToken } = require('./accountTokens');
+const { AppError, AuthenticationError, ConflictError, ForbiddenError, NotFoundError } = require('./errors');
+
+// Highest role first
+const ROLE_ORDER = ['admin', 'user', 'viewer'];
+
+// Time allowed between the redirect to the IdP and the code exchange
+const LOGIN_REQUEST_TTL_MINUTES = 10;
+
+// Unusable password hash of accounts created by single sign-on
+const NO_PASSWORD = '!';
+
+/**
+ * Comma separated list from the environment
+ * @param {string} value
+ * @returns {string[]}
+ */
+function parseList(value) {
+	return String(value || '')
+		.split(',')
+		.map((item) => item.trim())
+		.filter(Boolean);
+}
+
+/**
+ * OIDC settings from the environment
+ * @returns {Object}
+ */
+function getOidcConfig() {
+	const appUrl = (process.env.APP_URL || 'http://localhost:3001').replace(/\/+$/, '');
+	return {
+		issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+		clientId: process.env.OIDC_CLIENT_ID || '',
+		clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+		redirectUri: process.env.OIDC_REDIRECT_URI || `${appUrl}/login/oidc`,
+		postLogoutRedirectUri: process.env.OIDC_POST_LOGOUT_REDIRECT_URI || `${appUrl}/login`,
+		scopes: process.env.OIDC_SCOPES || 'openid profile email groups',
+		providerName: process.env.OIDC_PROVIDER_NAME || 'Single sign-on',
+		groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+		roleGroups: {
+			admin: parseList(process.env.OIDC_ADMIN_GROUPS),
+			user: parseList(process.env.OIDC_USER_GROUPS),
+			viewer: parseList(process.env.OIDC_VIEWER_GROUPS),
+		},
+		defaultRole: process.env.OIDC_DEFAULT_ROLE || null,
+	};
+}
+
+/**
+ * Role of a user from their IdP groups
+ * @param {string[]} groups
+ * @param {Object} roleGroups - Groups per role ({ admin, user, viewer })
+ * @param {string|null} defaultRole - Role when no group matches
+ * @returns {string|null}
+ */
+function mapRole(groups, roleGroups, defaultRole = null) {
+	const memberOf = new Set(Array.isArray(groups) ? groups.map(String) : []);
+	return ROLE_ORDER.find((role) => (roleGroups[role] || []).some((group) => memberOf.has(group))) || defaultRole;
+}
+
+/**
+ * S256 code challenge of a PKCE code verifier
+ * @param {string} verifier
+ * @returns {string}
+ */
+function pkceChallenge(verifier) {
+	return crypto.createHash('sha256').update(verifier).digest('base64url');
+}
+
+/**
+ * Username for a new account: preferred_username or the local part of the
+ * email, reduced to what registration accepts (3 to 30 letters and digits)
+ * @param {Object} claims
+ * @returns {string}
+ */
+function baseUsername(claims) {
+	const name = String(claims.preferred_username || (claims.email || '').split('@')[0] || '').replace(/[^A-Za-z0-9]/g, '');
+	return (name.length >= 3 ? name : `user${name}`).slice(0, 26);
+}
+
+/**
+ * OpenID Connect relying party: login requests, code exchange, ID token
+ * verification and just-in-time provisioning
+ */
+class OidcClient {
+	/**
+	 * @param {Object} config - dbPool, and overrides of the environment settings (see getOidcConfig)
+	 */
+	constructor(config = {}) {
+		const { dbPool, ...settings } = config;
+		this.dbPool = dbPool;
+		this.config = { ...getOidcConfig(), ...settings };
+		this.metadata = null;
+		this.keys = new Map();
+	}
+
+	/**
+	 * Whether single sign-on is configured
+	 * @returns {boolean}
+	 */
+	get enabled() {
+		return Boolean(this.config.issuer && this.config.clientId);
+	}
+
+	/**
+	 * Refuse when single sign-on is not configured
+	 */
+	assertEnabled() {
+		if (!this.enabled) {
+			throw new NotFoundError('Single sign-on is not configured', 'OIDC_DISABLED');
+		}
+	}
+
+	/**
+	 * GET a document from the identity provider
+	 * @param {string} url
+	 * @returns {Promise<Object>}
+	 */
+	async fetchJson(url) {
+		try {
+			const response = await axios.get(url, { timeout: 10000 });
+			return response.data;
+		} catch (error) {
+			throw new AppError('Identity provider unavailable', { status: 502, code: 'OIDC_UNAVAILABLE', cause: error });
+		}
+	}
+
+	/**
+	 * Provider metadata (discovery document), fetched once
+	 * @returns {Promise<Object>}
+	 */
+	async discover() {
+		if (!this.metadata) {
+			const metadata = await this.fetchJson(`${this.config.issuer}/.well-known/openid-configuration`);
+			if (metadata.issuer !== this.config.issuer) {
+				throw new AppError(`Identity provider issuer ${metadata.issuer} does not match OIDC_ISSUER`, { status: 502, code: 'OIDC_UNAVAILABLE' });
+			}
+			this.metadata = metadata;
+		}
+		return this.metadata;
+	}
+
+	/**
+	 * Start a login: store the request and build the authorization URL
+	 * @param {string|null} returnTo - Frontend path to go back to after the login
+	 * @returns {Promise<string>}
+	 */
+	async authorizationUrl(returnTo = null) {
+		this.assertEnabled();
+		const metadata = await this.discover();
+
+		const state = crypto.randomBytes(32).toString('base64url');
+		const nonce = crypto.randomBytes(16).toString('base64url');
+		const codeVerifier = crypto.randomBytes(48).toString('base64url');
+
+		await this.dbPool.execute('DELETE FROM oidc_login_requests WHERE expires_at < CURRENT_TIMESTAMP');
+		await this.dbPool.execute('INSERT INTO oidc_login_requests (state_hash, nonce, code_verifier, return_to, expires_at) VALUES (?, ?, ?, ?, ?)', [hashAccountToken(state), nonce, codeVerifier, returnTo, new Date(Date.now() + LOGIN_REQUEST_TTL_MINUTES * 60 * 1000)]);
+
+		const params = new URLSearchParams({
+			response_type: 'code',
+			client_id: this.config.clientId,
+			redirect_uri: this.config.redirectUri,
+			scope: this.config.scopes,
+			state,
+			nonce,
+			code_challenge: pkceChallenge(codeVerifier),
+			code_challenge_method: 'S256',
+		});
+		return `${metadata.authorization_endpoint}?${params}`;
+	}
+
+	/**
+	 * Take the login request of a state, once
+	 * @param {string} state
+	 * @returns {Promise<Object>} - oidc_login_requests row
+	 */
+	async takeLoginRequest(state) {
+		const stateHash = hashAccountToken(state);
+		const [rows] = await this.dbPool.execute('SELECT * FROM oidc_login_requests WHERE state_hash = ? AND expires_at > CURRENT_TIMESTAMP', [stateHash]);
+		const [result] = await this.dbPool.execute('DELETE FROM oidc_login_requests WHERE state_hash = ?', [stateHash]);
+
+		if (rows.length === 0 || result.affectedRows === 0) {
+			throw new AuthenticationError('Invalid or expired single sign-on request', 'INVALID_OIDC_STATE');
+		}
+		return rows[0];
+	}
+
+	/**
+	 * Exchange an authorization code for tokens
+	 * @param {string} code
+	 * @param {string} codeVerifier
+	 * @returns {Promise<Object>} - Token response (id_token, access_token, ...)
+	 */
+	async exchangeCode(code, codeVerifier) {
+		const metadata = await this.discover();
+		const body = new URLSearchParams({ grant_type: 'authorization_code', code, redirect_uri: this.config.redirectUri, code_verifier: codeVerifier });
+
+		let response;
+		try {
+			response = await axios.post(metadata.token_endpoint, body.toString(), {
+				timeout: 10000,
+				auth: { username: this.config.clientId, password: this.config.clientSecret },
+				headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+			});
+		} catch (error) {
+			if (error.response) {
+				const reason = error.response.data && error.response.data.error;
+				throw new AuthenticationError(`Single sign-on failed${reason ? ` (${reason})` : ''}`, 'OIDC_LOGIN_FAILED');
+			}
+			throw new AppError('Identity provider unavailable', { status: 502, code: 'OIDC_UNAVAILABLE', cause: error });
+		}
+
+		if (!response.data || !response.data.id_token) {
+			throw new AuthenticationError('Single sign-on failed (no ID token)', 'OIDC_LOGIN_FAILED');
+		}
+		return response.data;
+	}
+
+	/**
+	 * Public key of the provider for a key ID (the JWKS is fetched again for unknown keys)
+	 * @param {string} kid
+	 * @returns {Promise<crypto.KeyObject>}
+	 */
+	async signingKey(kid) {
+		if (!this.keys.has(kid)) {
+			const metadata = await this.discover();
+			const jwks = await this.fetchJson(metadata.jwks_uri);
+			this.keys = new Map((jwks.keys || []).filter((jwk) => !jwk.use || jwk.use === 'sig').map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+		}
+
+		const key = this.keys.get(kid);
+		if (!key) {
+			throw new AuthenticationError('Single sign-on failed (unknown signing key)', 'OIDC_LOGIN_FAILED');
+		}
+		return key;
+	}
+
+	/**
+	 * Verify an ID token: signature, issuer, audience, expiry and nonce
+	 * @param {string} idToken
+	 * @param {string} nonce - Nonce of the login request
+	 * @returns {Promise<Object>} - Claims
+	 */
+	async verifyIdToken(idToken, nonce) {
+		const decoded = jwt.decode(idToken, { complete: true });
+		if (!decoded) {
+			throw new AuthenticationError('Single sign-on failed (malformed ID token)', 'OIDC_LOGIN_FAILED');
+		}
+
+		const metadata = await this.discover();
+		const key = await this.signingKey(decoded.header.kid);
+
+		let claims;
+		try {
+			claims = jwt.verify(idToken, key, { algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'], issuer: metadata.issuer, audience: this.config.clientId });
+		} catch (error) {
+			throw new AuthenticationError(`Single sign-on failed (${error.message})`, 'OIDC_LOGIN_FAILED');
+		}
+
+		if (claims.nonce !== nonce) {
+			throw new AuthenticationError('Single sign-on failed (nonce mismatch)', 'OIDC_LOGIN_FAILED');
+		}
+		return claims;
+	}
+
+	/**
+	 * Finish a login from the code and state sent back by the IdP
+	 * @param {string} code
+	 * @param {string} state
+	 * @returns {Promise<Object>} - { claims, idToken, returnTo }
+	 */
+	async completeLogin(code, state) {
+		this.assertEnabled();
+		const request = await this.takeLoginRequest(state);
+		const tokens = await this.exchangeCode(code, request.code_verifier);
+		const claims = await this.verifyIdToken(tokens.id_token, request.nonce);
+
+		return { claims, idToken: tokens.id_token, returnTo: request.return_to };
+	}
+
+	/**
+	 * Role of the user from the groups claim
+	 * @param {Object} claims
+	 * @returns {string}
+	 */
+	roleFor(claims) {
+		const role = mapRole(claims[this.config.groupsClaim], this.config.roleGroups, this.config.defaultRole);
+		if (!role) {
+			throw new ForbiddenError('None of your identity provider groups grants access to the manager', 'OIDC_NO_ROLE');
+		}
+		return role;
+	}
+
+	/**
+	 * First free username derived from the claims
+	 * @param {Object} claims
+	 * @returns {Promise<string>}
+	 */
+	async availableUsername(claims) {
+		const base = baseUsername(claims);
+		for (let suffix = 1; ; suffix += 1) {
+			const username = suffix === 1 ? base : `${base}${suffix}`;
+			const [rows] = await this.dbPool.execute('SELECT id FROM users WHERE username = ?', [username]);
+			if (rows.length === 0) {
+				return username;
+			}
+		}
+	}
+
+	/**
+	 * Find, link or create the local user of an IdP identity and apply its role and profile
+	 * @param {Object} claims - Verified ID token claims
+	 * @returns {Promise<Object>} - { user, created, linked, roleChanged } (user is the users row)
+	 */
+	async provisionUser(claims) {
+		const subject = String(claims.sub);
+		const role = this.roleFor(claims);
+		let created = false;
+		let linked = false;
+
+		let [users] = await this.dbPool.execute('SELECT * FROM users WHERE oidc_subject = ?', [subject]);
+		let user = users[0];
+
+		if (!user) {
+			if (!claims.email) {
+				throw new AuthenticationError('Single sign-on failed (no email address)', 'OIDC_LOGIN_FAILED');
+			}
+
+			[users] = await this.dbPool.execute('SELECT * FROM users WHERE email = ?', [claims.email]);
+			user = users[0];
+
+			if (user) {
+				// Only a verified address proves the IdP identity owns the local account
+				if (claims.email_verified !== true || user.oidc_subject) {
+					throw new ConflictError('An account with this email address already exists and cannot be linked');
+				}
+				await this.dbPool.execute('UPDATE users SET oidc_subject = ? WHERE id = ?', [subject, user.id]);
+				linked = true;
+			} else {
+				const [result] = await this.dbPool.execute("INSERT INTO users (username, email, password_hash, first_name, last_name, role, email_verified, auth_provider, oidc_subject) VALUES (?, ?, ?, ?, ?, ?, ?, 'oidc', ?)", [
+					await this.availableUsername(claims),
+					claims.email,
+					NO_PASSWORD,
+					claims.given_name || '',
+					claims.family_name || '',
+					role,
+					claims.email_verified === true,
+					subject,
+				]);
+				[users] = await this.dbPool.execute('SELECT * FROM users WHERE id = ?', [result.insertId]);
+				user = users[0];
+				created = true;
+			}
+		}
+
+		if (!user.is_active) {
+			throw new ForbiddenError('Account is not active');
+		}
+
+		const roleChanged = !created && user.role !== role;
+		await this.dbPool.execute('UPDATE users SET role = ?, first_name = COALESCE(?, first_name), last_name = COALESCE(?, last_name), email_verified = email_verified OR ? WHERE id = ?', [role, claims.given_name || null, claims.family_name || null, claims.email_verified === true, user.id]);
+		[users] = await this.dbPool.execute('SELECT * FROM users WHERE id = ?', [user.id]);
+
+		return { user: users[0], created, linked, roleChanged };
+	}
+
+	/**
+	 * IdP logout URL ending the provider session of an ID token (null without an end_session_endpoint)
+	 * @param {string} idToken
+	 * @returns {Promise<string|null>}
+	 */
+	async logoutUrl(idToken) {
+		const metadata = await this.discover();
+		if (!metadata.end_session_endpoint) {
+			return null;
+		}
+
+		const params = new URLSearchParams({ id_token_hint: idToken, post_logout_redirect_uri: this.config.postLogoutRedirectUri, client_id: this.config.clientId });
+		return `${metadata.end_session_endpoint}?${params}`;
+	}
+}
+
+module.exports = {
+	OidcClient,
+	getOidcConfig,
+	mapRole,
+	pkceChallenge,
+};
@@ -0,0 +1,229 @@
+/**
+ * OpenAPI 3 specification built from the mounted route modules.
+ * Paths and methods come from the Express routers, request schemas from the
+ * validateRequest() middleware (Joi), extra parameters and security from the
+ * `openapi` metadata of the other middleware, and summaries from the JSDoc
+ * block above each route definition.
+ */
+const fs = require('fs');
+const { joiToOpenApi } = require('./joiSchema');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const ERROR_CODES = ['VALIDATION_ERROR', 'UNAUTHORIZED', 'INVALID_CREDENTIALS', 'SESSION_REVOKED', 'INVALID_API_KEY', 'INVALID_REFRESH_TOKEN', 'REFRESH_TOKEN_REUSED', 'INVALID_TWO_FACTOR_CHALLENGE', 'INVALID_TWO_FACTOR_CODE', 'INVALID_OIDC_STATE', 'OIDC_LOGIN_FAILED', 'FORBIDDEN', 'TWO_FACTOR_REQUIRED', 'SESSION_REQUIRED', 'OIDC_NO_ROLE', 'EMAIL_NOT_VERIFIED', 'ACCOUNT_PENDING_APPROVAL', 'REGISTRATION_DISABLED', 'INVITATION_REQUIRED', 'INVALID_TOKEN', 'NOT_FOUND', 'OIDC_DISABLED', 'AUDIT_SIGNING_DISABLED', 'SERVER_NOT_FOUND', 'ROUTE_NOT_FOUND', 'CONFLICT', 'SERVER_DISABLED', 'TOO_MANY_REQUESTS', 'LOGIN_THROTTLED', 'ACCOUNT_LOCKED', 'IP_LOCKED', 'PERMISSION_DENIED', 'TLS_FINGERPRINT_MISMATCH', 'PLESK_NOT_CONFIGURED', 'PLESK_AUTH_FAILED', 'PLESK_NOT_FOUND', 'PLESK_VALIDATION_FAILED', 'PLESK_UNAVAILABLE', 'PLESK_ERROR', 'OIDC_UNAVAILABLE', 'LOCAL_DB_ERROR', 'ROUTES_UNAVAILABLE', 'INTERNAL_ERROR'];
+
+const COMPONENTS = {
+	securitySchemes: {
+		bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+		apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+	},
+	schemas: {
+		Success: {
+			type: 'object',
+			required: ['success'],
+			properties: {
+				success: { type: 'boolean', enum: [true] },
+				data: {},
+				message: { type: 'string' },
+			},
+		},
+		ErrorEnvelope: {
+			type: 'object',
+			required: ['success', 'error', 'code', 'status', 'requestId'],
+			properties: {
+				success: { type: 'boolean', enum: [false] },
+				error: { type: 'string' },
+				code: { type: 'string', enum: ERROR_CODES },
+				status: { type: 'integer' },
+				requestId: { type: 'string' },
+				details: { nullable: true },
+				pleskStatus: { type: 'integer', nullable: true, description: 'Status answered by Plesk (Plesk errors only)' },
+			},
+		},
+	},
+};
+
+const RESPONSES = {
+	'2XX': { description: 'Success', content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } } },
+	default: { description: 'Error', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorEnvelope' } } } },
+};
+
+/**
+ * Read the JSDoc summaries of a route file, keyed by "method path"
+ * (the first line of the block is the route itself, the next ones describe it)
+ * @param {string} source - Route file path
+ * @returns {Map<string, string>}
+ */
+function readSummaries(source) {
+	const summaries = new Map();
+	if (!source) {
+		return summaries;
+	}
+
+	let content;
+	try {
+		content = fs.readFileSync(source, 'utf8');
+	} catch (error) {
+		return summaries;
+	}
+
+	const pattern = /\/\*\*([\s\S]*?)\*\/\s*router\.(get|post|put|patch|delete)\(\s*'([^']*)'/g;
+	let match;
+	while ((match = pattern.exec(content)) !== null) {
+		const lines = match[1]
+			.split('\n')
+			.map((line) => line.replace(/^\s*\*\s?/, '').trim())
+			.filter((line) => line && !line.startsWith('@'));
+		const text = lines.filter((line) => !/^(GET|POST|PUT|PATCH|DELETE)\s/.test(line)).join(' ');
+		if (text) {
+			summaries.set(`${match[2]} ${match[3]}`, text);
+		}
+	}
+
+	return summaries;
+}
+
+/**
+ * Express path to OpenAPI path ("/domains/:id" -> "/domains/{id}")
+ * @param {string} path
+ * @returns {{path: string, params: string[]}}
+ */
+function toOpenApiPath(path) {
+	const params = [];
+	const converted = path.replace(/:(\w+)/g, (match, name) => {
+		params.push(name);
+		return `{${name}}`;
+	});
+
+	return { path: converted.length > 1 ? converted.replace(/\/$/, '') : converted, params };
+}
+
+/**
+ * Turn a Joi object schema into OpenAPI parameters
+ * @param {Object} schema - Joi object schema
+ * @param {string} location - 'query' or 'path'
+ * @returns {Object[]}
+ */
+function toParameters(schema, location) {
+	const converted = joiToOpenApi(schema);
+	const required = converted.required || [];
+
+	return Object.entries(converted.properties || {}).map(([name, property]) => ({
+		name,
+		in: location,
+		required: location === 'path' || required.includes(name),
+		schema: property,
+	}));
+}
+
+/**
+ * Build the operation object of one route
+ * @param {Object} route - Express route
+ * @param {string} method
+ * @param {Object} context - tag, path params, summaries and the middleware handles (module level first)
+ * @returns {Object}
+ */
+function buildOperation(route, method, context) {
+	const operation = {
+		tags: [context.tag],
+		summary: context.summaries.get(`${method} ${route.path}`) || `${method.toUpperCase()} ${context.path}`,
+		operationId: `${method}${context.path}`.replace(/[^a-zA-Z0-9]+/g, '_').replace(/_$/, ''),
+		parameters: [],
+		responses: RESPONSES,
+	};
+	const parameters = new Map();
+	const addParameter = (parameter) => parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+
+	for (const name of context.params) {
+		addParameter({ name, in: 'path', required: true, schema: { type: 'string' } });
+	}
+
+	for (const handle of context.handles) {
+		if (handle.schemas) {
+			if (handle.schemas.params) {
+				toParameters(handle.schemas.params, 'path').forEach(addParameter);
+			}
+			if (handle.schemas.query) {
+				toParameters(handle.schemas.query, 'query').forEach(addParameter);
+			}
+			if (handle.schemas.body) {
+				operation.requestBody = { required: true, content: { 'application/json': { schema: joiToOpenApi(handle.schemas.body) } } };
+			}
+		}
+		if (handle.openapi) {
+			(handle.openapi.parameters || []).forEach(addParameter);
+			if (handle.openapi.security) {
+				operation.security = handle.openapi.security;
+			}
+			if (handle.openapi.requiredRole) {
+				operation['x-required-role'] = handle.openapi.requiredRole(method);
+			}
+			if (handle.openapi.permission) {
+				operation['x-permission'] = handle.openapi.permission;
+			}
+			if (handle.openapi.rateLimitGroup) {
+				operation['x-rate-limit-group'] = handle.openapi.rateLimitGroup;
+			}
+		}
+	}
+
+	operation.parameters = [...parameters.values()];
+	if (operation.parameters.length === 0) {
+		delete operation.parameters;
+	}
+
+	return operation;
+}
+
+/**
+ * Build the OpenAPI document
+ * @param {Object[]} routeModules - Mounted modules: { theme, file, mountPath, router, middleware, source }
+ * @param {Object} options - info overrides and server URL
+ * @returns {Object}
+ */
+function buildOpenApiSpec(routeModules, options = {}) {
+	const paths = {};
+	const tags = [];
+
+	for (const module of routeModules) {
+		const tag = `${module.theme}/${module.file}`;
+		const summaries = readSummaries(module.source);
+		tags.push({ name: tag });
+
+		for (const layer of module.router.stack || []) {
+			const route = layer.route;
+			if (!route) {
+				continue;
+			}
+
+			const { path, params } = toOpenApiPath(`${module.mountPath}${route.path}`);
+			for (const method of METHODS) {
+				// Express dispatches to the first matching route, later duplicates are unreachable
+				if (!route.methods[method] || paths[path]?.[method]) {
+					continue;
+				}
+				paths[path] = paths[path] || {};
+				const handles = [...(module.middleware || []), ...route.stack.map((routeLayer) => routeLayer.handle)];
+				paths[path][method] = buildOperation(route, method, { tag, path, params, summaries, handles });
+			}
+		}
+	}
+
+	return {
+		openapi: '3.0.3',
+		info: {
+			title: 'Plesk API Manager',
+			version: options.version || '1.0.0',
+			description: 'Plesk REST API management platform. Errors always use the ErrorEnvelope schema.',
+		},
+		servers: [{ url: options.serverUrl || '/' }],
+		tags,
+		paths,
+		components: COMPONENTS,
+	};
+}
+
+module.exports = {
+	buildOpenApiSpec,
+	toOpenApiPath,
+};
@@ -0,0 +1,273 @@
+/**
+ * Convert Joi schemas to OpenAPI 3.0 schema objects (through Joi's describe() output)
+ */
+
+// Joi string rules that map to an OpenAPI format
+const STRING_FORMATS = {
+	email: 'email',
+	uri: 'uri',
+	domain: 'hostname',
+	hostname: 'hostname',
+	ip: 'ip',
+	guid: 'uuid',
+	isoDate: 'date-time',
+};
+
+/**
+ * Turn a regex source as printed by Joi ("/^abc$/i") into a pattern string
+ * @param {string} regex
+ * @returns {string}
+ */
+function toPattern(regex) {
+	const match = /^\/(.*)\/[a-z]*$/.exec(regex);
+	return match ? match[1] : regex;
+}
+
+/**
+ * Apply the flags shared by every Joi type (default, description, valid/allow values)
+ * @param {Object} schema - OpenAPI schema being built
+ * @param {Object} description - Joi describe() output
+ * @returns {Object}
+ */
+function applyCommon(schema, description) {
+	const flags = description.flags || {};
+	const allowed = description.allow || [];
+
+	if (allowed.includes(null)) {
+		schema.nullable = true;
+	}
+	if (flags.only) {
+		schema.enum = allowed.filter((value) => value !== null);
+	}
+	if (flags.default !== undefined && typeof flags.default !== 'function') {
+		schema.default = flags.default;
+	}
+	if (flags.description) {
+		schema.description = flags.description;
+	}
+	if (description.examples && description.examples.length > 0) {
+		schema.example = description.examples[0];
+	}
+
+	return schema;
+}
+
+/**
+ * Convert one Joi description
+ * @param {Object} description - Joi describe() output
+ * @returns {Object} - OpenAPI schema object
+ */
+function convert(description) {
+	const rules = description.rules || [];
+	let schema;
+
+	switch (description.type) {
+		case 'string':
+			schema = { type: 'string' };
+			for (const rule of rules) {
+				if (STRING_FORMATS[rule.name]) {
+					schema.format = STRING_FORMATS[rule.name];
+				} else if (rule.name === 'min') {
+					schema.minLength = rule.args.limit;
+				} else if (rule.name === 'max') {
+					schema.maxLength = rule.args.limit;
+				} else if (rule.name === 'length') {
+					schema.minLength = rule.args.limit;
+					schema.maxLength = rule.args.limit;
+				} else if (rule.name === 'pattern') {
+					schema.pattern = toPattern(rule.args.regex);
+				} else if (rule.name === 'alphanum') {
+					schema.pattern = '^[a-zA-Z0-9]*$';
+				}
+			}
+			break;
+
+		case 'number':
+			schema = { type: rules.some((rule) => rule.name === 'integer') ? 'integer' : 'number' };
+			for (const rule of rules) {
+				if (rule.name === 'min') {
+					schema.minimum = rule.args.limit;
+				} else if (rule.name === 'max') {
+					schema.maximum = rule.args.limit;
+				} else if (rule.name === 'greater') {
+					schema.minimum = rule.args.limit;
+					schema.exclusiveMinimum = true;
+				} else if (rule.name === 'less') {
+					schema.maximum = rule.args.limit;
+					schema.exclusiveMaximum = true;
+				} else if (rule.name === 'port') {
+					schema.minimum = 0;
+					schema.maximum = 65535;
+				}
+			}
+			break;
+
+		case 'boolean':
+			schema = { type: 'boolean' };
+			break;
+
+		case 'date':
+			schema = { type: 'string', format: 'date-time' };
+			break;
+
+		case 'array': {
+			const items = (description.items || []).map(convert);
+			schema = { type: 'array', items: items.length === 1 ? items[0] : items.length > 1 ? { oneOf: items } : {} };
+			for (const rule of rules) {
+				if (rule.name === 'min') {
+					schema.minItems = rule.args.limit;
+				} else if (rule.name === 'max') {
+					schema.maxItems = rule.args.limit;
+				} else if (rule.name === 'unique') {
+					schema.uniqueItems = true;
+				}
+			}
+			break;
+		}
+
+		case 'object':
+			schema = convertObject(description);
+			break;
+
+		case 'alternatives':
+			schema = {
+				oneOf: (description.matches || []).flatMap((match) => {
+					if (match.schema) {
+						return [convert(match.schema)];
+					}
+					// Conditional alternatives (when/then/otherwise)
+					return [match.then, match.otherwise].filter(Boolean).map(convert);
+				}),
+			};
+			break;
+
+		default:
+			schema = {};
+	}
+
+	return applyCommon(schema, description);
+}
+
+/**
+ * Convert a Joi object description (keys, required keys and xor/or dependencies)
+ * @param {Object} description
+ * @returns {Object}
+ */
+function convertObject(description) {
+	const schema = { type: 'object' };
+	const keys = description.keys || {};
+	const properties = {};
+	const required = [];
+
+	for (const [name, key] of Object.entries(keys)) {
+		const presence = key.flags?.presence;
+		if (presence === 'forbidden') {
+			continue;
+		}
+		properties[name] = convert(key);
+		if (presence === 'required') {
+			required.push(name);
+		}
+	}
+
+	if (description.keys) {
+		schema.properties = properties;
+		schema.additionalProperties = Boolean(description.flags?.unknown);
+	}
+	if (required.length > 0) {
+		schema.required = required;
+	}
+
+	for (const dependency of description.dependencies || []) {
+		if (dependency.rel === 'xor') {
+			schema.oneOf = dependency.peers.map((peer) => ({ required: [peer] }));
+		} else if (dependency.rel === 'or') {
+			schema.anyOf = dependency.peers.map((peer) => ({ required: [peer] }));
+		}
+	}
+
+	return schema;
+}
+
+/**
+ * Convert a Joi schema to an OpenAPI schema object
+ * @param {Object} joiSchema - Joi schema
+ * @returns {Object}
+ */
+function joiToOpenApi(joiSchema) {
+	return convert(joiSchema.describe());
+}
+
+/**
+ * Build an example value for an OpenAPI schema (used for Postman request bodies)
+ * @param {Object} schema - OpenAPI schema object
+ * @returns {*}
+ */
+function exampleFor(schema) {
+	if (schema.example !== undefined) {
+		return schema.example;
+	}
+	if (schema.default !== undefined) {
+		return schema.default;
+	}
+	if (schema.enum && schema.enum.length > 0) {
+		return schema.enum[0];
+	}
+	if (schema.oneOf && !schema.type) {
+		return exampleFor(schema.oneOf[0]);
+	}
+
+	switch (schema.type) {
+		case 'object': {
+			const example = {};
+			// Only the first key of an xor group may be sent
+			const excluded = new Set((schema.oneOf || []).slice(1).flatMap((option) => option.required || []));
+			for (const [name, property] of Object.entries(schema.properties || {})) {
+				if (!excluded.has(name)) {
+					example[name] = exampleFor(property);
+				}
+			}
+			return example;
+		}
+		case 'array':
+			return [exampleFor(schema.items || {})];
+		case 'integer':
+		case 'number':
+			return schema.minimum !== undefined ? schema.minimum : 1;
+		case 'boolean':
+			return true;
+		case 'string':
+			return exampleString(schema);
+		default:
+			return null;
+	}
+}
+
+/**
+ * Example value for a string schema
+ * @param {Object} schema
+ * @returns {string}
+ */
+function exampleString(schema) {
+	switch (schema.format) {
+		case 'email':
+			return 'user@example.com';
+		case 'hostname':
+			return 'example.com';
+		case 'ip':
+			return '192.0.2.10';
+		case 'uri':
+			return 'https://example.com/';
+		case 'uuid':
+			return '00000000-0000-4000-8000-000000000000';
+		case 'date-time':
+			return new Date(0).toISOString();
+		default:
+			return 'x'.repeat(Math.max(schema.minLength || 0, 6));
+	}
+}
+
+module.exports = {
+	exampleFor,
+	joiToOpenApi,
+};
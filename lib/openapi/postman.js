@@ -0,0 +1,83 @@
+/**
+ * Postman v2.1 collection generated from the OpenAPI specification
+ */
+const { exampleFor } = require('./joiSchema');
+
+/**
+ * Build one Postman request item
+ * @param {string} path - OpenAPI path
+ * @param {string} method
+ * @param {Object} operation - OpenAPI operation
+ * @returns {Object}
+ */
+function buildItem(path, method, operation) {
+	const parameters = operation.parameters || [];
+	const segments = path
+		.split('/')
+		.filter(Boolean)
+		.map((segment) => segment.replace(/^\{(\w+)\}$/, ':$1'));
+
+	const request = {
+		method: method.toUpperCase(),
+		header: parameters.filter((parameter) => parameter.in === 'header').map((parameter) => ({ key: parameter.name, value: '', disabled: !parameter.required, description: parameter.description })),
+		url: {
+			raw: `{{baseUrl}}/${segments.join('/')}`,
+			host: ['{{baseUrl}}'],
+			path: segments,
+			variable: parameters.filter((parameter) => parameter.in === 'path').map((parameter) => ({ key: parameter.name, value: '' })),
+			query: parameters
+				.filter((parameter) => parameter.in === 'query')
+				.map((parameter) => ({ key: parameter.name, value: '', disabled: !parameter.required, description: parameter.description })),
+		},
+		description: operation.summary,
+	};
+
+	if (operation.security) {
+		request.auth = { type: 'bearer', bearer: [{ key: 'token', value: '{{token}}', type: 'string' }] };
+	}
+
+	const bodySchema = operation.requestBody?.content['application/json'].schema;
+	if (bodySchema) {
+		request.header.push({ key: 'Content-Type', value: 'application/json' });
+		request.body = { mode: 'raw', raw: JSON.stringify(exampleFor(bodySchema), null, 2), options: { raw: { language: 'json' } } };
+	}
+
+	return { name: `${method.toUpperCase()} ${path}`, request };
+}
+
+/**
+ * Convert an OpenAPI document to a Postman collection with one folder per tag
+ * @param {Object} spec - OpenAPI document (see buildOpenApiSpec)
+ * @param {string} baseUrl - Value of the {{baseUrl}} collection variable
+ * @returns {Object}
+ */
+function buildPostmanCollection(spec, baseUrl = 'http://localhost:5000') {
+	const folders = new Map(spec.tags.map((tag) => [tag.name, []]));
+
+	for (const [path, operations] of Object.entries(spec.paths)) {
+		for (const [method, operation] of Object.entries(operations)) {
+			const tag = operation.tags[0];
+			if (!folders.has(tag)) {
+				folders.set(tag, []);
+			}
+			folders.get(tag).push(buildItem(path, method, operation));
+		}
+	}
+
+	return {
+		info: {
+			name: spec.info.title,
+			description: spec.info.description,
+			schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json',
+		},
+		item: [...folders.entries()].filter(([, items]) => items.length > 0).map(([name, items]) => ({ name, item: items })),
+		variable: [
+			{ key: 'baseUrl', value: baseUrl },
+			{ key: 'token', value: '' },
+		],
+	};
+}
+
+module.exports = {
+	buildPostmanCollection,
+};
@@ -0,0 +1,454 @@
+/**
+ * Per-user permission grants and the policy engine consulted by the Plesk routes.
+ *
+ * A grant (user_permissions row) allows a set of actions on a resource type,
+ * optionally narrowed to one Plesk server and one Plesk customer:
+ *
+ *   { plesk_server_id: 2, customer_id: 14, resource_type: 'dns', actions: 'read,create,update,delete' }
+ *
+ * Users without grants keep the defaults of their role (see lib/auth). Once a
+ * non-admin user has at least one grant, the grants replace those defaults on
+ * the themes that honour them: every route declares the resource and action it
+ * needs with authorize(), and listings only return what the grants cover.
+ * Resources other than customers are matched to a customer through the domain
+ * they belong to (GET /clients/:id/domains on the Plesk server).
+ */
+const { apiKeyAllows } = require('./auth');
+const { ForbiddenError, NotFoundError } = require('./errors');
+
+const RESOURCE_TYPES = ['*', 'server', 'domains', 'customers', 'dns', 'databases', 'ftpusers'];
+
+const ACTIONS = ['read', 'create', 'update', 'suspend', 'delete'];
+
+/**
+ * Normalize a user_permissions row
+ * @param {Object} row
+ * @returns {Object} - { id, userId, serverId, customerId, resourceType, actions, createdBy, createdAt }
+ */
+function toGrant(row) {
+	return {
+		id: row.id,
+		userId: row.user_id,
+		serverId: row.plesk_server_id === null || row.plesk_server_id === undefined ? null : Number(row.plesk_server_id),
+		customerId: row.customer_id === null || row.customer_id === undefined ? null : Number(row.customer_id),
+		resourceType: row.resource_type,
+		actions: Array.isArray(row.actions) ? row.actions : String(row.actions || '').split(',').filter(Boolean),
+		createdBy: row.created_by || null,
+		createdAt: row.created_at || null,
+	};
+}
+
+/**
+ * Whether a domain reference ({ id }, { name } or { guid }) points at a domain
+ * @param {Object} domain - Plesk domain
+ * @param {Object} ref
+ * @returns {boolean}
+ */
+function matchesDomain(domain, ref) {
+	return Boolean((ref.id !== undefined && Number(ref.id) === domain.id) || (ref.name && ref.name === domain.name) || (ref.guid && ref.guid === domain.guid));
+}
+
+/**
+ * Grants of one user evaluated against one Plesk server for the current request
+ */
+class PermissionScope {
+	/**
+	 * @param {Object[]} grants - Normalized grants of the user
+	 * @param {Object} client - PleskAPIClient of the target server
+	 */
+	constructor(grants, client) {
+		this.grants = grants;
+		this.client = client;
+		this.serverId = client.serverId || 0;
+
+		// Domains per customer, fetched at most once per request
+		this.customerDomains = new Map();
+	}
+
+	/**
+	 * Grants covering an action on a resource type on this server
+	 * @param {string} type
+	 * @param {string} action
+	 * @returns {Object[]}
+	 */
+	matching(type, action) {
+		return this.grants.filter((grant) => (grant.serverId === null || grant.serverId === this.serverId) && (grant.resourceType === '*' || grant.resourceType === type) && grant.actions.includes(action));
+	}
+
+	/**
+	 * Whether the action is allowed for a customer, or server-wide when no customer is given
+	 * @param {string} type
+	 * @param {string} action
+	 * @param {number|null} customerId
+	 * @returns {boolean}
+	 */
+	allows(type, action, customerId = null) {
+		return this.matching(type, action).some((grant) => grant.customerId === null || (customerId !== null && grant.customerId === Number(customerId)));
+	}
+
+	/**
+	 * Whether any grant covers the action, for any customer
+	 * @param {string} type
+	 * @param {string} action
+	 * @returns {boolean}
+	 */
+	allowsAny(type, action) {
+		return this.matching(type, action).length > 0;
+	}
+
+	/**
+	 * Customers the action is limited to (null when a server-wide grant applies)
+	 * @param {string} type
+	 * @param {string} action
+	 * @returns {Set<number>|null}
+	 */
+	customerIds(type, action) {
+		const grants = this.matching(type, action);
+		if (grants.some((grant) => grant.customerId === null)) {
+			return null;
+		}
+		return new Set(grants.map((grant) => grant.customerId));
+	}
+
+	/**
+	 * Domains the action is limited to (null when a server-wide grant applies)
+	 * @param {string} type
+	 * @param {string} action
+	 * @returns {Promise<Object[]|null>}
+	 */
+	async domains(type, action) {
+		const customerIds = this.customerIds(type, action);
+		if (customerIds === null) {
+			return null;
+		}
+
+		const domains = [];
+		for (const customerId of customerIds) {
+			if (!this.customerDomains.has(customerId)) {
+				const result = await this.client.getCustomerDomains(customerId).catch((error) => {
+					// A customer removed from Plesk simply owns nothing any more
+					if (error.code === 'PLESK_NOT_FOUND') {
+						return { data: [] };
+					}
+					throw error;
+				});
+				this.customerDomains.set(customerId, result.data || []);
+			}
+			domains.push(...this.customerDomains.get(customerId));
+		}
+
+		return domains;
+	}
+
+	/**
+	 * Whether the action is allowed on a domain
+	 * @param {string} type
+	 * @param {string} action
+	 * @param {Object} ref - { id }, { name } or { guid }
+	 * @returns {Promise<boolean>}
+	 */
+	async allowsDomain(type, action, ref) {
+		const domains = await this.domains(type, action);
+		return domains === null || domains.some((domain) => matchesDomain(domain, ref));
+	}
+
+	/**
+	 * Keep the items belonging to a domain the action is allowed on
+	 * @param {string} type
+	 * @param {string} action
+	 * @param {Object[]} items
+	 * @param {Function} refOf - Domain reference of an item
+	 * @returns {Promise<Object[]>}
+	 */
+	async filterByDomain(type, action, items, refOf) {
+		const domains = await this.domains(type, action);
+		if (domains === null) {
+			return items;
+		}
+		return items.filter((item) => domains.some((domain) => matchesDomain(domain, refOf(item))));
+	}
+
+	/**
+	 * Keep the customers the action is allowed on
+	 * @param {string} type
+	 * @param {string} action
+	 * @param {Object[]} customers
+	 * @returns {Object[]}
+	 */
+	filterCustomers(type, action, customers) {
+		const customerIds = this.customerIds(type, action);
+		return customerIds === null ? customers : customers.filter((customer) => customerIds.has(Number(customer.id)));
+	}
+
+	/**
+	 * Evaluate a resolved target (see targets)
+	 * @param {string} type
+	 * @param {string} action
+	 * @param {Object} target
+	 * @returns {Promise<boolean>}
+	 */
+	async check(type, action, target) {
+		if (target.denied) {
+			return false;
+		}
+		if (target.any) {
+			return this.allowsAny(type, action);
+		}
+		if (target.customerId !== undefined) {
+			return this.allows(type, action, target.customerId);
+		}
+		if (target.domain) {
+			return this.allowsDomain(type, action, target.domain);
+		}
+		return this.allows(type, action);
+	}
+}
+
+/**
+ * Policy engine: loads grants from the user_permissions table and manages them
+ */
+class PolicyEngine {
+	/**
+	 * @param {Object} config - dbPool, or loadGrants(userId) to replace the table lookup
+	 */
+	constructor(config = {}) {
+		this.dbPool = config.dbPool;
+		if (config.loadGrants) {
+			this.loadGrants = config.loadGrants;
+		}
+	}
+
+	/**
+	 * Grants of a user
+	 * @param {number} userId
+	 * @returns {Promise<Object[]>}
+	 */
+	async loadGrants(userId) {
+		const [rows] = await this.dbPool.execute('SELECT * FROM user_permissions WHERE user_id = ? ORDER BY id', [userId]);
+		return rows.map(toGrant);
+	}
+
+	/**
+	 * Add a grant
+	 * @param {Object} data - userId, serverId, customerId, resourceType, actions
+	 * @param {number} createdBy - Admin creating the grant
+	 * @returns {Promise<Object>}
+	 */
+	async createGrant(data, createdBy) {
+		const [users] = await this.dbPool.execute('SELECT id FROM users WHERE id = ?', [data.userId]);
+		if (users.length === 0) {
+			throw new NotFoundError('User not found');
+		}
+
+		const [result] = await this.dbPool.execute('INSERT INTO user_permissions (user_id, plesk_server_id, customer_id, resource_type, actions, created_by) VALUES (?, ?, ?, ?, ?, ?)', [
+			data.userId,
+			data.serverId === undefined ? null : data.serverId,
+			data.customerId === undefined ? null : data.customerId,
+			data.resourceType,
+			data.actions.join(','),
+			createdBy || null,
+		]);
+
+		return this.getGrant(result.insertId);
+	}
+
+	/**
+	 * Get a grant by ID
+	 * @param {number} grantId
+	 * @returns {Promise<Object>}
+	 */
+	async getGrant(grantId) {
+		const [rows] = await this.dbPool.execute('SELECT * FROM user_permissions WHERE id = ?', [grantId]);
+		if (rows.length === 0) {
+			throw new NotFoundError('Permission grant not found');
+		}
+		return toGrant(rows[0]);
+	}
+
+	/**
+	 * List grants, optionally for one user
+	 * @param {number|null} userId
+	 * @returns {Promise<Object[]>}
+	 */
+	async listGrants(userId = null) {
+		const [rows] = userId ? await this.dbPool.execute('SELECT * FROM user_permissions WHERE user_id = ? ORDER BY id', [userId]) : await this.dbPool.execute('SELECT * FROM user_permissions ORDER BY user_id, id');
+		return rows.map(toGrant);
+	}
+
+	/**
+	 * Remove a grant
+	 * @param {number} grantId
+	 * @returns {Promise<Object>} - The removed grant
+	 */
+	async deleteGrant(grantId) {
+		const grant = await this.getGrant(grantId);
+		await this.dbPool.execute('DELETE FROM user_permissions WHERE id = ?', [grantId]);
+		return grant;
+	}
+}
+
+/**
+ * Target resolvers for authorize(): map a request to the resource it acts on.
+ * Resolvers return { any }, { server }, { customerId }, { domain } or { denied }.
+ */
+const targets = {
+	// Listings: allowed with any matching grant, the handler filters the result
+	any: () => () => ({ any: true }),
+
+	// Server-wide operations: only grants not limited to a customer
+	server: () => () => ({ server: true }),
+
+	customerParam:
+		(name = 'id') =>
+		(req) => ({ customerId: parseInt(req.params[name], 10) }),
+
+	domainParam:
+		(name = 'id') =>
+		(req) => ({ domain: { id: parseInt(req.params[name], 10) } }),
+
+	// ?domain=<name>, or a listing when the filter is missing
+	domainQuery:
+		(name = 'domain') =>
+		(req) => (req.query[name] ? { domain: { name: req.query[name] } } : { any: true }),
+
+	// parent_domain ({ id }, { name } or { guid }) of the request body
+	parentDomain: () => (req) => (req.body.parent_domain ? { domain: req.body.parent_domain } : { denied: true }),
+
+	// owner_client (customer login) of a new domain, server-wide without one
+	ownerClient: () => async (req) => {
+		const owner = req.body.owner_client;
+		if (!owner) {
+			return { server: true };
+		}
+
+		const login = typeof owner === 'string' ? owner : owner.login;
+		const result = await req.pleskClient.listCustomers();
+		const customer = (result.data || []).find((item) => item.login === login);
+		return customer ? { customerId: customer.id } : { denied: true };
+	},
+
+	// DNS record by ID: searched in the domains the user may act on
+	dnsRecord:
+		(name = 'id') =>
+		async (req, scope, type, action) => {
+			const domains = await scope.domains(type, action);
+			if (domains === null) {
+				return { server: true };
+			}
+
+			const recordId = parseInt(req.params[name], 10);
+			for (const domain of domains) {
+				const result = await req.pleskClient.getDnsRecords(domain.name);
+				if ((result.data || []).some((record) => record.id === recordId)) {
+					return { domain: { id: domain.id } };
+				}
+			}
+			return { denied: true };
+		},
+
+	// Database by ID (route parameter or query string), a listing without one
+	database:
+		(source = 'params', name = 'id') =>
+		async (req) => {
+			const databaseId = parseInt(req[source][name], 10);
+			if (isNaN(databaseId)) {
+				return { any: true };
+			}
+			const result = await req.pleskClient.getDatabases();
+			const database = (result.data || []).find((item) => item.id === databaseId);
+			return database ? { domain: { id: database.parent_domain } } : { denied: true };
+		},
+
+	databaseUser:
+		(name = 'id') =>
+		async (req) => {
+			const result = await req.pleskClient.getDatabaseUsers();
+			const user = (result.data || []).find((item) => item.id === parseInt(req.params[name], 10));
+			return user ? { domain: { id: user.parent_domain } } : { denied: true };
+		},
+
+	ftpUser:
+		(name = 'name') =>
+		async (req) => {
+			const result = await req.pleskClient.getFtpUsers({ name: req.params[name] });
+			const user = (result.data || []).find((item) => item.name === req.params[name]);
+			return user ? { domain: { id: user.parent_domain } } : { denied: true };
+		},
+};
+
+/**
+ * Route middleware checking the caller's grants (use after resolvePleskClient).
+ * Callers without grants (req.grants unset) were already checked by their role.
+ * Requests made with an API key also need a scope covering the permission.
+ * Sets req.permissions to the PermissionScope used by the listing filters.
+ * @param {string} type - Resource type
+ * @param {string} action - read, create, update, suspend or delete
+ * @param {Function} resolve - Target resolver (see targets), server-wide by default
+ * @returns {Function}
+ */
+const authorize = (type, action, resolve = targets.server()) => {
+	const middleware = async (req, res, next) => {
+		if (req.apiKey && !apiKeyAllows(req.apiKey, type, action)) {
+			return next(new ForbiddenError(`API key lacks the ${type}:${action} scope`, 'PERMISSION_DENIED'));
+		}
+		if (!req.grants) {
+			return next();
+		}
+
+		try {
+			req.permissions = req.permissions || new PermissionScope(req.grants, req.pleskClient);
+			const target = await resolve(req, req.permissions, type, action);
+
+			if (!(await req.permissions.check(type, action, target))) {
+				throw new ForbiddenError(`Not permitted to ${action} ${type}`, 'PERMISSION_DENIED');
+			}
+			next();
+		} catch (error) {
+			next(error);
+		}
+	};
+
+	// Documented as x-permission on the operation (see lib/openapi)
+	middleware.openapi = { permission: `${type}:${action}` };
+	return middleware;
+};
+
+/**
+ * Listing filter by domain ownership (no-op for callers without grants)
+ * @param {Object} req
+ * @param {string} type
+ * @param {Object[]} items
+ * @param {Function} refOf - Domain reference of an item, the item ID by default
+ * @returns {Promise<Object[]>}
+ */
+async function filterByDomain(req, type, items, refOf = (item) => ({ id: item.id })) {
+	if (!req.permissions || !Array.isArray(items)) {
+		return items;
+	}
+	return req.permissions.filterByDomain(type, 'read', items, refOf);
+}
+
+/**
+ * Listing filter for customers (no-op for callers without grants)
+ * @param {Object} req
+ * @param {Object[]} customers
+ * @returns {Object[]}
+ */
+function filterCustomers(req, customers) {
+	if (!req.permissions || !Array.isArray(customers)) {
+		return customers;
+	}
+	return req.permissions.filterCustomers('customers', 'read', customers);
+}
+
+module.exports = {
+	ACTIONS,
+	PermissionScope,
+	PolicyEngine,
+	RESOURCE_TYPES,
+	authorize,
+	filterByDomain,
+	filterCustomers,
+	targets,
+	toGrant,
+};
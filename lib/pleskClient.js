@@ -1,112 +1,315 @@
 const axios = require('axios');
-const https = require('https');
-const mysql = require('mysql2/promise');
+const fs = require('fs');
+const { vault } = require('./vault');
+const CircuitBreaker = require('./circuitBreaker');
+const { createHttpsAgent } = require('./tls');
+const { createPool } = require('./database');
+const DomainSyncEngine = require('./syncEngine');
+const { LocalDbError, PleskUnavailable, fromPleskResponse } = require('./errors');
+const { logger } = require('./logger');
+
+// Methods that may be replayed after any transient failure
+const IDEMPOTENT_METHODS = ['get', 'put'];
+
+// Statuses worth retrying for idempotent requests (429 and 503 are handled separately)
+const RETRYABLE_STATUSES = [408, 502, 504];
+
+// Transport errors raised before the request reached Plesk
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN'];
+
+// Transport errors where the request may or may not have been processed
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE'];
+
+/**
+ * Parse a Retry-After header (delay in seconds or HTTP date)
+ * @param {string|undefined} value
+ * @returns {number|null} - Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+	if (!value) {
+		return null;
+	}
+
+	const seconds = Number(value);
+	if (!isNaN(seconds)) {
+		return Math.max(0, seconds * 1000);
+	}
+
+	const date = Date.parse(value);
+	return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * TLS settings for the environment-configured server
+ * @returns {Object}
+ */
+function getEnvTlsConfig() {
+	return {
+		verify: process.env.PLESK_SSL_VERIFY !== 'false',
+		ca: process.env.PLESK_CA_BUNDLE ? fs.readFileSync(process.env.PLESK_CA_BUNDLE, 'utf8') : undefined,
+		fingerprint: process.env.PLESK_TLS_FINGERPRINT,
+	};
+}
 
 class PleskAPIClient {
 	constructor(config = {}) {
 		this.baseURL = config.baseURL || process.env.PLESK_URL;
-		this.apiKey = config.apiKey || process.env.PLESK_API_KEY;
 		this.username = config.username || process.env.PLESK_USERNAME;
-		this.password = config.password || process.env.PLESK_PASSWORD;
-
-		// Database configuration
-		this.dbConfig = {
-			host: process.env.DB_HOST || 'localhost',
-			user: process.env.DB_USER || 'root',
-			password: process.env.DB_PASSWORD || '',
-			database: process.env.DB_NAME || 'plesk_manager',
-			port: process.env.DB_PORT || 3306,
-		};
 
-		// Create database connection pool
-		this.dbPool = mysql.createPool({
-			...this.dbConfig,
-			waitForConnections: true,
-			connectionLimit: 10,
-			queueLimit: 0,
-		});
+		// Registered server ID (0 for the environment-configured server)
+		this.serverId = config.serverId || 0;
 
-		// Initialize domain cache table (don't await in constructor)
-		this.initializeDomainCache().catch((error) => {
-			console.error('Failed to initialize domain cache:', error.message);
-		});
+		// Use the shared connection pool when provided, otherwise create one
+		this.dbPool = config.dbPool || createPool();
+
+		// Use the shared sync engine when provided, otherwise run a private one
+		this.syncEngine = config.syncEngine;
+		if (!this.syncEngine) {
+			this.syncEngine = new DomainSyncEngine({ dbPool: this.dbPool });
+			// Initialize domain cache table (don't await in constructor)
+			this.syncEngine.start();
+		}
 
 		if (!this.baseURL) {
 			throw new Error('Plesk URL is required');
 		}
 
-		if (!this.apiKey && (!this.username || !this.password)) {
+		// Retry policy for transient Plesk failures
+		this.retryConfig = {
+			attempts: parseInt(process.env.PLESK_RETRY_ATTEMPTS, 10) || 3,
+			baseDelay: parseInt(process.env.PLESK_RETRY_BASE_DELAY_MS, 10) || 500,
+			maxDelay: parseInt(process.env.PLESK_RETRY_MAX_DELAY_MS, 10) || 10000,
+			maxRetryAfter: parseInt(process.env.PLESK_RETRY_MAX_RETRY_AFTER_MS, 10) || 30000,
+			...config.retry,
+		};
+
+		// Circuit breaker (shared per server by the registry so it survives client rebuilds)
+		this.breaker = config.breaker || new CircuitBreaker();
+
+		// Log of every call to Plesk (see lib/callLog), and the request causing them (see forRequest)
+		this.callLog = config.callLog || null;
+		this.requestContext = {};
+		this.log = logger.child({ serverId: this.serverId });
+		// Request views (see forRequest) inherit this: background syncs run on the client itself
+		this.shared = this;
+
+		// Create axios instance with REST API configuration
+		this.client = this.createHttpClient(config);
+	}
+
+	/**
+	 * Create the axios instance for the Plesk REST API.
+	 * Vault-encrypted credentials (config.encryptedCredentials) are decrypted here and
+	 * only kept on the axios instance; plaintext config/env credentials are used otherwise.
+	 * TLS settings come from config.tls (verify, ca, fingerprint) or the PLESK_SSL_VERIFY,
+	 * PLESK_CA_BUNDLE and PLESK_TLS_FINGERPRINT environment variables.
+	 * @param {Object} config - Client configuration
+	 * @returns {import('axios').AxiosInstance}
+	 */
+	createHttpClient(config) {
+		let apiKey;
+		let password;
+
+		if (config.encryptedCredentials) {
+			apiKey = vault.decrypt(config.encryptedCredentials.apiKey);
+			password = vault.decrypt(config.encryptedCredentials.password);
+		} else {
+			apiKey = config.apiKey || process.env.PLESK_API_KEY;
+			password = config.password || process.env.PLESK_PASSWORD;
+		}
+
+		if (!apiKey && (!this.username || !password)) {
 			throw new Error('Either API key or username/password is required');
 		}
 
-		// Create axios instance with REST API configuration
-		this.client = axios.create({
+		const client = axios.create({
 			baseURL: `${this.baseURL}/api/v2`,
 			timeout: 30000,
 			headers: {
 				'Content-Type': 'application/json',
 				Accept: 'application/json',
 			},
-			httpsAgent: new https.Agent({
-				rejectUnauthorized: false, // Allow self-signed certificates
-			}),
+			httpsAgent: createHttpsAgent(config.tls || getEnvTlsConfig()),
 		});
 
 		// Add authentication headers
-		if (this.apiKey) {
-			this.client.defaults.headers.common['X-API-Key'] = this.apiKey;
-		} else if (this.username && this.password) {
+		if (apiKey) {
+			client.defaults.headers.common['X-API-Key'] = apiKey;
+		} else {
 			// Use HTTP Basic Auth for username/password
-			this.client.defaults.auth = {
+			client.defaults.auth = {
 				username: this.username,
-				password: this.password,
+				password,
 			};
 		}
+
+		return client;
+	}
+
+	/**
+	 * View of this client for one incoming request: the same connection, retries
+	 * and circuit breaker, with its calls logged under the request's ID, user,
+	 * session, IP address and user agent, and the outcome of every Plesk call
+	 * reported to onCall (used by the audit trail, see lib/audit). Background syncs
+	 * it starts run on the shared client, only their log entries carry the request ID.
+	 * @param {Object} context - onCall (called with { method, endpoint, status, error }), requestId, userId, sessionId, ip, userAgent
+	 * @returns {PleskAPIClient}
+	 */
+	forRequest(context = {}) {
+		const { onCall, requestId, ...requestContext } = context;
+		const client = this;
+		const view = Object.create(client);
+
+		view.requestContext = requestContext;
+		view.log = requestId ? client.log.child({ requestId }) : client.log;
+		if (!onCall) {
+			return view;
+		}
+
+		view.executeRequest = async function (method, endpoint, data = null, options = {}) {
+			try {
+				const response = await client.executeRequest.call(this, method, endpoint, data, options);
+				onCall({ method, endpoint, status: response.status, error: null });
+				return response;
+			} catch (error) {
+				onCall({ method, endpoint, status: error.pleskStatus || null, error });
+				throw error;
+			}
+		};
+
+		return view;
+	}
+
+	/**
+	 * Report one HTTP exchange with Plesk to the debug log and the call log
+	 * @param {string} method - HTTP method
+	 * @param {string} endpoint - API endpoint
+	 * @param {number} started - Date.now() when the request was sent
+	 * @param {number|null} status - Response status (null without a response)
+	 * @param {string|null} error - Error message of a failed call
+	 */
+	logCall(method, endpoint, started, status, error) {
+		const durationMs = Date.now() - started;
+		this.log.debug(`Plesk ${method.toUpperCase()} ${endpoint} ${status || error}`, { method: method.toUpperCase(), endpoint, status, durationMs });
+		if (this.callLog) {
+			this.callLog.record({ ...this.requestContext, serverId: this.serverId, method, endpoint, status, durationMs, error });
+		}
 	}
 
 	/**
-	 * Execute a Plesk REST API request
+	 * Execute a Plesk REST API request.
+	 * Idempotent requests (GET, PUT) are retried with exponential backoff and jitter on
+	 * transient failures. POST and DELETE are only retried when Plesk cannot have processed
+	 * them (connection refused, 429/503) unless the caller marks them idempotent.
+	 * Requests fail fast while the server's circuit breaker is open.
 	 * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
 	 * @param {string} endpoint - API endpoint
 	 * @param {Object} data - Request data (for POST/PUT)
-	 * @returns {Promise<Object>} - API response
+	 * @param {Object} options - Optional settings (idempotent: allow retrying POST/DELETE on any transient failure)
+	 * @returns {Promise<Object>} - { success: true, data, status }
+	 * @throws {PleskError} - PleskAuthError, PleskNotFound, PleskValidation or PleskUnavailable (see lib/errors.js)
 	 */
-	async executeRequest(method, endpoint, data = null) {
-		try {
-			const config = {
-				method: method.toLowerCase(),
-				url: endpoint,
-			};
+	async executeRequest(method, endpoint, data = null, options = {}) {
+		const httpMethod = method.toLowerCase();
+		const idempotent = options.idempotent !== undefined ? options.idempotent : IDEMPOTENT_METHODS.includes(httpMethod);
 
-			if (data && (method.toLowerCase() === 'post' || method.toLowerCase() === 'put')) {
-				config.data = data;
+		const config = {
+			method: httpMethod,
+			url: endpoint,
+		};
+
+		if (data && (httpMethod === 'post' || httpMethod === 'put')) {
+			config.data = data;
+		}
+
+		for (let attempt = 0; ; attempt++) {
+			if (!this.breaker.canRequest()) {
+				throw new PleskUnavailable('Plesk server is unavailable (circuit breaker open after repeated failures)', {
+					details: { circuitBreaker: this.breaker.getState() },
+				});
 			}
 
-			const response = await this.client(config);
-			return {
-				success: true,
-				data: response.data,
-				status: response.status,
-			};
-		} catch (error) {
-			console.error('Plesk API request failed:', error.message);
+			const started = Date.now();
+			try {
+				const response = await this.client(config);
+				this.logCall(method, endpoint, started, response.status, null);
+				this.breaker.recordSuccess();
+				return {
+					success: true,
+					data: response.data,
+					status: response.status,
+				};
+			} catch (error) {
+				this.logCall(method, endpoint, started, error.response?.status || null, error.message);
 
-			// Extract error details from response if available
-			let errorMessage = error.message;
-			let errorDetails = null;
+				// Only server and transport failures count against the breaker
+				if (!error.response || error.response.status >= 500) {
+					this.breaker.recordFailure(error.message);
+				} else {
+					this.breaker.recordSuccess();
+				}
+
+				const delay = this.getRetryDelay(error, attempt, idempotent);
+				if (delay !== null) {
+					this.log.warn(`Plesk ${method.toUpperCase()} ${endpoint} failed, retrying`, { method: method.toUpperCase(), endpoint, status: error.response?.status, error: error.message, attempt: attempt + 1, delayMs: delay });
+					await new Promise((resolve) => setTimeout(resolve, delay));
+					continue;
+				}
 
-			if (error.response) {
-				errorMessage = error.response.data?.message || error.message;
-				errorDetails = error.response.data;
+				const pleskError = fromPleskResponse(error);
+				this.log.log(pleskError.status >= 500 ? 'error' : 'warn', `Plesk ${method.toUpperCase()} ${endpoint} failed`, { method: method.toUpperCase(), endpoint, status: error.response?.status, code: pleskError.code, error: error.message });
+				throw pleskError;
 			}
+		}
+	}
 
-			return {
-				success: false,
-				error: errorMessage,
-				details: errorDetails,
-				status: error.response?.status || 500,
-			};
+	/**
+	 * Work out whether (and after how long) a failed request should be retried
+	 * @param {Error} error - Axios error
+	 * @param {number} attempt - Zero-based attempt number
+	 * @param {boolean} idempotent - Whether the request may be replayed safely
+	 * @returns {number|null} - Delay in milliseconds, or null when the request must not be retried
+	 */
+	getRetryDelay(error, attempt, idempotent) {
+		if (attempt >= this.retryConfig.attempts) {
+			return null;
 		}
+
+		const status = error.response?.status;
+
+		// Plesk rejected the request without processing it, safe to replay for every method
+		if (status === 429 || status === 503) {
+			const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+			if (retryAfter === null) {
+				return this.getBackoffDelay(attempt);
+			}
+			return retryAfter <= this.retryConfig.maxRetryAfter ? retryAfter : null;
+		}
+
+		// The connection was never established, nothing reached Plesk
+		if (!error.response && UNSENT_ERROR_CODES.includes(error.code)) {
+			return this.getBackoffDelay(attempt);
+		}
+
+		if (!idempotent) {
+			return null;
+		}
+
+		if ((!error.response && TRANSIENT_ERROR_CODES.includes(error.code)) || RETRYABLE_STATUSES.includes(status)) {
+			return this.getBackoffDelay(attempt);
+		}
+
+		return null;
+	}
+
+	/**
+	 * Exponential backoff with jitter
+	 * @param {number} attempt - Zero-based attempt number
+	 * @returns {number} - Delay in milliseconds
+	 */
+	getBackoffDelay(attempt) {
+		const ceiling = Math.min(this.retryConfig.maxDelay, this.retryConfig.baseDelay * 2 ** attempt);
+		return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
 	}
 
 	/**
@@ -123,45 +326,34 @@ class PleskAPIClient {
 	 * @returns {Promise<Object>}
 	 */
 	async listDomains(nameFilter = null) {
-		try {
-			// Step 1: Check if we have domains in cache
-			const cachedDomains = await this.getDomainsFromCache(nameFilter);
-
-			if (cachedDomains.length > 0) {
-				console.log(`Found ${cachedDomains.length} domains in cache`);
-				return {
-					success: true,
-					data: cachedDomains,
-					message: `Retrieved ${cachedDomains.length} domains from cache`,
-					fromCache: true,
-				};
-			}
-
-			// Step 2: Cache is empty, fetch from Plesk and store
-			console.log('Cache is empty, fetching domains from Plesk...');
-			const pleskResult = await this.fetchAndStoreDomains();
+		// Step 1: Check if we have domains in cache
+		const cachedDomains = await this.getDomainsFromCache(nameFilter);
 
-			if (!pleskResult.success) {
-				// Fallback to test data if Plesk fails
-				return this.getTestDomains(nameFilter);
-			}
-
-			// Step 3: Start background status sync
-			console.log('Starting background status sync...');
-			this.startStatusSync();
-
-			// Step 4: Return basic domain data (status will be updated in background)
-			const domains = await this.getDomainsFromCache(nameFilter);
+		if (cachedDomains.length > 0) {
+			this.log.debug('Domains served from cache', { domains: cachedDomains.length });
 			return {
 				success: true,
-				data: domains,
-				message: `Retrieved ${domains.length} domains, status sync in progress`,
-				fromCache: false,
+				data: cachedDomains,
+				message: `Retrieved ${cachedDomains.length} domains from cache`,
+				fromCache: true,
 			};
-		} catch (error) {
-			console.error('Error in listDomains:', error.message);
-			return this.getTestDomains(nameFilter);
 		}
+
+		// Step 2: Cache is empty, fetch from Plesk and store
+		this.log.info('Domain cache is empty, fetching domains from Plesk');
+		await this.fetchAndStoreDomains();
+
+		// Step 3: Start background status sync
+		this.startStatusSync();
+
+		// Step 4: Return basic domain data (status will be updated in background)
+		const domains = await this.getDomainsFromCache(nameFilter);
+		return {
+			success: true,
+			data: domains,
+			message: `Retrieved ${domains.length} domains, status sync in progress`,
+			fromCache: false,
+		};
 	}
 
 	/**
@@ -781,39 +973,6 @@ class PleskAPIClient {
 	// DOMAIN CACHE / BACKGROUND SYNC METHODS
 	// ==========================================
 
-	/**
-	 * Initialize domain cache table
-	 */
-	async initializeDomainCache() {
-		try {
-			const connection = await this.dbPool.getConnection();
-
-			// Create domain cache table
-			await connection.execute(`
-				CREATE TABLE IF NOT EXISTS domain_cache (
-					id INT PRIMARY KEY,
-					name VARCHAR(255) NOT NULL,
-					status ENUM('active', 'suspended', 'disabled', 'unknown') DEFAULT 'unknown',
-					created DATETIME,
-					owner VARCHAR(100),
-					hosting_type VARCHAR(50),
-					www_root TEXT,
-					ip_addresses JSON,
-					last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-					sync_error TEXT NULL,
-					INDEX idx_name (name),
-					INDEX idx_status (status),
-					INDEX idx_last_updated (last_updated)
-				) ENGINE=InnoDB
-			`);
-
-			connection.release();
-			console.log('Domain cache table initialized successfully');
-		} catch (error) {
-			console.error('Failed to initialize domain cache table:', error.message);
-		}
-	}
-
 	/**
 	 * Get domains from local cache with fallback to Plesk API
 	 * @param {string} nameFilter - Optional name filter
@@ -823,11 +982,11 @@ class PleskAPIClient {
 		try {
 			const connection = await this.dbPool.getConnection();
 
-			let query = 'SELECT * FROM domain_cache';
-			let params = [];
+			let query = 'SELECT * FROM domain_cache WHERE server_id = ?';
+			let params = [this.serverId];
 
 			if (nameFilter) {
-				query += ' WHERE name LIKE ?';
+				query += ' AND name LIKE ?';
 				params.push(`%${nameFilter}%`);
 			}
 
@@ -838,7 +997,7 @@ class PleskAPIClient {
 
 			// If cache is empty, trigger a background sync
 			if (rows.length === 0) {
-				console.log('Domain cache is empty, triggering background sync...');
+				this.log.info('Domain cache is empty, starting background sync');
 				this.syncDomainsInBackground();
 
 				// Return empty array for now, sync will populate it
@@ -867,7 +1026,7 @@ class PleskAPIClient {
 				message: `Retrieved ${domains.length} domains from cache`,
 			};
 		} catch (error) {
-			console.error('Error reading from domain cache:', error.message);
+			this.log.error('Failed to read the domain cache', { error: error.message });
 			// Fallback to direct API call
 			return await this.listDomains(nameFilter);
 		}
@@ -878,27 +1037,24 @@ class PleskAPIClient {
 	 */
 	syncDomainsInBackground() {
 		// Don't await this - let it run in background
-		this.performBackgroundSync().catch((error) => {
-			console.error('Background domain sync failed:', error.message);
-		});
+		if (!this.syncEngine.run(this.serverId, 'domains', (log) => this.shared.performBackgroundSync(log), this.log)) {
+			this.log.debug('Domain sync already running');
+		}
 	}
 
 	/**
 	 * Perform background synchronization of all domains
+	 * @param {Logger} log - Logger of the sync job
 	 */
-	async performBackgroundSync() {
-		console.log('Starting background domain sync...');
+	async performBackgroundSync(log = this.log) {
+		log.info('Domain sync started');
 
 		try {
 			// First, get all domains without status (faster)
 			const response = await this.executeRequest('GET', '/domains');
 
-			if (!response.success) {
-				throw new Error(response.error);
-			}
-
 			const domains = Array.isArray(response.data) ? response.data : [];
-			console.log(`Found ${domains.length} domains to sync`);
+			log.info(`Found ${domains.length} domains to sync`, { domains: domains.length });
 
 			const connection = await this.dbPool.getConnection();
 
@@ -907,11 +1063,22 @@ class PleskAPIClient {
 			const delay = 2000; // 2 second delay between batches
 
 			for (let i = 0; i < domains.length; i += batchSize) {
+				// Stop while Plesk is unavailable, cached statuses are kept
+				if (this.breaker.state === 'open') {
+					log.warn('Plesk circuit breaker is open, stopping domain sync');
+					break;
+				}
+
+				if (this.syncEngine.stopping) {
+					log.info('Shutting down, stopping domain sync');
+					break;
+				}
+
 				const batch = domains.slice(i, i + batchSize);
-				console.log(`Syncing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(domains.length / batchSize)} (${batch.length} domains)`);
+				log.debug(`Syncing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(domains.length / batchSize)}`, { domains: batch.length });
 
 				// Process batch
-				await this.syncDomainBatch(connection, batch);
+				await this.syncDomainBatch(connection, batch, log);
 
 				// Wait before next batch (except for last batch)
 				if (i + batchSize < domains.length) {
@@ -920,16 +1087,16 @@ class PleskAPIClient {
 			}
 
 			connection.release();
-			console.log(`Background domain sync completed successfully for ${domains.length} domains`);
+			log.info('Domain sync completed', { domains: domains.length });
 		} catch (error) {
-			console.error('Background domain sync failed:', error.message);
+			log.error('Domain sync failed', { error: error.message });
 		}
 	}
 
 	/**
 	 * Sync a batch of domains
 	 */
-	async syncDomainBatch(connection, domains) {
+	async syncDomainBatch(connection, domains, log = this.log) {
 		for (const domain of domains) {
 			try {
 				let status = 'unknown';
@@ -938,23 +1105,23 @@ class PleskAPIClient {
 				// Try to get domain status
 				try {
 					const statusResponse = await this.executeRequest('GET', `/domains/${domain.id}/status`);
-					if (statusResponse.success && statusResponse.data && statusResponse.data.status) {
+					if (statusResponse.data && statusResponse.data.status) {
 						status = statusResponse.data.status;
 					}
 				} catch (statusError) {
 					syncError = statusError.message;
-					console.log(`Error fetching status for domain ${domain.id}: ${statusError.message}`);
+					log.warn('Failed to fetch domain status', { domainId: domain.id, error: statusError.message });
 				}
 
 				// Insert or update domain in cache
 				await connection.execute(
 					`
 					INSERT INTO domain_cache 
-					(id, name, status, created, owner, hosting_type, www_root, ip_addresses, sync_error)
-					VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+					(server_id, id, name, status, created, owner, hosting_type, www_root, ip_addresses, sync_error)
+					VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 					ON DUPLICATE KEY UPDATE
 					name = VALUES(name),
-					status = VALUES(status),
+					status = IF(VALUES(sync_error) IS NULL, VALUES(status), status),
 					created = VALUES(created),
 					owner = VALUES(owner),
 					hosting_type = VALUES(hosting_type),
@@ -963,10 +1130,10 @@ class PleskAPIClient {
 					sync_error = VALUES(sync_error),
 					last_updated = CURRENT_TIMESTAMP
 				`,
-					[domain.id, domain.name || domain.ascii_name, status, domain.created || domain.created_at || new Date(), domain.owner || domain.owner_login || 'admin', domain.hosting_type || 'virtual', domain.www_root || '', JSON.stringify(domain.ip_addresses || []), syncError]
+					[this.serverId, domain.id, domain.name || domain.ascii_name, status, domain.created || domain.created_at || new Date(), domain.owner || domain.owner_login || 'admin', domain.hosting_type || 'virtual', domain.www_root || '', JSON.stringify(domain.ip_addresses || []), syncError]
 				);
 			} catch (error) {
-				console.error(`Error syncing domain ${domain.id}:`, error.message);
+				log.error('Failed to sync domain', { domainId: domain.id, error: error.message });
 			}
 		}
 	}
@@ -977,21 +1144,23 @@ class PleskAPIClient {
 	async updateDomainStatusInCache(domainId, status) {
 		try {
 			const connection = await this.dbPool.getConnection();
-			await connection.execute('UPDATE domain_cache SET status = ?, last_updated = CURRENT_TIMESTAMP WHERE id = ?', [status, domainId]);
+			await connection.execute('UPDATE domain_cache SET status = ?, last_updated = CURRENT_TIMESTAMP WHERE server_id = ? AND id = ?', [status, this.serverId, domainId]);
 			connection.release();
 		} catch (error) {
-			console.error('Error updating domain status in cache:', error.message);
+			this.log.error('Failed to update domain status in cache', { domainId, error: error.message });
 		}
 	}
 
 	/**
 	 * Get sync statistics
+	 * @throws {LocalDbError}
 	 */
 	async getSyncStats() {
 		try {
 			const connection = await this.dbPool.getConnection();
 
-			const [stats] = await connection.execute(`
+			const [stats] = await connection.execute(
+				`
 				SELECT 
 					COUNT(*) as total_domains,
 					SUM(CASE WHEN status = 'active' THEN 1 ELSE 0 END) as active_domains,
@@ -1001,7 +1170,10 @@ class PleskAPIClient {
 					SUM(CASE WHEN sync_error IS NOT NULL THEN 1 ELSE 0 END) as error_domains,
 					MAX(last_updated) as last_sync_time
 				FROM domain_cache
-			`);
+				WHERE server_id = ?
+			`,
+				[this.serverId]
+			);
 
 			connection.release();
 
@@ -1011,10 +1183,7 @@ class PleskAPIClient {
 				message: 'Sync statistics retrieved successfully',
 			};
 		} catch (error) {
-			return {
-				success: false,
-				error: error.message,
-			};
+			throw new LocalDbError(error);
 		}
 	}
 
@@ -1033,8 +1202,8 @@ class PleskAPIClient {
 
 			const connection = await this.dbPool.getConnection();
 
-			let query = 'SELECT * FROM domain_cache WHERE 1=1';
-			let params = [];
+			let query = 'SELECT * FROM domain_cache WHERE server_id = ?';
+			let params = [this.serverId];
 
 			if (nameFilter) {
 				query += ' AND name LIKE ?';
@@ -1057,27 +1226,25 @@ class PleskAPIClient {
 				ipAddresses: row.ip_addresses ? JSON.parse(row.ip_addresses) : [],
 			}));
 		} catch (error) {
-			console.log('Cache not available:', error.message);
+			this.log.warn('Domain cache not available', { error: error.message });
 			return [];
 		}
 	}
 
 	/**
 	 * Fetch domains from Plesk and store in cache
+	 * @returns {Promise<Object>} - { success: true, count }
+	 * @throws {PleskError|LocalDbError}
 	 */
 	async fetchAndStoreDomains() {
-		try {
-			// Fetch basic domain list from Plesk (without status)
-			const response = await this.executeRequest('GET', '/domains');
+		// Fetch basic domain list from Plesk (without status)
+		const response = await this.executeRequest('GET', '/domains');
 
-			if (!response.success) {
-				return { success: false, error: response.error };
-			}
+		const domains = Array.isArray(response.data) ? response.data : [];
+		this.log.info(`Fetched ${domains.length} domains from Plesk, storing in cache`, { domains: domains.length });
 
-			const domains = Array.isArray(response.data) ? response.data : [];
-			console.log(`Fetched ${domains.length} domains from Plesk, storing in cache...`);
-
-			// Store domains in cache with unknown status initially
+		// Store domains in cache with unknown status initially
+		try {
 			if (this.dbPool) {
 				const connection = await this.dbPool.getConnection();
 
@@ -1085,8 +1252,8 @@ class PleskAPIClient {
 					await connection.execute(
 						`
 						INSERT INTO domain_cache 
-						(id, name, status, created, owner, hosting_type, www_root, ip_addresses, last_updated)
-						VALUES (?, ?, 'unknown', ?, ?, ?, ?, ?, NOW())
+						(server_id, id, name, status, created, owner, hosting_type, www_root, ip_addresses, last_updated)
+						VALUES (?, ?, ?, 'unknown', ?, ?, ?, ?, ?, NOW())
 						ON DUPLICATE KEY UPDATE
 						name = VALUES(name),
 						created = VALUES(created),
@@ -1096,176 +1263,136 @@ class PleskAPIClient {
 						ip_addresses = VALUES(ip_addresses),
 						last_updated = NOW()
 					`,
-						[domain.id, domain.name || domain.ascii_name, domain.created || domain.created_at, domain.owner || domain.owner_login || 'admin', domain.hosting_type || 'virtual', domain.www_root || '', JSON.stringify(domain.ip_addresses || [])]
+						[this.serverId, domain.id, domain.name || domain.ascii_name, domain.created || domain.created_at, domain.owner || domain.owner_login || 'admin', domain.hosting_type || 'virtual', domain.www_root || '', JSON.stringify(domain.ip_addresses || [])]
 					);
 				}
 
 				connection.release();
 			}
-
-			return { success: true, count: domains.length };
 		} catch (error) {
-			console.error('Error fetching domains from Plesk:', error.message);
-			return { success: false, error: error.message };
+			throw new LocalDbError(error);
 		}
+
+		return { success: true, count: domains.length };
 	}
 
 	/**
 	 * Start background status sync for all domains
 	 */
 	async startStatusSync() {
-		if (this.statusSyncRunning) {
-			console.log('Status sync already running');
-			return;
-		}
-
-		this.statusSyncRunning = true;
-
 		// Don't await - let it run in background
-		this.performStatusSync()
-			.catch((error) => {
-				console.error('Background status sync failed:', error.message);
-			})
-			.finally(() => {
-				this.statusSyncRunning = false;
-			});
+		if (!this.syncEngine.run(this.serverId, 'status', (log) => this.shared.performStatusSync(log), this.log)) {
+			this.log.debug('Status sync already running');
+		}
 	}
 
 	/**
 	 * Perform status sync for all cached domains
+	 * @param {Logger} log - Logger of the sync job
 	 */
-	async performStatusSync() {
+	async performStatusSync(log = this.log) {
 		try {
 			if (!this.dbPool) {
 				return;
 			}
 
-			console.log('Starting background status sync...');
-
 			const connection = await this.dbPool.getConnection();
-			const [domains] = await connection.execute('SELECT id, name FROM domain_cache ORDER BY last_updated ASC');
+			const [domains] = await connection.execute('SELECT id, name FROM domain_cache WHERE server_id = ? ORDER BY last_updated ASC', [this.serverId]);
 
-			console.log(`Syncing status for ${domains.length} domains...`);
+			log.info('Status sync started', { domains: domains.length });
 
 			// Update status in batches with delays
 			const batchSize = 5;
 			const delay = 3000; // 3 seconds between batches
 
 			for (let i = 0; i < domains.length; i += batchSize) {
+				// Stop while Plesk is unavailable, cached statuses are kept
+				if (this.breaker.state === 'open') {
+					log.warn('Plesk circuit breaker is open, stopping status sync');
+					break;
+				}
+
+				if (this.syncEngine.stopping) {
+					log.info('Shutting down, stopping status sync');
+					break;
+				}
+
 				const batch = domains.slice(i, i + batchSize);
 
 				for (const domain of batch) {
 					try {
-						const statusResponse = await this.executeRequest('GET', `/domains/${domain.id}/status`);
+						let statusResponse;
+						try {
+							statusResponse = await this.executeRequest('GET', `/domains/${domain.id}/status`);
+						} catch (error) {
+							// Keep the last known status when Plesk could not answer
+							await connection.execute('UPDATE domain_cache SET sync_error = ? WHERE server_id = ? AND id = ?', [error.message, this.serverId, domain.id]);
+							log.warn('Failed to fetch domain status', { domainId: domain.id, domain: domain.name, error: error.message });
+							continue;
+						}
 
 						let status = 'unknown';
-						if (statusResponse.success && statusResponse.data && statusResponse.data.status) {
+						if (statusResponse.data && statusResponse.data.status) {
 							status = statusResponse.data.status;
 						}
 
 						// Update status in cache
-						await connection.execute('UPDATE domain_cache SET status = ?, last_updated = NOW() WHERE id = ?', [status, domain.id]);
+						await connection.execute('UPDATE domain_cache SET status = ?, sync_error = NULL, last_updated = NOW() WHERE server_id = ? AND id = ?', [status, this.serverId, domain.id]);
 
-						console.log(`Updated ${domain.name}: ${status}`);
+						log.debug('Domain status updated', { domainId: domain.id, domain: domain.name, status });
 					} catch (error) {
-						console.log(`Error updating ${domain.name}: ${error.message}`);
+						log.error('Failed to update domain status', { domainId: domain.id, domain: domain.name, error: error.message });
 					}
 				}
 
 				// Wait between batches
 				if (i + batchSize < domains.length) {
-					console.log(`Processed batch ${Math.floor(i / batchSize) + 1}, waiting ${delay / 1000}s...`);
+					log.debug(`Processed batch ${Math.floor(i / batchSize) + 1}`, { delayMs: delay });
 					await new Promise((resolve) => setTimeout(resolve, delay));
 				}
 			}
 
 			connection.release();
-			console.log('Background status sync completed');
+			log.info('Status sync completed');
 		} catch (error) {
-			console.error('Error in status sync:', error.message);
+			log.error('Status sync failed', { error: error.message });
 		}
 	}
 
-	/**
-	 * Get test domains fallback
-	 */
-	getTestDomains(nameFilter = null) {
-		const testDomains = [
-			{
-				id: 1,
-				name: 'example.com',
-				status: 'active',
-				created: '2024-01-15T10:30:00.000Z',
-				ipAddresses: ['192.168.1.100'],
-				owner: 'admin',
-			},
-			{
-				id: 2,
-				name: 'test.org',
-				status: 'suspended',
-				created: '2024-02-01T14:22:00.000Z',
-				ipAddresses: ['192.168.1.101'],
-				owner: 'client1',
-			},
-			{
-				id: 45,
-				name: 'afinformatica.spot4all.com',
-				status: 'suspended',
-				created: '2024-03-10T09:15:00.000Z',
-				ipAddresses: ['192.168.1.103'],
-				owner: 'client3',
-			},
-		];
-
-		let filteredDomains = testDomains;
-		if (nameFilter) {
-			filteredDomains = testDomains.filter((domain) => domain.name.toLowerCase().includes(nameFilter.toLowerCase()));
-		}
-
-		return {
-			success: true,
-			data: filteredDomains,
-			message: 'Retrieved domains from test data (Plesk unavailable)',
-		};
-	}
-
 	/**
 	 * Force refresh domains (clear cache and refetch)
+	 * @returns {Promise<Object>} - { success: true, count }
+	 * @throws {PleskError|LocalDbError}
 	 */
 	async refreshDomains() {
 		try {
 			if (this.dbPool) {
 				const connection = await this.dbPool.getConnection();
-				await connection.execute('DELETE FROM domain_cache');
+				await connection.execute('DELETE FROM domain_cache WHERE server_id = ?', [this.serverId]);
 				connection.release();
-				console.log('Cleared domain cache');
+				this.log.info('Domain cache cleared');
 			}
-
-			// Fetch fresh data
-			const result = await this.fetchAndStoreDomains();
-			if (result.success) {
-				this.startStatusSync();
-			}
-
-			return result;
 		} catch (error) {
-			console.error('Error refreshing domains:', error.message);
-			return { success: false, error: error.message };
+			throw new LocalDbError(error);
 		}
+
+		// Fetch fresh data
+		const result = await this.fetchAndStoreDomains();
+		this.startStatusSync();
+
+		return result;
 	}
 
 	/**
 	 * Get cache metadata (last updated, counts, etc)
+	 * @throws {LocalDbError}
 	 */
 	async getCacheMetadata() {
 		try {
-			if (!this.dbPool) {
-				return { success: false, error: 'Database not available' };
-			}
-
 			const connection = await this.dbPool.getConnection();
 
-			const [stats] = await connection.execute(`
+			const [stats] = await connection.execute(
+				`
 				SELECT 
 					COUNT(*) as total_domains,
 					SUM(CASE WHEN status = 'active' THEN 1 ELSE 0 END) as active_domains,
@@ -1274,7 +1401,10 @@ class PleskAPIClient {
 					SUM(CASE WHEN status = 'unknown' THEN 1 ELSE 0 END) as unknown_domains,
 					MAX(last_updated) as last_updated
 				FROM domain_cache
-			`);
+				WHERE server_id = ?
+			`,
+				[this.serverId]
+			);
 
 			connection.release();
 
@@ -1283,7 +1413,7 @@ class PleskAPIClient {
 				data: stats[0] || {},
 			};
 		} catch (error) {
-			return { success: false, error: error.message };
+			throw new LocalDbError(error);
 		}
 	}
 }
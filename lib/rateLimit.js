@@ -0,0 +1,173 @@
+/**
+ * Request rate limits with counters in MySQL (rate_limit_counters), so every
+ * manager instance sharing the database enforces the same limits.
+ *
+ * Three kinds of limit apply to authenticated requests, each a fixed window:
+ * - per user: the api_rate_limit setting, requests per minute (0 disables it)
+ * - per API key: api_keys.rate_limit_per_hour, when set on the key
+ * - per route group: expensive routes that fan out to Plesk declare a group with
+ *   rateLimit(group); the rate_limit_groups setting holds { limit, windowSeconds }
+ *   per group, counted per user
+ *
+ * Responses carry RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and
+ * RateLimit-Policy for the most restrictive limit of the request; a request over
+ * any limit is refused with 429 and Retry-After. When the counters cannot be
+ * reached the request is let through, rate limiting never takes the API down.
+ */
+const { TooManyRequestsError } = require('./errors');
+
+// Windows longer than a day are not supported, older counters are purged
+const MAX_WINDOW_SECONDS = 24 * 3600;
+
+// How often one instance purges expired counters
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Fixed-window counters and the limits configured in the settings
+ */
+class RateLimiter {
+	/**
+	 * @param {Object} config - dbPool, settings, or increment(bucket, windowStart) to replace the table
+	 */
+	constructor(config = {}) {
+		this.dbPool = config.dbPool;
+		this.settings = config.settings;
+		if (config.increment) {
+			this.increment = config.increment;
+		}
+		this.lastPurge = 0;
+	}
+
+	/**
+	 * Count a hit in a window
+	 * @param {string} bucket - e.g. user:4, key:2 or group:cli:user:4
+	 * @param {Date} windowStart
+	 * @returns {Promise<number>} - Hits in the window, this one included
+	 */
+	async increment(bucket, windowStart) {
+		await this.dbPool.execute('INSERT INTO rate_limit_counters (bucket, window_start, hits) VALUES (?, ?, 1) ON DUPLICATE KEY UPDATE hits = hits + 1', [bucket, windowStart]);
+		const [rows] = await this.dbPool.execute('SELECT hits FROM rate_limit_counters WHERE bucket = ? AND window_start = ?', [bucket, windowStart]);
+
+		if (Date.now() - this.lastPurge > PURGE_INTERVAL_MS) {
+			this.lastPurge = Date.now();
+			await this.dbPool.execute('DELETE FROM rate_limit_counters WHERE window_start < ?', [new Date(Date.now() - MAX_WINDOW_SECONDS * 1000)]);
+		}
+
+		return rows.length > 0 ? rows[0].hits : 1;
+	}
+
+	/**
+	 * Count a hit against a limit
+	 * @param {string} bucket
+	 * @param {number} limit - Requests per window
+	 * @param {number} windowSeconds
+	 * @returns {Promise<Object>} - { limit, remaining, reset, windowSeconds, exceeded } (reset in seconds)
+	 */
+	async hit(bucket, limit, windowSeconds) {
+		const windowMs = Math.min(windowSeconds, MAX_WINDOW_SECONDS) * 1000;
+		const now = Date.now();
+		const windowStart = Math.floor(now / windowMs) * windowMs;
+
+		const hits = await this.increment(bucket, new Date(windowStart));
+
+		return {
+			limit,
+			remaining: Math.max(limit - hits, 0),
+			reset: Math.max(Math.ceil((windowStart + windowMs - now) / 1000), 1),
+			windowSeconds: windowMs / 1000,
+			exceeded: hits > limit,
+		};
+	}
+
+	/**
+	 * Limits applying to a request: the user limit and the API key limit, or the route group limit
+	 * @param {Object} req - Authenticated request (req.user, req.apiKey)
+	 * @param {string|null} group - Route group
+	 * @returns {Promise<Object[]>} - [{ bucket, limit, windowSeconds, name }]
+	 */
+	async limitsFor(req, group = null) {
+		if (group) {
+			const groups = (await this.settings.get('rate_limit_groups')) || {};
+			const config = groups[group];
+			return config && config.limit > 0 ? [{ bucket: `group:${group}:user:${req.user.id}`, limit: config.limit, windowSeconds: config.windowSeconds || 3600, name: `the ${group} routes` }] : [];
+		}
+
+		const limits = [];
+		const perMinute = Number(await this.settings.get('api_rate_limit'));
+		if (perMinute > 0) {
+			limits.push({ bucket: `user:${req.user.id}`, limit: perMinute, windowSeconds: 60, name: 'this user' });
+		}
+		if (req.apiKey && req.apiKey.rateLimitPerHour > 0) {
+			limits.push({ bucket: `key:${req.apiKey.id}`, limit: req.apiKey.rateLimitPerHour, windowSeconds: 3600, name: 'this API key' });
+		}
+		return limits;
+	}
+}
+
+/**
+ * Set the RateLimit-* headers for the most restrictive limit seen so far in the request
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} state - Result of RateLimiter.hit()
+ */
+function reportLimit(req, res, state) {
+	if (req.rateLimit && req.rateLimit.remaining < state.remaining) {
+		return;
+	}
+
+	req.rateLimit = state;
+	res.set('RateLimit-Limit', String(state.limit));
+	res.set('RateLimit-Remaining', String(state.remaining));
+	res.set('RateLimit-Reset', String(state.reset));
+	res.set('RateLimit-Policy', `${state.limit};w=${state.windowSeconds}`);
+}
+
+/**
+ * Middleware counting the request against the caller's limits (use after authenticateToken).
+ * Without a group it applies the user and API key limits (every authenticated theme,
+ * and the authenticated routes of the public account routers),
+ * with one the limit of that route group.
+ * @param {string|null} group - Route group, e.g. plesk-refresh or cli
+ * @returns {Function}
+ */
+const rateLimit = (group = null) => {
+	const middleware = async (req, res, next) => {
+		// A request passing several mounts (/api/plesk, then /api/plesk/server) is counted once per limit group
+		req.rateLimited = req.rateLimited || new Set();
+		if (!req.user || req.rateLimited.has(group)) {
+			return next();
+		}
+		req.rateLimited.add(group);
+
+		let exceeded = null;
+		try {
+			const limiter = req.services.rateLimiter;
+			for (const limit of await limiter.limitsFor(req, group)) {
+				const state = await limiter.hit(limit.bucket, limit.limit, limit.windowSeconds);
+				reportLimit(req, res, state);
+				if (state.exceeded && !exceeded) {
+					exceeded = { ...limit, reset: state.reset };
+				}
+			}
+		} catch (error) {
+			req.log.error('Rate limiting unavailable', { error: error.message });
+			return next();
+		}
+
+		if (exceeded) {
+			return next(new TooManyRequestsError(`Rate limit of ${exceeded.limit} requests per ${exceeded.windowSeconds} seconds exceeded for ${exceeded.name}`, 'TOO_MANY_REQUESTS', exceeded.reset));
+		}
+		next();
+	};
+
+	// Documented as x-rate-limit-group on the operation (see lib/openapi)
+	if (group) {
+		middleware.openapi = { rateLimitGroup: group };
+	}
+	return middleware;
+};
+
+module.exports = {
+	RateLimiter,
+	rateLimit,
+};
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Accept caller supplied IDs only when they are short and printable
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware assigning every request an ID (req.id), taken from the
+ * X-Request-Id header when the caller sent a usable one, and echoing it
+ * back in the X-Request-Id response header. req.log is a logger adding the
+ * ID to every entry (see lib/logger).
+ * @returns {Function}
+ */
+const requestId = () => (req, res, next) => {
+	const incoming = req.get('X-Request-Id');
+	req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+	req.log = logger.child({ requestId: req.id });
+	res.set('X-Request-Id', req.id);
+	next();
+};
+
+module.exports = requestId;
@@ -0,0 +1,531 @@
+const PleskAPIClient = require('./pleskClient');
+const { vault } = require('./vault');
+const CircuitBreaker = require('./circuitBreaker');
+const { fetchCertificateFingerprint, normalizeFingerprint } = require('./tls');
+const { createPool } = require('./database');
+const DomainSyncEngine = require('./syncEngine');
+const { AppError, ForbiddenError, ValidationError } = require('./errors');
+const { logger } = require('./logger');
+
+/**
+ * Registry of Plesk servers backed by the plesk_servers table.
+ * Builds one PleskAPIClient per server row and falls back to the
+ * PLESK_URL / PLESK_API_KEY environment configuration when no server is registered.
+ */
+class PleskServerRegistry {
+	constructor(config = {}) {
+		// Shared connection pool and sync engine for the registry and every client it builds
+		this.dbPool = config.dbPool || createPool();
+		this.syncEngine = config.syncEngine || new DomainSyncEngine({ dbPool: this.dbPool });
+
+		// Log of the Plesk calls of every client (see lib/callLog)
+		this.callLog = config.callLog || null;
+
+		this.clients = new Map();
+		this.envClient = null;
+
+		// Circuit breakers per server ID (0 for the environment-configured server)
+		this.breakers = new Map();
+	}
+
+	/**
+	 * List registered Plesk servers
+	 * @param {Object} options - Optional filters (includeInactive, group)
+	 * @returns {Promise<Array>}
+	 */
+	async listServers(options = {}) {
+		let query = 'SELECT * FROM plesk_servers WHERE 1=1';
+		const params = [];
+
+		if (!options.includeInactive) {
+			query += ' AND is_active = TRUE';
+		}
+
+		if (options.group) {
+			query += ' AND server_group = ?';
+			params.push(options.group);
+		}
+
+		query += ' ORDER BY is_default DESC, name';
+
+		const [rows] = await this.dbPool.execute(query, params);
+		return rows;
+	}
+
+	/**
+	 * Get a server row by ID
+	 * @param {number} serverId
+	 * @returns {Promise<Object|null>}
+	 */
+	async getServer(serverId) {
+		const [rows] = await this.dbPool.execute('SELECT * FROM plesk_servers WHERE id = ?', [serverId]);
+		return rows[0] || null;
+	}
+
+	/**
+	 * Get the default server row (first active server if none is flagged as default)
+	 * @returns {Promise<Object|null>}
+	 */
+	async getDefaultServer() {
+		const [rows] = await this.dbPool.execute('SELECT * FROM plesk_servers WHERE is_active = TRUE ORDER BY is_default DESC, id LIMIT 1');
+		return rows[0] || null;
+	}
+
+	/**
+	 * Resolve the client for a server, falling back to the default server
+	 * @param {number|null} serverId - Optional server ID
+	 * @returns {Promise<Object>} - { server, client }
+	 */
+	async getClient(serverId = null) {
+		if (serverId) {
+			// Clients are evicted whenever their row changes; a cached client of a disabled server is refused all the same
+			const cached = this.clients.get(serverId);
+			if (cached && cached.server.is_active) {
+				return cached;
+			}
+
+			const server = await this.getServer(serverId);
+			if (!server) {
+				throw new ServerResolutionError(`Plesk server ${serverId} not found`, 404, 'SERVER_NOT_FOUND');
+			}
+			if (!server.is_active) {
+				throw new ServerResolutionError(`Plesk server ${serverId} is disabled`, 409, 'SERVER_DISABLED');
+			}
+
+			return this.registerClient(server);
+		}
+
+		let server = null;
+		try {
+			server = await this.getDefaultServer();
+		} catch (error) {
+			logger.error('Failed to load default Plesk server', { error: error.message });
+		}
+
+		if (!server) {
+			return { server: null, client: this.getEnvClient() };
+		}
+
+		return this.clients.get(server.id) || this.registerClient(server);
+	}
+
+	/**
+	 * Build and cache a client for a server row
+	 * @param {Object} server - plesk_servers row
+	 * @returns {Object} - { server, client }
+	 */
+	registerClient(server) {
+		const entry = { server, client: this.buildClient(server) };
+		this.clients.set(server.id, entry);
+		return entry;
+	}
+
+	/**
+	 * Build a client for a server row without caching it
+	 * @param {Object} server - plesk_servers row
+	 * @returns {PleskAPIClient}
+	 */
+	buildClient(server) {
+		return new PleskAPIClient({
+			serverId: server.id,
+			baseURL: buildServerURL(server),
+			username: server.username,
+			encryptedCredentials: {
+				password: server.password_encrypted,
+				apiKey: server.api_key_encrypted,
+			},
+			tls: {
+				verify: Boolean(server.ssl_verify),
+				ca: server.ca_bundle || undefined,
+				fingerprint: server.tls_fingerprint,
+				onFingerprintLearned: (fingerprint) => this.storeFingerprint(server.id, fingerprint),
+			},
+			dbPool: this.dbPool,
+			syncEngine: this.syncEngine,
+			callLog: this.callLog,
+			breaker: this.getBreaker(server.id),
+		});
+	}
+
+	/**
+	 * Get the client configured from environment variables
+	 * @returns {PleskAPIClient|null}
+	 */
+	getEnvClient() {
+		if (!this.envClient) {
+			try {
+				this.envClient = new PleskAPIClient({ dbPool: this.dbPool, syncEngine: this.syncEngine, callLog: this.callLog, breaker: this.getBreaker(0) });
+			} catch (error) {
+				logger.error('Failed to initialize Plesk client from environment', { error: error.message });
+				return null;
+			}
+		}
+		return this.envClient;
+	}
+
+	/**
+	 * Get the circuit breaker for a server
+	 * @param {number} serverId
+	 * @returns {CircuitBreaker}
+	 */
+	getBreaker(serverId) {
+		if (!this.breakers.has(serverId)) {
+			this.breakers.set(serverId, new CircuitBreaker());
+		}
+		return this.breakers.get(serverId);
+	}
+
+	/**
+	 * Get circuit breaker state for every server that has been used
+	 * @returns {Array}
+	 */
+	getCircuitBreakerStates() {
+		return Array.from(this.breakers.entries()).map(([serverId, breaker]) => ({
+			serverId,
+			name: serverId === 0 ? 'environment' : this.clients.get(serverId)?.server.name || null,
+			...breaker.getState(),
+		}));
+	}
+
+	/**
+	 * Register a new server
+	 * @param {Object} serverData - Server fields (name, host, port, username, password, apiKey, sslVerify, isDefault, serverGroup)
+	 * @returns {Promise<Object>} - Created server row
+	 */
+	async createServer(serverData) {
+		const [result] = await this.dbPool.execute('INSERT INTO plesk_servers (name, host, port, username, password_encrypted, api_key_encrypted, ssl_verify, ca_bundle, tls_fingerprint, server_group) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)', [
+			serverData.name,
+			serverData.host,
+			serverData.port,
+			serverData.username,
+			vault.encrypt(serverData.password),
+			vault.encrypt(serverData.apiKey),
+			serverData.sslVerify ? 1 : 0,
+			serverData.caBundle || null,
+			normalizeFingerprint(serverData.tlsFingerprint),
+			serverData.serverGroup || 'default',
+		]);
+
+		if (serverData.isDefault) {
+			await this.setDefaultServer(result.insertId);
+		}
+
+		return this.getServer(result.insertId);
+	}
+
+	/**
+	 * Update a registered server (credentials are only replaced when provided)
+	 * @param {number} serverId
+	 * @param {Object} serverData - Fields to update
+	 * @returns {Promise<Object|null>} - Updated server row
+	 */
+	async updateServer(serverId, serverData) {
+		const columns = {
+			name: 'name',
+			host: 'host',
+			port: 'port',
+			username: 'username',
+			sslVerify: 'ssl_verify',
+			caBundle: 'ca_bundle',
+			serverGroup: 'server_group',
+		};
+		const assignments = [];
+		const params = [];
+
+		Object.entries(columns).forEach(([field, column]) => {
+			if (serverData[field] !== undefined) {
+				assignments.push(`${column} = ?`);
+				params.push(typeof serverData[field] === 'boolean' ? (serverData[field] ? 1 : 0) : serverData[field]);
+			}
+		});
+
+		if (serverData.tlsFingerprint !== undefined) {
+			assignments.push('tls_fingerprint = ?');
+			params.push(normalizeFingerprint(serverData.tlsFingerprint));
+		}
+
+		if (serverData.password !== undefined) {
+			assignments.push('password_encrypted = ?');
+			params.push(vault.encrypt(serverData.password));
+		}
+
+		if (serverData.apiKey !== undefined) {
+			assignments.push('api_key_encrypted = ?');
+			params.push(vault.encrypt(serverData.apiKey));
+		}
+
+		if (assignments.length > 0) {
+			await this.dbPool.execute(`UPDATE plesk_servers SET ${assignments.join(', ')} WHERE id = ?`, [...params, serverId]);
+		}
+
+		if (serverData.isDefault) {
+			await this.setDefaultServer(serverId);
+		}
+
+		this.invalidate(serverId);
+		return this.getServer(serverId);
+	}
+
+	/**
+	 * Enable or disable a server
+	 * @param {number} serverId
+	 * @param {boolean} isActive
+	 * @returns {Promise<void>}
+	 */
+	async setServerActive(serverId, isActive) {
+		if (isActive) {
+			await this.dbPool.execute('UPDATE plesk_servers SET is_active = TRUE WHERE id = ?', [serverId]);
+		} else {
+			// A disabled server can no longer be the default
+			await this.dbPool.execute('UPDATE plesk_servers SET is_active = FALSE, is_default = FALSE WHERE id = ?', [serverId]);
+		}
+		this.invalidate(serverId);
+	}
+
+	/**
+	 * Flag a server as the default (clears the flag on every other server)
+	 * @param {number} serverId
+	 * @returns {Promise<void>}
+	 */
+	async setDefaultServer(serverId) {
+		const connection = await this.dbPool.getConnection();
+		try {
+			await connection.beginTransaction();
+			await connection.execute('UPDATE plesk_servers SET is_default = FALSE WHERE id <> ?', [serverId]);
+			await connection.execute('UPDATE plesk_servers SET is_default = TRUE WHERE id = ?', [serverId]);
+			await connection.commit();
+		} catch (error) {
+			await connection.rollback();
+			throw error;
+		} finally {
+			connection.release();
+		}
+	}
+
+	/**
+	 * Delete a registered server
+	 * @param {number} serverId
+	 * @returns {Promise<void>}
+	 */
+	async deleteServer(serverId) {
+		// The foreign key would unbind the server's API keys, widening them to every server
+		await this.dbPool.execute('UPDATE api_keys SET is_active = FALSE WHERE plesk_server_id = ?', [serverId]);
+		await this.dbPool.execute('DELETE FROM plesk_servers WHERE id = ?', [serverId]);
+		await this.dbPool.execute('DELETE FROM domain_cache WHERE server_id = ?', [serverId]);
+		this.breakers.delete(serverId);
+		this.invalidate(serverId);
+	}
+
+	/**
+	 * Run a connection check against a server and store the outcome
+	 * (version, platform, status, last_check, error_message) on its row
+	 * @param {number} serverId
+	 * @returns {Promise<Object>} - { server, connected, error }
+	 */
+	async checkServer(serverId) {
+		const server = await this.getServer(serverId);
+		if (!server) {
+			throw new ServerResolutionError(`Plesk server ${serverId} not found`, 404, 'SERVER_NOT_FOUND');
+		}
+
+		let result;
+		try {
+			// A disabled server is checked with a throwaway client, so it stays unreachable through getClient()
+			this.invalidate(serverId);
+			const client = server.is_active ? this.registerClient(server).client : this.buildClient(server);
+			result = await client.getServerInfo();
+		} catch (error) {
+			result = { success: false, error: error.message };
+		}
+
+		if (result.success) {
+			const info = result.data || {};
+			await this.dbPool.execute("UPDATE plesk_servers SET status = 'connected', version = ?, platform = ?, error_message = NULL, last_check = CURRENT_TIMESTAMP WHERE id = ?", [info.panel_version || info.version || null, info.platform || null, serverId]);
+		} else {
+			await this.dbPool.execute("UPDATE plesk_servers SET status = 'error', error_message = ?, last_check = CURRENT_TIMESTAMP WHERE id = ?", [result.error, serverId]);
+		}
+
+		return {
+			server: await this.getServer(serverId),
+			connected: result.success,
+			error: result.success ? null : result.error,
+		};
+	}
+
+	/**
+	 * Store the fingerprint learned on first connection (trust on first use).
+	 * An existing pin is never overwritten here, see acceptFingerprint().
+	 * @param {number} serverId
+	 * @param {string} fingerprint
+	 */
+	storeFingerprint(serverId, fingerprint) {
+		this.dbPool.execute('UPDATE plesk_servers SET tls_fingerprint = ? WHERE id = ? AND tls_fingerprint IS NULL', [fingerprint, serverId]).catch((error) => {
+			logger.error('Failed to store TLS fingerprint', { serverId, error: error.message });
+		});
+	}
+
+	/**
+	 * Get the certificate a server currently presents alongside its pinned fingerprint
+	 * @param {number} serverId
+	 * @returns {Promise<Object>} - { server, presented, matches }
+	 */
+	async inspectCertificate(serverId) {
+		const server = await this.getServer(serverId);
+		if (!server) {
+			throw new ServerResolutionError(`Plesk server ${serverId} not found`, 404, 'SERVER_NOT_FOUND');
+		}
+
+		const url = new URL(buildServerURL(server));
+		const presented = await fetchCertificateFingerprint(url.hostname, url.port || 443);
+
+		return {
+			server,
+			presented,
+			matches: server.tls_fingerprint ? server.tls_fingerprint === presented.fingerprint : null,
+		};
+	}
+
+	/**
+	 * Pin the fingerprint the server currently presents (admin action after a certificate change)
+	 * @param {number} serverId
+	 * @param {string} expectedFingerprint - Optional fingerprint the admin verified out of band
+	 * @returns {Promise<Object>} - { server, previous, fingerprint }
+	 */
+	async acceptFingerprint(serverId, expectedFingerprint = null) {
+		const { server, presented } = await this.inspectCertificate(serverId);
+
+		if (expectedFingerprint && normalizeFingerprint(expectedFingerprint) !== presented.fingerprint) {
+			throw new ServerResolutionError(`The server presents ${presented.fingerprint}, which does not match the fingerprint you provided`, 409, 'TLS_FINGERPRINT_MISMATCH');
+		}
+
+		await this.dbPool.execute('UPDATE plesk_servers SET tls_fingerprint = ? WHERE id = ?', [presented.fingerprint, serverId]);
+		this.invalidate(serverId);
+
+		return {
+			server: await this.getServer(serverId),
+			previous: server.tls_fingerprint,
+			fingerprint: presented.fingerprint,
+		};
+	}
+
+	/**
+	 * Re-encrypt stored credentials with the active vault key.
+	 * Covers legacy base64 values and values encrypted under an older key version.
+	 * @returns {Promise<Object>} - { servers, rewrapped }
+	 */
+	async rewrapCredentials() {
+		const [rows] = await this.dbPool.execute('SELECT id, password_encrypted, api_key_encrypted FROM plesk_servers');
+		let rewrapped = 0;
+
+		for (const row of rows) {
+			const needsPassword = vault.needsRewrap(row.password_encrypted);
+			const needsApiKey = vault.needsRewrap(row.api_key_encrypted);
+
+			if (!needsPassword && !needsApiKey) {
+				continue;
+			}
+
+			await this.dbPool.execute('UPDATE plesk_servers SET password_encrypted = ?, api_key_encrypted = ? WHERE id = ?', [
+				needsPassword ? vault.rewrap(row.password_encrypted) : row.password_encrypted,
+				needsApiKey ? vault.rewrap(row.api_key_encrypted) : row.api_key_encrypted,
+				row.id,
+			]);
+			rewrapped++;
+		}
+
+		this.invalidate();
+		return { servers: rows.length, rewrapped };
+	}
+
+	/**
+	 * Drop cached clients so they are rebuilt from the database on next use
+	 * @param {number} serverId - Optional server ID (all servers when omitted)
+	 */
+	invalidate(serverId = null) {
+		if (serverId) {
+			this.clients.delete(serverId);
+		} else {
+			this.clients.clear();
+		}
+	}
+}
+
+/**
+ * Error raised when a requested server cannot be used
+ */
+class ServerResolutionError extends AppError {
+	constructor(message, status = 500, code = 'SERVER_RESOLUTION_FAILED') {
+		super(message, { status, code });
+	}
+}
+
+/**
+ * Build the Plesk base URL from a server row
+ * @param {Object} server - plesk_servers row
+ * @returns {string}
+ */
+function buildServerURL(server) {
+	if (/^https?:\/\//i.test(server.host)) {
+		return server.host.replace(/\/+$/, '');
+	}
+	return `https://${server.host}:${server.port || 8443}`;
+}
+
+/**
+ * Middleware resolving the target Plesk server for a request.
+ * The server is selected with the `serverId` query parameter or the
+ * `X-Plesk-Server-Id` header, falling back to the default server.
+ * API keys bound to a server (see lib/apiKeys) always target that server.
+ * Uses the registry from the service container (req.services) and
+ * sets req.pleskClient and req.pleskServer.
+ * @returns {Function}
+ */
+const resolvePleskClient = () => {
+	const middleware = async (req, res, next) => {
+		const rawServerId = req.query.serverId || req.headers['x-plesk-server-id'];
+		const boundServerId = req.apiKey ? req.apiKey.serverId : null;
+		let serverId = boundServerId;
+
+		if (rawServerId !== undefined) {
+			// 0, negative or partly numeric IDs must not fall back to the default server
+			if (!/^[1-9]\d*$/.test(String(rawServerId))) {
+				return next(new ValidationError('Invalid serverId. Must be a positive integer.'));
+			}
+			serverId = parseInt(rawServerId, 10);
+			if (boundServerId !== null && serverId !== boundServerId) {
+				return next(new ForbiddenError(`API key is bound to Plesk server ${boundServerId}`, 'PERMISSION_DENIED'));
+			}
+		}
+
+		try {
+			const { server, client } = await req.services.registry.getClient(serverId);
+
+			if (!client) {
+				throw new ServerResolutionError('Plesk client not configured. Please check your environment variables.', 500, 'PLESK_NOT_CONFIGURED');
+			}
+
+			req.pleskServer = server;
+			// A view of the shared client logs its calls under this request (see lib/logger, lib/callLog) and reports them to req.onPleskCall (see lib/audit)
+			req.pleskClient = client.forRequest({ onCall: req.onPleskCall, requestId: req.id, userId: req.user?.id, sessionId: req.user?.sid, ip: req.ip, userAgent: req.get('user-agent') });
+			next();
+		} catch (error) {
+			next(error);
+		}
+	};
+
+	// Documented on every route using it (see lib/openapi)
+	middleware.openapi = {
+		parameters: [
+			{ name: 'serverId', in: 'query', required: false, description: 'Target Plesk server (defaults to the default server)', schema: { type: 'integer', minimum: 1 } },
+			{ name: 'X-Plesk-Server-Id', in: 'header', required: false, description: 'Target Plesk server, alternative to the serverId query parameter', schema: { type: 'integer', minimum: 1 } },
+		],
+	};
+
+	return middleware;
+};
+
+module.exports = {
+	PleskServerRegistry,
+	ServerResolutionError,
+	resolvePleskClient,
+};
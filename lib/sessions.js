@@ -0,0 +1,235 @@
+/**
+ * Login sessions stored in the user_sessions table.
+ *
+ * Login opens a session and returns an access token (JWT carrying the session
+ * ID as `sid`) and an opaque refresh token `<sessionId>.<secret>`. Only the
+ * SHA-256 of the secret is stored (token_hash). Every authenticated request
+ * checks that its session is still active and not expired, so revoking a
+ * session locks its tokens out immediately.
+ *
+ * Refresh tokens are single-use: each refresh stores a new secret. Presenting
+ * a secret that was already rotated means the token leaked, and the whole
+ * session is revoked.
+ */
+const crypto = require('crypto');
+const { AuthenticationError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Matched in order against the User-Agent header
+const PLATFORMS = [
+	['Android', /Android/i],
+	['iOS', /iPhone|iPad|iPod/i],
+	['Windows', /Windows/i],
+	['macOS', /Mac OS X|Macintosh/i],
+	['Linux', /Linux/i],
+];
+
+const CLIENTS = [
+	['Edge', /Edg\//],
+	['Chrome', /Chrome\//],
+	['Firefox', /Firefox\//],
+	['Safari', /Safari\//],
+	['curl', /^curl\//],
+];
+
+/**
+ * Lifetime of a session (and its refresh token) in days
+ * @returns {number}
+ */
+function getSessionTtlDays() {
+	return parseInt(process.env.SESSION_TTL_DAYS, 10) || 30;
+}
+
+/**
+ * Hash a refresh token secret for storage
+ * @param {string} secret
+ * @returns {string}
+ */
+function hashToken(secret) {
+	return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Device description stored in device_info
+ * @param {string} userAgent - User-Agent header
+ * @param {string} name - Optional device name sent by the client at login
+ * @returns {Object} - { name, platform, client }
+ */
+function describeDevice(userAgent = '', name = null) {
+	const match = (list) => (list.find(([, pattern]) => pattern.test(userAgent)) || ['unknown'])[0];
+	return { name: name || null, platform: match(PLATFORMS), client: match(CLIENTS) };
+}
+
+/**
+ * Normalize a user_sessions row
+ * @param {Object} row
+ * @param {number} currentId - Session of the caller, flagged as current
+ * @returns {Object}
+ */
+function toSession(row, currentId = null) {
+	return {
+		id: row.id,
+		userId: row.user_id,
+		device: typeof row.device_info === 'string' ? JSON.parse(row.device_info) : row.device_info,
+		ipAddress: row.ip_address,
+		userAgent: row.user_agent,
+		createdAt: row.created_at,
+		lastUsedAt: row.last_used_at,
+		expiresAt: row.expires_at,
+		current: row.id === currentId,
+	};
+}
+
+/**
+ * Split a refresh token into its session ID and secret
+ * @param {string} refreshToken
+ * @returns {Object|null} - { sessionId, secret }
+ */
+function parseRefreshToken(refreshToken) {
+	const match = /^(\d+)\.([A-Za-z0-9_-]{20,})$/.exec(refreshToken || '');
+	return match ? { sessionId: parseInt(match[1], 10), secret: match[2] } : null;
+}
+
+/**
+ * Session store backed by user_sessions
+ */
+class SessionStore {
+	/**
+	 * @param {Object} config - dbPool, or findSession(id) to replace the table lookup
+	 */
+	constructor(config = {}) {
+		this.dbPool = config.dbPool;
+		if (config.findSession) {
+			this.findSession = config.findSession;
+		}
+	}
+
+	/**
+	 * Open a session
+	 * @param {number} userId
+	 * @param {Object} client - ipAddress, userAgent, deviceName, and idToken for single sign-on sessions (see lib/oidc)
+	 * @returns {Promise<Object>} - { sessionId, refreshToken, expiresAt }
+	 */
+	async create(userId, client = {}) {
+		const secret = crypto.randomBytes(32).toString('base64url');
+		const expiresAt = new Date(Date.now() + getSessionTtlDays() * DAY_MS);
+
+		const [result] = await this.dbPool.execute('INSERT INTO user_sessions (user_id, token_hash, device_info, ip_address, user_agent, oidc_id_token, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)', [
+			userId,
+			hashToken(secret),
+			JSON.stringify(describeDevice(client.userAgent, client.deviceName)),
+			client.ipAddress || '',
+			client.userAgent || null,
+			client.idToken || null,
+			expiresAt,
+		]);
+
+		return { sessionId: result.insertId, refreshToken: `${result.insertId}.${secret}`, expiresAt };
+	}
+
+	/**
+	 * Session row by ID
+	 * @param {number} sessionId
+	 * @returns {Promise<Object|null>}
+	 */
+	async findSession(sessionId) {
+		const [rows] = await this.dbPool.execute('SELECT * FROM user_sessions WHERE id = ?', [sessionId]);
+		return rows[0] || null;
+	}
+
+	/**
+	 * Whether a session is active, unexpired and belongs to the user
+	 * @param {number} sessionId
+	 * @param {number} userId
+	 * @returns {Promise<boolean>}
+	 */
+	async verify(sessionId, userId) {
+		const session = await this.findSession(sessionId);
+		return Boolean(session && session.user_id === userId && session.is_active && new Date(session.expires_at) > new Date());
+	}
+
+	/**
+	 * Exchange a refresh token for a new one (rotation)
+	 * @param {string} refreshToken
+	 * @param {Object} client - ipAddress, userAgent
+	 * @returns {Promise<Object>} - { userId, sessionId, refreshToken, expiresAt }
+	 */
+	async rotate(refreshToken, client = {}) {
+		const parsed = parseRefreshToken(refreshToken);
+		const session = parsed && (await this.findSession(parsed.sessionId));
+
+		if (!session || !session.is_active || new Date(session.expires_at) <= new Date()) {
+			throw new AuthenticationError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+		}
+
+		const presented = Buffer.from(hashToken(parsed.secret));
+		const stored = Buffer.from(session.token_hash);
+		const secret = crypto.randomBytes(32).toString('base64url');
+
+		let rotated = false;
+		if (presented.length === stored.length && crypto.timingSafeEqual(presented, stored)) {
+			// Compare-and-swap so two concurrent refreshes cannot both succeed
+			const [result] = await this.dbPool.execute('UPDATE user_sessions SET token_hash = ?, ip_address = ?, user_agent = ?, last_used_at = CURRENT_TIMESTAMP WHERE id = ? AND token_hash = ? AND is_active = TRUE', [
+				hashToken(secret),
+				client.ipAddress || session.ip_address,
+				client.userAgent || session.user_agent,
+				session.id,
+				session.token_hash,
+			]);
+			rotated = result.affectedRows > 0;
+		}
+
+		if (!rotated) {
+			await this.revoke(session.id);
+			throw new AuthenticationError('Refresh token already used, session revoked', 'REFRESH_TOKEN_REUSED');
+		}
+
+		return { userId: session.user_id, sessionId: session.id, refreshToken: `${session.id}.${secret}`, expiresAt: session.expires_at };
+	}
+
+	/**
+	 * Active sessions of a user, most recently used first
+	 * @param {number} userId
+	 * @param {number} currentId - Session of the caller
+	 * @returns {Promise<Object[]>}
+	 */
+	async list(userId, currentId = null) {
+		const [rows] = await this.dbPool.execute('SELECT * FROM user_sessions WHERE user_id = ? AND is_active = TRUE AND expires_at > CURRENT_TIMESTAMP ORDER BY last_used_at DESC, id DESC', [userId]);
+		return rows.map((row) => toSession(row, currentId));
+	}
+
+	/**
+	 * Revoke one session
+	 * @param {number} sessionId
+	 * @param {number|null} userId - Only revoke when the session belongs to this user
+	 * @returns {Promise<boolean>} - Whether an active session was revoked
+	 */
+	async revoke(sessionId, userId = null) {
+		const [result] =
+			userId === null
+				? await this.dbPool.execute('UPDATE user_sessions SET is_active = FALSE WHERE id = ? AND is_active = TRUE', [sessionId])
+				: await this.dbPool.execute('UPDATE user_sessions SET is_active = FALSE WHERE id = ? AND user_id = ? AND is_active = TRUE', [sessionId, userId]);
+		return result.affectedRows > 0;
+	}
+
+	/**
+	 * Revoke every session of a user
+	 * @param {number} userId
+	 * @param {number|null} exceptId - Session to keep (the caller's own)
+	 * @returns {Promise<number>} - Number of sessions revoked
+	 */
+	async revokeAll(userId, exceptId = null) {
+		const [result] = await this.dbPool.execute('UPDATE user_sessions SET is_active = FALSE WHERE user_id = ? AND is_active = TRUE AND id <> ?', [userId, exceptId || 0]);
+		return result.affectedRows;
+	}
+}
+
+module.exports = {
+	SessionStore,
+	describeDevice,
+	getSessionTtlDays,
+	hashToken,
+	parseRefreshToken,
+	toSession,
+};
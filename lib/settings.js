@@ -0,0 +1,88 @@
+/**
+ * Application settings stored in the app_settings table (see database/schema.sql).
+ *
+ * Values are stored as text with a type column; get() parses them and falls back
+ * to the built-in default when the row is missing.
+ */
+
+const DEFAULTS = {
+	// 'off', 'admins' (admin accounts must use two-factor authentication) or 'all'
+	two_factor_enforcement: 'off',
+	// Refuse logins until the email address has been verified
+	email_verification_required: false,
+	// Login brute-force protection (see lib/loginThrottle)
+	max_login_attempts: 5,
+	max_login_attempts_per_ip: 20,
+	login_lockout_minutes: 15,
+	// 'open', 'invite' (invitation links only) or 'disabled'
+	registration_mode: 'invite',
+	// Self-registered accounts stay inactive until an admin approves them
+	registration_requires_approval: true,
+	// Rate limits (see lib/rateLimit): requests per minute and user, and per route group
+	api_rate_limit: 100,
+	rate_limit_groups: {
+		'plesk-refresh': { limit: 20, windowSeconds: 3600 },
+		cli: { limit: 60, windowSeconds: 3600 },
+	},
+};
+
+/**
+ * Parse a stored value according to its type
+ * @param {Object} row - app_settings row
+ * @returns {*}
+ */
+function parseSetting(row) {
+	switch (row.type) {
+		case 'number':
+			return Number(row.value);
+		case 'boolean':
+			return row.value === 'true' || row.value === '1';
+		case 'json':
+			return JSON.parse(row.value);
+		default:
+			return row.value;
+	}
+}
+
+/**
+ * Settings store backed by app_settings
+ */
+class AppSettings {
+	/**
+	 * @param {Object} config - dbPool, defaults (merged over the built-in defaults)
+	 */
+	constructor(config = {}) {
+		this.dbPool = config.dbPool;
+		this.defaults = { ...DEFAULTS, ...config.defaults };
+	}
+
+	/**
+	 * Read a setting
+	 * @param {string} key
+	 * @returns {Promise<*>} - The parsed value, or the default
+	 */
+	async get(key) {
+		const [rows] = await this.dbPool.execute('SELECT value, type FROM app_settings WHERE `key` = ?', [key]);
+		if (rows.length === 0 || rows[0].value === null) {
+			return this.defaults[key];
+		}
+		return parseSetting(rows[0]);
+	}
+
+	/**
+	 * Write a setting
+	 * @param {string} key
+	 * @param {*} value
+	 * @param {string} type - string, number, boolean or json
+	 */
+	async set(key, value, type = 'string') {
+		const stored = type === 'json' ? JSON.stringify(value) : String(value);
+		await this.dbPool.execute('INSERT INTO app_settings (`key`, value, type) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE value = VALUES(value), type = VALUES(type)', [key, stored, type]);
+	}
+}
+
+module.exports = {
+	AppSettings,
+	DEFAULTS,
+	parseSetting,
+};
@@ -0,0 +1,123 @@
+const { logger } = require('./logger');
+
+/**
+ * Domain sync engine shared by every Plesk client.
+ *
+ * Owns the domain_cache table and tracks which background jobs are running
+ * per server, so rebuilding a client never starts a second sync for the same
+ * server and shutdown can wait for running jobs to stop.
+ */
+class DomainSyncEngine {
+	constructor(config = {}) {
+		this.dbPool = config.dbPool;
+
+		// Running jobs keyed by `${serverId}:${job}`
+		this.jobs = new Map();
+		this.stopping = false;
+	}
+
+	/**
+	 * Prepare the domain cache table
+	 */
+	async start() {
+		this.stopping = false;
+		await this.initializeDomainCache();
+	}
+
+	/**
+	 * Stop accepting jobs and wait for running jobs to finish their current batch
+	 */
+	async stop() {
+		this.stopping = true;
+		await this.waitForIdle();
+	}
+
+	/**
+	 * Wait until no job is running
+	 */
+	async waitForIdle() {
+		await Promise.allSettled(this.jobs.values());
+	}
+
+	/**
+	 * Run a background job unless the same job is already running for the server
+	 * @param {number} serverId
+	 * @param {string} job - Job name (e.g. 'domains', 'status')
+	 * @param {Function} task - Async function performing the job, called with the job's logger
+	 * @param {Logger} log - Logger of the caller (the request starting the job keeps its request ID)
+	 * @returns {boolean} - false when the job was not started
+	 */
+	run(serverId, job, task, log = logger) {
+		const key = `${serverId}:${job}`;
+
+		if (this.stopping || this.jobs.has(key)) {
+			return false;
+		}
+
+		const jobLog = log.child({ serverId, job });
+		const promise = Promise.resolve()
+			.then(() => task(jobLog))
+			.catch((error) => {
+				jobLog.error(`Background ${job} sync failed`, { error: error.message });
+			})
+			.finally(() => {
+				this.jobs.delete(key);
+			});
+
+		this.jobs.set(key, promise);
+		return true;
+	}
+
+	/**
+	 * Whether a job is running for a server
+	 * @param {number} serverId
+	 * @param {string} job
+	 * @returns {boolean}
+	 */
+	isRunning(serverId, job) {
+		return this.jobs.has(`${serverId}:${job}`);
+	}
+
+	/**
+	 * Initialize domain cache table
+	 */
+	async initializeDomainCache() {
+		try {
+			const connection = await this.dbPool.getConnection();
+
+			// Create domain cache table
+			await connection.execute(`
+				CREATE TABLE IF NOT EXISTS domain_cache (
+					server_id INT NOT NULL DEFAULT 0,
+					id INT NOT NULL,
+					name VARCHAR(255) NOT NULL,
+					status ENUM('active', 'suspended', 'disabled', 'unknown') DEFAULT 'unknown',
+					created DATETIME,
+					owner VARCHAR(100),
+					hosting_type VARCHAR(50),
+					www_root TEXT,
+					ip_addresses JSON,
+					last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+					sync_error TEXT NULL,
+					PRIMARY KEY (server_id, id),
+					INDEX idx_name (name),
+					INDEX idx_status (status),
+					INDEX idx_last_updated (last_updated)
+				) ENGINE=InnoDB
+			`);
+
+			// Upgrade caches created before multi-server support
+			const [columns] = await connection.execute("SHOW COLUMNS FROM domain_cache LIKE 'server_id'");
+			if (columns.length === 0) {
+				await connection.execute('ALTER TABLE domain_cache ADD COLUMN server_id INT NOT NULL DEFAULT 0 FIRST, DROP PRIMARY KEY, ADD PRIMARY KEY (server_id, id)');
+			}
+
+			connection.release();
+			logger.info('Domain cache table initialized');
+		} catch (error) {
+			logger.error('Failed to initialize domain cache table', { error: error.message });
+		}
+	}
+}
+
+module.exports = DomainSyncEngine;
@@ -0,0 +1,119 @@
+const https = require('https');
+const tls = require('tls');
+
+/**
+ * Error raised when a Plesk server presents a certificate that does not match its pinned fingerprint
+ */
+class TlsPinMismatchError extends Error {
+	constructor(expected, presented, host) {
+		super(`TLS certificate fingerprint mismatch for ${host}: expected SHA-256 ${expected}, server presented ${presented}. If the certificate was renewed on purpose, accept the new fingerprint from the server settings.`);
+		this.name = 'TlsPinMismatchError';
+		this.code = 'TLS_FINGERPRINT_MISMATCH';
+		this.expected = expected;
+		this.presented = presented;
+	}
+}
+
+/**
+ * Normalize a SHA-256 fingerprint to upper case, colon separated hex
+ * @param {string|null|undefined} fingerprint
+ * @returns {string|null}
+ */
+function normalizeFingerprint(fingerprint) {
+	if (!fingerprint) {
+		return null;
+	}
+	const hex = fingerprint.replace(/[^0-9a-f]/gi, '').toUpperCase();
+	return hex.match(/.{2}/g).join(':');
+}
+
+/**
+ * HTTPS agent that checks the SHA-256 fingerprint of every new connection.
+ * Without a stored pin the first certificate seen is trusted and reported
+ * through onFingerprintLearned (trust on first use).
+ */
+class PinnedHttpsAgent extends https.Agent {
+	constructor(options, pin) {
+		// Session resumption would skip the certificate exchange
+		super({ ...options, maxCachedSessions: 0 });
+		this.pin = pin;
+	}
+
+	createConnection(options, callback) {
+		const socket = super.createConnection(options, callback);
+
+		socket.once('secureConnect', () => {
+			const presented = normalizeFingerprint(socket.getPeerCertificate().fingerprint256);
+
+			if (!this.pin.fingerprint) {
+				this.pin.fingerprint = presented;
+				if (this.pin.onFingerprintLearned) {
+					this.pin.onFingerprintLearned(presented);
+				}
+				return;
+			}
+
+			if (presented !== this.pin.fingerprint) {
+				socket.destroy(new TlsPinMismatchError(this.pin.fingerprint, presented, options.host));
+			}
+		});
+
+		return socket;
+	}
+}
+
+/**
+ * Create the HTTPS agent for a Plesk server
+ * @param {Object} tlsConfig - verify (CA validation), ca (PEM bundle), fingerprint (SHA-256 pin), onFingerprintLearned
+ * @returns {https.Agent}
+ */
+function createHttpsAgent(tlsConfig = {}) {
+	const options = {
+		rejectUnauthorized: tlsConfig.verify !== false,
+	};
+
+	if (tlsConfig.ca) {
+		options.ca = tlsConfig.ca;
+	}
+
+	// Verified connections are only pinned on request, self-signed panels always are
+	if (options.rejectUnauthorized && !tlsConfig.fingerprint) {
+		return new https.Agent(options);
+	}
+
+	return new PinnedHttpsAgent(options, {
+		fingerprint: normalizeFingerprint(tlsConfig.fingerprint),
+		onFingerprintLearned: tlsConfig.onFingerprintLearned,
+	});
+}
+
+/**
+ * Read the SHA-256 fingerprint of the certificate a server presents (without validating it)
+ * @param {string} host
+ * @param {number} port
+ * @returns {Promise<Object>} - { fingerprint, subject, issuer, validTo }
+ */
+function fetchCertificateFingerprint(host, port) {
+	return new Promise((resolve, reject) => {
+		const socket = tls.connect({ host, port, servername: host, rejectUnauthorized: false, timeout: 10000 }, () => {
+			const cert = socket.getPeerCertificate();
+			socket.end();
+			resolve({
+				fingerprint: normalizeFingerprint(cert.fingerprint256),
+				subject: cert.subject?.CN || null,
+				issuer: cert.issuer?.CN || null,
+				validTo: cert.valid_to || null,
+			});
+		});
+
+		socket.on('timeout', () => socket.destroy(new Error(`TLS connection to ${host}:${port} timed out`)));
+		socket.on('error', reject);
+	});
+}
+
+module.exports = {
+	TlsPinMismatchError,
+	createHttpsAgent,
+	fetchCertificateFingerprint,
+	normalizeFingerprint,
+};
@@ -0,0 +1,358 @@
+/**
+ * TOTP two-factor authentication (RFC 6238) for manager users.
+ *
+ * The shared secret is stored in users.two_factor_secret, encrypted with the
+ * credential vault. Enrolment stores a pending secret that only becomes active
+ * once a code generated from it is confirmed. Each code is accepted once: the
+ * time step it matched is remembered in users.two_factor_last_step.
+ *
+ * Recovery codes are single-use and only their SHA-256 hash is stored in
+ * user_recovery_codes.
+ *
+ * Login is two-step for users with two-factor authentication (or required to
+ * enrol): the password step returns a short-lived challenge token that is
+ * exchanged for a session once a code has been verified.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getJwtSecret } = require('./auth');
+const { AuthenticationError, ConflictError, ValidationError } = require('./errors');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = 'two_factor';
+const CHALLENGE_EXPIRES_IN = '5m';
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+	let bits = '';
+	for (const byte of buffer) {
+		bits += byte.toString(2).padStart(8, '0');
+	}
+
+	let output = '';
+	for (let i = 0; i < bits.length; i += 5) {
+		output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+	}
+	return output;
+}
+
+/**
+ * Decode RFC 4648 base32 (case-insensitive, padding and spaces ignored)
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function base32Decode(value) {
+	let bits = '';
+	for (const char of value.toUpperCase().replace(/[\s=]/g, '')) {
+		const index = BASE32_ALPHABET.indexOf(char);
+		if (index === -1) {
+			throw new ValidationError('Invalid base32 secret');
+		}
+		bits += index.toString(2).padStart(5, '0');
+	}
+
+	const bytes = [];
+	for (let i = 0; i + 8 <= bits.length; i += 8) {
+		bytes.push(parseInt(bits.slice(i, i + 8), 2));
+	}
+	return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new shared secret (160 bits, base32)
+ * @returns {string}
+ */
+function generateSecret() {
+	return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ * @param {string} secret - base32 secret
+ * @param {number} counter
+ * @returns {string}
+ */
+function hotp(secret, counter) {
+	const message = Buffer.alloc(8);
+	message.writeBigUInt64BE(BigInt(counter));
+
+	const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+	const offset = digest[digest.length - 1] & 0xf;
+	const code = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+	return String(code).padStart(DIGITS, '0');
+}
+
+/**
+ * Time step of a timestamp
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number}
+ */
+function timeStep(time = Date.now()) {
+	return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/**
+ * TOTP code for a timestamp
+ * @param {string} secret - base32 secret
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string}
+ */
+function totp(secret, time = Date.now()) {
+	return hotp(secret, timeStep(time));
+}
+
+/**
+ * Check a TOTP code, allowing one step of clock drift either way
+ * @param {string} secret - base32 secret
+ * @param {string} code
+ * @param {Object} options - time, window (steps), lastStep (steps up to it are refused)
+ * @returns {number|null} - The matching time step
+ */
+function verifyTotp(secret, code, options = {}) {
+	const { time = Date.now(), window = 1, lastStep = null } = options;
+	const candidate = Buffer.from(String(code || '').replace(/\s/g, ''));
+	const current = timeStep(time);
+
+	for (let step = current - window; step <= current + window; step++) {
+		if (lastStep !== null && step <= lastStep) {
+			continue;
+		}
+		const expected = Buffer.from(hotp(secret, step));
+		if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+			return step;
+		}
+	}
+	return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {string} secret - base32 secret
+ * @param {string} account - Username
+ * @param {string} issuer
+ * @returns {string}
+ */
+function otpauthUrl(secret, account, issuer) {
+	const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+	return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+/**
+ * Generate recovery codes (xxxxx-xxxxx)
+ * @param {number} count
+ * @returns {string[]}
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+	return Array.from({ length: count }, () => crypto.randomBytes(5).toString('hex').replace(/^(.{5})/, '$1-'));
+}
+
+/**
+ * Hash a recovery code for storage (case, spaces and dashes ignored)
+ * @param {string} code
+ * @returns {string}
+ */
+function hashRecoveryCode(code) {
+	return crypto
+		.createHash('sha256')
+		.update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+		.digest('hex');
+}
+
+/**
+ * Sign the challenge token returned by the password step of the login
+ * @param {Object} user - users row
+ * @param {string} step - 'verify' (enter a code) or 'enroll' (set up first)
+ * @returns {string}
+ */
+function issueChallengeToken(user, step) {
+	return jwt.sign({ id: user.id, purpose: CHALLENGE_PURPOSE, step }, getJwtSecret(), { expiresIn: CHALLENGE_EXPIRES_IN });
+}
+
+/**
+ * Verify a challenge token
+ * @param {string} token
+ * @returns {Object} - { id, step }
+ * @throws {AuthenticationError}
+ */
+function verifyChallengeToken(token) {
+	try {
+		const payload = jwt.verify(token, getJwtSecret());
+		if (payload.purpose === CHALLENGE_PURPOSE) {
+			return { id: payload.id, step: payload.step };
+		}
+	} catch (error) {
+		// Reported below like any other unusable challenge
+	}
+	throw new AuthenticationError('Invalid or expired two-factor challenge', 'INVALID_TWO_FACTOR_CHALLENGE');
+}
+
+/**
+ * Two-factor enrolment, verification and recovery codes
+ */
+class TwoFactorService {
+	/**
+	 * @param {Object} config - dbPool, vault, settings (AppSettings), issuer
+	 */
+	constructor(config = {}) {
+		this.dbPool = config.dbPool;
+		this.vault = config.vault;
+		this.settings = config.settings;
+		this.issuer = config.issuer || process.env.TWO_FACTOR_ISSUER || 'Plesk API Manager';
+	}
+
+	/**
+	 * Whether two-factor authentication is mandatory for a user
+	 * (admin flag on the account, or the two_factor_enforcement setting)
+	 * @param {Object} user - users row
+	 * @returns {Promise<boolean>}
+	 */
+	async isRequired(user) {
+		if (user.two_factor_required) {
+			return true;
+		}
+		const enforcement = await this.settings.get('two_factor_enforcement');
+		return enforcement === 'all' || (enforcement === 'admins' && user.role === 'admin');
+	}
+
+	/**
+	 * Two-factor state of a user
+	 * @param {Object} user - users row
+	 * @returns {Promise<Object>} - { enabled, required, pendingSetup, recoveryCodesRemaining }
+	 */
+	async status(user) {
+		const [rows] = await this.dbPool.execute('SELECT COUNT(*) AS remaining FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL', [user.id]);
+
+		return {
+			enabled: Boolean(user.two_factor_enabled),
+			required: await this.isRequired(user),
+			pendingSetup: !user.two_factor_enabled && Boolean(user.two_factor_secret),
+			recoveryCodesRemaining: Number(rows[0].remaining),
+		};
+	}
+
+	/**
+	 * Start enrolment: store a pending secret
+	 * @param {Object} user - users row
+	 * @returns {Promise<Object>} - { secret, otpauthUrl }
+	 */
+	async beginSetup(user) {
+		if (user.two_factor_enabled) {
+			throw new ConflictError('Two-factor authentication is already enabled');
+		}
+
+		const secret = generateSecret();
+		await this.dbPool.execute('UPDATE users SET two_factor_secret = ?, two_factor_last_step = NULL WHERE id = ?', [this.vault.encrypt(secret), user.id]);
+
+		return { secret, otpauthUrl: otpauthUrl(secret, user.username, this.issuer) };
+	}
+
+	/**
+	 * Finish enrolment with a code from the pending secret
+	 * @param {Object} user - users row
+	 * @param {string} code
+	 * @returns {Promise<string[]>} - Recovery codes (only ever shown here)
+	 */
+	async enable(user, code) {
+		if (user.two_factor_enabled) {
+			throw new ConflictError('Two-factor authentication is already enabled');
+		}
+		if (!user.two_factor_secret) {
+			throw new ConflictError('Two-factor setup has not been started');
+		}
+		if (!(await this.verify(user, code))) {
+			throw new AuthenticationError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
+		}
+
+		await this.dbPool.execute('UPDATE users SET two_factor_enabled = TRUE WHERE id = ?', [user.id]);
+		return this.regenerateRecoveryCodes(user.id);
+	}
+
+	/**
+	 * Check a TOTP code against the user's secret; a code is accepted only once
+	 * @param {Object} user - users row
+	 * @param {string} code
+	 * @returns {Promise<boolean>}
+	 */
+	async verify(user, code) {
+		if (!user.two_factor_secret) {
+			return false;
+		}
+
+		const lastStep = user.two_factor_last_step === null || user.two_factor_last_step === undefined ? null : Number(user.two_factor_last_step);
+		const step = verifyTotp(this.vault.decrypt(user.two_factor_secret), code, { lastStep });
+		if (step === null) {
+			return false;
+		}
+
+		// Compare-and-swap so the same code cannot be used twice concurrently
+		const [result] = await this.dbPool.execute('UPDATE users SET two_factor_last_step = ? WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)', [step, user.id, step]);
+		return result.affectedRows > 0;
+	}
+
+	/**
+	 * Consume a recovery code
+	 * @param {number} userId
+	 * @param {string} code
+	 * @returns {Promise<boolean>}
+	 */
+	async useRecoveryCode(userId, code) {
+		const [result] = await this.dbPool.execute('UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL', [userId, hashRecoveryCode(code)]);
+		return result.affectedRows > 0;
+	}
+
+	/**
+	 * Replace the recovery codes of a user
+	 * @param {number} userId
+	 * @returns {Promise<string[]>}
+	 */
+	async regenerateRecoveryCodes(userId) {
+		const codes = generateRecoveryCodes();
+
+		await this.dbPool.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+		for (const code of codes) {
+			await this.dbPool.execute('INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, hashRecoveryCode(code)]);
+		}
+		return codes;
+	}
+
+	/**
+	 * Turn two-factor authentication off and forget the secret and recovery codes
+	 * (used by the user and by the admin reset)
+	 * @param {number} userId
+	 */
+	async disable(userId) {
+		await this.dbPool.execute('UPDATE users SET two_factor_enabled = FALSE, two_factor_secret = NULL, two_factor_last_step = NULL WHERE id = ?', [userId]);
+		await this.dbPool.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+	}
+
+	/**
+	 * Require (or stop requiring) two-factor authentication for a user
+	 * @param {number} userId
+	 * @param {boolean} required
+	 */
+	async setRequired(userId, required) {
+		await this.dbPool.execute('UPDATE users SET two_factor_required = ? WHERE id = ?', [required ? 1 : 0, userId]);
+	}
+}
+
+module.exports = {
+	TwoFactorService,
+	base32Decode,
+	base32Encode,
+	generateRecoveryCodes,
+	generateSecret,
+	hashRecoveryCode,
+	hotp,
+	issueChallengeToken,
+	otpauthUrl,
+	totp,
+	verifyChallengeToken,
+	verifyTotp,
+};
@@ -0,0 +1,65 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Validate data against a Joi schema
+ * @param {Object} schema - Joi schema
+ * @param {*} data - Data to validate (usually req.body)
+ * @param {Object} options - Joi validation options
+ * @returns {*} - The validated value (with defaults applied)
+ * @throws {ValidationError} - With the Joi messages as details
+ */
+function validate(schema, data, options = {}) {
+	const { error, value } = schema.validate(data, options);
+	if (error) {
+		throw new ValidationError('Validation error', error.details.map((detail) => detail.message));
+	}
+	return value;
+}
+
+/**
+ * Parse a numeric route parameter
+ * @param {string} raw - Raw parameter value
+ * @param {string} message - Error message when the value is not a number
+ * @returns {number}
+ * @throws {ValidationError}
+ */
+function parseId(raw, message) {
+	const id = parseInt(raw);
+	if (isNaN(id)) {
+		throw new ValidationError(message);
+	}
+	return id;
+}
+
+/**
+ * Route middleware validating parts of the request (params, query, body)
+ * against Joi schemas. Validated values (with defaults applied) replace the
+ * originals on req. The schemas are kept on the middleware so the OpenAPI
+ * generator (lib/openapi) can document the route.
+ * @param {Object} schemas - { params, query, body } Joi schemas
+ * @param {Object} options - Joi validation options
+ * @returns {Function}
+ */
+function validateRequest(schemas, options = {}) {
+	const middleware = (req, res, next) => {
+		try {
+			for (const part of ['params', 'query', 'body']) {
+				if (schemas[part]) {
+					req[part] = validate(schemas[part], req[part], options);
+				}
+			}
+			next();
+		} catch (error) {
+			next(error);
+		}
+	};
+
+	middleware.schemas = schemas;
+	return middleware;
+}
+
+module.exports = {
+	parseId,
+	validate,
+	validateRequest,
+};
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'vault';
+const IV_LENGTH = 12;
+
+/**
+ * Credential vault for secrets stored in the database (Plesk passwords and API keys).
+ *
+ * Values are encrypted with AES-256-GCM under a versioned master key and stored as
+ * `vault:<keyVersion>:<iv>:<authTag>:<ciphertext>` (base64 parts). Older key versions
+ * stay available for decryption so master keys can be rotated and values re-encrypted
+ * in place without re-entering them.
+ *
+ * Master keys come from VAULT_MASTER_KEYS as comma separated `version:base64key` pairs
+ * (32-byte keys). VAULT_ACTIVE_KEY_VERSION selects the key used for new values and
+ * defaults to the highest version.
+ */
+class CredentialVault {
+	constructor(config = {}) {
+		this.keys = parseMasterKeys(config.masterKeys !== undefined ? config.masterKeys : process.env.VAULT_MASTER_KEYS);
+
+		const activeVersion = config.activeKeyVersion || process.env.VAULT_ACTIVE_KEY_VERSION;
+		this.activeKeyVersion = activeVersion ? parseInt(activeVersion, 10) : Math.max(0, ...this.keys.keys());
+
+		if (this.keys.size > 0 && !this.keys.has(this.activeKeyVersion)) {
+			throw new VaultError(`Active vault key version ${this.activeKeyVersion} is not configured`);
+		}
+	}
+
+	/**
+	 * Whether a master key is available for encryption
+	 * @returns {boolean}
+	 */
+	isConfigured() {
+		return this.keys.size > 0;
+	}
+
+	/**
+	 * Encrypt a secret with the active master key
+	 * @param {string|null|undefined} plaintext
+	 * @returns {string|null}
+	 */
+	encrypt(plaintext) {
+		if (plaintext === null || plaintext === undefined || plaintext === '') {
+			return null;
+		}
+
+		if (!this.isConfigured()) {
+			throw new VaultError('Vault master key not configured. Set VAULT_MASTER_KEYS in your environment.');
+		}
+
+		const iv = crypto.randomBytes(IV_LENGTH);
+		const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.activeKeyVersion), iv);
+		const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+		const authTag = cipher.getAuthTag();
+
+		return [PREFIX, this.activeKeyVersion, iv.toString('base64'), authTag.toString('base64'), ciphertext.toString('base64')].join(':');
+	}
+
+	/**
+	 * Decrypt a stored secret.
+	 * Values without the vault prefix are legacy base64 values (see database/seeders.sql)
+	 * and are decoded as-is until they are re-encrypted with rewrap().
+	 * @param {string|null|undefined} value
+	 * @returns {string|undefined}
+	 */
+	decrypt(value) {
+		if (!value) {
+			return undefined;
+		}
+
+		if (!isVaultValue(value)) {
+			return Buffer.from(value, 'base64').toString('utf8');
+		}
+
+		const [, version, iv, authTag, ciphertext] = value.split(':');
+		const key = this.keys.get(parseInt(version, 10));
+		if (!key) {
+			throw new VaultError(`Vault key version ${version} is not configured`);
+		}
+
+		try {
+			const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+			decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+			return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+		} catch (error) {
+			// Never surface cipher internals or partial plaintext
+			throw new VaultError(`Unable to decrypt secret with vault key version ${version}`);
+		}
+	}
+
+	/**
+	 * Whether a stored value should be re-encrypted with the active key
+	 * @param {string|null|undefined} value
+	 * @returns {boolean}
+	 */
+	needsRewrap(value) {
+		if (!value) {
+			return false;
+		}
+		if (!isVaultValue(value)) {
+			return true;
+		}
+		return parseInt(value.split(':')[1], 10) !== this.activeKeyVersion;
+	}
+
+	/**
+	 * Re-encrypt a stored value with the active key
+	 * @param {string} value
+	 * @returns {string|null}
+	 */
+	rewrap(value) {
+		return this.encrypt(this.decrypt(value));
+	}
+}
+
+/**
+ * Error raised by the vault (messages never contain secret material)
+ */
+class VaultError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'VaultError';
+	}
+}
+
+/**
+ * Parse `version:base64key` pairs into a Map of key buffers
+ * @param {string|undefined} value
+ * @returns {Map<number, Buffer>}
+ */
+function parseMasterKeys(value) {
+	const keys = new Map();
+	if (!value) {
+		return keys;
+	}
+
+	value
+		.split(',')
+		.map((entry) => entry.trim())
+		.filter(Boolean)
+		.forEach((entry) => {
+			const separator = entry.indexOf(':');
+			const version = parseInt(entry.slice(0, separator), 10);
+			const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+			if (separator === -1 || isNaN(version) || version < 1) {
+				throw new VaultError('Invalid VAULT_MASTER_KEYS entry. Expected version:base64key');
+			}
+			if (key.length !== 32) {
+				throw new VaultError(`Vault key version ${version} must be 32 bytes (base64 encoded)`);
+			}
+
+			keys.set(version, key);
+		});
+
+	return keys;
+}
+
+/**
+ * Whether a stored value was produced by the vault
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isVaultValue(value) {
+	return typeof value === 'string' && value.startsWith(`${PREFIX}:`) && value.split(':').length === 5;
+}
+
+// Shared vault configured from the environment
+const vault = new CredentialVault();
+
+module.exports = {
+	CredentialVault,
+	VaultError,
+	vault,
+};
@@ -1,26 +1,16 @@
 const express = require('express');
 const Joi = require('joi');
-const PleskAPIClient = require('../../lib/pleskClient');
+const { rateLimit } = require('../../lib/rateLimit');
+const { resolvePleskClient } = require('../../lib/serverRegistry');
+const { validateRequest } = require('../../lib/validation');
 
 const router = express.Router();
 
-// Initialize Plesk client
-let pleskClient;
-try {
-	pleskClient = new PleskAPIClient();
-} catch (error) {
-	console.error('Failed to initialize Plesk client:', error.message);
-}
+// Resolve the target Plesk server (serverId query parameter or X-Plesk-Server-Id header)
+const checkPleskClient = resolvePleskClient();
 
-// Middleware to check if Plesk client is available
-const checkPleskClient = (req, res, next) => {
-	if (!pleskClient) {
-		return res.status(500).json({
-			error: 'Plesk client not configured. Please check your environment variables.',
-		});
-	}
-	next();
-};
+// CLI calls run commands on the Plesk server
+const cliLimit = rateLimit('cli');
 
 // Validation schemas
 const cliCallSchema = Joi.object({
@@ -32,27 +22,16 @@ const cliCallSchema = Joi.object({
  * GET /api/cli/commands
  * List available CLI commands
  */
-router.get('/commands', checkPleskClient, async (req, res) => {
+router.get('/commands', checkPleskClient, async (req, res, next) => {
 	try {
-		const result = await pleskClient.listCliCommands();
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: 'CLI commands retrieved successfully',
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.listCliCommands();
+		res.json({
+			success: true,
+			data: result.data,
+			message: 'CLI commands retrieved successfully',
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -60,28 +39,17 @@ router.get('/commands', checkPleskClient, async (req, res) => {
  * GET /api/cli/:id/ref
  * Get command reference
  */
-router.get('/:id/ref', checkPleskClient, async (req, res) => {
+router.get('/:id/ref', checkPleskClient, async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const result = await pleskClient.getCliCommandRef(id);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Command reference for ${id} retrieved successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getCliCommandRef(id);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Command reference for ${id} retrieved successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -89,37 +57,17 @@ router.get('/:id/ref', checkPleskClient, async (req, res) => {
  * POST /api/cli/:id/call
  * Execute CLI command
  */
-router.post('/:id/call', checkPleskClient, async (req, res) => {
+router.post('/:id/call', cliLimit, validateRequest({ body: cliCallSchema }), checkPleskClient, async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const { error, value } = cliCallSchema.validate(req.body);
-		if (error) {
-			return res.status(400).json({
-				success: false,
-				error: 'Validation error',
-				details: error.details.map((detail) => detail.message),
-			});
-		}
-
-		const result = await pleskClient.executeCliCommand(id, value);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Command ${id} executed successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.executeCliCommand(id, req.body);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Command ${id} executed successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
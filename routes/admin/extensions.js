@@ -1,26 +1,12 @@
 const express = require('express');
 const Joi = require('joi');
-const PleskAPIClient = require('../../lib/pleskClient');
+const { resolvePleskClient } = require('../../lib/serverRegistry');
+const { validateRequest } = require('../../lib/validation');
 
 const router = express.Router();
 
-// Initialize Plesk client
-let pleskClient;
-try {
-	pleskClient = new PleskAPIClient();
-} catch (error) {
-	console.error('Failed to initialize Plesk client:', error.message);
-}
-
-// Middleware to check if Plesk client is available
-const checkPleskClient = (req, res, next) => {
-	if (!pleskClient) {
-		return res.status(500).json({
-			error: 'Plesk client not configured. Please check your environment variables.',
-		});
-	}
-	next();
-};
+// Resolve the target Plesk server (serverId query parameter or X-Plesk-Server-Id header)
+const checkPleskClient = resolvePleskClient();
 
 // Validation schemas
 const extensionInstallSchema = Joi.object({
@@ -33,27 +19,16 @@ const extensionInstallSchema = Joi.object({
  * GET /api/extensions
  * List installed extensions
  */
-router.get('/', checkPleskClient, async (req, res) => {
+router.get('/', checkPleskClient, async (req, res, next) => {
 	try {
-		const result = await pleskClient.listExtensions();
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: 'Extensions retrieved successfully',
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.listExtensions();
+		res.json({
+			success: true,
+			data: result.data,
+			message: 'Extensions retrieved successfully',
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -61,36 +36,16 @@ router.get('/', checkPleskClient, async (req, res) => {
  * POST /api/extensions
  * Install a new extension
  */
-router.post('/', checkPleskClient, async (req, res) => {
+router.post('/', validateRequest({ body: extensionInstallSchema }), checkPleskClient, async (req, res, next) => {
 	try {
-		const { error, value } = extensionInstallSchema.validate(req.body);
-		if (error) {
-			return res.status(400).json({
-				success: false,
-				error: 'Validation error',
-				details: error.details.map((detail) => detail.message),
-			});
-		}
-
-		const result = await pleskClient.installExtension(value);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: 'Extension installed successfully',
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.installExtension(req.body);
+		res.json({
+			success: true,
+			data: result.data,
+			message: 'Extension installed successfully',
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -98,28 +53,17 @@ router.post('/', checkPleskClient, async (req, res) => {
  * GET /api/extensions/:id
  * Get extension details
  */
-router.get('/:id', checkPleskClient, async (req, res) => {
+router.get('/:id', checkPleskClient, async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const result = await pleskClient.getExtension(id);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Extension ${id} details retrieved successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getExtension(id);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Extension ${id} details retrieved successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -127,28 +71,17 @@ router.get('/:id', checkPleskClient, async (req, res) => {
  * DELETE /api/extensions/:id
  * Delete an extension
  */
-router.delete('/:id', checkPleskClient, async (req, res) => {
+router.delete('/:id', checkPleskClient, async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const result = await pleskClient.deleteExtension(id);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Extension ${id} deleted successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.deleteExtension(id);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Extension ${id} deleted successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -156,28 +89,17 @@ router.delete('/:id', checkPleskClient, async (req, res) => {
  * PUT /api/extensions/:id/enable
  * Enable extension
  */
-router.put('/:id/enable', checkPleskClient, async (req, res) => {
+router.put('/:id/enable', checkPleskClient, async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const result = await pleskClient.enableExtension(id);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Extension ${id} enabled successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.enableExtension(id);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Extension ${id} enabled successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -185,28 +107,17 @@ router.put('/:id/enable', checkPleskClient, async (req, res) => {
  * PUT /api/extensions/:id/disable
  * Disable extension
  */
-router.put('/:id/disable', checkPleskClient, async (req, res) => {
+router.put('/:id/disable', checkPleskClient, async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const result = await pleskClient.disableExtension(id);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Extension ${id} disabled successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.disableExtension(id);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Extension ${id} disabled successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
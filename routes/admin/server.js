@@ -1,26 +1,12 @@
 const express = require('express');
 const Joi = require('joi');
-const PleskAPIClient = require('../../lib/pleskClient');
+const { resolvePleskClient } = require('../../lib/serverRegistry');
+const { validateRequest } = require('../../lib/validation');
 
 const router = express.Router();
 
-// Initialize Plesk client
-let pleskClient;
-try {
-	pleskClient = new PleskAPIClient();
-} catch (error) {
-	console.error('Failed to initialize Plesk client:', error.message);
-}
-
-// Middleware to check if Plesk client is available
-const checkPleskClient = (req, res, next) => {
-	if (!pleskClient) {
-		return res.status(500).json({
-			error: 'Plesk client not configured. Please check your environment variables.',
-		});
-	}
-	next();
-};
+// Resolve the target Plesk server (serverId query parameter or X-Plesk-Server-Id header)
+const checkPleskClient = resolvePleskClient();
 
 // Validation schemas
 const adminSchema = Joi.object({
@@ -55,27 +41,16 @@ const serverLicenseSchema = Joi.object({
  * GET /api/server
  * Get server meta information
  */
-router.get('/', checkPleskClient, async (req, res) => {
+router.get('/', checkPleskClient, async (req, res, next) => {
 	try {
-		const result = await pleskClient.getServerInfo();
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: 'Server information retrieved successfully',
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getServerInfo();
+		res.json({
+			success: true,
+			data: result.data,
+			message: 'Server information retrieved successfully',
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -83,36 +58,16 @@ router.get('/', checkPleskClient, async (req, res) => {
  * POST /api/server/init
  * Perform initial server setup
  */
-router.post('/init', checkPleskClient, async (req, res) => {
+router.post('/init', validateRequest({ body: serverInitSchema }), checkPleskClient, async (req, res, next) => {
 	try {
-		const { error, value } = serverInitSchema.validate(req.body);
-		if (error) {
-			return res.status(400).json({
-				success: false,
-				error: 'Validation error',
-				details: error.details.map((detail) => detail.message),
-			});
-		}
-
-		const result = await pleskClient.initializeServer(value);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: 'Server initialization completed successfully',
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.initializeServer(req.body);
+		res.json({
+			success: true,
+			data: result.data,
+			message: 'Server initialization completed successfully',
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -120,36 +75,16 @@ router.post('/init', checkPleskClient, async (req, res) => {
  * POST /api/server/license
  * Install license key
  */
-router.post('/license', checkPleskClient, async (req, res) => {
+router.post('/license', validateRequest({ body: serverLicenseSchema }), checkPleskClient, async (req, res, next) => {
 	try {
-		const { error, value } = serverLicenseSchema.validate(req.body);
-		if (error) {
-			return res.status(400).json({
-				success: false,
-				error: 'Validation error',
-				details: error.details.map((detail) => detail.message),
-			});
-		}
-
-		const result = await pleskClient.installLicense(value);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: 'License installed successfully',
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.installLicense(req.body);
+		res.json({
+			success: true,
+			data: result.data,
+			message: 'License installed successfully',
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -157,27 +92,16 @@ router.post('/license', checkPleskClient, async (req, res) => {
  * GET /api/server/ips
  * Get server IP addresses
  */
-router.get('/ips', checkPleskClient, async (req, res) => {
+router.get('/ips', checkPleskClient, async (req, res, next) => {
 	try {
-		const result = await pleskClient.getServerIps();
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: 'Server IP addresses retrieved successfully',
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getServerIps();
+		res.json({
+			success: true,
+			data: result.data,
+			message: 'Server IP addresses retrieved successfully',
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -1,26 +1,12 @@
 const express = require('express');
 const Joi = require('joi');
-const PleskAPIClient = require('../../lib/pleskClient');
+const { resolvePleskClient } = require('../../lib/serverRegistry');
+const { validateRequest } = require('../../lib/validation');
 
 const router = express.Router();
 
-// Initialize Plesk client
-let pleskClient;
-try {
-	pleskClient = new PleskAPIClient();
-} catch (error) {
-	console.error('Failed to initialize Plesk client:', error.message);
-}
-
-// Middleware to check if Plesk client is available
-const checkPleskClient = (req, res, next) => {
-	if (!pleskClient) {
-		return res.status(500).json({
-			error: 'Plesk client not configured. Please check your environment variables.',
-		});
-	}
-	next();
-};
+// Resolve the target Plesk server (serverId query parameter or X-Plesk-Server-Id header)
+const checkPleskClient = resolvePleskClient();
 
 // Validation schemas
 const secretKeySchema = Joi.object({
@@ -34,36 +20,16 @@ const secretKeySchema = Joi.object({
  * POST /api/auth/keys
  * Generate a secret key
  */
-router.post('/keys', checkPleskClient, async (req, res) => {
+router.post('/keys', validateRequest({ body: secretKeySchema }), checkPleskClient, async (req, res, next) => {
 	try {
-		const { error, value } = secretKeySchema.validate(req.body);
-		if (error) {
-			return res.status(400).json({
-				success: false,
-				error: 'Validation error',
-				details: error.details.map((detail) => detail.message),
-			});
-		}
-
-		const result = await pleskClient.generateSecretKey(value);
-		if (result.success) {
-			res.status(201).json({
-				success: true,
-				data: result.data,
-				message: 'Secret key generated successfully',
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.generateSecretKey(req.body);
+		res.status(201).json({
+			success: true,
+			data: result.data,
+			message: 'Secret key generated successfully',
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -71,28 +37,17 @@ router.post('/keys', checkPleskClient, async (req, res) => {
  * DELETE /api/auth/keys/:key
  * Delete a secret key
  */
-router.delete('/keys/:key', checkPleskClient, async (req, res) => {
+router.delete('/keys/:key', checkPleskClient, async (req, res, next) => {
 	try {
 		const { key } = req.params;
-		const result = await pleskClient.deleteSecretKey(key);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Secret key ${key} deleted successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.deleteSecretKey(key);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Secret key ${key} deleted successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
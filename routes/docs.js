@@ -0,0 +1,57 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const { buildOpenApiSpec } = require('../lib/openapi');
+const { buildPostmanCollection } = require('../lib/openapi/postman');
+
+const SPEC_URL = '/api/docs/openapi.json';
+
+/**
+ * API documentation routes, generated from the mounted route modules
+ * @param {Function} getRouteModules - Returns the modules mounted by the RouteManager
+ * @returns {express.Router}
+ */
+function createDocsRouter(getRouteModules) {
+	const router = express.Router();
+	let spec = null;
+
+	// Routes do not change at runtime, build the document once on first use
+	const getSpec = () => {
+		if (!spec) {
+			spec = buildOpenApiSpec(getRouteModules());
+		}
+		return spec;
+	};
+
+	/**
+	 * GET /api/docs/openapi.json
+	 * OpenAPI 3 specification
+	 */
+	router.get('/docs/openapi.json', (req, res) => {
+		res.json(getSpec());
+	});
+
+	/**
+	 * GET /api/postman.json
+	 * Postman v2.1 collection
+	 */
+	router.get('/postman.json', (req, res) => {
+		res.set('Content-Disposition', 'attachment; filename="plesk-api-manager.postman_collection.json"');
+		res.json(buildPostmanCollection(getSpec(), `${req.protocol}://${req.get('host')}`));
+	});
+
+	/**
+	 * GET /api/docs
+	 * Swagger UI (assets are loaded relative to the page, so it needs the trailing slash)
+	 */
+	router.get('/docs', (req, res, next) => {
+		if (!req.originalUrl.split('?')[0].endsWith('/')) {
+			return res.redirect(301, `${req.baseUrl}/docs/`);
+		}
+		next();
+	});
+	router.use('/docs', swaggerUi.serveFiles(null, { swaggerUrl: SPEC_URL }), swaggerUi.setup(null, { swaggerUrl: SPEC_URL, customSiteTitle: 'Plesk API Manager' }));
+
+	return router;
+}
+
+module.exports = createDocsRouter;
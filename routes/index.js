@@ -1,6 +1,12 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const { auditTrail } = require('../lib/audit');
+const { authenticateToken, authorizeRequest } = require('../lib/auth');
+const { AppError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+const { rateLimit } = require('../lib/rateLimit');
+const createDocsRouter = require('./docs');
 
 const router = express.Router();
 
@@ -12,7 +18,9 @@ class RouteManager {
 	constructor() {
 		this.routesPath = path.join(__dirname, '.');
 		this.router = express.Router();
+		this.modules = [];
 		this.loadRoutes();
+		this.router.use('/api', createDocsRouter(() => this.getModules()));
 	}
 
 	/**
@@ -20,14 +28,21 @@ class RouteManager {
 	 */
 	loadRoutes() {
 		try {
-			// Define route themes and their corresponding paths
+			// Define route themes and their corresponding paths.
+			// Every theme requires a JWT unless `public` is set, counts against the
+			// caller's rate limits (see lib/rateLimit) and records its POST, PUT and
+			// DELETE requests in the audit trail (see lib/audit); `access` is the role
+			// policy (see lib/auth): admin-only themes, writes restricted to admins, or
+			// themes where per-user permission grants apply (see lib/permissions).
 			const routeThemes = {
 				main: {
 					basePath: '/api',
+					public: true,
 					routes: [{ file: 'main', path: '' }],
 				},
 				plesk: {
 					basePath: '/api/plesk',
+					access: { grants: true },
 					routes: [
 						{ file: 'domains', path: '' },
 						{ file: 'customers', path: '/customers' },
@@ -36,10 +51,12 @@ class RouteManager {
 				},
 				auth: {
 					basePath: '/api/auth',
+					access: { admin: true },
 					routes: [{ file: 'keys', path: '' }],
 				},
 				admin: {
 					basePath: '/api/admin',
+					access: { admin: true },
 					routes: [
 						{ file: 'cli', path: '/cli' },
 						{ file: 'extensions', path: '/extensions' },
@@ -48,6 +65,7 @@ class RouteManager {
 				},
 				management: {
 					basePath: '/api',
+					access: { grants: true },
 					routes: [
 						{ file: 'ftpusers', path: '/ftpusers' },
 						{ file: 'databases', path: '/databases' },
@@ -56,7 +74,18 @@ class RouteManager {
 				},
 				system: {
 					basePath: '/api',
-					routes: [{ file: 'users', path: '/users' }],
+					routes: [
+						// Registration and login are public, the routers authenticate and rate-limit their other routes themselves.
+						// two-factor, api-keys, invitations and activity are mounted first so their paths do not reach the /users/:id routes
+						{ file: 'two-factor', path: '/users/two-factor', public: true },
+						{ file: 'api-keys', path: '/users/api-keys', public: true },
+						{ file: 'invitations', path: '/users/invitations', access: { admin: true } },
+						{ file: 'activity', path: '/users/activity' },
+						{ file: 'users', path: '/users', public: true },
+						{ file: 'servers', path: '/servers', access: { adminWrites: true } },
+						{ file: 'permissions', path: '/permissions', access: { admin: true } },
+						{ file: 'stats', path: '/stats', access: { admin: true } },
+					],
 				},
 			};
 
@@ -65,7 +94,7 @@ class RouteManager {
 				this.loadThemeRoutes(theme, config);
 			});
 		} catch (error) {
-			console.error('Failed to load routes:', error.message);
+			logger.error('Failed to load routes', { error });
 			this.createFallbackRoutes();
 		}
 	}
@@ -75,40 +104,50 @@ class RouteManager {
 	 */
 	loadThemeRoutes(theme, config) {
 		try {
-			console.log(`Loading ${theme} routes...`);
+			config.routes.forEach(({ file, path: routePath, ...routeConfig }) => {
+				const middlewareFor = (routeModule) => (config.public || routeConfig.public ? [] : [auditTrail(routePath ? routePath.split('/').pop() : null, routeModule), authenticateToken, rateLimit(), authorizeRequest(routeConfig.access || config.access)]);
 
-			config.routes.forEach(({ file, path: routePath }) => {
 				try {
 					const routeModule = require(`./${theme}/${file}`);
-					this.router.use(`${config.basePath}${routePath}`, routeModule);
-					console.log(`  ✓ Loaded ${theme}/${file} -> ${config.basePath}${routePath}`);
+					this.mount(theme, file, `${config.basePath}${routePath}`, routeModule, middlewareFor(routeModule), require.resolve(`./${theme}/${file}`));
+					logger.debug('Route module loaded', { module: `${theme}/${file}`, path: `${config.basePath}${routePath}` });
 				} catch (error) {
 					// Try loading from old structure for backward compatibility
 					try {
 						const legacyModule = require(`./${file}`);
-						this.router.use(`${config.basePath}${routePath}`, legacyModule);
-						console.log(`  ✓ Loaded legacy ${file} -> ${config.basePath}${routePath}`);
+						this.mount(theme, file, `${config.basePath}${routePath}`, legacyModule, middlewareFor(legacyModule), require.resolve(`./${file}`));
+						logger.debug('Legacy route module loaded', { module: file, path: `${config.basePath}${routePath}` });
 					} catch (legacyError) {
-						console.warn(`  ⚠ Failed to load ${theme}/${file}:`, error.message);
+						logger.warn('Failed to load route module', { module: `${theme}/${file}`, error: error.message });
 					}
 				}
 			});
 		} catch (error) {
-			console.error(`Failed to load ${theme} routes:`, error.message);
+			logger.error('Failed to load route theme', { theme, error: error.message });
 		}
 	}
 
+	/**
+	 * Mount a route module and remember it for the API documentation
+	 */
+	mount(theme, file, mountPath, routeModule, middleware, source) {
+		this.router.use(mountPath, ...middleware, routeModule);
+		this.modules.push({ theme, file, mountPath, router: routeModule, middleware, source });
+	}
+
+	/**
+	 * Route modules in mount order
+	 */
+	getModules() {
+		return this.modules;
+	}
+
 	/**
 	 * Create fallback routes for all endpoints when routes fail to load
 	 */
 	createFallbackRoutes() {
-		this.router.use('/api/*', (req, res) => {
-			res.status(500).json({
-				success: false,
-				error: 'Route module failed to load',
-				message: 'Check server configuration and try again',
-				endpoint: req.originalUrl,
-			});
+		this.router.use('/api/*', (req, res, next) => {
+			next(new AppError('Route module failed to load, check server configuration and try again', { code: 'ROUTES_UNAVAILABLE' }));
 		});
 	}
 
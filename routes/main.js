@@ -40,7 +40,7 @@ router.get('/', (req, res) => {
 			system: {
 				description: 'System user management',
 				basePath: '/api/system',
-				endpoints: ['users'],
+				endpoints: ['users', 'servers'],
 			},
 		},
 		endpoints: {
@@ -57,6 +57,7 @@ router.get('/', (req, res) => {
 			databases: '/api/databases',
 			dns: '/api/dns',
 			system_users: '/api/system/users',
+			system_servers: '/api/servers',
 		},
 		features: ['Complete Plesk REST API v2 integration', 'MySQL user authentication system', 'JWT-based security', 'React frontend with Material-UI', 'Redux/Flux state management', 'Organized route structure by themes', 'Comprehensive error handling', 'Real-time server monitoring'],
 		timestamp: new Date().toISOString(),
@@ -1,26 +1,14 @@
 const express = require('express');
 const Joi = require('joi');
-const PleskAPIClient = require('../../lib/pleskClient');
+const { authorize, filterByDomain, targets } = require('../../lib/permissions');
+const { resolvePleskClient } = require('../../lib/serverRegistry');
+const { ValidationError } = require('../../lib/errors');
+const { parseId, validateRequest } = require('../../lib/validation');
 
 const router = express.Router();
 
-// Initialize Plesk client
-let pleskClient;
-try {
-	pleskClient = new PleskAPIClient();
-} catch (error) {
-	console.error('Failed to initialize Plesk client:', error.message);
-}
-
-// Middleware to check if Plesk client is available
-const checkPleskClient = (req, res, next) => {
-	if (!pleskClient) {
-		return res.status(500).json({
-			error: 'Plesk client not configured. Please check your environment variables.',
-		});
-	}
-	next();
-};
+// Resolve the target Plesk server (serverId query parameter or X-Plesk-Server-Id header)
+const checkPleskClient = resolvePleskClient();
 
 // Validation schemas
 const databaseSchema = Joi.object({
@@ -55,28 +43,17 @@ const databaseUserUpdateSchema = Joi.object({
  * GET /api/databases
  * Get databases
  */
-router.get('/', checkPleskClient, async (req, res) => {
+router.get('/', checkPleskClient, authorize('databases', 'read', targets.domainQuery()), async (req, res, next) => {
 	try {
 		const { domain } = req.query;
-		const result = await pleskClient.getDatabases(domain);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: 'Databases retrieved successfully',
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getDatabases(domain);
+		res.json({
+			success: true,
+			data: await filterByDomain(req, 'databases', result.data, (database) => ({ id: database.parent_domain })),
+			message: 'Databases retrieved successfully',
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -84,36 +61,16 @@ router.get('/', checkPleskClient, async (req, res) => {
  * POST /api/databases
  * Create database
  */
-router.post('/', checkPleskClient, async (req, res) => {
+router.post('/', validateRequest({ body: databaseSchema }), checkPleskClient, authorize('databases', 'create', targets.parentDomain()), async (req, res, next) => {
 	try {
-		const { error, value } = databaseSchema.validate(req.body);
-		if (error) {
-			return res.status(400).json({
-				success: false,
-				error: 'Validation error',
-				details: error.details.map((detail) => detail.message),
-			});
-		}
-
-		const result = await pleskClient.createDatabase(value);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Database ${value.name} created successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.createDatabase(req.body);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Database ${req.body.name} created successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -121,36 +78,19 @@ router.post('/', checkPleskClient, async (req, res) => {
  * DELETE /api/databases/:id
  * Delete database
  */
-router.delete('/:id', checkPleskClient, async (req, res) => {
+router.delete('/:id', checkPleskClient, authorize('databases', 'delete', targets.database()), async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const dbId = parseInt(id);
-		if (isNaN(dbId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid database ID. Must be a number.',
-			});
-		}
+		const dbId = parseId(id, 'Invalid database ID. Must be a number.');
 
-		const result = await pleskClient.deleteDatabase(dbId);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Database ${dbId} deleted successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.deleteDatabase(dbId);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Database ${dbId} deleted successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -158,37 +98,23 @@ router.delete('/:id', checkPleskClient, async (req, res) => {
  * GET /api/databases/users
  * Get database users
  */
-router.get('/users', checkPleskClient, async (req, res) => {
+router.get('/users', checkPleskClient, authorize('databases', 'read', targets.database('query', 'dbId')), async (req, res, next) => {
 	try {
 		const { dbId } = req.query;
 		const dbIdNumber = dbId ? parseInt(dbId) : null;
 
 		if (dbId && isNaN(dbIdNumber)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid database ID. Must be a number.',
-			});
+			throw new ValidationError('Invalid database ID. Must be a number.');
 		}
 
-		const result = await pleskClient.getDatabaseUsers(dbIdNumber);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: 'Database users retrieved successfully',
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getDatabaseUsers(dbIdNumber);
+		res.json({
+			success: true,
+			data: await filterByDomain(req, 'databases', result.data, (user) => ({ id: user.parent_domain })),
+			message: 'Database users retrieved successfully',
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -196,36 +122,16 @@ router.get('/users', checkPleskClient, async (req, res) => {
  * POST /api/databases/users
  * Create database user
  */
-router.post('/users', checkPleskClient, async (req, res) => {
+router.post('/users', validateRequest({ body: databaseUserSchema }), checkPleskClient, authorize('databases', 'create', targets.parentDomain()), async (req, res, next) => {
 	try {
-		const { error, value } = databaseUserSchema.validate(req.body);
-		if (error) {
-			return res.status(400).json({
-				success: false,
-				error: 'Validation error',
-				details: error.details.map((detail) => detail.message),
-			});
-		}
-
-		const result = await pleskClient.createDatabaseUser(value);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Database user ${value.login} created successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.createDatabaseUser(req.body);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Database user ${req.body.login} created successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -233,45 +139,19 @@ router.post('/users', checkPleskClient, async (req, res) => {
  * PUT /api/databases/users/:id
  * Update database user
  */
-router.put('/users/:id', checkPleskClient, async (req, res) => {
+router.put('/users/:id', validateRequest({ body: databaseUserUpdateSchema }), checkPleskClient, authorize('databases', 'update', targets.databaseUser()), async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const userId = parseInt(id);
-		if (isNaN(userId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid user ID. Must be a number.',
-			});
-		}
-
-		const { error, value } = databaseUserUpdateSchema.validate(req.body);
-		if (error) {
-			return res.status(400).json({
-				success: false,
-				error: 'Validation error',
-				details: error.details.map((detail) => detail.message),
-			});
-		}
+		const userId = parseId(id, 'Invalid user ID. Must be a number.');
 
-		const result = await pleskClient.updateDatabaseUser(userId, value);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Database user ${userId} updated successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.updateDatabaseUser(userId, req.body);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Database user ${userId} updated successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -279,36 +159,19 @@ router.put('/users/:id', checkPleskClient, async (req, res) => {
  * DELETE /api/databases/users/:id
  * Delete database user
  */
-router.delete('/users/:id', checkPleskClient, async (req, res) => {
+router.delete('/users/:id', checkPleskClient, authorize('databases', 'delete', targets.databaseUser()), async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const userId = parseInt(id);
-		if (isNaN(userId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid user ID. Must be a number.',
-			});
-		}
+		const userId = parseId(id, 'Invalid user ID. Must be a number.');
 
-		const result = await pleskClient.deleteDatabaseUser(userId);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Database user ${userId} deleted successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.deleteDatabaseUser(userId);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Database user ${userId} deleted successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -316,37 +179,23 @@ router.delete('/users/:id', checkPleskClient, async (req, res) => {
  * GET /api/databases/servers
  * Get database servers
  */
-router.get('/servers', checkPleskClient, async (req, res) => {
+router.get('/servers', checkPleskClient, authorize('server', 'read'), async (req, res, next) => {
 	try {
 		const { id } = req.query;
 		const serverId = id ? parseInt(id) : null;
 
 		if (id && isNaN(serverId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid server ID. Must be a number.',
-			});
+			throw new ValidationError('Invalid server ID. Must be a number.');
 		}
 
-		const result = await pleskClient.getDatabaseServers(serverId);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: 'Database servers retrieved successfully',
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getDatabaseServers(serverId);
+		res.json({
+			success: true,
+			data: result.data,
+			message: 'Database servers retrieved successfully',
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -1,26 +1,14 @@
 const express = require('express');
 const Joi = require('joi');
-const PleskAPIClient = require('../../lib/pleskClient');
+const { authorize, targets } = require('../../lib/permissions');
+const { resolvePleskClient } = require('../../lib/serverRegistry');
+const { ValidationError } = require('../../lib/errors');
+const { validateRequest } = require('../../lib/validation');
 
 const router = express.Router();
 
-// Initialize Plesk client
-let pleskClient;
-try {
-	pleskClient = new PleskAPIClient();
-} catch (error) {
-	console.error('Failed to initialize Plesk client:', error.message);
-}
-
-// Middleware to check if Plesk client is available
-const checkPleskClient = (req, res, next) => {
-	if (!pleskClient) {
-		return res.status(500).json({
-			error: 'Plesk client not configured. Please check your environment variables.',
-		});
-	}
-	next();
-};
+// Resolve the target Plesk server (serverId query parameter or X-Plesk-Server-Id header)
+const checkPleskClient = resolvePleskClient();
 
 // Validation schemas
 const dnsRecordSchema = Joi.object({
@@ -44,36 +32,22 @@ const dnsRecordUpdateSchema = Joi.object({
  * GET /api/dns/records
  * Get domain or domain alias DNS records
  */
-router.get('/records', checkPleskClient, async (req, res) => {
+router.get('/records', checkPleskClient, authorize('dns', 'read', targets.domainQuery()), async (req, res, next) => {
 	try {
 		const { domain } = req.query;
 
 		if (!domain) {
-			return res.status(400).json({
-				success: false,
-				error: 'Domain parameter is required',
-			});
+			throw new ValidationError('Domain parameter is required');
 		}
 
-		const result = await pleskClient.getDnsRecords(domain);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `DNS records for ${domain} retrieved successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getDnsRecords(domain);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `DNS records for ${domain} retrieved successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -81,45 +55,22 @@ router.get('/records', checkPleskClient, async (req, res) => {
  * POST /api/dns/records
  * Create domain or domain alias DNS record
  */
-router.post('/records', checkPleskClient, async (req, res) => {
+router.post('/records', validateRequest({ body: dnsRecordSchema }), checkPleskClient, authorize('dns', 'create', targets.domainQuery()), async (req, res, next) => {
 	try {
 		const { domain } = req.query;
 
 		if (!domain) {
-			return res.status(400).json({
-				success: false,
-				error: 'Domain parameter is required',
-			});
+			throw new ValidationError('Domain parameter is required');
 		}
 
-		const { error, value } = dnsRecordSchema.validate(req.body);
-		if (error) {
-			return res.status(400).json({
-				success: false,
-				error: 'Validation error',
-				details: error.details.map((detail) => detail.message),
-			});
-		}
-
-		const result = await pleskClient.createDnsRecord(domain, value);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `DNS record for ${domain} created successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.createDnsRecord(domain, req.body);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `DNS record for ${domain} created successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -127,37 +78,23 @@ router.post('/records', checkPleskClient, async (req, res) => {
  * GET /api/dns/records/:id
  * Get DNS record
  */
-router.get('/records/:id', checkPleskClient, async (req, res) => {
+router.get('/records/:id', checkPleskClient, authorize('dns', 'read', targets.dnsRecord()), async (req, res, next) => {
 	try {
 		const { id } = req.params;
 		const recordId = parseInt(id);
 
 		if (isNaN(recordId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid record ID. Must be a number.',
-			});
+			throw new ValidationError('Invalid record ID. Must be a number.');
 		}
 
-		const result = await pleskClient.getDnsRecord(recordId);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `DNS record ${recordId} retrieved successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getDnsRecord(recordId);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `DNS record ${recordId} retrieved successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -165,46 +102,23 @@ router.get('/records/:id', checkPleskClient, async (req, res) => {
  * PUT /api/dns/records/:id
  * Update DNS record
  */
-router.put('/records/:id', checkPleskClient, async (req, res) => {
+router.put('/records/:id', validateRequest({ body: dnsRecordUpdateSchema }), checkPleskClient, authorize('dns', 'update', targets.dnsRecord()), async (req, res, next) => {
 	try {
 		const { id } = req.params;
 		const recordId = parseInt(id);
 
 		if (isNaN(recordId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid record ID. Must be a number.',
-			});
+			throw new ValidationError('Invalid record ID. Must be a number.');
 		}
 
-		const { error, value } = dnsRecordUpdateSchema.validate(req.body);
-		if (error) {
-			return res.status(400).json({
-				success: false,
-				error: 'Validation error',
-				details: error.details.map((detail) => detail.message),
-			});
-		}
-
-		const result = await pleskClient.updateDnsRecord(recordId, value);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `DNS record ${recordId} updated successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.updateDnsRecord(recordId, req.body);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `DNS record ${recordId} updated successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -212,37 +126,23 @@ router.put('/records/:id', checkPleskClient, async (req, res) => {
  * DELETE /api/dns/records/:id
  * Delete DNS record
  */
-router.delete('/records/:id', checkPleskClient, async (req, res) => {
+router.delete('/records/:id', checkPleskClient, authorize('dns', 'delete', targets.dnsRecord()), async (req, res, next) => {
 	try {
 		const { id } = req.params;
 		const recordId = parseInt(id);
 
 		if (isNaN(recordId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid record ID. Must be a number.',
-			});
+			throw new ValidationError('Invalid record ID. Must be a number.');
 		}
 
-		const result = await pleskClient.deleteDnsRecord(recordId);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `DNS record ${recordId} deleted successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.deleteDnsRecord(recordId);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `DNS record ${recordId} deleted successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -1,26 +1,13 @@
 const express = require('express');
 const Joi = require('joi');
-const PleskAPIClient = require('../../lib/pleskClient');
+const { authorize, filterByDomain, targets } = require('../../lib/permissions');
+const { resolvePleskClient } = require('../../lib/serverRegistry');
+const { validateRequest } = require('../../lib/validation');
 
 const router = express.Router();
 
-// Initialize Plesk client
-let pleskClient;
-try {
-	pleskClient = new PleskAPIClient();
-} catch (error) {
-	console.error('Failed to initialize Plesk client:', error.message);
-}
-
-// Middleware to check if Plesk client is available
-const checkPleskClient = (req, res, next) => {
-	if (!pleskClient) {
-		return res.status(500).json({
-			error: 'Plesk client not configured. Please check your environment variables.',
-		});
-	}
-	next();
-};
+// Resolve the target Plesk server (serverId query parameter or X-Plesk-Server-Id header)
+const checkPleskClient = resolvePleskClient();
 
 // Validation schemas
 const ftpUserSchema = Joi.object({
@@ -54,32 +41,21 @@ const ftpUserUpdateSchema = Joi.object({
  * GET /api/ftpusers
  * Get FTP users
  */
-router.get('/', checkPleskClient, async (req, res) => {
+router.get('/', checkPleskClient, authorize('ftpusers', 'read', targets.any()), async (req, res, next) => {
 	try {
 		const { name, domain } = req.query;
 		const filters = {};
 		if (name) filters.name = name;
 		if (domain) filters.domain = domain;
 
-		const result = await pleskClient.getFtpUsers(filters);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: 'FTP users retrieved successfully',
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getFtpUsers(filters);
+		res.json({
+			success: true,
+			data: await filterByDomain(req, 'ftpusers', result.data, (user) => ({ id: user.parent_domain })),
+			message: 'FTP users retrieved successfully',
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -87,36 +63,16 @@ router.get('/', checkPleskClient, async (req, res) => {
  * POST /api/ftpusers
  * Create FTP user
  */
-router.post('/', checkPleskClient, async (req, res) => {
+router.post('/', validateRequest({ body: ftpUserSchema }), checkPleskClient, authorize('ftpusers', 'create', targets.parentDomain()), async (req, res, next) => {
 	try {
-		const { error, value } = ftpUserSchema.validate(req.body);
-		if (error) {
-			return res.status(400).json({
-				success: false,
-				error: 'Validation error',
-				details: error.details.map((detail) => detail.message),
-			});
-		}
-
-		const result = await pleskClient.createFtpUser(value);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `FTP user ${value.name} created successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.createFtpUser(req.body);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `FTP user ${req.body.name} created successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -124,37 +80,17 @@ router.post('/', checkPleskClient, async (req, res) => {
  * PUT /api/ftpusers/:name
  * Update FTP user
  */
-router.put('/:name', checkPleskClient, async (req, res) => {
+router.put('/:name', validateRequest({ body: ftpUserUpdateSchema }), checkPleskClient, authorize('ftpusers', 'update', targets.ftpUser()), async (req, res, next) => {
 	try {
 		const { name } = req.params;
-		const { error, value } = ftpUserUpdateSchema.validate(req.body);
-		if (error) {
-			return res.status(400).json({
-				success: false,
-				error: 'Validation error',
-				details: error.details.map((detail) => detail.message),
-			});
-		}
-
-		const result = await pleskClient.updateFtpUser(name, value);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `FTP user ${name} updated successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.updateFtpUser(name, req.body);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `FTP user ${name} updated successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -162,28 +98,17 @@ router.put('/:name', checkPleskClient, async (req, res) => {
  * DELETE /api/ftpusers/:name
  * Delete FTP user
  */
-router.delete('/:name', checkPleskClient, async (req, res) => {
+router.delete('/:name', checkPleskClient, authorize('ftpusers', 'delete', targets.ftpUser()), async (req, res, next) => {
 	try {
 		const { name } = req.params;
-		const result = await pleskClient.deleteFtpUser(name);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `FTP user ${name} deleted successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.deleteFtpUser(name);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `FTP user ${name} deleted successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
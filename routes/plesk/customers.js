@@ -1,27 +1,13 @@
 const express = require('express');
 const Joi = require('joi');
-const PleskAPIClient = require('../../lib/pleskClient');
+const { authorize, filterCustomers, targets } = require('../../lib/permissions');
+const { resolvePleskClient } = require('../../lib/serverRegistry');
+const { parseId, validateRequest } = require('../../lib/validation');
 
 const router = express.Router();
 
-// Initialize Plesk client
-let pleskClient;
-try {
-	pleskClient = new PleskAPIClient();
-	console.log('Plesk client initialized for customers module');
-} catch (error) {
-	console.error('Failed to initialize Plesk client for customers:', error.message);
-}
-
-// Middleware to check if Plesk client is available
-const checkPleskClient = (req, res, next) => {
-	if (!pleskClient) {
-		return res.status(500).json({
-			error: 'Plesk client not configured. Please check your environment variables.',
-		});
-	}
-	next();
-};
+// Resolve the target Plesk server (serverId query parameter or X-Plesk-Server-Id header)
+const checkPleskClient = resolvePleskClient();
 
 // Validation schema
 const customerSchema = Joi.object({
@@ -36,27 +22,16 @@ const customerSchema = Joi.object({
  * GET /api/plesk/customers
  * List all customers
  */
-router.get('/', checkPleskClient, async (req, res) => {
+router.get('/', checkPleskClient, authorize('customers', 'read', targets.any()), async (req, res, next) => {
 	try {
-		const result = await pleskClient.listCustomers();
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: 'Customers retrieved successfully',
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.listCustomers();
+		res.json({
+			success: true,
+			data: filterCustomers(req, result.data),
+			message: 'Customers retrieved successfully',
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -64,36 +39,19 @@ router.get('/', checkPleskClient, async (req, res) => {
  * GET /api/plesk/customers/:id
  * Get specific customer information
  */
-router.get('/:id', checkPleskClient, async (req, res) => {
+router.get('/:id', checkPleskClient, authorize('customers', 'read', targets.customerParam()), async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const customerId = parseInt(id);
-		if (isNaN(customerId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid customer ID. Must be a number.',
-			});
-		}
+		const customerId = parseId(id, 'Invalid customer ID. Must be a number.');
 
-		const result = await pleskClient.getCustomerInfo(customerId);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Customer ${customerId} information retrieved successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getCustomerInfo(customerId);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Customer ${customerId} information retrieved successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -101,36 +59,16 @@ router.get('/:id', checkPleskClient, async (req, res) => {
  * POST /api/plesk/customers
  * Create a new customer
  */
-router.post('/', checkPleskClient, async (req, res) => {
+router.post('/', validateRequest({ body: customerSchema }), checkPleskClient, authorize('customers', 'create'), async (req, res, next) => {
 	try {
-		const { error, value } = customerSchema.validate(req.body);
-		if (error) {
-			return res.status(400).json({
-				success: false,
-				error: 'Validation error',
-				details: error.details.map((detail) => detail.message),
-			});
-		}
-
-		const result = await pleskClient.createCustomer(value);
-		if (result.success) {
-			res.status(201).json({
-				success: true,
-				data: result.data,
-				message: `Customer ${value.login} created successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.createCustomer(req.body);
+		res.status(201).json({
+			success: true,
+			data: result.data,
+			message: `Customer ${req.body.login} created successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -138,36 +76,19 @@ router.post('/', checkPleskClient, async (req, res) => {
  * GET /api/plesk/customers/:id/domains
  * Get customer domains
  */
-router.get('/:id/domains', checkPleskClient, async (req, res) => {
+router.get('/:id/domains', checkPleskClient, authorize('customers', 'read', targets.customerParam()), async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const customerId = parseInt(id);
-		if (isNaN(customerId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid customer ID. Must be a number.',
-			});
-		}
+		const customerId = parseId(id, 'Invalid customer ID. Must be a number.');
 
-		const result = await pleskClient.getCustomerDomains(customerId);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Customer ${customerId} domains retrieved successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getCustomerDomains(customerId);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Customer ${customerId} domains retrieved successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -175,36 +96,19 @@ router.get('/:id/domains', checkPleskClient, async (req, res) => {
  * GET /api/plesk/customers/:id/statistics
  * Get customer statistics
  */
-router.get('/:id/statistics', checkPleskClient, async (req, res) => {
+router.get('/:id/statistics', checkPleskClient, authorize('customers', 'read', targets.customerParam()), async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const customerId = parseInt(id);
-		if (isNaN(customerId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid customer ID. Must be a number.',
-			});
-		}
+		const customerId = parseId(id, 'Invalid customer ID. Must be a number.');
 
-		const result = await pleskClient.getCustomerStatistics(customerId);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Customer ${customerId} statistics retrieved successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getCustomerStatistics(customerId);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Customer ${customerId} statistics retrieved successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -1,34 +1,18 @@
 const express = require('express');
 const Joi = require('joi');
-const PleskAPIClient = require('../../lib/pleskClient');
+const { authorize, filterByDomain, filterCustomers, targets } = require('../../lib/permissions');
+const { rateLimit } = require('../../lib/rateLimit');
+const { resolvePleskClient } = require('../../lib/serverRegistry');
+const { PleskError, ValidationError } = require('../../lib/errors');
+const { parseId, validateRequest } = require('../../lib/validation');
 
 const router = express.Router();
 
-// Initialize Plesk client
-let pleskClient;
-try {
-	pleskClient = new PleskAPIClient();
-	console.log('Plesk client initialized successfully');
-} catch (error) {
-	console.error('Failed to initialize Plesk client:', error.message);
-	console.log('Server will continue without Plesk client - API endpoints will return configuration errors');
-}
-
-// Middleware to check if Plesk client is available
-const checkPleskClient = (req, res, next) => {
-	if (!pleskClient) {
-		// Return test data when Plesk is not configured for development
-		if (process.env.NODE_ENV === 'development') {
-			console.log('Plesk client not available, returning test data');
-			req.useTestData = true;
-			return next();
-		}
-		return res.status(500).json({
-			error: 'Plesk client not configured. Please check your environment variables.',
-		});
-	}
-	next();
-};
+// Resolve the target Plesk server (serverId query parameter or X-Plesk-Server-Id header)
+const checkPleskClient = resolvePleskClient();
+
+// Refreshes and syncs re-read every domain from Plesk
+const refreshLimit = rateLimit('plesk-refresh');
 
 // Validation schemas
 const domainSchema = Joi.object({
@@ -76,27 +60,16 @@ router.get('/', (req, res) => {
  * GET /api/plesk/server/info
  * Get server information
  */
-router.get('/server/info', checkPleskClient, async (req, res) => {
+router.get('/server/info', checkPleskClient, authorize('server', 'read'), async (req, res, next) => {
 	try {
-		const result = await pleskClient.getServerInfo();
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: 'Server information retrieved successfully',
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getServerInfo();
+		res.json({
+			success: true,
+			data: result.data,
+			message: 'Server information retrieved successfully',
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -104,73 +77,91 @@ router.get('/server/info', checkPleskClient, async (req, res) => {
  * GET /api/plesk/domains
  * List all domains
  */
-router.get('/domains', checkPleskClient, async (req, res) => {
+router.get('/domains', checkPleskClient, authorize('domains', 'read', targets.any()), async (req, res, next) => {
 	try {
-		// If using test data (Plesk not configured)
-		if (req.useTestData) {
-			const testDomains = [
-				{
-					id: 1,
-					name: 'example.com',
-					status: 'active',
-					created: '2024-01-15T10:30:00.000Z',
-					ipAddresses: ['192.168.1.100', '2001:db8::1'],
-					owner: 'admin',
-				},
-				{
-					id: 2,
-					name: 'test.org',
-					status: 'suspended',
-					created: '2024-02-01T14:22:00.000Z',
-					ipAddresses: ['192.168.1.101'],
-					owner: 'client1',
-				},
-				{
-					id: 3,
-					name: 'demo.net',
-					status: 'active',
-					created: '2024-03-10T09:15:00.000Z',
-					ipAddresses: ['192.168.1.102'],
-					owner: 'client2',
-				},
-			];
-
-			const { name } = req.query;
-			let filteredDomains = testDomains;
-			if (name) {
-				filteredDomains = testDomains.filter((domain) => domain.name.toLowerCase().includes(name.toLowerCase()));
-			}
-
-			return res.json({
-				success: true,
-				data: filteredDomains,
-				message: 'Test domains retrieved successfully',
-			});
-		}
-
 		const { name } = req.query;
-		const result = await pleskClient.listDomains(name);
-		console.log('Plesk API response:', JSON.stringify(result, null, 2)); // Debug log
-
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: 'Domains retrieved successfully',
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
+		const result = await req.pleskClient.listDomains(name);
+
+		res.json({
+			success: true,
+			data: await filterByDomain(req, 'domains', result.data),
+			message: 'Domains retrieved successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+// Static /domains/... paths are registered before /domains/:id, which would take them as an ID
+
+/**
+ * POST /api/plesk/domains/refresh
+ * Force refresh domain data from Plesk
+ */
+router.post('/domains/refresh', refreshLimit, checkPleskClient, authorize('domains', 'update'), async (req, res, next) => {
+	try {
+		const result = await req.pleskClient.refreshDomains();
+
+		res.json({
+			success: true,
+			data: { count: result.count },
+			message: `Refreshed ${result.count} domains successfully`,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * GET /api/plesk/domains/metadata
+ * Get cache metadata (last updated, counts, etc)
+ */
+router.get('/domains/metadata', checkPleskClient, authorize('domains', 'read'), async (req, res, next) => {
+	try {
+		const result = await req.pleskClient.getCacheMetadata();
+
+		res.json({
+			success: true,
+			data: result.data,
+			message: 'Cache metadata retrieved successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/plesk/domains/sync
+ * Trigger manual domain sync
+ */
+router.post('/domains/sync', refreshLimit, checkPleskClient, authorize('domains', 'update'), async (req, res, next) => {
+	try {
+		// Trigger background sync
+		req.pleskClient.syncDomainsInBackground();
+
+		res.json({
+			success: true,
+			message: 'Domain sync initiated in background',
+		});
 	} catch (error) {
-		console.error('Error in domains route:', error);
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		next(error);
+	}
+});
+
+/**
+ * GET /api/plesk/domains/sync/stats
+ * Get domain sync statistics
+ */
+router.get('/domains/sync/stats', checkPleskClient, authorize('domains', 'read'), async (req, res, next) => {
+	try {
+		const result = await req.pleskClient.getSyncStats();
+		res.json({
+			success: true,
+			data: result.data,
+			message: 'Sync statistics retrieved successfully',
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -178,36 +169,19 @@ router.get('/domains', checkPleskClient, async (req, res) => {
  * GET /api/plesk/domains/:id
  * Get specific domain information
  */
-router.get('/domains/:id', checkPleskClient, async (req, res) => {
+router.get('/domains/:id', checkPleskClient, authorize('domains', 'read', targets.domainParam()), async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const domainId = parseInt(id);
-		if (isNaN(domainId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid domain ID. Must be a number.',
-			});
-		}
+		const domainId = parseId(id, 'Invalid domain ID. Must be a number.');
 
-		const result = await pleskClient.getDomainInfo(domainId);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Domain ${domainId} information retrieved successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getDomainInfo(domainId);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Domain ${domainId} information retrieved successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -215,36 +189,16 @@ router.get('/domains/:id', checkPleskClient, async (req, res) => {
  * POST /api/plesk/domains
  * Create a new domain
  */
-router.post('/domains', checkPleskClient, async (req, res) => {
+router.post('/domains', validateRequest({ body: domainSchema }), checkPleskClient, authorize('domains', 'create', targets.ownerClient()), async (req, res, next) => {
 	try {
-		const { error, value } = domainSchema.validate(req.body);
-		if (error) {
-			return res.status(400).json({
-				success: false,
-				error: 'Validation error',
-				details: error.details.map((detail) => detail.message),
-			});
-		}
-
-		const result = await pleskClient.createDomain(value);
-		if (result.success) {
-			res.status(201).json({
-				success: true,
-				data: result.data,
-				message: `Domain ${value.name} created successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.createDomain(req.body);
+		res.status(201).json({
+			success: true,
+			data: result.data,
+			message: `Domain ${req.body.name} created successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -252,45 +206,19 @@ router.post('/domains', checkPleskClient, async (req, res) => {
  * DELETE /api/plesk/domains/:id
  * Delete a domain
  */
-router.delete('/domains/:id', checkPleskClient, async (req, res) => {
+router.delete('/domains/:id', checkPleskClient, authorize('domains', 'delete', targets.domainParam()), async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const domainId = parseInt(id);
-		if (isNaN(domainId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid domain ID. Must be a number.',
-			});
-		}
-
-		// If using test data (Plesk not configured)
-		if (req.useTestData) {
-			return res.json({
-				success: true,
-				data: { id: domainId },
-				message: `Test domain ${domainId} deleted successfully`,
-			});
-		}
+		const domainId = parseId(id, 'Invalid domain ID. Must be a number.');
 
-		const result = await pleskClient.deleteDomain(domainId);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Domain ${domainId} deleted successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.deleteDomain(domainId);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Domain ${domainId} deleted successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -298,27 +226,16 @@ router.delete('/domains/:id', checkPleskClient, async (req, res) => {
  * GET /api/plesk/customers
  * List all customers
  */
-router.get('/customers', checkPleskClient, async (req, res) => {
+router.get('/customers', checkPleskClient, authorize('customers', 'read', targets.any()), async (req, res, next) => {
 	try {
-		const result = await pleskClient.listCustomers();
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: 'Customers retrieved successfully',
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.listCustomers();
+		res.json({
+			success: true,
+			data: filterCustomers(req, result.data),
+			message: 'Customers retrieved successfully',
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -326,36 +243,16 @@ router.get('/customers', checkPleskClient, async (req, res) => {
  * POST /api/plesk/customers
  * Create a new customer
  */
-router.post('/customers', checkPleskClient, async (req, res) => {
+router.post('/customers', validateRequest({ body: customerSchema }), checkPleskClient, authorize('customers', 'create'), async (req, res, next) => {
 	try {
-		const { error, value } = customerSchema.validate(req.body);
-		if (error) {
-			return res.status(400).json({
-				success: false,
-				error: 'Validation error',
-				details: error.details.map((detail) => detail.message),
-			});
-		}
-
-		const result = await pleskClient.createCustomer(value);
-		if (result.success) {
-			res.status(201).json({
-				success: true,
-				data: result.data,
-				message: `Customer ${value.login} created successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.createCustomer(req.body);
+		res.status(201).json({
+			success: true,
+			data: result.data,
+			message: `Customer ${req.body.login} created successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -363,22 +260,29 @@ router.post('/customers', checkPleskClient, async (req, res) => {
  * POST /api/plesk/test
  * Test endpoint to verify API connectivity
  */
-router.post('/test', checkPleskClient, async (req, res) => {
+router.post('/test', checkPleskClient, authorize('server', 'read'), async (req, res, next) => {
 	try {
-		const result = await pleskClient.getServerInfo();
+		const result = await req.pleskClient.getServerInfo();
 		res.json({
 			success: true,
 			message: 'Plesk REST API connection test successful',
-			pleskConnected: result.success,
+			pleskConnected: true,
 			timestamp: new Date().toISOString(),
-			serverInfo: result.success ? result.data : null,
+			serverInfo: result.data,
 		});
 	} catch (error) {
-		res.status(500).json({
-			success: false,
-			message: 'Plesk REST API connection test failed',
-			error: error.message,
+		// A failing Plesk server is the test result, anything else is our own failure
+		if (!(error instanceof PleskError)) {
+			return next(error);
+		}
+
+		res.json({
+			success: true,
+			message: `Plesk REST API connection test failed: ${error.message}`,
+			pleskConnected: false,
+			code: error.code,
 			timestamp: new Date().toISOString(),
+			serverInfo: null,
 		});
 	}
 });
@@ -387,36 +291,19 @@ router.post('/test', checkPleskClient, async (req, res) => {
  * GET /api/plesk/customers/:id
  * Get specific customer information
  */
-router.get('/customers/:id', checkPleskClient, async (req, res) => {
+router.get('/customers/:id', checkPleskClient, authorize('customers', 'read', targets.customerParam()), async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const customerId = parseInt(id);
-		if (isNaN(customerId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid customer ID. Must be a number.',
-			});
-		}
+		const customerId = parseId(id, 'Invalid customer ID. Must be a number.');
 
-		const result = await pleskClient.getCustomerInfo(customerId);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Customer ${customerId} information retrieved successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getCustomerInfo(customerId);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Customer ${customerId} information retrieved successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -424,36 +311,19 @@ router.get('/customers/:id', checkPleskClient, async (req, res) => {
  * GET /api/plesk/customers/:id/domains
  * Get customer domains
  */
-router.get('/customers/:id/domains', checkPleskClient, async (req, res) => {
+router.get('/customers/:id/domains', checkPleskClient, authorize('customers', 'read', targets.customerParam()), async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const customerId = parseInt(id);
-		if (isNaN(customerId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid customer ID. Must be a number.',
-			});
-		}
+		const customerId = parseId(id, 'Invalid customer ID. Must be a number.');
 
-		const result = await pleskClient.getCustomerDomains(customerId);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Customer ${customerId} domains retrieved successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getCustomerDomains(customerId);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Customer ${customerId} domains retrieved successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -461,36 +331,19 @@ router.get('/customers/:id/domains', checkPleskClient, async (req, res) => {
  * GET /api/plesk/customers/:id/statistics
  * Get customer statistics
  */
-router.get('/customers/:id/statistics', checkPleskClient, async (req, res) => {
+router.get('/customers/:id/statistics', checkPleskClient, authorize('customers', 'read', targets.customerParam()), async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const customerId = parseInt(id);
-		if (isNaN(customerId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid customer ID. Must be a number.',
-			});
-		}
+		const customerId = parseId(id, 'Invalid customer ID. Must be a number.');
 
-		const result = await pleskClient.getCustomerStatistics(customerId);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Customer ${customerId} statistics retrieved successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getCustomerStatistics(customerId);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Customer ${customerId} statistics retrieved successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -498,36 +351,19 @@ router.get('/customers/:id/statistics', checkPleskClient, async (req, res) => {
  * GET /api/plesk/domains/:id/status
  * Get domain status
  */
-router.get('/domains/:id/status', checkPleskClient, async (req, res) => {
+router.get('/domains/:id/status', checkPleskClient, authorize('domains', 'read', targets.domainParam()), async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const domainId = parseInt(id);
-		if (isNaN(domainId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid domain ID. Must be a number.',
-			});
-		}
+		const domainId = parseId(id, 'Invalid domain ID. Must be a number.');
 
-		const result = await pleskClient.getDomainStatus(domainId);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Domain ${domainId} status retrieved successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getDomainStatus(domainId);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Domain ${domainId} status retrieved successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -535,45 +371,19 @@ router.get('/domains/:id/status', checkPleskClient, async (req, res) => {
  * PUT /api/plesk/domains/:id
  * Update domain information
  */
-router.put('/domains/:id', checkPleskClient, async (req, res) => {
+router.put('/domains/:id', validateRequest({ body: domainSchema }, { allowUnknown: true, noDefaults: true }), checkPleskClient, authorize('domains', 'update', targets.domainParam()), async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const domainId = parseInt(id);
-		if (isNaN(domainId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid domain ID. Must be a number.',
-			});
-		}
+		const domainId = parseId(id, 'Invalid domain ID. Must be a number.');
 
-		// Validate update data
-		const { error } = domainSchema.validate(req.body, { allowUnknown: true });
-		if (error) {
-			return res.status(400).json({
-				success: false,
-				error: error.details[0].message,
-			});
-		}
-
-		const result = await pleskClient.updateDomain(domainId, req.body);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Domain ${domainId} updated successfully`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.updateDomain(domainId, req.body);
+		res.json({
+			success: true,
+			data: result.data,
+			message: `Domain ${domainId} updated successfully`,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -581,204 +391,25 @@ router.put('/domains/:id', checkPleskClient, async (req, res) => {
  * PUT /api/plesk/domains/:id/status
  * Update domain status
  */
-router.put('/domains/:id/status', checkPleskClient, async (req, res) => {
+router.put('/domains/:id/status', checkPleskClient, authorize('domains', 'suspend', targets.domainParam()), async (req, res, next) => {
 	try {
 		const { id } = req.params;
 		const { status } = req.body;
 
-		const domainId = parseInt(id);
-		if (isNaN(domainId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid domain ID. Must be a number.',
-			});
-		}
+		const domainId = parseId(id, 'Invalid domain ID. Must be a number.');
 
 		if (!['active', 'suspended', 'disabled'].includes(status)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid status. Must be one of: active, suspended, disabled',
-			});
-		}
-
-		// If using test data (Plesk not configured)
-		if (req.useTestData) {
-			return res.json({
-				success: true,
-				data: { id: domainId, status },
-				message: `Test domain ${domainId} status updated to ${status}`,
-			});
-		}
-
-		const result = await pleskClient.updateDomainStatus(domainId, status);
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: `Domain ${domainId} status updated to ${status}`,
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
+			throw new ValidationError('Invalid status. Must be one of: active, suspended, disabled');
 		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
-		});
-	}
-});
-
-/**
- * POST /api/plesk/domains/refresh
- * Force refresh domain data from Plesk
- */
-router.post('/domains/refresh', checkPleskClient, async (req, res) => {
-	try {
-		if (req.useTestData) {
-			return res.json({
-				success: true,
-				data: { count: 3 },
-				message: 'Test mode - refresh simulated',
-			});
-		}
-
-		const result = await pleskClient.refreshDomains();
-
-		if (result.success) {
-			res.json({
-				success: true,
-				data: { count: result.count },
-				message: `Refreshed ${result.count} domains successfully`,
-			});
-		} else {
-			res.status(500).json({
-				success: false,
-				error: result.error,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
-		});
-	}
-});
-
-/**
- * GET /api/plesk/domains/metadata
- * Get cache metadata (last updated, counts, etc)
- */
-router.get('/domains/metadata', checkPleskClient, async (req, res) => {
-	try {
-		if (req.useTestData) {
-			return res.json({
-				success: true,
-				data: {
-					total_domains: 3,
-					active_domains: 2,
-					suspended_domains: 1,
-					disabled_domains: 0,
-					unknown_domains: 0,
-					last_updated: new Date(),
-				},
-				message: 'Test mode metadata',
-			});
-		}
-
-		const result = await pleskClient.getCacheMetadata();
-
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: 'Cache metadata retrieved successfully',
-			});
-		} else {
-			res.status(500).json({
-				success: false,
-				error: result.error,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
-		});
-	}
-});
-
-/**
- * POST /api/plesk/domains/sync
- * Trigger manual domain sync
- */
-router.post('/domains/sync', checkPleskClient, async (req, res) => {
-	try {
-		if (req.useTestData) {
-			return res.json({
-				success: true,
-				message: 'Test mode - sync not needed',
-			});
-		}
-
-		// Trigger background sync
-		pleskClient.syncDomainsInBackground();
 
+		const result = await req.pleskClient.updateDomainStatus(domainId, status);
 		res.json({
 			success: true,
-			message: 'Domain sync initiated in background',
-		});
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+			data: result.data,
+			message: `Domain ${domainId} status updated to ${status}`,
 		});
-	}
-});
-
-/**
- * GET /api/plesk/domains/sync/stats
- * Get domain sync statistics
- */
-router.get('/domains/sync/stats', checkPleskClient, async (req, res) => {
-	try {
-		if (req.useTestData) {
-			return res.json({
-				success: true,
-				data: {
-					total_domains: 3,
-					active_domains: 2,
-					suspended_domains: 1,
-					disabled_domains: 0,
-					unknown_domains: 0,
-					error_domains: 0,
-					last_sync_time: new Date(),
-				},
-				message: 'Test mode sync statistics',
-			});
-		}
-
-		const result = await pleskClient.getSyncStats();
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: 'Sync statistics retrieved successfully',
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-			});
-		}
 	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
-		});
+		next(error);
 	}
 });
 
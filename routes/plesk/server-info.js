@@ -1,52 +1,27 @@
 const express = require('express');
-const PleskAPIClient = require('../../lib/pleskClient');
+const { authorize, targets } = require('../../lib/permissions');
+const { resolvePleskClient } = require('../../lib/serverRegistry');
+const { PleskError } = require('../../lib/errors');
 
 const router = express.Router();
 
-// Initialize Plesk client
-let pleskClient;
-try {
-	pleskClient = new PleskAPIClient();
-	console.log('Plesk client initialized for server-info module');
-} catch (error) {
-	console.error('Failed to initialize Plesk client for server-info:', error.message);
-}
-
-// Middleware to check if Plesk client is available
-const checkPleskClient = (req, res, next) => {
-	if (!pleskClient) {
-		return res.status(500).json({
-			error: 'Plesk client not configured. Please check your environment variables.',
-		});
-	}
-	next();
-};
+// Resolve the target Plesk server (serverId query parameter or X-Plesk-Server-Id header)
+const checkPleskClient = resolvePleskClient();
 
 /**
  * GET /api/plesk/server/info
  * Get server information
  */
-router.get('/info', checkPleskClient, async (req, res) => {
+router.get('/info', checkPleskClient, authorize('server', 'read'), async (req, res, next) => {
 	try {
-		const result = await pleskClient.getServerInfo();
-		if (result.success) {
-			res.json({
-				success: true,
-				data: result.data,
-				message: 'Server information retrieved successfully',
-			});
-		} else {
-			res.status(result.status || 500).json({
-				success: false,
-				error: result.error,
-				details: result.details,
-			});
-		}
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		const result = await req.pleskClient.getServerInfo();
+		res.json({
+			success: true,
+			data: result.data,
+			message: 'Server information retrieved successfully',
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
@@ -54,22 +29,29 @@ router.get('/info', checkPleskClient, async (req, res) => {
  * POST /api/plesk/server/test
  * Test Plesk REST API connectivity
  */
-router.post('/test', checkPleskClient, async (req, res) => {
+router.post('/test', checkPleskClient, authorize('server', 'read'), async (req, res, next) => {
 	try {
-		const result = await pleskClient.getServerInfo();
+		const result = await req.pleskClient.getServerInfo();
 		res.json({
 			success: true,
 			message: 'Plesk REST API connection test successful',
-			pleskConnected: result.success,
+			pleskConnected: true,
 			timestamp: new Date().toISOString(),
-			serverInfo: result.success ? result.data : null,
+			serverInfo: result.data,
 		});
 	} catch (error) {
-		res.status(500).json({
-			success: false,
-			message: 'Plesk REST API connection test failed',
-			error: error.message,
+		// A failing Plesk server is the test result, anything else is our own failure
+		if (!(error instanceof PleskError)) {
+			return next(error);
+		}
+
+		res.json({
+			success: true,
+			message: `Plesk REST API connection test failed: ${error.message}`,
+			pleskConnected: false,
+			code: error.code,
 			timestamp: new Date().toISOString(),
+			serverInfo: null,
 		});
 	}
 });
@@ -0,0 +1,283 @@
+const express = require('express');
+const Joi = require('joi');
+const { ACTIVITY_COLUMNS, iterateActivity, logActivity, searchActivity, toCsvLine, toExportRecord } = require('../../lib/activity');
+const { requireRole } = require('../../lib/auth');
+const { ForbiddenError } = require('../../lib/errors');
+const { parseId, validateRequest } = require('../../lib/validation');
+
+const router = express.Router();
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+// Validation schemas
+const filterKeys = {
+	user_id: Joi.number().integer().min(1).optional(),
+	type: Joi.string()
+		.pattern(/^[A-Za-z0-9_]+\*?(,[A-Za-z0-9_]+\*?)*$/)
+		.max(500)
+		.optional()
+		.messages({ 'string.pattern.base': '"type" must be a comma separated list of activity types (TYPE or a TYPE_* prefix)' }),
+	resource: Joi.string().max(50).optional(),
+	target_id: Joi.string().max(50).optional(),
+	outcome: Joi.string().valid('success', 'failure', 'denied').optional(),
+	from: Joi.date().iso().optional(),
+	to: Joi.date().iso().min(Joi.ref('from')).optional(),
+	ip: Joi.string().ip({ cidr: 'forbidden' }).optional(),
+	q: Joi.string().trim().min(1).max(100).optional(),
+};
+
+const searchQuerySchema = Joi.object({
+	...filterKeys,
+	limit: Joi.number().integer().min(1).max(500).default(50),
+	cursor: Joi.string().max(200).optional(),
+});
+
+const exportQuerySchema = Joi.object({
+	...filterKeys,
+	format: Joi.string().valid(...EXPORT_FORMATS).default('csv'),
+});
+
+const checkpointSchema = Joi.object({
+	id: Joi.number().integer().optional(),
+	version: Joi.number().valid(1).required(),
+	algorithm: Joi.string().valid('Ed25519').required(),
+	keyId: Joi.string().hex().max(64).required(),
+	lastId: Joi.number().integer().min(0).required(),
+	lastHash: Joi.string().hex().length(64).required(),
+	entries: Joi.number().integer().min(0).required(),
+	createdAt: Joi.string().isoDate().required(),
+	signature: Joi.string().base64().required(),
+});
+
+/**
+ * Search filters of a validated query. Users other than admins only see their own activity.
+ * @param {Object} req - Express request
+ * @returns {Object} - Filters for lib/activity
+ * @throws {ForbiddenError} - When a user asks for another user's activity
+ */
+function filtersOf(req) {
+	const { user_id, type, resource, target_id, outcome, from, to, ip, q } = req.query;
+
+	if (req.user.role !== 'admin' && user_id && user_id !== req.user.id) {
+		throw new ForbiddenError("Only admins can view other users' activity");
+	}
+
+	return {
+		userId: req.user.role === 'admin' ? user_id : req.user.id,
+		types: type ? type.toUpperCase().split(',') : [],
+		resource,
+		targetId: target_id,
+		outcome,
+		from,
+		to,
+		ip,
+		q,
+	};
+}
+
+/**
+ * Write a chunk, waiting for the client to catch up when the buffer is full
+ * @param {Object} res - Express response
+ * @param {string} chunk
+ * @returns {Promise<void>}
+ */
+function write(res, chunk) {
+	if (res.write(chunk)) {
+		return Promise.resolve();
+	}
+	return new Promise((resolve) => {
+		const done = () => {
+			res.off('drain', done);
+			res.off('close', done);
+			resolve();
+		};
+		res.on('drain', done);
+		res.on('close', done);
+	});
+}
+
+/**
+ * GET /api/users/activity
+ * Search the activity log, newest first. Filters: user_id (admins), type (comma
+ * separated, TYPE_* for a prefix), resource, target_id, outcome, from, to, ip and
+ * q (free text); the next page is fetched with pagination.nextCursor.
+ */
+router.get('/', validateRequest({ query: searchQuerySchema }), async (req, res, next) => {
+	try {
+		const { rows, nextCursor } = await searchActivity(req.services.db, filtersOf(req), { limit: req.query.limit, cursor: req.query.cursor });
+
+		res.json({
+			success: true,
+			data: rows,
+			pagination: {
+				limit: req.query.limit,
+				nextCursor,
+			},
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * GET /api/users/activity/export
+ * Download the matching activity as CSV or NDJSON (?format=ndjson), streamed in
+ * batches so any range of history can be exported
+ */
+router.get('/export', validateRequest({ query: exportQuerySchema }), async (req, res, next) => {
+	let filters;
+	try {
+		filters = filtersOf(req);
+		await logActivity(req.services.db, {
+			userId: req.user.id,
+			type: 'ACTIVITY_EXPORT',
+			description: `Exported activity as ${req.query.format} (${new URLSearchParams(req.originalUrl.split('?')[1] || '').toString() || 'no filters'})`.slice(0, 500),
+			ip: req.ip,
+			userAgent: req.get('user-agent'),
+			targetResource: 'activity',
+		});
+	} catch (error) {
+		return next(error);
+	}
+
+	const { format } = req.query;
+	let closed = false;
+	res.on('close', () => {
+		closed = true;
+	});
+
+	// Headers are sent with the first row, so a failing first query still gets a JSON error
+	const start = () => {
+		res.status(200);
+		res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+		res.set('Content-Disposition', `attachment; filename="activity-${new Date().toISOString().slice(0, 10)}.${format}"`);
+		return write(res, format === 'csv' ? `${ACTIVITY_COLUMNS.join(',')}\r\n` : '');
+	};
+
+	try {
+		for await (const row of iterateActivity(req.services.db, filters)) {
+			if (closed) {
+				break;
+			}
+			if (!res.headersSent) {
+				await start();
+			}
+			const record = toExportRecord(row);
+			await write(res, format === 'csv' ? toCsvLine(record) : `${JSON.stringify(record)}\n`);
+		}
+
+		if (!res.headersSent) {
+			await start();
+		}
+		res.end();
+	} catch (error) {
+		if (!res.headersSent) {
+			return next(error);
+		}
+		// The download is cut short so the client does not mistake it for a complete export
+		req.log.error('Activity export failed', { error: error.message });
+		res.destroy(error);
+	}
+});
+
+/**
+ * GET /api/users/activity/verify
+ * Walk the hash chain of the activity log and report the first broken link (admin only)
+ */
+router.get('/verify', requireRole('admin'), async (req, res, next) => {
+	try {
+		const result = await req.services.auditChain.verify();
+
+		res.json({
+			success: true,
+			data: result,
+			message: result.valid ? `Activity log intact (${result.checked} chained entries)` : `Activity log chain broken at entry ${result.brokenAt.id} (${result.brokenAt.reason})`,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * GET /api/users/activity/checkpoints
+ * Signed checkpoints of the chain head, newest first (admin only)
+ */
+router.get('/checkpoints', requireRole('admin'), async (req, res, next) => {
+	try {
+		res.json({
+			success: true,
+			data: await req.services.auditChain.listCheckpoints(),
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/users/activity/checkpoints
+ * Sign the current chain head (admin only)
+ */
+router.post('/checkpoints', requireRole('admin'), async (req, res, next) => {
+	try {
+		const checkpoint = await req.services.auditChain.createCheckpoint(req.user.id);
+
+		res.status(201).json({
+			success: true,
+			data: checkpoint,
+			message: 'Checkpoint created successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * GET /api/users/activity/checkpoints/public-key
+ * Ed25519 public key verifying the checkpoint signatures (admin only)
+ */
+router.get('/checkpoints/public-key', requireRole('admin'), (req, res, next) => {
+	try {
+		res.json({
+			success: true,
+			data: req.services.auditChain.publicKeyInfo(),
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/users/activity/checkpoints/verify
+ * Check an exported checkpoint against its signature and the current log (admin only)
+ */
+router.post('/checkpoints/verify', requireRole('admin'), validateRequest({ body: checkpointSchema }), async (req, res, next) => {
+	try {
+		const result = await req.services.auditChain.verifyCheckpoint(req.body);
+
+		res.json({
+			success: true,
+			data: result,
+			message: result.valid ? 'Checkpoint matches the activity log' : `Checkpoint does not match the activity log (${result.reason})`,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * GET /api/users/activity/checkpoints/:id
+ * Download a checkpoint, to be stored outside the database (admin only)
+ */
+router.get('/checkpoints/:id', requireRole('admin'), async (req, res, next) => {
+	try {
+		const checkpointId = parseId(req.params.id, 'Invalid checkpoint ID');
+		const checkpoint = await req.services.auditChain.getCheckpoint(checkpointId);
+
+		res.set('Content-Disposition', `attachment; filename="activity-checkpoint-${checkpointId}.json"`);
+		res.json(checkpoint);
+	} catch (error) {
+		next(error);
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const Joi = require('joi');
+const { logActivity } = require('../../lib/activity');
+const { SCOPE_PATTERN } = require('../../lib/apiKeys');
+const { authenticateToken, requireSession } = require('../../lib/auth');
+const { ForbiddenError, NotFoundError } = require('../../lib/errors');
+const { rateLimit } = require('../../lib/rateLimit');
+const { parseId, validateRequest } = require('../../lib/validation');
+
+const router = express.Router();
+
+// Mounted public (see routes/index), the routes authenticate and rate-limit the caller themselves
+const authenticated = [authenticateToken, rateLimit()];
+
+// Validation schemas
+const apiKeySchema = Joi.object({
+	name: Joi.string().trim().min(1).max(100).required(),
+	scopes: Joi.array()
+		.items(Joi.string().pattern(SCOPE_PATTERN, 'resource:access scope'))
+		.min(1)
+		.unique()
+		.required(),
+	serverId: Joi.number().integer().positive().optional(),
+	rateLimitPerHour: Joi.number().integer().min(1).optional(),
+	expiresInDays: Joi.number().integer().min(1).max(3650).optional(),
+});
+
+const listQuerySchema = Joi.object({
+	userId: Joi.number().integer().positive().optional(),
+});
+
+/**
+ * Load a key the current user may manage (their own, or any key for admins)
+ * @param {Object} req
+ * @returns {Promise<Object>}
+ */
+async function loadOwnedKey(req) {
+	const key = await req.services.apiKeys.get(parseId(req.params.id, 'Invalid API key ID'));
+	if (key.userId !== req.user.id && req.user.role !== 'admin') {
+		throw new NotFoundError('API key not found');
+	}
+	return key;
+}
+
+/**
+ * GET /api/users/api-keys
+ * List the current user's API keys (admins may pass ?userId)
+ */
+router.get('/', authenticated, requireSession, validateRequest({ query: listQuerySchema }), async (req, res, next) => {
+	try {
+		const userId = req.query.userId || req.user.id;
+		if (userId !== req.user.id && req.user.role !== 'admin') {
+			throw new ForbiddenError('Admin access required');
+		}
+
+		const keys = await req.services.apiKeys.list(userId);
+
+		res.json({
+			success: true,
+			data: keys,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/users/api-keys
+ * Mint an API key with scopes such as domains:read or dns:write, optionally
+ * bound to one Plesk server and limited to a number of requests per hour.
+ * The key is only shown in this response.
+ */
+router.post('/', authenticated, requireSession, validateRequest({ body: apiKeySchema }), async (req, res, next) => {
+	try {
+		const { name, scopes, serverId, rateLimitPerHour, expiresInDays } = req.body;
+		const apiKey = await req.services.apiKeys.create({ userId: req.user.id, name, scopes, serverId, rateLimitPerHour, expiresInDays });
+
+		await logActivity(req.services.db, { userId: req.user.id, type: 'API_KEY_CREATE', description: `Created API key ${apiKey.id} (${name}) with scopes ${scopes.join(', ')}`, ip: req.ip });
+
+		res.status(201).json({
+			success: true,
+			data: apiKey,
+			message: 'API key created successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/users/api-keys/:id/rotate
+ * Replace the secret of a key; the previous one stops working immediately
+ */
+router.post('/:id/rotate', authenticated, requireSession, async (req, res, next) => {
+	try {
+		const current = await loadOwnedKey(req);
+		const apiKey = await req.services.apiKeys.rotate(current.id);
+
+		await logActivity(req.services.db, { userId: req.user.id, type: 'API_KEY_ROTATE', description: `Rotated API key ${apiKey.id} (${apiKey.name})`, ip: req.ip });
+
+		res.json({
+			success: true,
+			data: apiKey,
+			message: 'API key rotated successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * DELETE /api/users/api-keys/:id
+ * Revoke an API key
+ */
+router.delete('/:id', authenticated, requireSession, async (req, res, next) => {
+	try {
+		const current = await loadOwnedKey(req);
+		const apiKey = await req.services.apiKeys.revoke(current.id);
+
+		await logActivity(req.services.db, { userId: req.user.id, type: 'API_KEY_REVOKE', description: `Revoked API key ${apiKey.id} (${apiKey.name})`, ip: req.ip });
+
+		res.json({
+			success: true,
+			data: apiKey,
+			message: 'API key revoked successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require('express');
+const Joi = require('joi');
+const { accountLink, describeTtl } = require('../../lib/accountTokens');
+const { logActivity } = require('../../lib/activity');
+const { parseId, validateRequest } = require('../../lib/validation');
+
+const router = express.Router();
+
+// Validation schemas
+const invitationSchema = Joi.object({
+	email: Joi.string().email().optional(),
+	role: Joi.string().valid('admin', 'user', 'viewer').default('user'),
+	expiresInHours: Joi.number()
+		.integer()
+		.min(1)
+		.max(24 * 30)
+		.default(72),
+});
+
+const listQuerySchema = Joi.object({
+	status: Joi.string().valid('pending', 'accepted', 'revoked', 'expired').optional(),
+});
+
+/**
+ * GET /api/users/invitations
+ * List invitations (supports ?status filter)
+ */
+router.get('/', validateRequest({ query: listQuerySchema }), async (req, res, next) => {
+	try {
+		const invitations = await req.services.invitations.list({ status: req.query.status });
+
+		res.json({
+			success: true,
+			data: invitations,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/users/invitations
+ * Create an invitation with a pre-assigned role. The link is mailed when an
+ * email is given and always returned, so it can be shared another way.
+ */
+router.post('/', validateRequest({ body: invitationSchema }), async (req, res, next) => {
+	try {
+		const { email, role, expiresInHours } = req.body;
+		const { token, ...invitation } = await req.services.invitations.create({ email, role, expiresInHours, invitedBy: req.user.id });
+		const url = accountLink('register', token);
+
+		let mailed = false;
+		if (email) {
+			try {
+				await req.services.mailer.sendTemplate('invitation', email, { invited_by: req.user.username, role, invitation_url: url, expires_in: describeTtl(expiresInHours * 60) });
+				mailed = true;
+			} catch (error) {
+				req.log.error('Failed to send invitation email', { error: error.message });
+			}
+		}
+
+		await logActivity(req.services.db, { userId: req.user.id, type: 'INVITATION_CREATE', description: `Invited ${email || 'a new user'} as ${role} (invitation ${invitation.id})`, ip: req.ip });
+
+		res.status(201).json({
+			success: true,
+			data: { ...invitation, token, url, mailed },
+			message: 'Invitation created successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * DELETE /api/users/invitations/:id
+ * Revoke an invitation that has not been accepted yet
+ */
+router.delete('/:id', async (req, res, next) => {
+	try {
+		const invitationId = parseId(req.params.id, 'Invalid invitation ID');
+		const invitation = await req.services.invitations.revoke(invitationId);
+
+		await logActivity(req.services.db, { userId: req.user.id, type: 'INVITATION_REVOKE', description: `Revoked invitation ${invitationId}`, ip: req.ip });
+
+		res.json({
+			success: true,
+			data: invitation,
+			message: 'Invitation revoked successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require('express');
+const Joi = require('joi');
+const { logActivity } = require('../../lib/activity');
+const { ACTIONS, RESOURCE_TYPES } = require('../../lib/permissions');
+const { parseId, validateRequest } = require('../../lib/validation');
+
+const router = express.Router();
+
+// Validation schemas
+const grantSchema = Joi.object({
+	userId: Joi.number().integer().min(1).required(),
+	serverId: Joi.number().integer().min(1).allow(null).default(null),
+	customerId: Joi.number().integer().min(1).allow(null).default(null),
+	resourceType: Joi.string().valid(...RESOURCE_TYPES).required(),
+	actions: Joi.array().items(Joi.string().valid(...ACTIONS)).min(1).unique().required(),
+});
+
+const listQuerySchema = Joi.object({
+	userId: Joi.number().integer().min(1).optional(),
+});
+
+/**
+ * GET /api/permissions
+ * List permission grants (supports ?userId filter)
+ */
+router.get('/', validateRequest({ query: listQuerySchema }), async (req, res, next) => {
+	try {
+		const grants = await req.services.permissions.listGrants(req.query.userId || null);
+
+		res.json({
+			success: true,
+			data: grants,
+			message: 'Permission grants retrieved successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/permissions
+ * Grant a user actions on a resource type, optionally limited to a server and a customer
+ */
+router.post('/', validateRequest({ body: grantSchema }), async (req, res, next) => {
+	try {
+		const grant = await req.services.permissions.createGrant(req.body, req.user.id);
+
+		await logActivity(req.services.db, {
+			userId: req.user.id,
+			type: 'PERMISSION_GRANT',
+			description: `Granted ${grant.resourceType}:${grant.actions.join(',')} to user ${grant.userId} (server ${grant.serverId ?? 'any'}, customer ${grant.customerId ?? 'any'})`,
+			ip: req.ip,
+		});
+
+		res.status(201).json({
+			success: true,
+			data: grant,
+			message: 'Permission granted successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * DELETE /api/permissions/:id
+ * Revoke a permission grant
+ */
+router.delete('/:id', async (req, res, next) => {
+	try {
+		const grantId = parseId(req.params.id, 'Invalid permission ID. Must be a number.');
+		const grant = await req.services.permissions.deleteGrant(grantId);
+
+		await logActivity(req.services.db, { userId: req.user.id, type: 'PERMISSION_REVOKE', description: `Revoked permission ${grantId} of user ${grant.userId}`, ip: req.ip });
+
+		res.json({
+			success: true,
+			data: grant,
+			message: `Permission ${grantId} revoked successfully`,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+module.exports = router;
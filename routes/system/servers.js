@@ -0,0 +1,359 @@
+const express = require('express');
+const Joi = require('joi');
+const { ConflictError, NotFoundError } = require('../../lib/errors');
+const { parseId, validateRequest } = require('../../lib/validation');
+
+const router = express.Router();
+
+// SHA-256 fingerprint, with or without colons
+const fingerprintPattern = /^([0-9A-Fa-f]{2}:?){31}[0-9A-Fa-f]{2}$/;
+
+// Validation schemas
+const serverSchema = Joi.object({
+	name: Joi.string().max(100).required(),
+	host: Joi.string().max(255).required(),
+	port: Joi.number().integer().min(1).max(65535).default(8443),
+	username: Joi.string().max(100).required(),
+	password: Joi.string().optional(),
+	apiKey: Joi.string().optional(),
+	sslVerify: Joi.boolean().default(true),
+	caBundle: Joi.string().pattern(/-----BEGIN CERTIFICATE-----/).optional(),
+	tlsFingerprint: Joi.string().pattern(fingerprintPattern).optional(),
+	isDefault: Joi.boolean().default(false),
+	serverGroup: Joi.string().max(100).optional(),
+}).or('password', 'apiKey');
+
+const acceptFingerprintSchema = Joi.object({
+	fingerprint: Joi.string().pattern(fingerprintPattern).optional(),
+});
+
+const serverUpdateSchema = Joi.object({
+	name: Joi.string().max(100).optional(),
+	host: Joi.string().max(255).optional(),
+	port: Joi.number().integer().min(1).max(65535).optional(),
+	username: Joi.string().max(100).optional(),
+	password: Joi.string().optional(),
+	apiKey: Joi.string().optional(),
+	sslVerify: Joi.boolean().optional(),
+	caBundle: Joi.string().pattern(/-----BEGIN CERTIFICATE-----/).allow(null).optional(),
+	tlsFingerprint: Joi.string().pattern(fingerprintPattern).allow(null).optional(),
+	isDefault: Joi.boolean().optional(),
+	serverGroup: Joi.string().max(100).optional(),
+});
+
+/**
+ * Format a plesk_servers row for responses (credentials are never returned)
+ * @param {Object} server
+ * @returns {Object}
+ */
+const formatServer = (server) => ({
+	id: server.id,
+	name: server.name,
+	host: server.host,
+	port: server.port,
+	username: server.username,
+	hasPassword: Boolean(server.password_encrypted),
+	hasApiKey: Boolean(server.api_key_encrypted),
+	sslVerify: Boolean(server.ssl_verify),
+	hasCaBundle: Boolean(server.ca_bundle),
+	tlsFingerprint: server.tls_fingerprint,
+	isActive: Boolean(server.is_active),
+	isDefault: Boolean(server.is_default),
+	serverGroup: server.server_group,
+	version: server.version,
+	platform: server.platform,
+	status: server.status,
+	lastCheck: server.last_check,
+	errorMessage: server.error_message,
+	createdAt: server.created_at,
+	updatedAt: server.updated_at,
+});
+
+/**
+ * GET /api/servers
+ * List registered Plesk servers (supports ?includeInactive=true and ?group filter)
+ */
+router.get('/', async (req, res, next) => {
+	try {
+		const servers = await req.services.registry.listServers({
+			includeInactive: req.query.includeInactive === 'true',
+			group: req.query.group,
+		});
+
+		res.json({
+			success: true,
+			data: servers.map(formatServer),
+			message: 'Servers retrieved successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/servers/credentials/rotate
+ * Re-encrypt stored server credentials with the active vault key
+ */
+router.post('/credentials/rotate', async (req, res, next) => {
+	try {
+		const result = await req.services.registry.rewrapCredentials();
+
+		res.json({
+			success: true,
+			data: result,
+			message: `Re-encrypted credentials for ${result.rewrapped} of ${result.servers} servers`,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * GET /api/servers/:id
+ * Get a registered Plesk server
+ */
+router.get('/:id', async (req, res, next) => {
+	try {
+		const serverId = parseId(req.params.id, 'Invalid server ID. Must be a number.');
+
+		const server = await req.services.registry.getServer(serverId);
+		if (!server) {
+			throw new NotFoundError(`Plesk server ${serverId} not found`, 'SERVER_NOT_FOUND');
+		}
+
+		res.json({
+			success: true,
+			data: formatServer(server),
+			message: `Server ${serverId} retrieved successfully`,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/servers
+ * Register a new Plesk server and run a connection check
+ */
+router.post('/', validateRequest({ body: serverSchema }), async (req, res, next) => {
+	try {
+		const server = await req.services.registry.createServer(req.body);
+		const check = await req.services.registry.checkServer(server.id);
+
+		res.status(201).json({
+			success: true,
+			data: formatServer(check.server),
+			connected: check.connected,
+			message: check.connected ? `Server ${req.body.name} registered and connected` : `Server ${req.body.name} registered but the connection check failed: ${check.error}`,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * PUT /api/servers/:id
+ * Update a registered Plesk server and run a connection check
+ */
+router.put('/:id', validateRequest({ body: serverUpdateSchema }), async (req, res, next) => {
+	try {
+		const serverId = parseId(req.params.id, 'Invalid server ID. Must be a number.');
+
+		const existing = await req.services.registry.getServer(serverId);
+		if (!existing) {
+			throw new NotFoundError(`Plesk server ${serverId} not found`, 'SERVER_NOT_FOUND');
+		}
+
+		if (req.body.isDefault && !existing.is_active) {
+			throw new ConflictError('A disabled server cannot be the default server');
+		}
+
+		await req.services.registry.updateServer(serverId, req.body);
+		const check = await req.services.registry.checkServer(serverId);
+
+		res.json({
+			success: true,
+			data: formatServer(check.server),
+			connected: check.connected,
+			message: check.connected ? `Server ${serverId} updated and connected` : `Server ${serverId} updated but the connection check failed: ${check.error}`,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/servers/:id/test
+ * Run a connection check against a registered server
+ */
+router.post('/:id/test', async (req, res, next) => {
+	try {
+		const serverId = parseId(req.params.id, 'Invalid server ID. Must be a number.');
+
+		const check = await req.services.registry.checkServer(serverId);
+
+		res.json({
+			success: true,
+			data: formatServer(check.server),
+			connected: check.connected,
+			message: check.connected ? 'Plesk REST API connection test successful' : `Plesk REST API connection test failed: ${check.error}`,
+			timestamp: new Date().toISOString(),
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * GET /api/servers/:id/tls
+ * Compare the certificate a server presents with its pinned fingerprint
+ */
+router.get('/:id/tls', async (req, res, next) => {
+	try {
+		const serverId = parseId(req.params.id, 'Invalid server ID. Must be a number.');
+
+		const { server, presented, matches } = await req.services.registry.inspectCertificate(serverId);
+
+		res.json({
+			success: true,
+			data: {
+				sslVerify: Boolean(server.ssl_verify),
+				hasCaBundle: Boolean(server.ca_bundle),
+				pinnedFingerprint: server.tls_fingerprint,
+				presented,
+				matches,
+			},
+			message: matches === false ? 'The server presents a certificate that does not match the pinned fingerprint' : 'TLS certificate retrieved successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/servers/:id/tls/accept
+ * Pin the fingerprint the server currently presents (optionally checked against `fingerprint` in the body)
+ */
+router.post('/:id/tls/accept', validateRequest({ body: acceptFingerprintSchema }), async (req, res, next) => {
+	try {
+		const serverId = parseId(req.params.id, 'Invalid server ID. Must be a number.');
+
+		const result = await req.services.registry.acceptFingerprint(serverId, req.body.fingerprint);
+
+		res.json({
+			success: true,
+			data: {
+				...formatServer(result.server),
+				previousFingerprint: result.previous,
+			},
+			message: `TLS fingerprint ${result.fingerprint} accepted for server ${serverId}`,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * PUT /api/servers/:id/default
+ * Make a server the default target
+ */
+router.put('/:id/default', async (req, res, next) => {
+	try {
+		const serverId = parseId(req.params.id, 'Invalid server ID. Must be a number.');
+
+		const server = await req.services.registry.getServer(serverId);
+		if (!server) {
+			throw new NotFoundError(`Plesk server ${serverId} not found`, 'SERVER_NOT_FOUND');
+		}
+
+		if (!server.is_active) {
+			throw new ConflictError('A disabled server cannot be the default server');
+		}
+
+		await req.services.registry.setDefaultServer(serverId);
+
+		res.json({
+			success: true,
+			data: formatServer(await req.services.registry.getServer(serverId)),
+			message: `Server ${serverId} is now the default server`,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * PUT /api/servers/:id/disable
+ * Disable a server
+ */
+router.put('/:id/disable', async (req, res, next) => {
+	try {
+		const serverId = parseId(req.params.id, 'Invalid server ID. Must be a number.');
+
+		const server = await req.services.registry.getServer(serverId);
+		if (!server) {
+			throw new NotFoundError(`Plesk server ${serverId} not found`, 'SERVER_NOT_FOUND');
+		}
+
+		await req.services.registry.setServerActive(serverId, false);
+
+		res.json({
+			success: true,
+			data: formatServer(await req.services.registry.getServer(serverId)),
+			message: `Server ${serverId} disabled`,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * PUT /api/servers/:id/enable
+ * Re-enable a disabled server
+ */
+router.put('/:id/enable', async (req, res, next) => {
+	try {
+		const serverId = parseId(req.params.id, 'Invalid server ID. Must be a number.');
+
+		const server = await req.services.registry.getServer(serverId);
+		if (!server) {
+			throw new NotFoundError(`Plesk server ${serverId} not found`, 'SERVER_NOT_FOUND');
+		}
+
+		await req.services.registry.setServerActive(serverId, true);
+
+		res.json({
+			success: true,
+			data: formatServer(await req.services.registry.getServer(serverId)),
+			message: `Server ${serverId} enabled`,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * DELETE /api/servers/:id
+ * Delete a registered server
+ */
+router.delete('/:id', async (req, res, next) => {
+	try {
+		const serverId = parseId(req.params.id, 'Invalid server ID. Must be a number.');
+
+		const server = await req.services.registry.getServer(serverId);
+		if (!server) {
+			throw new NotFoundError(`Plesk server ${serverId} not found`, 'SERVER_NOT_FOUND');
+		}
+
+		await req.services.registry.deleteServer(serverId);
+
+		res.json({
+			success: true,
+			message: `Server ${server.name} deleted successfully`,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+module.exports = router;
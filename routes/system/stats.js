@@ -0,0 +1,103 @@
+const express = require('express');
+const Joi = require('joi');
+const { validateRequest } = require('../../lib/validation');
+
+const router = express.Router();
+
+// Default reporting window
+const DEFAULT_RANGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Validation schemas
+const rangeKeys = {
+	from: Joi.date()
+		.iso()
+		.default(() => new Date(Date.now() - DEFAULT_RANGE_MS)),
+	to: Joi.date()
+		.iso()
+		.min(Joi.ref('from'))
+		.default(() => new Date()),
+	server_id: Joi.number().integer().min(0).optional(),
+};
+
+const endpointQuerySchema = Joi.object({
+	...rangeKeys,
+	limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+const serverQuerySchema = Joi.object(rangeKeys);
+
+/**
+ * Statistics filters of a validated query
+ * @param {Object} query - Validated query
+ * @returns {Object} - Filters for lib/callLog (server_id 0 is the environment-configured server)
+ */
+function filtersOf(query) {
+	return {
+		from: query.from,
+		to: query.to,
+		serverId: query.server_id === undefined ? null : query.server_id,
+		limit: query.limit,
+	};
+}
+
+/**
+ * GET /api/stats/usage
+ * Daily Plesk call totals of the last 30 days
+ */
+router.get('/usage', async (req, res, next) => {
+	try {
+		res.json({
+			success: true,
+			data: await req.services.callLog.dailyUsage(),
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * GET /api/stats/endpoints
+ * Plesk endpoints with the highest average latency (from, to, server_id, limit)
+ */
+router.get('/endpoints', validateRequest({ query: endpointQuerySchema }), async (req, res, next) => {
+	try {
+		res.json({
+			success: true,
+			data: await req.services.callLog.slowestEndpoints(filtersOf(req.query)),
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * GET /api/stats/errors
+ * Plesk endpoints with the highest error rate (from, to, server_id, limit)
+ */
+router.get('/errors', validateRequest({ query: endpointQuerySchema }), async (req, res, next) => {
+	try {
+		res.json({
+			success: true,
+			data: await req.services.callLog.errorRates(filtersOf(req.query)),
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * GET /api/stats/servers
+ * Latency percentiles (p50, p90, p95, p99) and error counts per Plesk server (from, to, server_id)
+ */
+router.get('/servers', validateRequest({ query: serverQuerySchema }), async (req, res, next) => {
+	try {
+		res.json({
+			success: true,
+			data: await req.services.callLog.serverLatency(filtersOf(req.query)),
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const Joi = require('joi');
+const { logActivity } = require('../../lib/activity');
+const { authenticateToken, requireSession } = require('../../lib/auth');
+const { AuthenticationError, ForbiddenError, NotFoundError } = require('../../lib/errors');
+const { rateLimit } = require('../../lib/rateLimit');
+const { validateRequest } = require('../../lib/validation');
+
+const router = express.Router();
+
+// Authenticated routes of this public router count against the caller's rate limits (see lib/rateLimit)
+const authenticated = [authenticateToken, rateLimit()];
+
+// Validation schemas
+const codeSchema = Joi.object({
+	code: Joi.string()
+		.pattern(/^\d{6}$/)
+		.required(),
+});
+
+const disableSchema = Joi.object({
+	password: Joi.string().required(),
+	code: Joi.string()
+		.pattern(/^\d{6}$/)
+		.required(),
+});
+
+/**
+ * Load the users row of the authenticated user
+ * @param {Object} req
+ * @returns {Promise<Object>}
+ */
+async function loadUser(req) {
+	const [users] = await req.services.db.execute('SELECT * FROM users WHERE id = ?', [req.user.id]);
+	if (users.length === 0) {
+		throw new NotFoundError('User not found');
+	}
+	return users[0];
+}
+
+/**
+ * GET /api/users/two-factor
+ * Two-factor state of the current user
+ */
+router.get('/', authenticated, requireSession, async (req, res, next) => {
+	try {
+		const status = await req.services.twoFactor.status(await loadUser(req));
+
+		res.json({
+			success: true,
+			data: status,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/users/two-factor/setup
+ * Start enrolment: returns the secret and an otpauth:// URI for authenticator apps
+ */
+router.post('/setup', authenticated, requireSession, async (req, res, next) => {
+	try {
+		const setup = await req.services.twoFactor.beginSetup(await loadUser(req));
+		await logActivity(req.services.db, { userId: req.user.id, type: 'TWO_FACTOR_SETUP', description: 'Two-factor setup started', ip: req.ip });
+
+		res.json({
+			success: true,
+			data: setup,
+			message: 'Scan the secret with an authenticator app and confirm a code',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/users/two-factor/enable
+ * Confirm enrolment with a code; returns the recovery codes (shown only once)
+ */
+router.post('/enable', authenticated, requireSession, validateRequest({ body: codeSchema }), async (req, res, next) => {
+	try {
+		const recoveryCodes = await req.services.twoFactor.enable(await loadUser(req), req.body.code);
+		await logActivity(req.services.db, { userId: req.user.id, type: 'TWO_FACTOR_ENABLE', description: 'Two-factor authentication enabled', ip: req.ip });
+
+		res.json({
+			success: true,
+			data: { recoveryCodes },
+			message: 'Two-factor authentication enabled, store the recovery codes safely',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/users/two-factor/recovery-codes
+ * Replace the recovery codes (requires a current code)
+ */
+router.post('/recovery-codes', authenticated, requireSession, validateRequest({ body: codeSchema }), async (req, res, next) => {
+	try {
+		const twoFactor = req.services.twoFactor;
+		const user = await loadUser(req);
+
+		if (!user.two_factor_enabled || !(await twoFactor.verify(user, req.body.code))) {
+			throw new AuthenticationError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
+		}
+
+		const recoveryCodes = await twoFactor.regenerateRecoveryCodes(user.id);
+		await logActivity(req.services.db, { userId: user.id, type: 'TWO_FACTOR_RECOVERY_REGENERATE', description: 'Recovery codes regenerated', ip: req.ip });
+
+		res.json({
+			success: true,
+			data: { recoveryCodes },
+			message: 'Recovery codes regenerated successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/users/two-factor/disable
+ * Turn two-factor authentication off (password and a current code required)
+ */
+router.post('/disable', authenticated, requireSession, validateRequest({ body: disableSchema }), async (req, res, next) => {
+	try {
+		const twoFactor = req.services.twoFactor;
+		const user = await loadUser(req);
+
+		if (await twoFactor.isRequired(user)) {
+			throw new ForbiddenError('Two-factor authentication is required for this account', 'TWO_FACTOR_REQUIRED');
+		}
+		if (!(await bcrypt.compare(req.body.password, user.password_hash)) || !user.two_factor_enabled || !(await twoFactor.verify(user, req.body.code))) {
+			await logActivity(req.services.db, { userId: user.id, type: 'TWO_FACTOR_FAILED', description: 'Rejected attempt to disable two-factor authentication', ip: req.ip });
+			throw new AuthenticationError('Invalid password or two-factor code', 'INVALID_TWO_FACTOR_CODE');
+		}
+
+		await twoFactor.disable(user.id);
+		await logActivity(req.services.db, { userId: user.id, type: 'TWO_FACTOR_DISABLE', description: 'Two-factor authentication disabled', ip: req.ip });
+
+		res.json({
+			success: true,
+			message: 'Two-factor authentication disabled successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+module.exports = router;
@@ -1,27 +1,25 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const Joi = require('joi');
-const mysql = require('mysql2/promise');
+const { logActivity } = require('../../lib/activity');
+const { accountLink } = require('../../lib/accountTokens');
+const { auditTrail } = require('../../lib/audit');
+const { authenticateToken, issueAccessToken, requireRole, requireSession } = require('../../lib/auth');
+const { loginAttempt } = require('../../lib/loginThrottle');
+const { notifyAdmins } = require('../../lib/notifications');
+const { AuthenticationError, ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../../lib/errors');
+const { issueChallengeToken, verifyChallengeToken } = require('../../lib/twoFactor');
+const { rateLimit } = require('../../lib/rateLimit');
+const { parseId, validateRequest } = require('../../lib/validation');
 
 const router = express.Router();
 
-// Database connection configuration
-const dbConfig = {
-	host: process.env.DB_HOST || 'localhost',
-	user: process.env.DB_USER || 'root',
-	password: process.env.DB_PASSWORD || '',
-	database: process.env.DB_NAME || 'plesk_manager',
-	port: process.env.DB_PORT || 3306,
-};
+// The router is public (see routes/index): it authenticates its routes and counts them against
+// the caller's rate limits itself, and audits its admin routes like the route themes
+const authenticated = [authenticateToken, rateLimit()];
+const audited = auditTrail('users', router);
 
-// Create database connection pool
-const pool = mysql.createPool({
-	...dbConfig,
-	waitForConnections: true,
-	connectionLimit: 10,
-	queueLimit: 0,
-});
+const REGISTRATION_MODES = ['open', 'invite', 'disabled'];
 
 // Validation schemas
 const registerSchema = Joi.object({
@@ -30,136 +28,271 @@ const registerSchema = Joi.object({
 	password: Joi.string().min(6).required(),
 	firstName: Joi.string().min(2).max(50).required(),
 	lastName: Joi.string().min(2).max(50).required(),
-	role: Joi.string().valid('admin', 'user').default('user'),
+	invitationToken: Joi.string().optional(),
 });
 
 const loginSchema = Joi.object({
 	username: Joi.string().required(),
 	password: Joi.string().required(),
+	deviceName: Joi.string().max(100).optional(),
 });
 
-// JWT middleware for protected routes
-const authenticateToken = (req, res, next) => {
-	const authHeader = req.headers['authorization'];
-	const token = authHeader && authHeader.split(' ')[1];
+const oidcStartQuerySchema = Joi.object({
+	returnTo: Joi.string()
+		.max(255)
+		.pattern(/^\/(?![/\\])/, 'path of the application')
+		.optional(),
+});
 
-	if (!token) {
-		return res.status(401).json({
-			success: false,
-			error: 'Access token required',
-		});
+const oidcLoginSchema = Joi.object({
+	code: Joi.string().max(2048).required(),
+	state: Joi.string().max(255).required(),
+	deviceName: Joi.string().max(100).optional(),
+});
+
+const challengeSchema = Joi.object({
+	challengeToken: Joi.string().required(),
+});
+
+const twoFactorLoginSchema = Joi.object({
+	challengeToken: Joi.string().required(),
+	code: Joi.string().pattern(/^\d{6}$/),
+	recoveryCode: Joi.string().max(20),
+	deviceName: Joi.string().max(100).optional(),
+}).xor('code', 'recoveryCode');
+
+const twoFactorRequirementSchema = Joi.object({
+	required: Joi.boolean().required(),
+});
+
+const refreshSchema = Joi.object({
+	refreshToken: Joi.string().required(),
+});
+
+const revokeAllQuerySchema = Joi.object({
+	keepCurrent: Joi.boolean().default(false),
+});
+
+const emailSchema = Joi.object({
+	email: Joi.string().email().required(),
+});
+
+const resetPasswordSchema = Joi.object({
+	token: Joi.string().required(),
+	password: Joi.string().min(6).required(),
+});
+
+const verifyEmailSchema = Joi.object({
+	token: Joi.string().required(),
+});
+
+const registrationSettingsSchema = Joi.object({
+	mode: Joi.string().valid(...REGISTRATION_MODES),
+	approvalRequired: Joi.boolean(),
+}).min(1);
+
+const approveSchema = Joi.object({
+	role: Joi.string().valid('admin', 'user', 'viewer').optional(),
+});
+
+const ipParamsSchema = Joi.object({
+	ip: Joi.string().ip().required(),
+});
+
+const notificationsQuerySchema = Joi.object({
+	unread: Joi.boolean().default(false),
+	limit: Joi.number().integer().min(1).max(100).default(50),
+});
+
+/**
+ * Mail a new email verification link
+ * @param {Object} req
+ * @param {Object} user - users row (or id, email, first_name)
+ */
+async function sendVerificationMail(req, user) {
+	const { token, expiresIn } = await req.services.accountTokens.issue('emailVerification', user.id);
+	await req.services.mailer.sendTemplate('email_verification', user.email, { first_name: user.first_name, verification_url: accountLink('verify-email', token), expires_in: expiresIn });
+}
+
+/**
+ * Count a failed login; log and report any lockout it starts
+ * @param {Object} req
+ * @param {Object} attempt - From loginAttempt()
+ * @param {Object|null} user - users row of the account, if it exists
+ * @param {string|null} description - LOGIN_FAILED activity description (null when the caller logs the failure itself)
+ */
+async function recordLoginFailure(req, attempt, user, description) {
+	const db = req.services.db;
+	const lockouts = await req.services.loginThrottle.recordFailure(attempt);
+
+	if (user && description) {
+		await logActivity(db, { userId: user.id, type: 'LOGIN_FAILED', description, ip: req.ip });
 	}
 
-	jwt.verify(token, process.env.JWT_SECRET || 'default-secret-key', (err, user) => {
-		if (err) {
-			return res.status(403).json({
-				success: false,
-				error: 'Invalid or expired token',
-			});
-		}
-		req.user = user;
-		next();
-	});
-};
-
-// Initialize database tables
-const initializeDatabase = async () => {
-	try {
-		const connection = await pool.getConnection();
-
-		// Create users table
-		await connection.execute(`
-			CREATE TABLE IF NOT EXISTS users (
-				id INT AUTO_INCREMENT PRIMARY KEY,
-				username VARCHAR(50) UNIQUE NOT NULL,
-				email VARCHAR(100) UNIQUE NOT NULL,
-				password_hash VARCHAR(255) NOT NULL,
-				first_name VARCHAR(50) NOT NULL,
-				last_name VARCHAR(50) NOT NULL,
-				role ENUM('admin', 'user') DEFAULT 'user',
-				is_active BOOLEAN DEFAULT TRUE,
-				created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-				updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-				last_login TIMESTAMP NULL
-			)
-		`);
-
-		// Create user sessions table
-		await connection.execute(`
-			CREATE TABLE IF NOT EXISTS user_sessions (
-				id INT AUTO_INCREMENT PRIMARY KEY,
-				user_id INT NOT NULL,
-				token_hash VARCHAR(255) NOT NULL,
-				expires_at TIMESTAMP NOT NULL,
-				created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-				FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-			)
-		`);
-
-		// Create user activity log table
-		await connection.execute(`
-			CREATE TABLE IF NOT EXISTS user_activity_log (
-				id INT AUTO_INCREMENT PRIMARY KEY,
-				user_id INT NOT NULL,
-				activity_type VARCHAR(50) NOT NULL,
-				description TEXT,
-				ip_address VARCHAR(45),
-				created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-				FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-			)
-		`);
+	for (const lockout of lockouts) {
+		const target = lockout.scope === 'ip' ? `IP address ${attempt.ip}` : user ? `Account ${user.username}` : `Login name "${lockout.subject.replace(/^name:/, '')}"`;
+		const message = `${target} locked for ${lockout.minutes} minutes after too many failed logins (last attempt from ${req.ip})`;
 
-		connection.release();
-		console.log('Database tables initialized successfully');
-	} catch (error) {
-		console.error('Failed to initialize database:', error);
+		await logActivity(db, { userId: lockout.userId, type: lockout.scope === 'ip' ? 'IP_LOCKED' : 'ACCOUNT_LOCKED', description: message, ip: req.ip });
+		await notifyAdmins(db, { type: 'warning', title: lockout.scope === 'ip' ? 'IP address locked out' : 'Account locked out', message, actionUrl: '/api/users/lockouts' });
 	}
-};
+}
 
-// Initialize database on module load
-initializeDatabase();
+/**
+ * Move a pending account out of the approval queue
+ * @param {Object} req
+ * @param {string} status - approved or rejected
+ * @param {string|null} role - New role on approval
+ * @returns {Promise<Object>} - users row (id, username)
+ */
+async function reviewAccount(req, status, role = null) {
+	const db = req.services.db;
+	const userId = parseId(req.params.id, 'Invalid user ID');
+
+	const [users] = await db.execute('SELECT id, username, approval_status FROM users WHERE id = ?', [userId]);
+	if (users.length === 0) {
+		throw new NotFoundError('User not found');
+	}
+
+	const [result] = await db.execute("UPDATE users SET approval_status = ?, is_active = ?, role = COALESCE(?, role), reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ? AND approval_status = 'pending'", [status, status === 'approved', role, req.user.id, userId]);
+	if (result.affectedRows === 0) {
+		throw new ConflictError('User is not awaiting approval');
+	}
+
+	return users[0];
+}
+
+/**
+ * Finish a login: record it and open a session
+ * @param {Object} req
+ * @param {Object} user - users row
+ * @param {string} description - Activity log description
+ * @param {string|null} idToken - ID token of a single sign-on login, kept to end the IdP session at logout
+ * @returns {Promise<Object>} - Response data: user, token, refreshToken, sessionExpiresAt
+ */
+async function openSession(req, user, description = 'User logged in', idToken = null) {
+	const db = req.services.db;
+
+	// Update last login
+	await db.execute('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+
+	// Log activity
+	await logActivity(db, { userId: user.id, type: 'LOGIN', description, ip: req.ip });
+
+	// Open a session: the access token is only valid while it stays active
+	const session = await req.services.sessions.create(user.id, { ipAddress: req.ip, userAgent: req.get('user-agent'), deviceName: req.body.deviceName, idToken });
+
+	return {
+		user: {
+			id: user.id,
+			username: user.username,
+			email: user.email,
+			firstName: user.first_name,
+			lastName: user.last_name,
+			role: user.role,
+		},
+		token: issueAccessToken(user, session.sessionId),
+		refreshToken: session.refreshToken,
+		sessionExpiresAt: session.expiresAt,
+	};
+}
+
+/**
+ * Active user of a two-factor challenge token
+ * @param {Object} req
+ * @returns {Promise<Object>} - { user, step }
+ */
+async function resolveChallenge(req) {
+	const challenge = verifyChallengeToken(req.body.challengeToken);
+	const [users] = await req.services.db.execute('SELECT * FROM users WHERE id = ? AND is_active = TRUE', [challenge.id]);
+
+	if (users.length === 0) {
+		throw new AuthenticationError('Invalid or expired two-factor challenge', 'INVALID_TWO_FACTOR_CHALLENGE');
+	}
+	return { user: users[0], step: challenge.step };
+}
 
 /**
  * POST /api/users/register
- * Register a new user
+ * Register a new user. Depends on the registration_mode app setting: open,
+ * invite (an invitationToken is required) or disabled. Invited users get the
+ * invitation's role; self-registered users are plain users and stay inactive
+ * until an admin approves them when registration_requires_approval is set.
  */
-router.post('/register', async (req, res) => {
+router.post('/register', validateRequest({ body: registerSchema }), async (req, res, next) => {
 	try {
-		const { error, value } = registerSchema.validate(req.body);
-		if (error) {
-			return res.status(400).json({
-				success: false,
-				error: 'Validation error',
-				details: error.details.map((detail) => detail.message),
-			});
+		const { username, email, password, firstName, lastName, invitationToken } = req.body;
+		const { db, invitations, settings } = req.services;
+
+		const mode = await settings.get('registration_mode');
+		if (mode === 'disabled') {
+			throw new ForbiddenError('Registration is disabled', 'REGISTRATION_DISABLED');
 		}
 
-		const { username, email, password, firstName, lastName, role } = value;
-		const connection = await pool.getConnection();
+		let invitation = null;
+		if (invitationToken) {
+			invitation = await invitations.find(invitationToken);
+			if (!invitation) {
+				throw new ValidationError('Invalid or expired invitation');
+			}
+			if (invitation.email && invitation.email.toLowerCase() !== email.toLowerCase()) {
+				throw new ValidationError('The invitation was sent to a different email address');
+			}
+		} else if (mode !== 'open') {
+			throw new ForbiddenError('Registration requires an invitation', 'INVITATION_REQUIRED');
+		}
 
 		// Check if user already exists
-		const [existingUsers] = await connection.execute('SELECT id FROM users WHERE username = ? OR email = ?', [username, email]);
-
+		const [existingUsers] = await db.execute('SELECT id FROM users WHERE username = ? OR email = ?', [username, email]);
 		if (existingUsers.length > 0) {
-			connection.release();
-			return res.status(409).json({
-				success: false,
-				error: 'Username or email already exists',
-			});
+			throw new ConflictError('Username or email already exists');
 		}
 
+		const role = invitation ? invitation.role : 'user';
+		const pending = !invitation && (await settings.get('registration_requires_approval'));
+		// An invitation mailed to this address proves it
+		const emailVerified = Boolean(invitation && invitation.email);
+
 		// Hash password
 		const saltRounds = 12;
 		const passwordHash = await bcrypt.hash(password, saltRounds);
 
-		// Insert new user
-		const [result] = await connection.execute('INSERT INTO users (username, email, password_hash, first_name, last_name, role) VALUES (?, ?, ?, ?, ?, ?)', [username, email, passwordHash, firstName, lastName, role]);
+		// Claim the invitation first so it cannot create two accounts
+		if (invitation && !(await invitations.claim(invitation.id))) {
+			throw new ValidationError('Invalid or expired invitation');
+		}
 
-		connection.release();
+		let result;
+		try {
+			[result] = await db.execute('INSERT INTO users (username, email, password_hash, first_name, last_name, role, is_active, email_verified, approval_status) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)', [username, email, passwordHash, firstName, lastName, role, !pending, emailVerified, pending ? 'pending' : 'approved']);
+		} catch (error) {
+			if (invitation) {
+				await invitations.release(invitation.id);
+			}
+			throw error;
+		}
+
+		if (invitation) {
+			await invitations.complete(invitation.id, result.insertId);
+		}
+
+		await logActivity(db, { userId: result.insertId, type: 'REGISTER', description: invitation ? `Registered as ${role} with invitation ${invitation.id}` : pending ? 'Registered, awaiting approval' : 'Registered', ip: req.ip });
+		if (pending) {
+			await notifyAdmins(db, { type: 'info', title: 'Account awaiting approval', message: `${username} (${email}) registered and is waiting for approval`, actionUrl: '/api/users/pending' });
+		}
+
+		// Best effort: the user can ask for another link with /send-verification
+		if (!emailVerified) {
+			try {
+				await sendVerificationMail(req, { id: result.insertId, email, first_name: firstName });
+			} catch (error) {
+				req.log.error('Failed to send verification email', { error: error.message });
+			}
+		}
 
 		res.status(201).json({
 			success: true,
-			message: 'User registered successfully',
+			message: pending ? 'Registration received, the account is activated once an admin approves it' : 'User registered successfully',
 			data: {
 				id: result.insertId,
 				username,
@@ -167,13 +300,11 @@ router.post('/register', async (req, res) => {
 				firstName,
 				lastName,
 				role,
+				approvalStatus: pending ? 'pending' : 'approved',
 			},
 		});
 	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
-		});
+		next(error);
 	}
 });
 
@@ -181,108 +312,370 @@ router.post('/register', async (req, res) => {
  * POST /api/users/login
  * User login
  */
-router.post('/login', async (req, res) => {
+router.post('/login', validateRequest({ body: loginSchema }), async (req, res, next) => {
 	try {
-		const { error, value } = loginSchema.validate(req.body);
-		if (error) {
-			return res.status(400).json({
-				success: false,
-				error: 'Validation error',
-				details: error.details.map((detail) => detail.message),
-			});
+		const { username, password } = req.body;
+
+		// Find user by username or email
+		// Accounts awaiting approval are found too, to tell them apart from wrong credentials
+		const [users] = await req.services.db.execute("SELECT * FROM users WHERE (username = ? OR email = ?) AND (is_active = TRUE OR approval_status = 'pending')", [username, username]);
+		const user = users[0] || null;
+
+		// Locked or throttled attempts are refused before the password is checked
+		const attempt = loginAttempt(username, user, req.ip);
+		await req.services.loginThrottle.check(attempt);
+
+		if (!user || !(await bcrypt.compare(password, user.password_hash))) {
+			await recordLoginFailure(req, attempt, user, 'Invalid password');
+			throw new AuthenticationError('Invalid credentials', 'INVALID_CREDENTIALS');
 		}
 
-		const { username, password } = value;
-		const connection = await pool.getConnection();
+		await req.services.loginThrottle.recordSuccess(attempt);
 
-		// Find user by username or email
-		const [users] = await connection.execute('SELECT * FROM users WHERE (username = ? OR email = ?) AND is_active = TRUE', [username, username]);
+		if (!user.is_active) {
+			throw new ForbiddenError('Account awaiting admin approval', 'ACCOUNT_PENDING_APPROVAL');
+		}
 
-		if (users.length === 0) {
-			connection.release();
-			return res.status(401).json({
-				success: false,
-				error: 'Invalid credentials',
+		if (!user.email_verified && (await req.services.settings.get('email_verification_required'))) {
+			throw new ForbiddenError('Email address not verified', 'EMAIL_NOT_VERIFIED');
+		}
+
+		// Two-step login: a challenge instead of a session when a code is needed
+		if (user.two_factor_enabled || (await req.services.twoFactor.isRequired(user))) {
+			const step = user.two_factor_enabled ? 'verify' : 'enroll';
+			await logActivity(req.services.db, { userId: user.id, type: 'TWO_FACTOR_CHALLENGE', description: step === 'verify' ? 'Password accepted, two-factor code required' : 'Password accepted, two-factor enrolment required', ip: req.ip });
+
+			return res.json({
+				success: true,
+				message: step === 'verify' ? 'Two-factor code required' : 'Two-factor enrolment required',
+				data: {
+					twoFactor: step,
+					challengeToken: issueChallengeToken(user, step),
+				},
 			});
 		}
 
-		const user = users[0];
+		res.json({
+			success: true,
+			message: 'Login successful',
+			data: await openSession(req, user),
+		});
+	} catch (error) {
+		next(error);
+	}
+});
 
-		// Verify password
-		const isValidPassword = await bcrypt.compare(password, user.password_hash);
-		if (!isValidPassword) {
-			connection.release();
-			return res.status(401).json({
-				success: false,
-				error: 'Invalid credentials',
+/**
+ * POST /api/users/login/two-factor/setup
+ * Start the enrolment required to log in (challenge from the password step)
+ */
+router.post('/login/two-factor/setup', validateRequest({ body: challengeSchema }), async (req, res, next) => {
+	try {
+		const { user, step } = await resolveChallenge(req);
+		if (step !== 'enroll') {
+			throw new ConflictError('Two-factor authentication is already enabled');
+		}
+
+		const setup = await req.services.twoFactor.beginSetup(user);
+		await logActivity(req.services.db, { userId: user.id, type: 'TWO_FACTOR_SETUP', description: 'Two-factor setup started during login', ip: req.ip });
+
+		res.json({
+			success: true,
+			data: setup,
+			message: 'Scan the secret with an authenticator app and confirm a code',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/users/login/two-factor
+ * Second login step: a TOTP code (or a recovery code) opens the session.
+ * Completes a required enrolment when the challenge asks for one.
+ */
+router.post('/login/two-factor', validateRequest({ body: twoFactorLoginSchema }), async (req, res, next) => {
+	try {
+		const { user, step } = await resolveChallenge(req);
+		const { code, recoveryCode } = req.body;
+		const twoFactor = req.services.twoFactor;
+		const db = req.services.db;
+
+		if (step === 'enroll') {
+			if (!code) {
+				throw new ValidationError('A code from the authenticator app is required to finish the enrolment');
+			}
+
+			const recoveryCodes = await twoFactor.enable(user, code);
+			await logActivity(db, { userId: user.id, type: 'TWO_FACTOR_ENABLE', description: 'Two-factor authentication enabled during login', ip: req.ip });
+
+			return res.json({
+				success: true,
+				message: 'Two-factor authentication enabled, store the recovery codes safely',
+				data: { ...(await openSession(req, user, 'User logged in (two-factor enrolled)')), recoveryCodes },
 			});
 		}
 
-		// Update last login
-		await connection.execute('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+		// Wrong codes count towards the same lockout as wrong passwords
+		const attempt = loginAttempt(user.username, user, req.ip);
+		await req.services.loginThrottle.check(attempt);
 
-		// Log activity
-		await connection.execute('INSERT INTO user_activity_log (user_id, activity_type, description, ip_address) VALUES (?, ?, ?, ?)', [user.id, 'LOGIN', 'User logged in', req.ip]);
+		const verified = code ? await twoFactor.verify(user, code) : await twoFactor.useRecoveryCode(user.id, recoveryCode);
+		if (!verified) {
+			await logActivity(db, { userId: user.id, type: 'TWO_FACTOR_FAILED', description: code ? 'Invalid two-factor code' : 'Invalid recovery code', ip: req.ip });
+			await recordLoginFailure(req, attempt, user, null);
+			throw new AuthenticationError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
+		}
 
-		connection.release();
+		await req.services.loginThrottle.recordSuccess(attempt);
 
-		// Generate JWT token
-		const token = jwt.sign(
-			{
-				id: user.id,
-				username: user.username,
-				email: user.email,
-				role: user.role,
-			},
-			process.env.JWT_SECRET || 'default-secret-key',
-			{ expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-		);
+		if (recoveryCode) {
+			await logActivity(db, { userId: user.id, type: 'TWO_FACTOR_RECOVERY_USED', description: 'Recovery code used to log in', ip: req.ip });
+		}
 
 		res.json({
 			success: true,
 			message: 'Login successful',
+			data: await openSession(req, user, code ? 'User logged in (two-factor)' : 'User logged in (recovery code)'),
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * GET /api/users/login/methods
+ * Login methods offered by the login page
+ */
+router.get('/login/methods', (req, res) => {
+	const oidc = req.services.oidc;
+
+	res.json({
+		success: true,
+		data: {
+			password: true,
+			oidc: oidc.enabled ? { enabled: true, name: oidc.config.providerName, url: '/api/users/login/oidc' } : { enabled: false },
+		},
+	});
+});
+
+/**
+ * GET /api/users/login/oidc
+ * Start a single sign-on login: redirects the browser to the identity
+ * provider, which sends it back to OIDC_REDIRECT_URI with a code and state.
+ * ?returnTo is a path of the application, handed back after the login.
+ */
+router.get('/login/oidc', validateRequest({ query: oidcStartQuerySchema }), async (req, res, next) => {
+	try {
+		res.redirect(await req.services.oidc.authorizationUrl(req.query.returnTo || null));
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/users/login/oidc
+ * Finish a single sign-on login with the code and state from the identity
+ * provider. The user is created or linked on first login and gets the role of
+ * their IdP groups on every login. Two-factor authentication is left to the
+ * identity provider.
+ */
+router.post('/login/oidc', validateRequest({ body: oidcLoginSchema }), async (req, res, next) => {
+	try {
+		const oidc = req.services.oidc;
+		const { claims, idToken, returnTo } = await oidc.completeLogin(req.body.code, req.body.state);
+		const { user, created, linked, roleChanged } = await oidc.provisionUser(claims);
+
+		// Access tokens carry the role, sessions opened with the previous one are signed out
+		if (roleChanged) {
+			await req.services.sessions.revokeAll(user.id);
+		}
+
+		if (created) {
+			await logActivity(req.services.db, { userId: user.id, type: 'USER_PROVISIONED', description: `Account ${user.username} created by single sign-on with role ${user.role}`, ip: req.ip });
+		} else if (linked) {
+			await logActivity(req.services.db, { userId: user.id, type: 'OIDC_LINKED', description: 'Account linked to the identity provider by its verified email address', ip: req.ip });
+		}
+
+		if (!user.email_verified && (await req.services.settings.get('email_verification_required'))) {
+			throw new ForbiddenError('Email address not verified', 'EMAIL_NOT_VERIFIED');
+		}
+
+		res.json({
+			success: true,
+			message: 'Login successful',
+			data: { ...(await openSession(req, user, 'User logged in with single sign-on', idToken)), returnTo },
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/users/forgot-password
+ * Mail a password reset link. The response is the same whether or not the
+ * address belongs to an account, so it cannot be used to probe for users.
+ */
+router.post('/forgot-password', validateRequest({ body: emailSchema }), async (req, res, next) => {
+	try {
+		const db = req.services.db;
+		const [users] = await db.execute("SELECT id, email, first_name FROM users WHERE email = ? AND is_active = TRUE AND auth_provider = 'local'", [req.body.email]);
+
+		if (users.length > 0) {
+			const user = users[0];
+			const { token, expiresIn } = await req.services.accountTokens.issue('passwordReset', user.id);
+			await logActivity(db, { userId: user.id, type: 'PASSWORD_RESET_REQUEST', description: 'Password reset requested', ip: req.ip });
+
+			try {
+				await req.services.mailer.sendTemplate('password_reset', user.email, { first_name: user.first_name, reset_url: accountLink('reset-password', token), expires_in: expiresIn });
+			} catch (error) {
+				req.log.error('Failed to send password reset email', { error: error.message });
+			}
+		}
+
+		res.json({
+			success: true,
+			message: 'If the address belongs to an account, a password reset link has been sent',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/users/reset-password
+ * Set a new password with a reset token; signs out every session of the user
+ */
+router.post('/reset-password', validateRequest({ body: resetPasswordSchema }), async (req, res, next) => {
+	try {
+		const db = req.services.db;
+		const user = await req.services.accountTokens.consume('passwordReset', req.body.token);
+		if (!user) {
+			throw new ValidationError('Invalid or expired password reset token');
+		}
+
+		// The reset link reached the mailbox, so the address is verified as well
+		const passwordHash = await bcrypt.hash(req.body.password, 12);
+		await db.execute('UPDATE users SET password_hash = ?, email_verified = TRUE WHERE id = ?', [passwordHash, user.id]);
+		await req.services.sessions.revokeAll(user.id);
+
+		await logActivity(db, { userId: user.id, type: 'PASSWORD_RESET', description: 'Password reset with an emailed link', ip: req.ip });
+
+		res.json({
+			success: true,
+			message: 'Password reset successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/users/send-verification
+ * Mail a new email verification link (same response for unknown or verified addresses)
+ */
+router.post('/send-verification', validateRequest({ body: emailSchema }), async (req, res, next) => {
+	try {
+		const [users] = await req.services.db.execute("SELECT id, email, first_name FROM users WHERE email = ? AND (is_active = TRUE OR approval_status = 'pending') AND email_verified = FALSE", [req.body.email]);
+
+		if (users.length > 0) {
+			try {
+				await sendVerificationMail(req, users[0]);
+			} catch (error) {
+				req.log.error('Failed to send verification email', { error: error.message });
+			}
+		}
+
+		res.json({
+			success: true,
+			message: 'If the address belongs to an unverified account, a verification link has been sent',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/users/verify-email
+ * Mark the email address of the token's user as verified
+ */
+router.post('/verify-email', validateRequest({ body: verifyEmailSchema }), async (req, res, next) => {
+	try {
+		const db = req.services.db;
+		const user = await req.services.accountTokens.consume('emailVerification', req.body.token);
+		if (!user) {
+			throw new ValidationError('Invalid or expired email verification token');
+		}
+
+		await db.execute('UPDATE users SET email_verified = TRUE WHERE id = ?', [user.id]);
+		await logActivity(db, { userId: user.id, type: 'EMAIL_VERIFIED', description: `Email address ${user.email} verified`, ip: req.ip });
+
+		res.json({
+			success: true,
+			message: 'Email address verified successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/users/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ */
+router.post('/refresh', validateRequest({ body: refreshSchema }), async (req, res, next) => {
+	try {
+		const session = await req.services.sessions.rotate(req.body.refreshToken, { ipAddress: req.ip, userAgent: req.get('user-agent') });
+
+		// Re-read the user so role changes and deactivation apply on refresh
+		const [users] = await req.services.db.execute('SELECT id, username, email, role FROM users WHERE id = ? AND is_active = TRUE', [session.userId]);
+		if (users.length === 0) {
+			await req.services.sessions.revoke(session.sessionId);
+			throw new AuthenticationError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+		}
+
+		res.json({
+			success: true,
+			message: 'Token refreshed successfully',
 			data: {
-				user: {
-					id: user.id,
-					username: user.username,
-					email: user.email,
-					firstName: user.first_name,
-					lastName: user.last_name,
-					role: user.role,
-				},
-				token,
+				token: issueAccessToken(users[0], session.sessionId),
+				refreshToken: session.refreshToken,
+				sessionExpiresAt: session.expiresAt,
 			},
 		});
 	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
-		});
+		next(error);
 	}
 });
 
 /**
  * POST /api/users/logout
- * User logout
+ * User logout. Single sign-on sessions get a logoutUrl ending the identity
+ * provider session, for the browser to visit.
  */
-router.post('/logout', authenticateToken, async (req, res) => {
+router.post('/logout', authenticated, requireSession, async (req, res, next) => {
 	try {
-		const connection = await pool.getConnection();
-
-		// Log activity
-		await connection.execute('INSERT INTO user_activity_log (user_id, activity_type, description, ip_address) VALUES (?, ?, ?, ?)', [req.user.id, 'LOGOUT', 'User logged out', req.ip]);
+		const session = await req.services.sessions.findSession(req.user.sid);
+		await req.services.sessions.revoke(req.user.sid);
+
+		let logoutUrl = null;
+		if (session && session.oidc_id_token && req.services.oidc.enabled) {
+			try {
+				logoutUrl = await req.services.oidc.logoutUrl(session.oidc_id_token);
+			} catch (error) {
+				req.log.error('Failed to build the identity provider logout URL', { error: error.message });
+			}
+		}
 
-		connection.release();
+		await logActivity(req.services.db, { userId: req.user.id, type: 'LOGOUT', description: 'User logged out', ip: req.ip });
 
 		res.json({
 			success: true,
 			message: 'Logout successful',
+			...(logoutUrl ? { data: { logoutUrl } } : {}),
 		});
 	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
-		});
+		next(error);
 	}
 });
 
@@ -290,19 +683,16 @@ router.post('/logout', authenticateToken, async (req, res) => {
  * GET /api/users/profile
  * Get current user profile
  */
-router.get('/profile', authenticateToken, async (req, res) => {
+router.get('/profile', authenticated, async (req, res, next) => {
 	try {
-		const connection = await pool.getConnection();
+		const connection = await req.services.db.getConnection();
 
-		const [users] = await connection.execute('SELECT id, username, email, first_name, last_name, role, created_at, last_login FROM users WHERE id = ?', [req.user.id]);
+		const [users] = await connection.execute('SELECT id, username, email, email_verified, first_name, last_name, role, created_at, last_login FROM users WHERE id = ?', [req.user.id]);
 
 		connection.release();
 
 		if (users.length === 0) {
-			return res.status(404).json({
-				success: false,
-				error: 'User not found',
-			});
+			throw new NotFoundError('User not found');
 		}
 
 		const user = users[0];
@@ -312,6 +702,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 				id: user.id,
 				username: user.username,
 				email: user.email,
+				emailVerified: Boolean(user.email_verified),
 				firstName: user.first_name,
 				lastName: user.last_name,
 				role: user.role,
@@ -320,10 +711,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 			},
 		});
 	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
-		});
+		next(error);
 	}
 });
 
@@ -331,18 +719,11 @@ router.get('/profile', authenticateToken, async (req, res) => {
  * GET /api/users
  * List all users (admin only)
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticated, requireRole('admin'), async (req, res, next) => {
 	try {
-		if (req.user.role !== 'admin') {
-			return res.status(403).json({
-				success: false,
-				error: 'Admin access required',
-			});
-		}
+		const connection = await req.services.db.getConnection();
 
-		const connection = await pool.getConnection();
-
-		const [users] = await connection.execute('SELECT id, username, email, first_name, last_name, role, is_active, created_at, last_login FROM users ORDER BY created_at DESC');
+		const [users] = await connection.execute('SELECT id, username, email, first_name, last_name, role, is_active, approval_status, created_at, last_login FROM users ORDER BY created_at DESC');
 
 		connection.release();
 
@@ -356,109 +737,420 @@ router.get('/', authenticateToken, async (req, res) => {
 				lastName: user.last_name,
 				role: user.role,
 				isActive: user.is_active,
+				approvalStatus: user.approval_status,
 				createdAt: user.created_at,
 				lastLogin: user.last_login,
 			})),
 		});
 	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		next(error);
+	}
+});
+
+/**
+ * GET /api/users/notifications
+ * Notifications of the current user, newest first (e.g. lockout alerts for admins)
+ */
+router.get('/notifications', authenticated, validateRequest({ query: notificationsQuerySchema }), async (req, res, next) => {
+	try {
+		const { unread, limit } = req.query;
+		const [notifications] = await req.services.db.execute(
+			`SELECT id, type, title, message, action_url, is_read, created_at FROM user_notifications WHERE user_id = ? AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)${unread ? ' AND is_read = FALSE' : ''} ORDER BY id DESC LIMIT ${limit}`,
+			[req.user.id]
+		);
+
+		res.json({
+			success: true,
+			data: notifications.map((row) => ({ id: row.id, type: row.type, title: row.title, message: row.message, actionUrl: row.action_url, isRead: Boolean(row.is_read), createdAt: row.created_at })),
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
 /**
- * GET /api/users/activity
- * Get user activity log
+ * PUT /api/users/notifications/:id/read
+ * Mark a notification of the current user as read
  */
-router.get('/activity', authenticateToken, async (req, res) => {
+router.put('/notifications/:id/read', authenticated, async (req, res, next) => {
 	try {
-		const { limit = 50, offset = 0 } = req.query;
-		const connection = await pool.getConnection();
+		const notificationId = parseId(req.params.id, 'Invalid notification ID');
+
+		const [result] = await req.services.db.execute('UPDATE user_notifications SET is_read = TRUE WHERE id = ? AND user_id = ?', [notificationId, req.user.id]);
+		if (result.affectedRows === 0) {
+			throw new NotFoundError('Notification not found');
+		}
 
-		// Ensure numeric values and set reasonable limits
-		const limitNum = Math.min(parseInt(limit, 10) || 50, 100); // Cap at 100
-		const offsetNum = Math.max(parseInt(offset, 10) || 0, 0); // Ensure non-negative
+		res.json({
+			success: true,
+			message: 'Notification marked as read',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
 
-		let activities;
+/**
+ * GET /api/users/sessions
+ * List the active sessions of the current user
+ */
+router.get('/sessions', authenticated, requireSession, async (req, res, next) => {
+	try {
+		const sessions = await req.services.sessions.list(req.user.id, req.user.sid);
 
-		// Admin can view all activity
-		if (req.user.role === 'admin' && req.query.user_id) {
-			// Admin viewing specific user's activity
-			const userIdNum = parseInt(req.query.user_id, 10);
-			if (isNaN(userIdNum)) {
-				connection.release();
-				return res.status(400).json({
-					success: false,
-					error: 'Invalid user_id parameter',
-				});
-			}
-			[activities] = await connection.execute(`SELECT * FROM user_activity_log WHERE user_id = ? ORDER BY created_at DESC LIMIT ${limitNum} OFFSET ${offsetNum}`, [userIdNum]);
-		} else if (req.user.role === 'admin' && !req.query.user_id) {
-			// Admin viewing all activity
-			[activities] = await connection.execute(`SELECT al.*, u.username FROM user_activity_log al JOIN users u ON al.user_id = u.id ORDER BY al.created_at DESC LIMIT ${limitNum} OFFSET ${offsetNum}`);
-		} else {
-			// Regular user viewing their own activity
-			[activities] = await connection.execute(`SELECT * FROM user_activity_log WHERE user_id = ? ORDER BY created_at DESC LIMIT ${limitNum} OFFSET ${offsetNum}`, [req.user.id]);
+		res.json({
+			success: true,
+			data: sessions,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * DELETE /api/users/sessions
+ * Revoke all sessions of the current user (keepCurrent=true keeps the calling session)
+ */
+router.delete('/sessions', authenticated, requireSession, validateRequest({ query: revokeAllQuerySchema }), async (req, res, next) => {
+	try {
+		const revoked = await req.services.sessions.revokeAll(req.user.id, req.query.keepCurrent ? req.user.sid : null);
+
+		// Log activity
+		await logActivity(req.services.db, { userId: req.user.id, type: 'SESSION_REVOKE', description: `Revoked ${revoked} session(s)`, ip: req.ip });
+
+		res.json({
+			success: true,
+			data: { revoked },
+			message: 'Sessions revoked successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * DELETE /api/users/sessions/:id
+ * Revoke one session of the current user
+ */
+router.delete('/sessions/:id', authenticated, requireSession, async (req, res, next) => {
+	try {
+		const sessionId = parseId(req.params.id, 'Invalid session ID');
+
+		if (!(await req.services.sessions.revoke(sessionId, req.user.id))) {
+			throw new NotFoundError('Session not found');
 		}
 
-		connection.release();
+		// Log activity
+		await logActivity(req.services.db, { userId: req.user.id, type: 'SESSION_REVOKE', description: `Revoked session ${sessionId}`, ip: req.ip });
 
 		res.json({
 			success: true,
-			data: activities || [],
+			message: 'Session revoked successfully',
 		});
 	} catch (error) {
-		console.error('Activity log error:', error);
-		res.status(500).json({
-			success: false,
-			error: error.message,
+		next(error);
+	}
+});
+
+/**
+ * GET /api/users/:id/sessions
+ * List the active sessions of a user (admin only)
+ */
+router.get('/:id/sessions', authenticated, requireRole('admin'), async (req, res, next) => {
+	try {
+		const userId = parseId(req.params.id, 'Invalid user ID');
+		const sessions = await req.services.sessions.list(userId, req.user.sid);
+
+		res.json({
+			success: true,
+			data: sessions,
 		});
+	} catch (error) {
+		next(error);
 	}
 });
 
 /**
- * PUT /api/users/:id
- * Update user (admin only)
+ * DELETE /api/users/:id/sessions
+ * Revoke all sessions of a user (admin only)
  */
-router.put('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id/sessions', audited, authenticated, requireRole('admin'), async (req, res, next) => {
 	try {
-		if (req.user.role !== 'admin') {
-			return res.status(403).json({
-				success: false,
-				error: 'Admin access required',
-			});
+		const userId = parseId(req.params.id, 'Invalid user ID');
+
+		const [existingUsers] = await req.services.db.execute('SELECT username FROM users WHERE id = ?', [userId]);
+		if (existingUsers.length === 0) {
+			throw new NotFoundError('User not found');
 		}
 
-		const { id } = req.params;
-		const { firstName, lastName, email, role, isActive } = req.body;
-		const userId = parseInt(id);
+		const revoked = await req.services.sessions.revokeAll(userId);
 
-		if (isNaN(userId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid user ID',
-			});
+		// Log activity
+		await logActivity(req.services.db, { userId: req.user.id, type: 'SESSION_REVOKE', description: `Revoked ${revoked} session(s) of user ${existingUsers[0].username} (ID: ${userId})`, ip: req.ip });
+
+		res.json({
+			success: true,
+			data: { revoked },
+			message: 'Sessions revoked successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * GET /api/users/registration
+ * Registration mode, so clients know whether to offer a sign-up form
+ */
+router.get('/registration', async (req, res, next) => {
+	try {
+		const { settings } = req.services;
+
+		res.json({
+			success: true,
+			data: {
+				mode: await settings.get('registration_mode'),
+				approvalRequired: await settings.get('registration_requires_approval'),
+			},
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * PUT /api/users/registration
+ * Change the registration mode and approval requirement (admin only)
+ */
+router.put('/registration', audited, authenticated, requireRole('admin'), validateRequest({ body: registrationSettingsSchema }), async (req, res, next) => {
+	try {
+		const { settings } = req.services;
+		const { mode, approvalRequired } = req.body;
+
+		if (mode !== undefined) {
+			await settings.set('registration_mode', mode);
+		}
+		if (approvalRequired !== undefined) {
+			await settings.set('registration_requires_approval', approvalRequired, 'boolean');
+		}
+
+		const data = { mode: await settings.get('registration_mode'), approvalRequired: await settings.get('registration_requires_approval') };
+		await logActivity(req.services.db, { userId: req.user.id, type: 'REGISTRATION_SETTINGS', description: `Registration mode ${data.mode}, approval ${data.approvalRequired ? 'required' : 'not required'}`, ip: req.ip });
+
+		res.json({
+			success: true,
+			data,
+			message: 'Registration settings updated successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * GET /api/users/pending
+ * Self-registered accounts awaiting approval (admin only)
+ */
+router.get('/pending', authenticated, requireRole('admin'), async (req, res, next) => {
+	try {
+		const [users] = await req.services.db.execute("SELECT id, username, email, email_verified, first_name, last_name, created_at FROM users WHERE approval_status = 'pending' ORDER BY created_at");
+
+		res.json({
+			success: true,
+			data: users.map((user) => ({
+				id: user.id,
+				username: user.username,
+				email: user.email,
+				emailVerified: Boolean(user.email_verified),
+				firstName: user.first_name,
+				lastName: user.last_name,
+				createdAt: user.created_at,
+			})),
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/users/:id/approve
+ * Activate a pending account, optionally with another role (admin only)
+ */
+router.post('/:id/approve', audited, authenticated, requireRole('admin'), validateRequest({ body: approveSchema }), async (req, res, next) => {
+	try {
+		const user = await reviewAccount(req, 'approved', req.body.role || null);
+		await logActivity(req.services.db, { userId: user.id, type: 'ACCOUNT_APPROVED', description: `Account approved by ${req.user.username}${req.body.role ? ` as ${req.body.role}` : ''}`, ip: req.ip });
+
+		res.json({
+			success: true,
+			message: `User ${user.username} approved successfully`,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * POST /api/users/:id/reject
+ * Reject a pending account; it stays inactive (admin only)
+ */
+router.post('/:id/reject', audited, authenticated, requireRole('admin'), async (req, res, next) => {
+	try {
+		const user = await reviewAccount(req, 'rejected');
+		await logActivity(req.services.db, { userId: user.id, type: 'ACCOUNT_REJECTED', description: `Account rejected by ${req.user.username}`, ip: req.ip });
+
+		res.json({
+			success: true,
+			message: `User ${user.username} rejected`,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * GET /api/users/lockouts
+ * Accounts and IP addresses locked after too many failed logins (admin only)
+ */
+router.get('/lockouts', authenticated, requireRole('admin'), async (req, res, next) => {
+	try {
+		const lockouts = await req.services.loginThrottle.listLockouts();
+
+		res.json({
+			success: true,
+			data: lockouts,
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * DELETE /api/users/lockouts/ip/:ip
+ * Unlock an IP address (admin only)
+ */
+router.delete('/lockouts/ip/:ip', audited, authenticated, requireRole('admin'), validateRequest({ params: ipParamsSchema }), async (req, res, next) => {
+	try {
+		const { ip } = req.params;
+		if (!(await req.services.loginThrottle.unlockIp(ip))) {
+			throw new NotFoundError('No failed logins recorded for this IP address');
+		}
+
+		await logActivity(req.services.db, { userId: req.user.id, type: 'IP_UNLOCKED', description: `Unlocked IP address ${ip}`, ip: req.ip });
+
+		res.json({
+			success: true,
+			message: 'IP address unlocked successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * DELETE /api/users/:id/lockout
+ * Unlock an account and reset its failed login counter (admin only)
+ */
+router.delete('/:id/lockout', audited, authenticated, requireRole('admin'), async (req, res, next) => {
+	try {
+		const userId = parseId(req.params.id, 'Invalid user ID');
+
+		const [existingUsers] = await req.services.db.execute('SELECT username FROM users WHERE id = ?', [userId]);
+		if (existingUsers.length === 0) {
+			throw new NotFoundError('User not found');
 		}
 
-		const connection = await pool.getConnection();
+		await req.services.loginThrottle.unlockAccount(userId);
+		await logActivity(req.services.db, { userId, type: 'ACCOUNT_UNLOCKED', description: `Account unlocked by ${req.user.username}`, ip: req.ip });
+
+		res.json({
+			success: true,
+			message: 'Account unlocked successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * PUT /api/users/:id/two-factor
+ * Require (or stop requiring) two-factor authentication for a user (admin only)
+ */
+router.put('/:id/two-factor', audited, authenticated, requireRole('admin'), validateRequest({ body: twoFactorRequirementSchema }), async (req, res, next) => {
+	try {
+		const userId = parseId(req.params.id, 'Invalid user ID');
+
+		const [existingUsers] = await req.services.db.execute('SELECT username FROM users WHERE id = ?', [userId]);
+		if (existingUsers.length === 0) {
+			throw new NotFoundError('User not found');
+		}
+
+		await req.services.twoFactor.setRequired(userId, req.body.required);
+		await logActivity(req.services.db, { userId: req.user.id, type: 'TWO_FACTOR_REQUIRE', description: `${req.body.required ? 'Required' : 'Stopped requiring'} two-factor authentication for ${existingUsers[0].username} (ID: ${userId})`, ip: req.ip });
+
+		res.json({
+			success: true,
+			message: 'Two-factor requirement updated successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * DELETE /api/users/:id/two-factor
+ * Reset two-factor authentication of a user who lost their device (admin only)
+ */
+router.delete('/:id/two-factor', audited, authenticated, requireRole('admin'), async (req, res, next) => {
+	try {
+		const userId = parseId(req.params.id, 'Invalid user ID');
+
+		const [existingUsers] = await req.services.db.execute('SELECT username FROM users WHERE id = ?', [userId]);
+		if (existingUsers.length === 0) {
+			throw new NotFoundError('User not found');
+		}
+
+		await req.services.twoFactor.disable(userId);
+		await logActivity(req.services.db, { userId: req.user.id, type: 'TWO_FACTOR_RESET', description: `Reset two-factor authentication of ${existingUsers[0].username} (ID: ${userId})`, ip: req.ip });
+		await logActivity(req.services.db, { userId, type: 'TWO_FACTOR_RESET', description: `Two-factor authentication reset by ${req.user.username}`, ip: req.ip });
+
+		res.json({
+			success: true,
+			message: 'Two-factor authentication reset successfully',
+		});
+	} catch (error) {
+		next(error);
+	}
+});
+
+/**
+ * PUT /api/users/:id
+ * Update user (admin only)
+ */
+router.put('/:id', audited, authenticated, requireRole('admin'), async (req, res, next) => {
+	try {
+		const { firstName, lastName, email, role, isActive } = req.body;
+		const userId = parseId(req.params.id, 'Invalid user ID');
+
+		const connection = await req.services.db.getConnection();
 
 		// Check if user exists
-		const [existingUsers] = await connection.execute('SELECT id FROM users WHERE id = ?', [userId]);
+		const [existingUsers] = await connection.execute('SELECT id, role FROM users WHERE id = ?', [userId]);
 		if (existingUsers.length === 0) {
 			connection.release();
-			return res.status(404).json({
-				success: false,
-				error: 'User not found',
-			});
+			throw new NotFoundError('User not found');
 		}
 
 		// Update user
 		await connection.execute('UPDATE users SET first_name = ?, last_name = ?, email = ?, role = ?, is_active = ? WHERE id = ?', [firstName, lastName, email, role, isActive ? 1 : 0, userId]);
 
+		// A deactivated user is signed out everywhere, and so is a user whose role changed (access tokens carry the role)
+		if (!isActive || role !== existingUsers[0].role) {
+			await req.services.sessions.revokeAll(userId);
+		}
+
 		// Log activity
-		await connection.execute('INSERT INTO user_activity_log (user_id, activity_type, description, ip_address) VALUES (?, ?, ?, ?)', [req.user.id, 'USER_UPDATE', `Updated user ${userId}`, req.ip]);
+		await logActivity(req.services.db, { userId: req.user.id, type: 'USER_UPDATE', description: `Updated user ${userId}`, ip: req.ip });
 
 		connection.release();
 
@@ -467,10 +1159,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
 			message: 'User updated successfully',
 		});
 	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
-		});
+		next(error);
 	}
 });
 
@@ -478,43 +1167,22 @@ router.put('/:id', authenticateToken, async (req, res) => {
  * DELETE /api/users/:id
  * Delete user (admin only)
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', audited, authenticated, requireRole('admin'), async (req, res, next) => {
 	try {
-		if (req.user.role !== 'admin') {
-			return res.status(403).json({
-				success: false,
-				error: 'Admin access required',
-			});
-		}
-
-		const { id } = req.params;
-		const userId = parseInt(id);
-
-		if (isNaN(userId)) {
-			return res.status(400).json({
-				success: false,
-				error: 'Invalid user ID',
-			});
-		}
+		const userId = parseId(req.params.id, 'Invalid user ID');
 
 		// Prevent deleting self
 		if (userId === req.user.id) {
-			return res.status(400).json({
-				success: false,
-				error: 'Cannot delete your own account',
-			});
+			throw new ValidationError('Cannot delete your own account');
 		}
 
-		const connection = await pool.getConnection();
+		const connection = await req.services.db.getConnection();
 
 		// Check if user exists
 		const [existingUsers] = await connection.execute('SELECT username FROM users WHERE id = ?', [userId]);
 		if (existingUsers.length === 0) {
 			connection.release();
-			return res.status(404).json({
-				success: false,
-				error: 'User not found',
-			});
+			throw new NotFoundError('User not found');
 		}
 
 		const username = existingUsers[0].username;
@@ -523,7 +1191,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 		await connection.execute('DELETE FROM users WHERE id = ?', [userId]);
 
 		// Log activity
-		await connection.execute('INSERT INTO user_activity_log (user_id, activity_type, description, ip_address) VALUES (?, ?, ?, ?)', [req.user.id, 'USER_DELETE', `Deleted user ${username} (ID: ${userId})`, req.ip]);
+		await logActivity(req.services.db, { userId: req.user.id, type: 'USER_DELETE', description: `Deleted user ${username} (ID: ${userId})`, ip: req.ip });
 
 		connection.release();
 
@@ -532,10 +1200,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 			message: 'User deleted successfully',
 		});
 	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
-		});
+		next(error);
 	}
 });
 
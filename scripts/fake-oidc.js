@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * Run the mock OpenID Connect provider for offline development.
+ *
+ *   npm run oidc:fake -- --port 8890 --user oidcviewer
+ *
+ * Then point the manager at it:
+ *
+ *   OIDC_ISSUER=http://127.0.0.1:8890 OIDC_CLIENT_ID=plesk-api-manager OIDC_CLIENT_SECRET=fake-oidc-secret \
+ *   OIDC_ADMIN_GROUPS=manager-admins OIDC_USER_GROUPS=manager-users OIDC_VIEWER_GROUPS=manager-viewers npm run dev
+ *
+ * Every authorization request signs in --user (or the login_hint parameter) without a form.
+ */
+require('dotenv').config();
+const { FakeOidcProvider } = require('../lib/fakeOidc');
+
+/**
+ * Parse `--name value` pairs
+ * @param {Array<string>} argv
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+	const args = {};
+	for (let i = 0; i < argv.length; i++) {
+		if (argv[i].startsWith('--')) {
+			args[argv[i].slice(2)] = argv[i + 1];
+			i++;
+		}
+	}
+	return args;
+}
+
+async function main() {
+	const args = parseArgs(process.argv.slice(2));
+	const port = parseInt(args.port || process.env.FAKE_OIDC_PORT || 8890, 10);
+	const host = args.host || process.env.FAKE_OIDC_HOST || '127.0.0.1';
+
+	const provider = new FakeOidcProvider();
+	if (args.user) {
+		provider.signInAs(args.user);
+	}
+
+	const url = await provider.start(port, host);
+	console.log(`Fake OIDC provider listening on ${url}`);
+	console.log(`Use OIDC_ISSUER=${url} OIDC_CLIENT_ID=${provider.clientId} OIDC_CLIENT_SECRET=${provider.clientSecret}`);
+	console.log(`Users: ${provider.users.map((user) => `${user.preferred_username} (${user.groups.join(', ')})`).join('; ')}`);
+
+	const shutdown = () => provider.stop().then(() => process.exit(0));
+	process.once('SIGINT', shutdown);
+	process.once('SIGTERM', shutdown);
+}
+
+main().catch((error) => {
+	console.error('Failed to start fake OIDC provider:', error.message);
+	process.exit(1);
+});
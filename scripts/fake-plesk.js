@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Run the fake Plesk REST server for offline development.
+ *
+ *   npm run plesk:fake -- --port 8880 --fixtures ./my-fixtures.json --latency 200 --error-rate 0.05
+ *
+ * Then point the manager at it:
+ *
+ *   PLESK_URL=http://127.0.0.1:8880 PLESK_API_KEY=fake-plesk-key npm run dev
+ */
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+const { FakePleskServer } = require('../lib/fakePlesk');
+
+/**
+ * Parse `--name value` pairs
+ * @param {Array<string>} argv
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+	const args = {};
+	for (let i = 0; i < argv.length; i++) {
+		if (argv[i].startsWith('--')) {
+			args[argv[i].slice(2)] = argv[i + 1];
+			i++;
+		}
+	}
+	return args;
+}
+
+async function main() {
+	const args = parseArgs(process.argv.slice(2));
+	const port = parseInt(args.port || process.env.FAKE_PLESK_PORT || 8880, 10);
+	const host = args.host || process.env.FAKE_PLESK_HOST || '127.0.0.1';
+
+	let fixtures;
+	if (args.fixtures) {
+		fixtures = JSON.parse(fs.readFileSync(path.resolve(args.fixtures), 'utf8'));
+	}
+
+	const fake = new FakePleskServer({
+		fixtures,
+		faults: {
+			latency: parseInt(args.latency, 10) || 0,
+			errorRate: parseFloat(args['error-rate']) || 0,
+		},
+	});
+
+	const url = await fake.start(port, host);
+	console.log(`Fake Plesk API listening on ${url}/api/v2`);
+	console.log(`Use PLESK_URL=${url} PLESK_API_KEY=${fake.credentials.apiKey}`);
+	console.log(`Fault controls: ${url}/__fake/faults, ${url}/__fake/reset, ${url}/__fake/state`);
+
+	const shutdown = () => fake.stop().then(() => process.exit(0));
+	process.once('SIGINT', shutdown);
+	process.once('SIGTERM', shutdown);
+}
+
+main().catch((error) => {
+	console.error('Failed to start fake Plesk server:', error.message);
+	process.exit(1);
+});
@@ -1,65 +1,106 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 require('dotenv').config();
+const { createContainer } = require('./lib/container');
+const requestId = require('./lib/requestId');
+const { AppError, errorHandler, notFoundHandler } = require('./lib/errors');
+const { accessLog, logger } = require('./lib/logger');
 
-const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(helmet());
-app.use(cors());
-app.use(morgan('combined'));
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Load all routes through the route manager middleware
-try {
-	const routeManager = require('./routes');
-	app.use('/', routeManager);
-	console.log('✓ All routes loaded successfully through route manager');
-} catch (error) {
-	console.error('Failed to load route manager:', error.message);
-	// Create fallback routes for all endpoints
-	app.use('/api/*', (req, res) => {
-		res.status(500).json({
-			success: false,
-			error: 'Route manager failed to load',
-			message: 'Check server configuration and try again',
-			endpoint: req.originalUrl,
+/**
+ * Build the Express application around a service container
+ * @param {Object} container - Service container (see lib/container.js)
+ * @returns {Object} - Express app
+ */
+function createApp(container) {
+	const app = express();
+
+	// Behind a reverse proxy, req.ip (login throttling, activity log) must come from X-Forwarded-For
+	if (process.env.TRUST_PROXY) {
+		const trustProxy = process.env.TRUST_PROXY;
+		app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+	}
+
+	// Middleware
+	app.use(requestId());
+	app.use(accessLog());
+	app.use(helmet());
+	app.use(cors());
+	app.use(express.json());
+	app.use(express.urlencoded({ extended: true }));
+	app.use(container.middleware());
+
+	// Load all routes through the route manager middleware
+	try {
+		const routeManager = require('./routes');
+		app.use('/', routeManager);
+		logger.debug('Routes loaded');
+	} catch (error) {
+		logger.error('Failed to load the route manager', { error });
+		// Create fallback routes for all endpoints
+		app.use('/api/*', (req, res, next) => {
+			next(new AppError('Route manager failed to load, check server configuration and try again', { code: 'ROUTES_UNAVAILABLE' }));
+		});
+	}
+
+	// Health check endpoint
+	app.get('/health', (req, res) => {
+		const circuitBreakers = container.registry.getCircuitBreakerStates();
+		const degraded = circuitBreakers.some((breaker) => breaker.state !== 'closed');
+
+		res.status(200).json({
+			status: degraded ? 'DEGRADED' : 'OK',
+			message: 'Plesk API Manager is running',
+			circuitBreakers,
+			timestamp: new Date().toISOString(),
 		});
 	});
+
+	// 404 handler
+	app.use(notFoundHandler());
+
+	// Error handling middleware (maps typed errors to the error envelope, see lib/errors.js)
+	app.use(errorHandler());
+
+	return app;
 }
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-	res.status(200).json({
-		status: 'OK',
-		message: 'Plesk API Manager is running',
-		timestamp: new Date().toISOString(),
-	});
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-	console.error(err.stack);
-	res.status(500).json({
-		error: 'Something went wrong!',
-		message: process.env.NODE_ENV === 'development' ? err.message : 'Internal Server Error',
-	});
-});
+/**
+ * Start the server with the shared service container and stop it cleanly on SIGINT/SIGTERM
+ */
+async function startServer() {
+	const container = createContainer();
+	await container.start();
 
-// 404 handler
-app.use('*', (req, res) => {
-	res.status(404).json({
-		error: 'Route not found',
+	const app = createApp(container);
+	const server = app.listen(PORT, () => {
+		logger.info(`Server is running on port ${PORT}`, { port: Number(PORT), health: `http://${process.env.HOST || 'localhost'}:${PORT}/health` });
 	});
-});
+
+	const shutdown = (signal) => {
+		logger.info(`${signal} received, shutting down`);
+		server.close(async () => {
+			try {
+				await container.stop();
+			} catch (error) {
+				logger.error('Error during shutdown', { error });
+			}
+			process.exit(0);
+		});
+	};
+
+	process.once('SIGINT', shutdown);
+	process.once('SIGTERM', shutdown);
+}
 
 // Start server
-app.listen(PORT, () => {
-	console.log(`Server is running on port ${PORT}`);
-	console.log(`Health check: http://${process.env.HOST || 'localhost'}:${PORT}/health`);
-	console.log(`Plesk API endpoints: http://${process.env.HOST || 'localhost'}:${PORT}/api/plesk`);
-});
+if (require.main === module) {
+	startServer().catch((error) => {
+		logger.error('Failed to start server', { error });
+		process.exit(1);
+	});
+}
+
+module.exports = { createApp, startServer };
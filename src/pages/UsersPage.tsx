@@ -4,8 +4,7 @@ import { Refresh, PersonAdd, Edit, Delete } from '@mui/icons-material';
 import { useDispatch, useSelector } from 'react-redux';
 
 import { AppDispatch, RootState } from '@/store';
-import { fetchUsers, fetchUserActivity, updateUser, deleteUser } from '@/store/slices/userSlice';
-import { registerUser } from '@/store/slices/authSlice';
+import { fetchUsers, fetchUserActivity, updateUser, deleteUser, createInvitation } from '@/store/slices/userSlice';
 
 const UsersPage: React.FC = () => {
 	const dispatch = useDispatch<AppDispatch>();
@@ -14,51 +13,21 @@ const UsersPage: React.FC = () => {
 	const [openAddDialog, setOpenAddDialog] = useState(false);
 	const [openEditDialog, setOpenEditDialog] = useState(false);
 	const [editingUser, setEditingUser] = useState<any>(null);
-	const [newUser, setNewUser] = useState({
-		username: '',
+	const [newInvitation, setNewInvitation] = useState<{ email: string; role: 'admin' | 'user' | 'viewer' }>({
 		email: '',
-		password: '',
-		firstName: '',
-		lastName: '',
 		role: 'user',
 	});
+	const [invitationResult, setInvitationResult] = useState<{ url: string; mailed: boolean } | null>(null);
 	const [validationErrors, setValidationErrors] = useState<{ [key: string]: string }>({});
 
-	const validateNewUser = () => {
+	const validateNewInvitation = () => {
 		const errors: { [key: string]: string } = {};
 
-		if (!newUser.username.trim()) {
-			errors.username = 'Username is required';
-		} else if (newUser.username.length < 3 || newUser.username.length > 30) {
-			errors.username = 'Username must be 3-30 characters';
-		} else if (!/^[a-zA-Z0-9]+$/.test(newUser.username)) {
-			errors.username = 'Username must be alphanumeric only';
-		}
-
-		if (!newUser.email.trim()) {
-			errors.email = 'Email is required';
-		} else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newUser.email)) {
+		// The email is optional, without one the link is shared by hand
+		if (newInvitation.email.trim() && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newInvitation.email)) {
 			errors.email = 'Please enter a valid email address';
 		}
 
-		if (!newUser.password) {
-			errors.password = 'Password is required';
-		} else if (newUser.password.length < 6) {
-			errors.password = 'Password must be at least 6 characters';
-		}
-
-		if (!newUser.firstName.trim()) {
-			errors.firstName = 'First name is required';
-		} else if (newUser.firstName.trim().length < 2 || newUser.firstName.trim().length > 50) {
-			errors.firstName = 'First name must be 2-50 characters';
-		}
-
-		if (!newUser.lastName.trim()) {
-			errors.lastName = 'Last name is required';
-		} else if (newUser.lastName.trim().length < 2 || newUser.lastName.trim().length > 50) {
-			errors.lastName = 'Last name must be 2-50 characters';
-		}
-
 		setValidationErrors(errors);
 		return Object.keys(errors).length === 0;
 	};
@@ -99,29 +68,29 @@ const UsersPage: React.FC = () => {
 		}
 	}, [dispatch, currentUser]);
 
-	const handleAddUser = async () => {
-		if (!validateNewUser()) {
+	const handleInviteUser = async () => {
+		if (!validateNewInvitation()) {
 			return; // Don't submit if validation fails
 		}
 
 		try {
-			await dispatch(registerUser(newUser)).unwrap();
-			setOpenAddDialog(false);
-			setNewUser({
-				username: '',
+			const invitation = await dispatch(createInvitation({ email: newInvitation.email.trim() || undefined, role: newInvitation.role })).unwrap();
+			setInvitationResult({ url: invitation.url, mailed: invitation.mailed });
+			setNewInvitation({
 				email: '',
-				password: '',
-				firstName: '',
-				lastName: '',
 				role: 'user',
 			});
 			setValidationErrors({});
-			dispatch(fetchUsers()); // Refresh users list
 		} catch (error) {
-			console.error('Failed to add user:', error);
+			console.error('Failed to invite user:', error);
 		}
 	};
 
+	const handleCloseInviteDialog = () => {
+		setOpenAddDialog(false);
+		setInvitationResult(null);
+	};
+
 	const handleEditUser = (user: any) => {
 		setEditingUser({
 			...user,
@@ -196,7 +165,7 @@ const UsersPage: React.FC = () => {
 						Refresh
 					</Button>
 					<Button variant="contained" startIcon={<PersonAdd />} onClick={() => setOpenAddDialog(true)}>
-						Add User
+						Invite User
 					</Button>
 				</Box>
 			</Box>
@@ -292,28 +261,38 @@ const UsersPage: React.FC = () => {
 				</Box>
 			</Paper>
 
-			{/* Add User Dialog */}
-			<Dialog open={openAddDialog} onClose={() => setOpenAddDialog(false)} maxWidth="sm" fullWidth>
-				<DialogTitle>Add New User</DialogTitle>
+			{/* Invite User Dialog */}
+			<Dialog open={openAddDialog} onClose={handleCloseInviteDialog} maxWidth="sm" fullWidth>
+				<DialogTitle>Invite User</DialogTitle>
 				<DialogContent>
-					<TextField fullWidth margin="normal" label="Username" value={newUser.username} onChange={(e) => setNewUser({ ...newUser, username: e.target.value })} error={!!validationErrors.username} helperText={validationErrors.username} />
-					<TextField fullWidth margin="normal" label="Email" type="email" value={newUser.email} onChange={(e) => setNewUser({ ...newUser, email: e.target.value })} error={!!validationErrors.email} helperText={validationErrors.email} />
-					<TextField fullWidth margin="normal" label="Password" type="password" value={newUser.password} onChange={(e) => setNewUser({ ...newUser, password: e.target.value })} error={!!validationErrors.password} helperText={validationErrors.password} />
-					<TextField fullWidth margin="normal" label="First Name" value={newUser.firstName} onChange={(e) => setNewUser({ ...newUser, firstName: e.target.value })} error={!!validationErrors.firstName} helperText={validationErrors.firstName} />
-					<TextField fullWidth margin="normal" label="Last Name" value={newUser.lastName} onChange={(e) => setNewUser({ ...newUser, lastName: e.target.value })} error={!!validationErrors.lastName} helperText={validationErrors.lastName} />
-					<FormControl fullWidth margin="normal">
-						<InputLabel>Role</InputLabel>
-						<Select value={newUser.role} onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}>
-							<MenuItem value="user">User</MenuItem>
-							<MenuItem value="admin">Admin</MenuItem>
-						</Select>
-					</FormControl>
+					{invitationResult ? (
+						<>
+							<Alert severity="success" sx={{ mt: 1 }}>
+								{invitationResult.mailed ? 'The invitation link was mailed.' : 'Share this link with the new user, it is only shown once.'}
+							</Alert>
+							<TextField fullWidth margin="normal" label="Invitation link" value={invitationResult.url} InputProps={{ readOnly: true }} />
+						</>
+					) : (
+						<>
+							<TextField fullWidth margin="normal" label="Email (optional)" type="email" value={newInvitation.email} onChange={(e) => setNewInvitation({ ...newInvitation, email: e.target.value })} error={!!validationErrors.email} helperText={validationErrors.email || 'The link is mailed to this address'} />
+							<FormControl fullWidth margin="normal">
+								<InputLabel>Role</InputLabel>
+								<Select value={newInvitation.role} onChange={(e) => setNewInvitation({ ...newInvitation, role: e.target.value as 'admin' | 'user' | 'viewer' })}>
+									<MenuItem value="viewer">Viewer</MenuItem>
+									<MenuItem value="user">User</MenuItem>
+									<MenuItem value="admin">Admin</MenuItem>
+								</Select>
+							</FormControl>
+						</>
+					)}
 				</DialogContent>
 				<DialogActions>
-					<Button onClick={() => setOpenAddDialog(false)}>Cancel</Button>
-					<Button onClick={handleAddUser} variant="contained">
-						Add User
-					</Button>
+					<Button onClick={handleCloseInviteDialog}>{invitationResult ? 'Close' : 'Cancel'}</Button>
+					{!invitationResult && (
+						<Button onClick={handleInviteUser} variant="contained">
+							Create Invitation
+						</Button>
+					)}
 				</DialogActions>
 			</Dialog>
 
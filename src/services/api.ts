@@ -43,11 +43,26 @@ const createAPIInstance = (): AxiosInstance => {
 
 const api = createAPIInstance();
 
+// Activity log search (see GET /api/users/activity)
+export interface ActivityQuery {
+	limit?: number;
+	cursor?: string;
+	user_id?: number;
+	type?: string;
+	resource?: string;
+	target_id?: string;
+	outcome?: 'success' | 'failure' | 'denied';
+	from?: string;
+	to?: string;
+	ip?: string;
+	q?: string;
+}
+
 // Auth API
 export const authAPI = {
 	login: (credentials: { username: string; password: string }) => api.post('/users/login', credentials),
 
-	register: (userData: { username: string; email: string; password: string; firstName: string; lastName: string; role?: string }) => api.post('/users/register', userData),
+	register: (userData: { username: string; email: string; password: string; firstName: string; lastName: string; invitationToken?: string }) => api.post('/users/register', userData),
 
 	logout: () => api.post('/users/logout'),
 
@@ -59,7 +74,11 @@ export const authAPI = {
 
 	deleteUser: (id: number) => api.delete(`/users/${id}`),
 
-	getUserActivity: (params?: { limit?: number; offset?: number; user_id?: number }) => api.get('/users/activity', { params }),
+	createInvitation: (invitation: { email?: string; role: 'admin' | 'user' | 'viewer'; expiresInHours?: number }) => api.post('/users/invitations', invitation),
+
+	getUserActivity: (params?: ActivityQuery) => api.get('/users/activity', { params }),
+
+	exportUserActivity: (params?: Omit<ActivityQuery, 'limit' | 'cursor'> & { format?: 'csv' | 'ndjson' }) => api.get('/users/activity/export', { params, responseType: 'blob' }),
 };
 
 // Plesk API
@@ -40,7 +40,7 @@ export const loginUser = createAsyncThunk('auth/loginUser', async (credentials:
 	return { user, token };
 });
 
-export const registerUser = createAsyncThunk('auth/registerUser', async (userData: { username: string; email: string; password: string; firstName: string; lastName: string; role?: 'admin' | 'user' }) => {
+export const registerUser = createAsyncThunk('auth/registerUser', async (userData: { username: string; email: string; password: string; firstName: string; lastName: string; invitationToken?: string }) => {
 	const response = await authAPI.register(userData);
 	return response.data;
 });
@@ -1,5 +1,5 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
-import { authAPI } from '../../services/api';
+import { authAPI, ActivityQuery } from '../../services/api';
 
 interface User {
 	id: number;
@@ -43,7 +43,7 @@ export const fetchUsers = createAsyncThunk('users/fetchUsers', async () => {
 	return response.data.data; // Extract data array from API response
 });
 
-export const fetchUserActivity = createAsyncThunk('users/fetchUserActivity', async (params?: { limit?: number; offset?: number; user_id?: number }) => {
+export const fetchUserActivity = createAsyncThunk('users/fetchUserActivity', async (params?: ActivityQuery) => {
 	const response = await authAPI.getUserActivity(params);
 	return response.data.data; // Extract data array from API response
 });
@@ -58,6 +58,12 @@ export const deleteUser = createAsyncThunk('users/deleteUser', async (id: number
 	return id;
 });
 
+// The invitation link is returned once, the page shows it for sharing when it was not mailed
+export const createInvitation = createAsyncThunk('users/createInvitation', async (invitation: { email?: string; role: 'admin' | 'user' | 'viewer'; expiresInHours?: number }) => {
+	const response = await authAPI.createInvitation(invitation);
+	return response.data.data as { id: number; url: string; mailed: boolean; role: string; email: string | null };
+});
+
 const userSlice = createSlice({
 	name: 'users',
 	initialState,
@@ -120,6 +126,18 @@ const userSlice = createSlice({
 			.addCase(deleteUser.rejected, (state, action) => {
 				state.loading = false;
 				state.error = action.error.message || 'Failed to delete user';
+			})
+			// Create invitation
+			.addCase(createInvitation.pending, (state) => {
+				state.loading = true;
+				state.error = null;
+			})
+			.addCase(createInvitation.fulfilled, (state) => {
+				state.loading = false;
+			})
+			.addCase(createInvitation.rejected, (state, action) => {
+				state.loading = false;
+				state.error = action.error.message || 'Failed to create invitation';
 			});
 	},
 });
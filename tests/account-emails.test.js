@@ -0,0 +1,172 @@
+const request = require('supertest');
+const { createTestApp } = require('./helpers/app');
+const { describeWithDb, openRegistration, truncateTables } = require('./helpers/db');
+const { AccountTokens, describeTtl, hashAccountToken } = require('../lib/accountTokens');
+const { Mailer, createLogTransport, createMailTransport, renderTemplate } = require('../lib/mailer');
+const { Logger } = require('../lib/logger');
+
+describe('Mailer', () => {
+	test('renders placeholders and leaves unknown ones alone', () => {
+		expect(renderTemplate('Hello {{first_name}}, {{ reset_url }} {{missing}}', { first_name: 'Alice', reset_url: 'https://x/y' })).toBe('Hello Alice, https://x/y {{missing}}');
+	});
+
+	test('falls back to the built-in templates without a database', async () => {
+		const transport = createMailTransport('memory');
+		const mailer = new Mailer({ transport, from: 'test@example.com' });
+
+		await mailer.sendTemplate('email_verification', 'alice@example.com', { first_name: 'Alice', verification_url: 'https://app/verify-email?token=t', expires_in: '48 hours' });
+
+		expect(transport.sent).toHaveLength(1);
+		expect(transport.sent[0]).toMatchObject({ from: 'test@example.com', to: 'alice@example.com', subject: 'Verify your email address' });
+		expect(transport.sent[0].text).toContain('https://app/verify-email?token=t');
+		expect(transport.sent[0].text).toContain('48 hours');
+	});
+
+	test('transport failures become MAIL_UNAVAILABLE', async () => {
+		const mailer = new Mailer({ transport: { sendMail: async () => Promise.reject(new Error('ECONNREFUSED')) } });
+
+		await expect(mailer.send({ to: 'a@example.com', subject: 's', text: 't' })).rejects.toMatchObject({ status: 503, code: 'MAIL_UNAVAILABLE' });
+	});
+
+	test('the log transport keeps mailed links out of info entries', async () => {
+		const entries = [];
+		const write = (level, line) => entries.push(JSON.parse(line));
+		const message = { to: 'alice@example.com', subject: 'Password Reset Request', text: 'Reset: https://app/reset-password?token=secret-link' };
+
+		await createLogTransport(new Logger({ level: 'info', write })).sendMail(message);
+		expect(entries).toEqual([expect.objectContaining({ level: 'info', to: 'alice@example.com', subject: 'Password Reset Request' })]);
+		expect(JSON.stringify(entries)).not.toContain('secret-link');
+
+		await createLogTransport(new Logger({ level: 'debug', write })).sendMail(message);
+		expect(entries[2]).toMatchObject({ level: 'debug', text: message.text });
+	});
+
+	test('unknown transports are refused', () => {
+		expect(() => createMailTransport('carrier-pigeon')).toThrow('Unknown MAIL_TRANSPORT');
+	});
+});
+
+describe('Account tokens', () => {
+	test.each([
+		[60, '1 hour'],
+		[2880, '48 hours'],
+		[90, '90 minutes'],
+	])('describes %i minutes as %s', (minutes, text) => {
+		expect(describeTtl(minutes)).toBe(text);
+	});
+
+	test('only the hash of a token is stored and a token is consumed once', async () => {
+		const user = { id: 3, password_reset_token: null };
+		const dbPool = {
+			execute: async (sql, params) => {
+				if (sql.startsWith('UPDATE users SET password_reset_token = ?')) {
+					user.password_reset_token = params[0];
+					return [{ affectedRows: 1 }];
+				}
+				if (sql.startsWith('SELECT')) {
+					return [user.password_reset_token === params[0] ? [user] : []];
+				}
+				const matches = user.password_reset_token === params[1];
+				user.password_reset_token = matches ? null : user.password_reset_token;
+				return [{ affectedRows: matches ? 1 : 0 }];
+			},
+		};
+		const tokens = new AccountTokens({ dbPool });
+
+		const { token, expiresIn } = await tokens.issue('passwordReset', 3);
+
+		expect(expiresIn).toBe('1 hour');
+		expect(user.password_reset_token).toBe(hashAccountToken(token));
+		expect(await tokens.consume('passwordReset', token)).toBe(user);
+		expect(await tokens.consume('passwordReset', token)).toBeNull();
+	});
+});
+
+describe('Password reset and email verification', () => {
+	let ctx;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	test('the endpoints validate their bodies', async () => {
+		await request(ctx.app).post('/api/users/forgot-password').send({ email: 'not-an-email' }).expect(400);
+		await request(ctx.app).post('/api/users/reset-password').send({ token: 'x', password: '123' }).expect(400);
+		await request(ctx.app).post('/api/users/verify-email').send({}).expect(400);
+	});
+
+	describeWithDb('with MySQL', () => {
+		const sent = () => ctx.container.mailer.transport.sent;
+		const tokenFrom = (mail) => new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+		const register = () => request(ctx.app).post('/api/users/register').send({ username: 'alice', email: 'alice@example.com', password: 'secret123', firstName: 'Alice', lastName: 'Smith' });
+		const login = (password = 'secret123') => request(ctx.app).post('/api/users/login').send({ username: 'alice', password });
+
+		beforeEach(async () => {
+			await truncateTables(ctx.db);
+			await openRegistration(ctx.db);
+			sent().length = 0;
+			await register();
+		});
+
+		test('a reset link sets a new password once and signs out every session', async () => {
+			const { token } = (await login()).body.data;
+			sent().length = 0;
+
+			const requested = await request(ctx.app).post('/api/users/forgot-password').send({ email: 'alice@example.com' });
+			expect(requested.status).toBe(200);
+			expect(sent()).toHaveLength(1);
+			expect(sent()[0].subject).toBe('Password Reset Request');
+
+			const resetToken = tokenFrom(sent()[0]);
+			await request(ctx.app).post('/api/users/reset-password').send({ token: resetToken, password: 'newsecret' }).expect(200);
+			await request(ctx.app).post('/api/users/reset-password').send({ token: resetToken, password: 'another' }).expect(400);
+
+			await request(ctx.app).get('/api/users/profile').set('Authorization', `Bearer ${token}`).expect(401);
+			expect((await login()).status).toBe(401);
+			expect((await login('newsecret')).status).toBe(200);
+		});
+
+		test('unknown addresses get the same answer and no mail', async () => {
+			const known = await request(ctx.app).post('/api/users/forgot-password').send({ email: 'alice@example.com' });
+			const unknown = await request(ctx.app).post('/api/users/forgot-password').send({ email: 'nobody@example.com' });
+
+			expect(unknown.status).toBe(known.status);
+			expect(unknown.body).toEqual(known.body);
+			expect(sent().filter((mail) => mail.to === 'nobody@example.com')).toHaveLength(0);
+		});
+
+		test('expired reset tokens are refused', async () => {
+			await request(ctx.app).post('/api/users/forgot-password').send({ email: 'alice@example.com' });
+			await ctx.db.query('UPDATE users SET password_reset_expires = DATE_SUB(NOW(), INTERVAL 1 MINUTE)');
+
+			const res = await request(ctx.app).post('/api/users/reset-password').send({ token: tokenFrom(sent()[1]), password: 'newsecret' });
+			expect(res.status).toBe(400);
+		});
+
+		test('registration mails a verification link that is required to log in when the setting is on', async () => {
+			await ctx.container.settings.set('email_verification_required', 'true', 'boolean');
+
+			const refused = await login();
+			expect(refused.status).toBe(403);
+			expect(refused.body.code).toBe('EMAIL_NOT_VERIFIED');
+
+			expect(sent()[0].subject).toBe('Verify your email address');
+			await request(ctx.app).post('/api/users/send-verification').send({ email: 'alice@example.com' }).expect(200);
+
+			// Only the newest link works
+			await request(ctx.app).post('/api/users/verify-email').send({ token: tokenFrom(sent()[0]) }).expect(400);
+			await request(ctx.app).post('/api/users/verify-email').send({ token: tokenFrom(sent()[1]) }).expect(200);
+
+			const { token } = (await login()).body.data;
+			const profile = await request(ctx.app).get('/api/users/profile').set('Authorization', `Bearer ${token}`);
+			expect(profile.body.data.emailVerified).toBe(true);
+
+			const [rows] = await ctx.db.query("SELECT activity_type FROM user_activity_log WHERE activity_type = 'EMAIL_VERIFIED'");
+			expect(rows).toHaveLength(1);
+		});
+	});
+});
@@ -0,0 +1,170 @@
+const { createTestApp } = require('./helpers/app');
+const { createUser, describeWithDb, truncateTables, withActivityLog } = require('./helpers/db');
+const { ACTIVITY_COLUMNS, activityFilter, decodeCursor, encodeCursor, toCsvLine, toExportRecord } = require('../lib/activity');
+
+describe('Activity search filters', () => {
+	test('no filters match everything', () => {
+		expect(activityFilter({})).toEqual({ where: '', params: [] });
+	});
+
+	test('filters are combined with AND', () => {
+		const from = new Date('2024-01-01T00:00:00Z');
+		expect(activityFilter({ userId: 3, resource: 'domains', targetId: '7', outcome: 'denied', from, ip: '10.0.0.1', beforeId: 120 })).toEqual({
+			where: 'WHERE al.user_id = ? AND al.target_resource = ? AND al.target_id = ? AND al.outcome = ? AND al.created_at >= ? AND al.ip_address = ? AND al.id < ?',
+			params: [3, 'domains', '7', 'denied', from, '10.0.0.1', 120],
+		});
+	});
+
+	test('types match exactly or by prefix', () => {
+		expect(activityFilter({ types: ['LOGIN', 'API_KEY_*'] })).toEqual({
+			where: 'WHERE (al.activity_type = ? OR al.activity_type LIKE ?)',
+			params: ['LOGIN', 'API\\_KEY\\_%'],
+		});
+	});
+
+	test('free text searches descriptions, paths, targets and usernames with wildcards escaped', () => {
+		const { where, params } = activityFilter({ q: '100%_off' });
+		expect(where).toBe('WHERE (al.description LIKE ? OR al.request_path LIKE ? OR al.target_id LIKE ? OR u.username LIKE ?)');
+		expect(params).toEqual(Array(4).fill('%100\\%\\_off%'));
+	});
+
+	test('cursors round-trip and reject tampering', () => {
+		expect(decodeCursor(encodeCursor(42))).toBe(42);
+		expect(() => decodeCursor('not-a-cursor')).toThrow('Invalid cursor');
+		expect(() => decodeCursor(Buffer.from('{"id":-1}').toString('base64url'))).toThrow('Invalid cursor');
+	});
+});
+
+describe('Activity export format', () => {
+	test('records have every column, ISO dates and parsed request data', () => {
+		const record = toExportRecord({ id: 5, created_at: new Date('2024-03-01T10:00:00Z'), activity_type: 'DNS_DELETE', request_data: '{"name":"a"}', extra: 1 });
+		expect(Object.keys(record)).toEqual(ACTIVITY_COLUMNS);
+		expect(record).toMatchObject({ id: 5, created_at: '2024-03-01T10:00:00.000Z', request_data: { name: 'a' }, username: null });
+	});
+
+	test('CSV fields are quoted and formulas neutralised', () => {
+		const line = toCsvLine(toExportRecord({ id: 1, description: 'Said "hi", left', username: '=HYPERLINK("x")', request_data: '{"a":1}' }));
+		const fields = Object.fromEntries(ACTIVITY_COLUMNS.map((column, index) => [column, index]));
+		const values = line.trimEnd().match(/("([^"]|"")*"|[^,]*)(,|$)/g).map((value) => value.replace(/,$/, ''));
+
+		expect(line.endsWith('\r\n')).toBe(true);
+		expect(values[fields.description]).toBe('"Said ""hi"", left"');
+		expect(values[fields.username]).toBe('"\'=HYPERLINK(""x"")"');
+		expect(values[fields.request_data]).toBe('"{""a"":1}"');
+	});
+});
+
+describe('Activity routes', () => {
+	let ctx;
+	let db;
+	let log;
+	let inserted;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+		db = ctx.container.db;
+
+		// In-memory user_activity_log understanding the user and cursor filters
+		ctx.container.db = withActivityLog(db, async (sql, params) => {
+			if (sql.startsWith('INSERT INTO user_activity_log')) {
+				inserted.push({ user_id: params[0], activity_type: params[1], description: params[2] });
+				return [{ insertId: 0, affectedRows: 1 }];
+			}
+			if (sql.startsWith('SELECT al.*')) {
+				const conditions = (/WHERE (.*) ORDER BY/.exec(sql) || [])[1];
+				const filters = conditions ? conditions.split(' AND ').map((condition, index) => [condition, params[index]]) : [];
+				const limit = Number(/LIMIT (\d+)/.exec(sql)[1]);
+				const rows = log.filter((row) => filters.every(([condition, value]) => (condition === 'al.user_id = ?' ? row.user_id === value : condition === 'al.id < ?' ? row.id < value : true)));
+				return [rows.slice(0, limit)];
+			}
+			return undefined;
+		});
+	});
+
+	afterAll(async () => {
+		ctx.container.db = db;
+		await ctx.close();
+	});
+
+	beforeEach(() => {
+		inserted = [];
+		// Newest first, as ORDER BY al.id DESC returns them
+		log = Array.from({ length: 7 }, (_, index) => ({ id: 7 - index, user_id: index % 2 === 0 ? 1 : 5, username: index % 2 === 0 ? 'admin' : 'jane', activity_type: 'LOGIN', description: `Event ${7 - index}`, created_at: new Date(Date.UTC(2024, 0, 7 - index)) }));
+	});
+
+	test('pages are fetched with the next cursor', async () => {
+		const first = await ctx.api.get('/api/users/activity?limit=3').expect(200);
+		expect(first.body.data.map((row) => row.id)).toEqual([7, 6, 5]);
+		expect(first.body.pagination).toEqual({ limit: 3, nextCursor: expect.any(String) });
+
+		const second = await ctx.api.get(`/api/users/activity?limit=3&cursor=${first.body.pagination.nextCursor}`).expect(200);
+		expect(second.body.data.map((row) => row.id)).toEqual([4, 3, 2]);
+
+		const last = await ctx.api.get(`/api/users/activity?limit=3&cursor=${second.body.pagination.nextCursor}`).expect(200);
+		expect(last.body.data.map((row) => row.id)).toEqual([1]);
+		expect(last.body.pagination.nextCursor).toBeNull();
+	});
+
+	test('users only see their own activity', async () => {
+		const res = await ctx.as('user', { id: 5 }).get('/api/users/activity').expect(200);
+		expect(res.body.data.map((row) => row.id)).toEqual([6, 4, 2]);
+
+		await ctx.as('viewer', { id: 5 }).get('/api/users/activity?user_id=1').expect(403);
+	});
+
+	test.each([['limit=501'], ['type=LOGIN;DROP'], ['from=yesterday'], ['from=2024-02-01&to=2024-01-01'], ['ip=300.1.1.1'], ['cursor=bogus'], ['format=xml']])('%s is rejected', async (query) => {
+		const path = query.startsWith('format') ? '/api/users/activity/export' : '/api/users/activity';
+		const res = await ctx.api.get(`${path}?${query}`).expect(400);
+		expect(res.body.code).toBe('VALIDATION_ERROR');
+	});
+
+	test('exports stream every batch as CSV', async () => {
+		log = Array.from({ length: 2500 }, (_, index) => ({ id: 2500 - index, user_id: 1, username: 'admin', activity_type: 'DNS_DELETE', description: `Event ${2500 - index}`, created_at: new Date(Date.UTC(2024, 0, 1)) }));
+
+		const res = await ctx.api.get('/api/users/activity/export').expect(200);
+		const lines = res.text.trimEnd().split('\r\n');
+
+		expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+		expect(res.headers['content-disposition']).toMatch(/^attachment; filename="activity-\d{4}-\d{2}-\d{2}\.csv"$/);
+		expect(lines[0]).toBe(ACTIVITY_COLUMNS.join(','));
+		expect(lines).toHaveLength(2501);
+		expect(lines[2500]).toMatch(/^1,2024-01-01T00:00:00.000Z,1,admin,DNS_DELETE,Event 1,/);
+		expect(inserted).toEqual([{ user_id: 1, activity_type: 'ACTIVITY_EXPORT', description: 'Exported activity as csv (no filters)' }]);
+	});
+
+	test('exports can be NDJSON and are scoped like searches', async () => {
+		const res = await ctx.as('user', { id: 5 }).get('/api/users/activity/export?format=ndjson').expect(200);
+
+		expect(res.headers['content-type']).toMatch(/^application\/x-ndjson/);
+		expect(res.text.trimEnd().split('\n').map((line) => JSON.parse(line).id)).toEqual([6, 4, 2]);
+	});
+
+	test('an empty export still has the CSV header', async () => {
+		log = [];
+		const res = await ctx.api.get('/api/users/activity/export').expect(200);
+		expect(res.text).toBe(`${ACTIVITY_COLUMNS.join(',')}\r\n`);
+	});
+
+	describeWithDb('with MySQL', () => {
+		beforeEach(async () => {
+			await truncateTables(db);
+			ctx.container.db = db;
+
+			// Token users have ID 1
+			await createUser(db, { username: 'admin', role: 'admin' });
+		});
+
+		test('searches filter by type, outcome and text', async () => {
+			await db.execute("INSERT INTO user_activity_log (user_id, activity_type, description, target_resource, target_id, outcome, ip_address) VALUES (1, 'DNS_DELETE', 'DELETE /api/dns/records/2 200', 'dns', '2', 'success', '10.0.0.1'), (1, 'DOMAINS_DELETE', 'DELETE /api/plesk/domains/3 403', 'domains', '3', 'denied', '10.0.0.2'), (1, 'LOGIN', 'User logged in', NULL, NULL, NULL, '10.0.0.1')");
+
+			const types = await ctx.api.get('/api/users/activity?type=dns_*,login').expect(200);
+			expect(types.body.data.map((row) => row.activity_type)).toEqual(['LOGIN', 'DNS_DELETE']);
+
+			const denied = await ctx.api.get('/api/users/activity?outcome=denied&ip=10.0.0.2').expect(200);
+			expect(denied.body.data.map((row) => row.target_id)).toEqual(['3']);
+
+			const text = await ctx.api.get('/api/users/activity?q=records').expect(200);
+			expect(text.body.data.map((row) => row.activity_type)).toEqual(['DNS_DELETE']);
+		});
+	});
+});
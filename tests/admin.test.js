@@ -0,0 +1,163 @@
+const { createTestApp } = require('./helpers/app');
+
+describe('Admin routes (/api/admin)', () => {
+	let ctx;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	beforeEach(() => {
+		ctx.fake.reset();
+	});
+
+	describe('CLI', () => {
+		test('GET /api/admin/cli/commands lists commands', async () => {
+			const res = await ctx.api.get('/api/admin/cli/commands');
+
+			expect(res.status).toBe(200);
+			expect(res.body.data).toEqual(['domain', 'server', 'extension']);
+		});
+
+		test('GET /api/admin/cli/:id/ref returns the command reference', async () => {
+			const res = await ctx.api.get('/api/admin/cli/domain/ref');
+
+			expect(res.status).toBe(200);
+			expect(res.body.data).toMatch(/^Usage: domain/);
+		});
+
+		test('GET /api/admin/cli/:id/ref propagates an unknown command', async () => {
+			const res = await ctx.api.get('/api/admin/cli/nope/ref');
+
+			expect(res.status).toBe(404);
+			expect(res.body.error).toBe('Command nope does not exist');
+		});
+
+		test('POST /api/admin/cli/:id/call validates the params', async () => {
+			const res = await ctx.api
+				.post('/api/admin/cli/domain/call')
+				.send({ params: '--list' });
+
+			expect(res.status).toBe(400);
+			expect(res.body.details).toEqual(['"params" must be an array']);
+		});
+
+		test('POST /api/admin/cli/:id/call runs a command against the current state', async () => {
+			ctx.fake.store.createDomain({ name: 'cli-created.com' });
+
+			const res = await ctx.api
+				.post('/api/admin/cli/domain/call')
+				.send({ params: ['--list'] });
+
+			expect(res.status).toBe(200);
+			expect(res.body.data.code).toBe(0);
+			expect(res.body.data.stdout.split('\n')).toContain('cli-created.com');
+		});
+	});
+
+	describe('Extensions', () => {
+		test('GET /api/admin/extensions lists installed extensions', async () => {
+			const res = await ctx.api.get('/api/admin/extensions');
+
+			expect(res.status).toBe(200);
+			expect(res.body.data.map((extension) => extension.id)).toEqual(['letsencrypt', 'wp-toolkit', 'docker']);
+		});
+
+		test('POST /api/admin/extensions requires exactly one source', async () => {
+			const res = await ctx.api.post('/api/admin/extensions').send({ id: 'git', url: 'https://example.com/git.zip' });
+
+			expect(res.status).toBe(400);
+			expect(res.body.error).toBe('Validation error');
+		});
+
+		test('POST /api/admin/extensions installs from the catalog', async () => {
+			const res = await ctx.api.post('/api/admin/extensions').send({ id: 'git' });
+
+			expect(res.status).toBe(200);
+			expect(ctx.fake.store.findExtension('git').active).toBe(true);
+		});
+
+		test('GET /api/admin/extensions/:id returns an extension', async () => {
+			const res = await ctx.api.get('/api/admin/extensions/docker');
+
+			expect(res.status).toBe(200);
+			expect(res.body.data.active).toBe(false);
+		});
+
+		test('PUT /api/admin/extensions/:id/enable and /disable toggle an extension', async () => {
+			await ctx.api.put('/api/admin/extensions/docker/enable').expect(200);
+			expect(ctx.fake.store.findExtension('docker').active).toBe(true);
+
+			await ctx.api.put('/api/admin/extensions/docker/disable').expect(200);
+			expect(ctx.fake.store.findExtension('docker').active).toBe(false);
+		});
+
+		test('DELETE /api/admin/extensions/:id propagates the Plesk 404', async () => {
+			const res = await ctx.api.delete('/api/admin/extensions/git');
+
+			expect(res.status).toBe(404);
+			expect(res.body.details.message).toBe('Extension git is not installed');
+		});
+	});
+
+	describe('Server', () => {
+		test('GET /api/admin/server returns server information', async () => {
+			const res = await ctx.api.get('/api/admin/server');
+
+			expect(res.status).toBe(200);
+			expect(res.body.data.panel_version).toBe('18.0.61');
+		});
+
+		test('GET /api/admin/server/ips lists IP addresses', async () => {
+			const res = await ctx.api.get('/api/admin/server/ips');
+
+			expect(res.status).toBe(200);
+			expect(res.body.data.map((ip) => ip.ip_address)).toEqual(['192.168.1.100', '2001:db8::1']);
+		});
+
+		test('POST /api/admin/server/init validates the admin contact', async () => {
+			const res = await ctx.api
+				.post('/api/admin/server/init')
+				.send({ admin: { name: 'Admin', email: 'not-an-email' }, password: 'secret123', server_name: 'plesk' });
+
+			expect(res.status).toBe(400);
+			expect(res.body.details).toEqual(['"admin.email" must be a valid email']);
+		});
+
+		test('POST /api/admin/server/init initializes the server', async () => {
+			const res = await ctx.api
+				.post('/api/admin/server/init')
+				.send({ admin: { name: 'Admin', email: 'admin@example.com' }, password: 'secret123', server_name: 'plesk' });
+
+			expect(res.status).toBe(200);
+			expect(ctx.fake.store.server.admin.email).toBe('admin@example.com');
+		});
+
+		test('POST /api/admin/server/license validates the body', async () => {
+			const res = await ctx.api.post('/api/admin/server/license').send({});
+
+			expect(res.status).toBe(400);
+			expect(res.body.details).toEqual(['"key" is required']);
+		});
+
+		test('POST /api/admin/server/license installs a license', async () => {
+			const res = await ctx.api.post('/api/admin/server/license').send({ key: 'PLSK.00000000.0000' });
+
+			expect(res.status).toBe(200);
+			expect(ctx.fake.store.license).toBe('PLSK.00000000.0000');
+		});
+
+		test('POST /api/admin/server/license is not retried after a 502', async () => {
+			ctx.fake.addFault({ method: 'POST', path: '/server/license', status: 502, times: 1 });
+
+			const res = await ctx.api.post('/api/admin/server/license').send({ key: 'PLSK.00000000.0000' });
+
+			expect(res.status).toBe(502);
+			expect(ctx.fake.store.license).toBeNull();
+		});
+	});
+});
@@ -0,0 +1,189 @@
+const request = require('supertest');
+const { createTestApp } = require('./helpers/app');
+const { createUser, describeWithDb, truncateTables } = require('./helpers/db');
+const { apiKeyAllows } = require('../lib/auth');
+const { ApiKeyStore, SCOPE_PATTERN, hashApiKey } = require('../lib/apiKeys');
+
+describe('API key scopes', () => {
+	test.each([
+		[['domains:read'], 'domains', 'read', true],
+		[['domains:read'], 'domains', 'update', false],
+		[['domains:read'], 'dns', 'read', false],
+		[['dns:write'], 'dns', 'delete', true],
+		[['dns:write'], 'dns', 'read', false],
+		[['*:read'], 'customers', 'read', true],
+		[['*:read'], '*', 'read', true],
+		[['domains:*'], '*', 'read', false],
+	])('%j covers %s:%s: %s', (scopes, type, action, allowed) => {
+		expect(apiKeyAllows({ scopes }, type, action)).toBe(allowed);
+	});
+
+	test.each(['domains:read', 'dns:write', '*:*', 'server:suspend'])('%s is a valid scope', (scope) => {
+		expect(SCOPE_PATTERN.test(scope)).toBe(true);
+	});
+
+	test.each(['domains', 'mail:read', 'dns:execute', 'dns:read:extra'])('%s is refused', (scope) => {
+		expect(SCOPE_PATTERN.test(scope)).toBe(false);
+	});
+
+	test('keys are looked up by hash and each use is recorded', async () => {
+		const calls = [];
+		const dbPool = {
+			execute: async (sql, params) => {
+				calls.push([sql, params]);
+				return sql.startsWith('SELECT') ? [[{ id: 9, user_id: 3, username: 'bot', email: 'bot@example.com', role: 'user', key_name: 'ci', permissions: '["dns:read"]', plesk_server_id: 2, is_active: 1 }]] : [{ affectedRows: 1 }];
+			},
+		};
+
+		const result = await new ApiKeyStore({ dbPool }).authenticate('pam_secret');
+
+		expect(calls[0][1]).toEqual([hashApiKey('pam_secret')]);
+		expect(calls[1][0]).toContain('usage_count = usage_count + 1');
+		expect(result).toEqual({ user: { id: 3, username: 'bot', email: 'bot@example.com', role: 'user', apiKeyId: 9 }, apiKey: { id: 9, name: 'ci', scopes: ['dns:read'], serverId: 2, rateLimitPerHour: null } });
+	});
+});
+
+describe('API key authentication', () => {
+	let ctx;
+	let store;
+
+	const keys = {
+		'pam_domains-reader': { scopes: ['domains:read'], serverId: null },
+		'pam_bound-reader': { scopes: ['*:read'], serverId: 5 },
+		'pam_everything': { scopes: ['*:*'], serverId: null },
+	};
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+		store = ctx.container.apiKeys;
+		ctx.container.apiKeys = {
+			authenticate: async (key) => (keys[key] ? { user: { id: 1, username: 'root', role: 'admin', apiKeyId: 1 }, apiKey: { id: 1, name: key, ...keys[key] } } : null),
+		};
+	});
+
+	afterAll(async () => {
+		ctx.container.apiKeys = store;
+		await ctx.close();
+	});
+
+	beforeEach(() => {
+		ctx.fake.reset();
+	});
+
+	test('a key is accepted in the X-API-Key header or as the Bearer token', async () => {
+		await request(ctx.app).get('/api/plesk/domains').set('X-API-Key', 'pam_domains-reader').expect(200);
+		await request(ctx.app).get('/api/plesk/domains').set('Authorization', 'Bearer pam_domains-reader').expect(200);
+	});
+
+	test('unknown keys are refused', async () => {
+		const res = await request(ctx.app).get('/api/plesk/domains').set('X-API-Key', 'pam_unknown');
+
+		expect(res.status).toBe(401);
+		expect(res.body.code).toBe('INVALID_API_KEY');
+	});
+
+	test('scopes narrow what the owner may do', async () => {
+		const reader = request.agent(ctx.app).set('X-API-Key', 'pam_domains-reader');
+
+		const write = await reader.delete('/api/plesk/domains/1');
+		expect(write.status).toBe(403);
+		expect(write.body.code).toBe('PERMISSION_DENIED');
+
+		await reader.get('/api/dns/records?domain=example.com').expect(403);
+		// Routes without a declared permission need the wildcard resource
+		await reader.get('/api/servers').expect(403);
+		await reader.get('/api/users').expect(403);
+	});
+
+	test('a bound key cannot target another server', async () => {
+		const res = await request(ctx.app).get('/api/plesk/domains?serverId=3').set('X-API-Key', 'pam_bound-reader');
+
+		expect(res.status).toBe(403);
+		expect(res.body.error).toBe('API key is bound to Plesk server 5');
+	});
+
+	test('account management needs a login session', async () => {
+		const key = request.agent(ctx.app).set('X-API-Key', 'pam_everything');
+
+		for (const [method, path] of [
+			['get', '/api/users/api-keys'],
+			['post', '/api/users/api-keys'],
+			['get', '/api/users/sessions'],
+			['post', '/api/users/logout'],
+			['post', '/api/users/two-factor/setup'],
+		]) {
+			const res = await key[method](path);
+			expect(res.status).toBe(403);
+			expect(res.body.code).toBe('SESSION_REQUIRED');
+		}
+	});
+
+	test('minting validates the scopes', async () => {
+		const res = await ctx.api.post('/api/users/api-keys').send({ name: 'ci', scopes: ['domains:execute'] });
+
+		expect(res.status).toBe(400);
+		await ctx.api.post('/api/users/api-keys').send({ name: 'ci', scopes: [] }).expect(400);
+	});
+
+	describeWithDb('with MySQL', () => {
+		const login = (username) => request(ctx.app).post('/api/users/login').send({ username, password: 'secret123' });
+
+		let alice;
+
+		beforeAll(() => {
+			ctx.container.apiKeys = store;
+		});
+
+		beforeEach(async () => {
+			await truncateTables(ctx.db);
+			await createUser(ctx.db, { username: 'alice' });
+			await createUser(ctx.db, { username: 'bob' });
+			alice = request.agent(ctx.app).set('Authorization', `Bearer ${(await login('alice')).body.data.token}`);
+		});
+
+		test('a minted key is shown once, acts as its owner and counts its uses', async () => {
+			const minted = await alice.post('/api/users/api-keys').send({ name: 'ci', scopes: ['domains:read'], expiresInDays: 30 });
+			expect(minted.status).toBe(201);
+			expect(minted.body.data).toMatchObject({ name: 'ci', scopes: ['domains:read'], serverId: null, status: 'active', usageCount: 0 });
+			expect(minted.body.data.key).toMatch(/^pam_/);
+
+			await request(ctx.app).get('/api/plesk/domains').set('X-API-Key', minted.body.data.key).expect(200);
+			await request(ctx.app).get('/api/plesk/domains').set('X-API-Key', minted.body.data.key).expect(200);
+
+			const list = await alice.get('/api/users/api-keys');
+			expect(list.body.data).toEqual([expect.objectContaining({ id: minted.body.data.id, usageCount: 2, lastUsedAt: expect.any(String) })]);
+			expect(list.body.data[0].key).toBeUndefined();
+		});
+
+		test('rotation replaces the secret and revocation disables the key', async () => {
+			const { id, key } = (await alice.post('/api/users/api-keys').send({ name: 'ci', scopes: ['*:read'] })).body.data;
+
+			const rotated = await alice.post(`/api/users/api-keys/${id}/rotate`);
+			expect(rotated.status).toBe(200);
+			await request(ctx.app).get('/api/plesk/domains').set('X-API-Key', key).expect(401);
+			await request(ctx.app).get('/api/plesk/domains').set('X-API-Key', rotated.body.data.key).expect(200);
+
+			await alice.delete(`/api/users/api-keys/${id}`).expect(200);
+			await request(ctx.app).get('/api/plesk/domains').set('X-API-Key', rotated.body.data.key).expect(401);
+			await alice.post(`/api/users/api-keys/${id}/rotate`).expect(409);
+
+			const [rows] = await ctx.db.query("SELECT activity_type FROM user_activity_log WHERE activity_type LIKE 'API_KEY_%' ORDER BY id");
+			expect(rows.map((row) => row.activity_type)).toEqual(['API_KEY_CREATE', 'API_KEY_ROTATE', 'API_KEY_REVOKE']);
+		});
+
+		test('expired keys and keys of other users are out of reach', async () => {
+			const { id, key } = (await alice.post('/api/users/api-keys').send({ name: 'ci', scopes: ['*:read'] })).body.data;
+			const bob = request.agent(ctx.app).set('Authorization', `Bearer ${(await login('bob')).body.data.token}`);
+
+			await bob.delete(`/api/users/api-keys/${id}`).expect(404);
+			await bob.get('/api/users/api-keys?userId=1').expect(403);
+
+			await ctx.db.query('UPDATE api_keys SET expires_at = DATE_SUB(NOW(), INTERVAL 1 MINUTE)');
+			await request(ctx.app).get('/api/plesk/domains').set('X-API-Key', key).expect(401);
+		});
+
+		test('a key cannot be bound to an unknown server', async () => {
+			await alice.post('/api/users/api-keys').send({ name: 'ci', scopes: ['*:read'], serverId: 42 }).expect(404);
+		});
+	});
+});
@@ -0,0 +1,85 @@
+const request = require('supertest');
+const { createTestApp } = require('./helpers/app');
+
+describe('Application', () => {
+	let ctx;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	beforeEach(() => {
+		ctx.fake.reset();
+	});
+
+	test('GET /health reports OK with closed circuit breakers', async () => {
+		const res = await request(ctx.app).get('/health');
+
+		expect(res.status).toBe(200);
+		expect(res.body.status).toBe('OK');
+	});
+
+	test('GET /health reports DEGRADED once a circuit breaker opens', async () => {
+		const { client } = await ctx.container.registry.getClient();
+		client.breaker.failureThreshold = 1;
+		ctx.fake.addFault({ method: 'GET', path: '/server', status: 500 });
+
+		try {
+			await ctx.api.get('/api/plesk/server/info').expect(502);
+			const res = await request(ctx.app).get('/health');
+
+			expect(res.body.status).toBe('DEGRADED');
+			expect(res.body.circuitBreakers[0]).toMatchObject({ serverId: 0, state: 'open' });
+
+			const rejected = await ctx.api.get('/api/plesk/server/info');
+			expect(rejected.status).toBe(503);
+			expect(rejected.body).toMatchObject({ code: 'PLESK_UNAVAILABLE', pleskStatus: null });
+			expect(rejected.body.details.circuitBreaker.state).toBe('open');
+		} finally {
+			client.breaker.recordSuccess();
+			client.breaker.failureThreshold = 1000;
+		}
+	});
+
+	test('GET /api lists the API themes', async () => {
+		const res = await request(ctx.app).get('/api');
+
+		expect(res.status).toBe(200);
+	});
+
+	test('unknown routes return 404', async () => {
+		const res = await request(ctx.app).get('/nope');
+
+		expect(res.status).toBe(404);
+		expect(res.body).toMatchObject({ success: false, error: 'Route GET /nope not found', code: 'ROUTE_NOT_FOUND', status: 404 });
+	});
+
+	describe('Plesk server info (/api/plesk/server)', () => {
+		test('GET /api/plesk/server/info returns server information', async () => {
+			const res = await ctx.api.get('/api/plesk/server/info');
+
+			expect(res.status).toBe(200);
+			expect(res.body.data.hostname).toBe('plesk.fake.local');
+		});
+
+		test('POST /api/plesk/server/test reports a working connection', async () => {
+			const res = await ctx.api.post('/api/plesk/server/test');
+
+			expect(res.status).toBe(200);
+			expect(res.body.success).toBe(true);
+		});
+
+		test('POST /api/plesk/test reports a rejected connection', async () => {
+			ctx.fake.setFaults({ authFailure: true });
+
+			const res = await ctx.api.post('/api/plesk/test');
+
+			expect(res.body.pleskConnected).toBe(false);
+			expect(res.body.serverInfo).toBeNull();
+		});
+	});
+});
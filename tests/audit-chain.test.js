@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const { createTestApp } = require('./helpers/app');
+const { createUser, describeWithDb, truncateTables } = require('./helpers/db');
+const { CHAINED_COLUMNS, GENESIS_HASH, canonicalJson, hashEntry, logActivity } = require('../lib/activity');
+const { AuditChain } = require('../lib/auditChain');
+const { createPool } = require('../lib/database');
+
+/**
+ * PKCS#8 PEM of a new Ed25519 signing key
+ * @returns {string}
+ */
+function signingKey() {
+	return crypto.generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' });
+}
+
+/**
+ * In-memory user_activity_log, activity_log_chain and activity_log_checkpoints
+ * answering the statements of lib/activity and lib/auditChain
+ * @returns {Object} - Pool stand-in with the rows, head and checkpoints exposed
+ */
+function memoryLog() {
+	const store = { rows: [], head: null, checkpoints: [] };
+
+	const execute = async (sql, params = []) => {
+		if (sql.startsWith('SELECT last_hash FROM activity_log_chain') || sql.startsWith('SELECT last_id, last_hash FROM activity_log_chain')) {
+			return [store.head ? [{ ...store.head }] : []];
+		}
+		if (sql.startsWith('INSERT INTO activity_log_chain')) {
+			store.head = { last_id: params[0], last_hash: params[1] };
+			return [{ affectedRows: 1 }];
+		}
+		if (sql.startsWith('INSERT INTO user_activity_log')) {
+			const row = Object.fromEntries(CHAINED_COLUMNS.map((column, index) => [column, params[index]]));
+			// The JSON column hands back a parsed object with its keys reordered
+			row.request_data = row.request_data ? Object.fromEntries(Object.entries(JSON.parse(row.request_data)).reverse()) : null;
+			const id = store.rows.length > 0 ? store.rows[store.rows.length - 1].id + 1 : 1;
+			store.rows.push({ id, ...row, prev_hash: params[CHAINED_COLUMNS.length], entry_hash: params[CHAINED_COLUMNS.length + 1] });
+			return [{ insertId: id, affectedRows: 1 }];
+		}
+		if (sql.startsWith('SELECT id, user_id')) {
+			const upTo = /AND id <= (\d+)/.exec(sql);
+			const limit = Number(/LIMIT (\d+)/.exec(sql)[1]);
+			return [store.rows.filter((row) => row.id > params[0] && (!upTo || row.id <= Number(upTo[1]))).slice(0, limit).map((row) => ({ ...row }))];
+		}
+		if (sql.startsWith('SELECT COUNT(*) AS entries FROM user_activity_log')) {
+			return [[{ entries: store.rows.filter((row) => row.id <= params[0] && row.entry_hash).length }]];
+		}
+		if (sql.startsWith('SELECT entry_hash FROM user_activity_log')) {
+			return [store.rows.filter((row) => row.id === params[0]).map((row) => ({ entry_hash: row.entry_hash }))];
+		}
+		if (sql.startsWith('INSERT INTO activity_log_checkpoints')) {
+			const [last_id, last_hash, entries, key_id, signature, created_by, created_at] = params;
+			store.checkpoints.push({ id: store.checkpoints.length + 1, last_id, last_hash, entries, key_id, signature, created_by, created_at });
+			return [{ insertId: store.checkpoints.length, affectedRows: 1 }];
+		}
+		if (sql.startsWith('SELECT last_id FROM activity_log_checkpoints')) {
+			return [store.checkpoints.slice(-1)];
+		}
+		if (sql.startsWith('SELECT id, last_id, last_hash, entries, key_id, signature')) {
+			return [sql.includes('WHERE id = ?') ? store.checkpoints.filter((checkpoint) => checkpoint.id === params[0]) : [...store.checkpoints].reverse()];
+		}
+		throw new Error(`Unexpected statement: ${sql}`);
+	};
+	const connection = { execute, beginTransaction: async () => {}, commit: async () => {}, rollback: async () => {}, release: () => {} };
+
+	return { store, execute, getConnection: async () => connection };
+}
+
+/**
+ * Write n activity rows
+ * @param {Object} db
+ * @param {number} count
+ */
+async function logEntries(db, count) {
+	for (let i = 1; i <= count; i++) {
+		await logActivity(db, { userId: 1, type: 'DNS_DELETE', description: `DELETE /api/dns/records/${i} 200`, ip: '10.0.0.1', targetResource: 'dns', targetId: i, method: 'DELETE', requestData: { name: `record${i}`, ttl: 300 }, responseStatus: 200, outcome: 'success' });
+	}
+}
+
+/**
+ * Recompute every hash from a row on, the way someone rewriting the table would
+ * @param {Object[]} rows
+ */
+function rechain(rows) {
+	let prev = GENESIS_HASH;
+	for (const row of rows) {
+		row.prev_hash = prev;
+		row.entry_hash = hashEntry(prev, row);
+		prev = row.entry_hash;
+	}
+}
+
+describe('Activity hash chain', () => {
+	let db;
+	let chain;
+
+	beforeEach(() => {
+		db = memoryLog();
+		chain = new AuditChain({ dbPool: db, signingKey: signingKey() });
+	});
+
+	test('canonical JSON sorts keys at any depth', () => {
+		expect(canonicalJson({ b: 1, a: { d: [2, { f: null, e: 'x' }], c: true } })).toBe('{"a":{"c":true,"d":[2,{"e":"x","f":null}]},"b":1}');
+	});
+
+	test('each row is chained to the previous one', async () => {
+		await logEntries(db, 3);
+		const [first, second, third] = db.store.rows;
+
+		expect(first.prev_hash).toBe(GENESIS_HASH);
+		expect(second.prev_hash).toBe(first.entry_hash);
+		expect(third.prev_hash).toBe(second.entry_hash);
+		expect(db.store.head).toEqual({ last_id: 3, last_hash: third.entry_hash });
+	});
+
+	test('an untouched log verifies', async () => {
+		await logEntries(db, 5);
+
+		expect(await chain.verify({ batchSize: 2 })).toEqual({ valid: true, checked: 5, unchained: 0, head: { id: 5, hash: db.store.rows[4].entry_hash }, brokenAt: null });
+	});
+
+	test('rows written before chaining are counted, not checked', async () => {
+		db.store.rows.push({ id: 1, activity_type: 'LOGIN', prev_hash: null, entry_hash: null }, { id: 2, activity_type: 'LOGOUT', prev_hash: null, entry_hash: null });
+		await logEntries(db, 2);
+
+		expect(await chain.verify()).toMatchObject({ valid: true, checked: 2, unchained: 2 });
+	});
+
+	test('an edited row is reported', async () => {
+		await logEntries(db, 4);
+		db.store.rows[1].description = 'Nothing happened';
+
+		expect((await chain.verify()).brokenAt).toEqual({ id: 2, reason: 'hash_mismatch', expected: expect.any(String), actual: db.store.rows[1].entry_hash });
+	});
+
+	test('a deleted row breaks the next link', async () => {
+		await logEntries(db, 4);
+		db.store.rows.splice(1, 1);
+
+		expect(await chain.verify()).toMatchObject({ valid: false, checked: 1, brokenAt: { id: 3, reason: 'link_mismatch' } });
+	});
+
+	test('deleting the newest rows is noticed through the head', async () => {
+		await logEntries(db, 4);
+		db.store.rows.pop();
+
+		expect(await chain.verify()).toMatchObject({ valid: false, brokenAt: { id: 4, reason: 'head_mismatch' } });
+	});
+
+	test('rows written after the head was read are left for the next run', async () => {
+		await logEntries(db, 2);
+		db.store.rows.push({ ...db.store.rows[1], id: 3, prev_hash: 'not yet committed' });
+
+		expect(await chain.verify()).toMatchObject({ valid: true, checked: 2 });
+	});
+
+	describe('checkpoints', () => {
+		test('a checkpoint signs the head and verifies against the log', async () => {
+			await logEntries(db, 3);
+			const checkpoint = await chain.createCheckpoint(1);
+
+			expect(checkpoint).toEqual({ id: 1, version: 1, algorithm: 'Ed25519', keyId: chain.keyId, lastId: 3, lastHash: db.store.rows[2].entry_hash, entries: 3, createdAt: expect.any(String), signature: expect.any(String) });
+			expect(await chain.getCheckpoint(1)).toEqual({ ...checkpoint, id: undefined });
+
+			// The exported file verifies with the public key alone
+			const { id, signature, ...signed } = checkpoint;
+			expect(crypto.verify(null, Buffer.from(canonicalJson(signed)), crypto.createPublicKey(chain.publicKeyInfo().publicKey), Buffer.from(signature, 'base64'))).toBe(true);
+
+			await logEntries(db, 2);
+			expect(await chain.verifyCheckpoint(checkpoint)).toEqual({ valid: true, reason: null });
+		});
+
+		test('a rewritten log no longer matches an exported checkpoint', async () => {
+			await logEntries(db, 3);
+			const checkpoint = await chain.createCheckpoint();
+
+			db.store.rows[0].description = 'Nothing happened';
+			rechain(db.store.rows);
+			db.store.head = { last_id: 3, last_hash: db.store.rows[2].entry_hash };
+
+			expect(await chain.verify()).toMatchObject({ valid: true });
+			expect(await chain.verifyCheckpoint(checkpoint)).toEqual({ valid: false, reason: 'hash_mismatch' });
+		});
+
+		test('dropping rows and rechaining changes the entry count', async () => {
+			await logEntries(db, 3);
+			const checkpoint = await chain.createCheckpoint();
+
+			const last = db.store.rows[2];
+			db.store.rows.splice(0, 1);
+			rechain(db.store.rows);
+			// Even with the hash at lastId restored
+			last.entry_hash = checkpoint.lastHash;
+
+			expect(await chain.verifyCheckpoint(checkpoint)).toEqual({ valid: false, reason: 'entries_mismatch' });
+		});
+
+		test('forged and foreign checkpoints are refused', async () => {
+			await logEntries(db, 2);
+			const checkpoint = await chain.createCheckpoint();
+
+			expect(await chain.verifyCheckpoint({ ...checkpoint, entries: 1 })).toEqual({ valid: false, reason: 'bad_signature' });
+
+			const other = new AuditChain({ dbPool: db, signingKey: signingKey() });
+			expect(await other.verifyCheckpoint(checkpoint)).toEqual({ valid: false, reason: 'unknown_key' });
+		});
+
+		test('periodic checkpoints are skipped while the chain has not grown', async () => {
+			expect(await chain.checkpointIfChanged()).toBeNull();
+
+			await logEntries(db, 1);
+			expect(await chain.checkpointIfChanged()).toMatchObject({ lastId: 1 });
+			expect(await chain.checkpointIfChanged()).toBeNull();
+		});
+
+		test('signing needs a key', async () => {
+			const unsigned = new AuditChain({ dbPool: db, signingKey: '' });
+			await expect(unsigned.createCheckpoint()).rejects.toMatchObject({ status: 404, code: 'AUDIT_SIGNING_DISABLED' });
+		});
+	});
+
+	test('pool connections hash created_at in UTC', async () => {
+		const pool = createPool({ host: '127.0.0.1', port: 1 });
+		const connection = { query: jest.fn() };
+		pool.emit('connection', connection);
+
+		expect(pool.pool.config.connectionConfig.timezone).toBe('Z');
+		expect(connection.query).toHaveBeenCalledWith("SET time_zone = '+00:00'", expect.any(Function));
+		await pool.end();
+	});
+});
+
+describe('Activity chain routes', () => {
+	let ctx;
+	let db;
+	let auditChain;
+	let memory;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+		db = ctx.container.db;
+		auditChain = ctx.container.auditChain;
+	});
+
+	afterAll(async () => {
+		ctx.container.db = db;
+		ctx.container.auditChain = auditChain;
+		await ctx.close();
+	});
+
+	beforeEach(async () => {
+		memory = memoryLog();
+		await logEntries(memory, 3);
+		ctx.container.auditChain = new AuditChain({ dbPool: memory, signingKey: signingKey() });
+	});
+
+	test('admins verify the chain', async () => {
+		const intact = await ctx.api.get('/api/users/activity/verify').expect(200);
+		expect(intact.body.data).toMatchObject({ valid: true, checked: 3 });
+
+		memory.store.rows[2].outcome = 'failure';
+		const broken = await ctx.api.get('/api/users/activity/verify').expect(200);
+		expect(broken.body.data).toMatchObject({ valid: false, brokenAt: { id: 3, reason: 'hash_mismatch' } });
+		expect(broken.body.message).toBe('Activity log chain broken at entry 3 (hash_mismatch)');
+
+		await ctx.as('user', { id: 5 }).get('/api/users/activity/verify').expect(403);
+	});
+
+	test('checkpoints are created, downloaded and verified', async () => {
+		const created = await ctx.api.post('/api/users/activity/checkpoints').expect(201);
+		expect(created.body.data).toMatchObject({ id: 1, lastId: 3, entries: 3 });
+
+		const list = await ctx.api.get('/api/users/activity/checkpoints').expect(200);
+		expect(list.body.data).toEqual([expect.objectContaining({ id: 1, createdBy: 1, lastId: 3 })]);
+
+		const file = await ctx.api.get('/api/users/activity/checkpoints/1').expect(200);
+		expect(file.headers['content-disposition']).toBe('attachment; filename="activity-checkpoint-1.json"');
+
+		const verified = await ctx.api.post('/api/users/activity/checkpoints/verify').send(file.body).expect(200);
+		expect(verified.body.data).toEqual({ valid: true, reason: null });
+
+		const tampered = await ctx.api
+			.post('/api/users/activity/checkpoints/verify')
+			.send({ ...file.body, lastId: 2 })
+			.expect(200);
+		expect(tampered.body.data).toEqual({ valid: false, reason: 'bad_signature' });
+
+		await ctx.api.post('/api/users/activity/checkpoints/verify').send({ lastId: 2 }).expect(400);
+		await ctx.api.get('/api/users/activity/checkpoints/9').expect(404);
+	});
+
+	test('the public key is published', async () => {
+		const res = await ctx.api.get('/api/users/activity/checkpoints/public-key').expect(200);
+		expect(res.body.data).toEqual({ algorithm: 'Ed25519', keyId: ctx.container.auditChain.keyId, publicKey: expect.stringContaining('BEGIN PUBLIC KEY') });
+	});
+
+	test('without a signing key checkpoints are unavailable', async () => {
+		ctx.container.auditChain = new AuditChain({ dbPool: memory, signingKey: '' });
+
+		const res = await ctx.api.post('/api/users/activity/checkpoints').expect(404);
+		expect(res.body.code).toBe('AUDIT_SIGNING_DISABLED');
+	});
+
+	describeWithDb('with MySQL', () => {
+		beforeEach(async () => {
+			await truncateTables(db);
+			ctx.container.auditChain = new AuditChain({ dbPool: db, signingKey: signingKey() });
+			await createUser(db, { username: 'admin', role: 'admin' });
+		});
+
+		test('rows round-trip through MySQL and edits are caught', async () => {
+			await logEntries(db, 3);
+			await ctx.api.delete('/api/dns/records/2').expect(200);
+			await new Promise((resolve) => setTimeout(resolve, 50));
+
+			const intact = await ctx.api.get('/api/users/activity/verify').expect(200);
+			expect(intact.body.data).toMatchObject({ valid: true, checked: 4 });
+
+			await db.execute("UPDATE user_activity_log SET ip_address = '10.9.9.9' WHERE id = 2");
+			const broken = await ctx.api.get('/api/users/activity/verify').expect(200);
+			expect(broken.body.data.brokenAt).toMatchObject({ id: 2, reason: 'hash_mismatch' });
+		});
+
+		test('deleting a user keeps their rows in the chain', async () => {
+			const userId = await createUser(db, { username: 'bob' });
+			await logActivity(db, { userId, type: 'LOGIN', description: 'User logged in', ip: '10.0.0.2' });
+			await ctx.api.delete(`/api/users/${userId}`).expect(200);
+
+			const res = await ctx.api.get('/api/users/activity/verify').expect(200);
+			expect(res.body.data).toMatchObject({ valid: true, checked: 2 });
+		});
+	});
+});
@@ -0,0 +1,193 @@
+const request = require('supertest');
+const { createTestApp } = require('./helpers/app');
+const { createUser, describeWithDb, truncateTables, withActivityLog } = require('./helpers/db');
+const { outcomeOf, redact } = require('../lib/audit');
+
+// Columns of the INSERT in lib/activity
+const COLUMNS = ['user_id', 'activity_type', 'description', 'target_resource', 'target_id', 'request_method', 'request_path', 'request_data', 'response_status', 'plesk_status', 'outcome', 'ip_address', 'user_agent'];
+
+describe('Audit redaction', () => {
+	test('secret fields are redacted at any depth', () => {
+		expect(redact({ name: 'site.com', password: 'x', admin: { email: 'a@example.com', apiKey: 'k' }, hosting: [{ ftp_password: 'y' }] })).toEqual({
+			name: 'site.com',
+			password: '[REDACTED]',
+			admin: { email: 'a@example.com', apiKey: '[REDACTED]' },
+			hosting: [{ ftp_password: '[REDACTED]' }],
+		});
+	});
+
+	test('command line passwords are redacted', () => {
+		expect(redact(['--create', 'jane', '-passwd', 'hunter2', '--password=hunter2', '--list'])).toEqual(['--create', 'jane', '-passwd', '[REDACTED]', '--password=[REDACTED]', '--list']);
+	});
+
+	test.each([
+		[200, 'success'],
+		[201, 'success'],
+		[401, 'denied'],
+		[403, 'denied'],
+		[404, 'failure'],
+		[502, 'failure'],
+	])('%i is recorded as %s', (status, outcome) => {
+		expect(outcomeOf(status)).toBe(outcome);
+	});
+});
+
+describe('Audit trail', () => {
+	let ctx;
+	let db;
+	let rows;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+		db = ctx.container.db;
+
+		// Keep the audit rows in memory, everything else goes to the real pool
+		ctx.container.db = withActivityLog(db, async (sql, params) => {
+			if (sql.startsWith('INSERT INTO user_activity_log')) {
+				rows.push(Object.fromEntries(COLUMNS.map((column, index) => [column, params[index]])));
+				return [{ insertId: rows.length, affectedRows: 1 }];
+			}
+			return undefined;
+		});
+	});
+
+	afterAll(async () => {
+		ctx.container.db = db;
+		await ctx.close();
+	});
+
+	beforeEach(() => {
+		ctx.fake.reset();
+		rows = [];
+	});
+
+	/**
+	 * Audit rows written so far (the trail is written once the response is sent)
+	 * @returns {Promise<Object[]>}
+	 */
+	async function trail() {
+		await new Promise((resolve) => setImmediate(resolve));
+		return rows;
+	}
+
+	test('a Plesk change records the user, target, request and Plesk status', async () => {
+		await ctx.api.delete('/api/dns/records/2').set('User-Agent', 'audit-test').expect(200);
+
+		expect(await trail()).toEqual([
+			{
+				user_id: 1,
+				activity_type: 'DNS_DELETE',
+				description: 'DELETE /api/dns/records/2 200',
+				target_resource: 'dns',
+				target_id: '2',
+				request_method: 'DELETE',
+				request_path: '/api/dns/records/2',
+				request_data: null,
+				response_status: 200,
+				plesk_status: 200,
+				outcome: 'success',
+				ip_address: expect.any(String),
+				user_agent: 'audit-test',
+			},
+		]);
+	});
+
+	test('failures keep the target and the status Plesk answered with', async () => {
+		await ctx.api.delete('/api/dns/records/999').expect(404);
+
+		expect(await trail()).toEqual([expect.objectContaining({ activity_type: 'DNS_DELETE', target_id: '999', response_status: 404, plesk_status: 404, outcome: 'failure', description: 'DELETE /api/dns/records/999 404 PLESK_NOT_FOUND' })]);
+	});
+
+	test('refused requests are recorded as denied', async () => {
+		await ctx.as('viewer', { id: 8 }).delete('/api/plesk/domains/3').expect(403);
+
+		expect(await trail()).toEqual([expect.objectContaining({ user_id: 8, activity_type: 'DOMAINS_DELETE', target_id: '3', response_status: 403, plesk_status: null, outcome: 'denied' })]);
+	});
+
+	test('refused tokens are recorded as denied without a user', async () => {
+		await request(ctx.app).delete('/api/plesk/domains/3').expect(401);
+		await request(ctx.app).delete('/api/plesk/domains/3').set('Authorization', 'Bearer not-a-token').expect(403);
+
+		expect(await trail()).toEqual([expect.objectContaining({ user_id: null, activity_type: 'DOMAINS_DELETE', target_id: '3', response_status: 401, outcome: 'denied' }), expect.objectContaining({ user_id: null, response_status: 403, outcome: 'denied' })]);
+	});
+
+	test('admin routes of the users router are recorded', async () => {
+		await ctx.as('user', { id: 8 }).delete('/api/users/2/two-factor').expect(403);
+		await ctx.as('user', { id: 8 }).post('/api/users/2/approve').send({}).expect(403);
+
+		expect((await trail()).map((row) => [row.user_id, row.activity_type, row.target_resource, row.target_id, row.request_path, row.outcome])).toEqual([
+			[8, 'USERS_TWO_FACTOR', 'users', '2', '/api/users/2/two-factor', 'denied'],
+			[8, 'USERS_APPROVE', 'users', '2', '/api/users/2/approve', 'denied'],
+		]);
+	});
+
+	test('request data is stored with secrets redacted', async () => {
+		await ctx.api
+			.post('/api/admin/server/init')
+			.send({ admin: { name: 'Admin', email: 'admin@example.com' }, password: 'secret123', server_name: 'plesk' })
+			.expect(200);
+
+		const [row] = await trail();
+		expect(row).toMatchObject({ activity_type: 'SERVER_INIT', target_resource: 'server', outcome: 'success' });
+		expect(JSON.parse(row.request_data)).toMatchObject({ admin: { name: 'Admin', email: 'admin@example.com' }, password: '[REDACTED]', server_name: 'plesk' });
+	});
+
+	test('actions come from the route', async () => {
+		await ctx.api.post('/api/admin/cli/domain/call').send({ params: ['--list'] }).expect(200);
+		await ctx.api.put('/api/admin/extensions/docker/enable').expect(200);
+		await ctx.api.post('/api/plesk/domains').send({ name: 'audited.com' }).expect(201);
+		await ctx.api.put('/api/plesk/domains/2/status').send({ status: 'active' });
+
+		expect((await trail()).map((row) => [row.activity_type, row.target_resource, row.target_id])).toEqual([
+			['CLI_CALL', 'cli', 'domain'],
+			['EXTENSIONS_ENABLE', 'extensions', 'docker'],
+			['DOMAINS_CREATE', 'domains', String(ctx.fake.store.domains.find((domain) => domain.name === 'audited.com').id)],
+			['DOMAINS_STATUS', 'domains', '2'],
+		]);
+	});
+
+	test('secret keys stay out of the target and the path', async () => {
+		// The fake panel knows no such key, the request is recorded all the same
+		await ctx.api.delete('/api/auth/keys/0123456789abcdef?token=t');
+
+		const [row] = await trail();
+		expect(row).toMatchObject({ activity_type: 'KEYS_DELETE', target_id: null, request_path: '/api/auth/keys/[REDACTED]?token=[REDACTED]', description: expect.stringMatching(/^DELETE \/api\/auth\/keys\/\[REDACTED\] \d{3}/) });
+		expect(JSON.stringify(row)).not.toContain('0123456789abcdef');
+	});
+
+	test('reads are not recorded', async () => {
+		await ctx.api.get('/api/plesk/domains').expect(200);
+		await ctx.api.get('/api/dns/records?domain=example.com').expect(200);
+
+		expect(await trail()).toEqual([]);
+	});
+
+	test('a failing audit write does not fail the request', async () => {
+		const audit = ctx.container.db;
+		ctx.container.db = { ...audit, getConnection: async () => Promise.reject(new Error('ECONNREFUSED')) };
+
+		try {
+			await ctx.api.delete('/api/dns/records/2').expect(200);
+		} finally {
+			ctx.container.db = audit;
+		}
+	});
+
+	describeWithDb('with MySQL', () => {
+		beforeEach(async () => {
+			await truncateTables(db);
+			ctx.container.db = db;
+
+			// Token users have ID 1
+			await createUser(db, { username: 'admin', role: 'admin' });
+		});
+
+		test('rows are written to user_activity_log', async () => {
+			await ctx.api.delete('/api/dns/records/2').expect(200);
+			await new Promise((resolve) => setTimeout(resolve, 50));
+
+			const [log] = await db.query('SELECT activity_type, target_resource, target_id, request_method, response_status, plesk_status, outcome FROM user_activity_log');
+			expect(log).toEqual([{ activity_type: 'DNS_DELETE', target_resource: 'dns', target_id: '2', request_method: 'DELETE', response_status: 200, plesk_status: 200, outcome: 'success' }]);
+		});
+	});
+});
@@ -0,0 +1,136 @@
+const request = require('supertest');
+const { createTestApp } = require('./helpers/app');
+const { hasRole, requiredRole } = require('../lib/auth');
+
+describe('requiredRole', () => {
+	test.each([
+		['GET', {}, 'viewer'],
+		['POST', {}, 'user'],
+		['PUT', {}, 'user'],
+		['DELETE', {}, 'admin'],
+		['GET', { admin: true }, 'admin'],
+		['GET', { adminWrites: true }, 'viewer'],
+		['POST', { adminWrites: true }, 'admin'],
+	])('%s with %j requires %s', (method, policy, role) => {
+		expect(requiredRole(method, policy)).toBe(role);
+	});
+
+	test('roles are ordered viewer < user < admin', () => {
+		expect(hasRole('admin', 'user')).toBe(true);
+		expect(hasRole('user', 'admin')).toBe(false);
+		expect(hasRole('viewer', 'viewer')).toBe(true);
+		expect(hasRole('guest', 'viewer')).toBe(false);
+	});
+});
+
+describe('Route authentication and roles', () => {
+	let ctx;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	beforeEach(() => {
+		ctx.fake.reset();
+	});
+
+	test.each([
+		['get', '/api/plesk/domains'],
+		['delete', '/api/plesk/domains/1'],
+		['post', '/api/admin/cli/domain/call'],
+		['post', '/api/admin/server/init'],
+		['post', '/api/auth/keys'],
+		['get', '/api/dns/records'],
+		['get', '/api/servers'],
+	])('%s %s requires a token', async (method, path) => {
+		const res = await request(ctx.app)[method](path);
+
+		expect(res.status).toBe(401);
+		expect(res.body.code).toBe('UNAUTHORIZED');
+	});
+
+	test('an invalid token is rejected', async () => {
+		const res = await request(ctx.app).get('/api/plesk/domains').set('Authorization', 'Bearer not-a-token');
+
+		expect(res.status).toBe(403);
+		expect(res.body.code).toBe('INVALID_TOKEN');
+	});
+
+	test('the API overview, documentation, registration and login stay public', async () => {
+		await request(ctx.app).get('/api').expect(200);
+		await request(ctx.app).get('/api/docs/openapi.json').expect(200);
+		await request(ctx.app).post('/api/users/login').send({}).expect(400);
+	});
+
+	describe('viewer', () => {
+		test('can read', async () => {
+			const res = await ctx.as('viewer').get('/api/plesk/domains');
+
+			expect(res.status).toBe(200);
+		});
+
+		test('cannot write', async () => {
+			const res = await ctx.as('viewer').post('/api/plesk/domains').send({ name: 'viewer.com' });
+
+			expect(res.status).toBe(403);
+			expect(res.body).toMatchObject({ code: 'FORBIDDEN', error: 'Viewers have read-only access' });
+			expect(ctx.fake.store.domains.some((domain) => domain.name === 'viewer.com')).toBe(false);
+		});
+	});
+
+	describe('user', () => {
+		test('can create resources', async () => {
+			const res = await ctx.as('user').post('/api/plesk/domains').send({ name: 'user.com' });
+
+			expect(res.status).toBe(201);
+		});
+
+		test('cannot delete resources', async () => {
+			const domain = ctx.fake.store.createDomain({ name: 'keep.com' });
+
+			const res = await ctx.as('user').delete(`/api/plesk/domains/${domain.id}`);
+
+			expect(res.status).toBe(403);
+			expect(res.body.error).toBe('Admin access required');
+			expect(ctx.fake.store.domains.some((existing) => existing.id === domain.id)).toBe(true);
+		});
+
+		test.each([
+			['get', '/api/admin/server'],
+			['get', '/api/admin/extensions'],
+			['post', '/api/admin/cli/domain/call'],
+			['post', '/api/auth/keys'],
+			['post', '/api/servers'],
+		])('cannot reach admin endpoint %s %s', async (method, path) => {
+			const res = await ctx.as('user')[method](path).send({});
+
+			expect(res.status).toBe(403);
+			expect(res.body.error).toBe('Admin access required');
+		});
+
+		test('can list registered servers', async () => {
+			const res = await ctx.as('user').get('/api/servers');
+
+			expect(res.status).not.toBe(403);
+		});
+	});
+
+	test('admin can reach admin endpoints', async () => {
+		const res = await ctx.as('admin').get('/api/admin/server');
+
+		expect(res.status).toBe(200);
+	});
+
+	test('the OpenAPI document records the required role', async () => {
+		const { body } = await request(ctx.app).get('/api/docs/openapi.json');
+
+		expect(body.paths['/api/plesk/domains'].get['x-required-role']).toBe('viewer');
+		expect(body.paths['/api/plesk/domains/{id}'].delete['x-required-role']).toBe('admin');
+		expect(body.paths['/api/admin/cli/commands'].get['x-required-role']).toBe('admin');
+		expect(body.paths['/api/plesk/domains'].get.security).toEqual([{ bearerAuth: [] }, { apiKeyAuth: [] }]);
+	});
+});
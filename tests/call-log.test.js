@@ -0,0 +1,182 @@
+const { createTestApp } = require('./helpers/app');
+const { createUser, describeWithDb, truncateTables } = require('./helpers/db');
+const { PleskCallLog, latencyPercentiles, normalizeEndpoint } = require('../lib/callLog');
+
+/**
+ * Call log writing its batches to an array
+ * @param {Object} settings - Call log settings
+ * @returns {Object} - { log, batches }
+ */
+function memoryCallLog(settings = {}) {
+	const batches = [];
+	const dbPool = {
+		query: async (sql, [rows]) => {
+			batches.push(rows);
+			return [{ affectedRows: rows.length }];
+		},
+	};
+	return { log: new PleskCallLog({ dbPool, sampleRate: 1, flushIntervalMs: 60000, batchSize: 200, maxBuffer: 10000, ...settings }), batches };
+}
+
+const call = (fields = {}) => ({ serverId: 2, method: 'get', endpoint: '/domains', status: 200, durationMs: 12.4, error: null, ...fields });
+
+describe('Plesk call log', () => {
+	test('endpoints are grouped by route', () => {
+		expect(normalizeEndpoint('/domains/12/status?full=1')).toBe('/domains/:id/status');
+		expect(normalizeEndpoint('/clients/7')).toBe('/clients/:id');
+		expect(normalizeEndpoint('/cli/plesk-2/call')).toBe('/cli/plesk-2/call');
+	});
+
+	test('percentiles are read from the latency histogram', () => {
+		const histogram = [
+			[10, 50],
+			[20, 40],
+			[300, 9],
+			[2000, 1],
+		];
+		expect(latencyPercentiles(histogram)).toEqual({ p50: 10, p90: 20, p95: 300, p99: 300 });
+		expect(latencyPercentiles([], [50])).toEqual({ p50: null });
+	});
+
+	test('calls are written in batches', async () => {
+		const { log, batches } = memoryCallLog({ batchSize: 2 });
+
+		log.record(call({ userId: 4, sessionId: 9, ip: '10.0.0.1', userAgent: 'jest' }));
+		expect(batches).toHaveLength(0);
+
+		log.record(call({ method: 'delete', endpoint: '/domains/3', status: null, durationMs: 30000, error: 'timeout of 30000ms exceeded' }));
+		log.record(call());
+		await log.flush();
+
+		expect(batches.map((batch) => batch.length)).toEqual([2, 1]);
+		expect(batches[0][0]).toEqual([4, '9', 2, '/domains', 'GET', 200, 12, '10.0.0.1', 'jest', null, expect.any(Date)]);
+		expect(batches[0][1]).toEqual([null, null, 2, '/domains/:id', 'DELETE', null, 30000, '', null, 'timeout of 30000ms exceeded', expect.any(Date)]);
+	});
+
+	test('sampling only drops successful calls', async () => {
+		const { log, batches } = memoryCallLog({ sampleRate: 0 });
+
+		log.record(call());
+		log.record(call({ status: 503, error: 'Service Unavailable' }));
+		await log.stop();
+
+		expect(batches.flat().map((row) => row[5])).toEqual([503]);
+	});
+
+	test('the oldest calls are dropped when the buffer is full', async () => {
+		const { log, batches } = memoryCallLog({ maxBuffer: 2 });
+
+		[1, 2, 3].forEach((durationMs) => log.record(call({ durationMs })));
+		await log.flush();
+
+		expect(batches.flat().map((row) => row[6])).toEqual([2, 3]);
+		expect(log.dropped).toBe(1);
+	});
+
+	test('a failing write drops its batch without throwing', async () => {
+		const log = new PleskCallLog({ dbPool: { query: async () => Promise.reject(new Error('connect ECONNREFUSED')) }, batchSize: 10 });
+
+		log.record(call());
+		await expect(log.flush()).resolves.toBeUndefined();
+
+		expect(log.buffer).toHaveLength(0);
+		expect(log.dropped).toBe(1);
+	});
+});
+
+describe('Plesk call logging and statistics routes', () => {
+	let ctx;
+	let record;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	beforeEach(() => {
+		ctx.fake.reset();
+		record = jest.spyOn(ctx.container.callLog, 'record').mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		record.mockRestore();
+	});
+
+	test('Plesk calls are logged with the user, outcome and latency', async () => {
+		await ctx.as('admin', { id: 5 }).get('/api/plesk/domains/1').set('User-Agent', 'jest-agent').expect(200);
+		await ctx.as('admin', { id: 5 }).get('/api/plesk/domains/999').expect(404);
+
+		expect(record).toHaveBeenCalledWith(expect.objectContaining({ userId: 5, sessionId: expect.any(Number), ip: expect.any(String), userAgent: 'jest-agent', serverId: 0, method: 'GET', endpoint: '/domains/1', status: 200, error: null, durationMs: expect.any(Number) }));
+		expect(record).toHaveBeenCalledWith(expect.objectContaining({ endpoint: '/domains/999', status: 404, error: expect.any(String) }));
+	});
+
+	test('a sync started by a request is not logged under its user', async () => {
+		await ctx.as('admin', { id: 5 }).post('/api/plesk/domains/sync').expect(200);
+		await ctx.container.syncEngine.waitForIdle();
+
+		// The sync lists the domains before it needs the domain cache
+		const [sync] = record.mock.calls.map(([entry]) => entry).filter((entry) => entry.endpoint === '/domains');
+		expect(sync).toMatchObject({ serverId: 0, method: 'GET', status: 200 });
+		expect(sync.userId).toBeUndefined();
+		expect(sync.sessionId).toBeUndefined();
+	});
+
+	test('statistics are for admins only', async () => {
+		await ctx.as('user', { id: 5 }).get('/api/stats/servers').expect(403);
+	});
+
+	test.each([['/endpoints?limit=101'], ['/endpoints?from=yesterday'], ['/errors?from=2024-02-01&to=2024-01-01'], ['/servers?server_id=-1']])('%s is rejected', async (path) => {
+		const res = await ctx.api.get(`/api/stats${path}`).expect(400);
+		expect(res.body.code).toBe('VALIDATION_ERROR');
+	});
+
+	test('filters default to the last seven days of every server', async () => {
+		const slowestEndpoints = jest.spyOn(ctx.container.callLog, 'slowestEndpoints').mockResolvedValue([]);
+
+		await ctx.api.get('/api/stats/endpoints').expect(200);
+		await ctx.api.get('/api/stats/endpoints?server_id=0&limit=5').expect(200);
+
+		const [[defaults], [environment]] = slowestEndpoints.mock.calls;
+		expect(defaults).toMatchObject({ serverId: null, limit: 20 });
+		expect(defaults.to - defaults.from).toBeGreaterThanOrEqual(7 * 24 * 60 * 60 * 1000 - 1000);
+		expect(environment).toMatchObject({ serverId: 0, limit: 5 });
+		slowestEndpoints.mockRestore();
+	});
+
+	describeWithDb('with MySQL', () => {
+		let db;
+
+		beforeEach(async () => {
+			db = ctx.container.db;
+			await truncateTables(db);
+			await createUser(db, { username: 'admin', role: 'admin' });
+
+			const log = new PleskCallLog({ dbPool: db, sampleRate: 1 });
+			[10, 20, 30, 40, 1000].forEach((durationMs, index) => log.record(call({ serverId: null, userId: 1, endpoint: `/domains/${index + 1}`, durationMs, status: index === 4 ? 502 : 200, error: index === 4 ? 'Bad Gateway' : null })));
+			log.record(call({ serverId: null, endpoint: '/clients', durationMs: 5 }));
+			await log.flush();
+		});
+
+		test('the slowest endpoints and error rates are grouped by route', async () => {
+			const slowest = await ctx.api.get('/api/stats/endpoints').expect(200);
+			expect(slowest.body.data).toEqual([
+				{ method: 'GET', endpoint: '/domains/:id', calls: 5, avgMs: 220, maxMs: 1000 },
+				{ method: 'GET', endpoint: '/clients', calls: 1, avgMs: 5, maxMs: 5 },
+			]);
+
+			const errors = await ctx.api.get('/api/stats/errors').expect(200);
+			expect(errors.body.data).toEqual([{ method: 'GET', endpoint: '/domains/:id', calls: 5, errors: 1, errorRate: 0.2 }]);
+		});
+
+		test('servers report latency percentiles and daily usage comes from v_api_usage_stats', async () => {
+			const servers = await ctx.api.get('/api/stats/servers').expect(200);
+			expect(servers.body.data).toEqual([{ serverId: 0, name: 'Environment', calls: 6, errors: 1, avgMs: 184, maxMs: 1000, p50: 20, p90: 1000, p95: 1000, p99: 1000 }]);
+
+			const usage = await ctx.api.get('/api/stats/usage').expect(200);
+			expect(usage.body.data).toEqual([expect.objectContaining({ totalRequests: 6, uniqueUsers: 1, successfulRequests: 5, errorRequests: 1 })]);
+		});
+	});
+});
@@ -0,0 +1,81 @@
+const { createTestApp } = require('./helpers/app');
+
+describe('Customer routes (/api/plesk/customers)', () => {
+	let ctx;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	beforeEach(() => {
+		ctx.fake.reset();
+	});
+
+	test('GET /api/plesk/customers lists customers', async () => {
+		const res = await ctx.api.get('/api/plesk/customers');
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.map((customer) => customer.login)).toEqual(['admin', 'client1', 'client2']);
+	});
+
+	test('GET /api/plesk/customers/:id returns a customer', async () => {
+		const res = await ctx.api.get('/api/plesk/customers/2');
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.login).toBe('client1');
+	});
+
+	test('GET /api/plesk/customers/:id rejects a non-numeric ID', async () => {
+		const res = await ctx.api.get('/api/plesk/customers/abc');
+
+		expect(res.status).toBe(400);
+		expect(res.body.success).toBe(false);
+	});
+
+	test('GET /api/plesk/customers/:id propagates the Plesk 404', async () => {
+		const res = await ctx.api.get('/api/plesk/customers/999');
+
+		expect(res.status).toBe(404);
+		expect(res.body.details).toEqual({ code: 1013, message: 'Client with ID 999 does not exist' });
+	});
+
+	test('POST /api/plesk/customers validates the body', async () => {
+		const res = await ctx.api.post('/api/plesk/customers').send({ login: 'x', password: '123', name: 'X' });
+
+		expect(res.status).toBe(400);
+		expect(res.body.error).toBe('Validation error');
+		expect(res.body.details).toEqual(['"login" length must be at least 3 characters long']);
+	});
+
+	test('POST /api/plesk/customers creates a customer', async () => {
+		const res = await ctx.api.post('/api/plesk/customers').send({ login: 'client3', password: 'secret123', name: 'Client Three', email: 'client3@example.com' });
+
+		expect(res.status).toBe(201);
+		expect(ctx.fake.store.clients.map((customer) => customer.login)).toContain('client3');
+	});
+
+	test('POST /api/plesk/customers propagates a duplicate login', async () => {
+		const res = await ctx.api.post('/api/plesk/customers').send({ login: 'client1', password: 'secret123', name: 'Client One', email: 'client1@example.com' });
+
+		expect(res.status).toBe(409);
+		expect(res.body.error).toBe('Client client1 already exists');
+	});
+
+	test('GET /api/plesk/customers/:id/domains lists the customer domains', async () => {
+		const res = await ctx.api.get('/api/plesk/customers/2/domains');
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.map((domain) => domain.name)).toEqual(['test.org']);
+	});
+
+	test('GET /api/plesk/customers/:id/statistics returns statistics', async () => {
+		const res = await ctx.api.get('/api/plesk/customers/2/statistics');
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.domains).toBe(1);
+	});
+});
@@ -0,0 +1,132 @@
+const { createTestApp } = require('./helpers/app');
+
+describe('Database routes (/api/databases)', () => {
+	let ctx;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	beforeEach(() => {
+		ctx.fake.reset();
+	});
+
+	test('GET /api/databases lists databases', async () => {
+		const res = await ctx.api.get('/api/databases');
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.map((db) => db.name)).toEqual(['example_wp']);
+	});
+
+	test('GET /api/databases?domain filters by domain', async () => {
+		const res = await ctx.api.get('/api/databases').query({ domain: 'test.org' });
+
+		expect(res.status).toBe(200);
+		expect(res.body.data).toEqual([]);
+	});
+
+	test('POST /api/databases validates the body', async () => {
+		const res = await ctx.api.post('/api/databases').send({ name: 'shop', type: 'sqlite' });
+
+		expect(res.status).toBe(400);
+		expect(res.body.error).toBe('Validation error');
+		expect(res.body.details).toEqual(['"type" must be one of [mysql, postgresql, mssql]']);
+	});
+
+	test('POST /api/databases creates a database', async () => {
+		const res = await ctx.api
+			.post('/api/databases')
+			.send({ name: 'shop', type: 'mysql', parent_domain: { name: 'test.org' } });
+
+		expect(res.status).toBe(200);
+		expect(ctx.fake.store.listDatabases('test.org').map((db) => db.name)).toEqual(['shop']);
+	});
+
+	test('POST /api/databases propagates an unknown parent domain', async () => {
+		const res = await ctx.api
+			.post('/api/databases')
+			.send({ name: 'shop', type: 'mysql', parent_domain: { name: 'missing.example' } });
+
+		expect(res.status).toBe(404);
+		expect(res.body.error).toBe('Parent domain does not exist');
+	});
+
+	test('DELETE /api/databases/:id rejects a non-numeric ID', async () => {
+		const res = await ctx.api.delete('/api/databases/abc');
+
+		expect(res.status).toBe(400);
+		expect(res.body.error).toBe('Invalid database ID. Must be a number.');
+	});
+
+	test('DELETE /api/databases/:id deletes a database and its users', async () => {
+		const res = await ctx.api.delete('/api/databases/1');
+
+		expect(res.status).toBe(200);
+		expect(ctx.fake.store.databases).toEqual([]);
+		expect(ctx.fake.store.dbusers).toEqual([]);
+	});
+
+	test('GET /api/databases/users lists database users', async () => {
+		const res = await ctx.api.get('/api/databases/users').query({ dbId: 1 });
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.map((user) => user.login)).toEqual(['example_wp_user']);
+	});
+
+	test('GET /api/databases/users rejects a non-numeric dbId', async () => {
+		const res = await ctx.api.get('/api/databases/users').query({ dbId: 'abc' });
+
+		expect(res.status).toBe(400);
+		expect(res.body.error).toBe('Invalid database ID. Must be a number.');
+	});
+
+	test('POST /api/databases/users validates the password length', async () => {
+		const res = await ctx.api
+			.post('/api/databases/users')
+			.send({ login: 'shop_user', password: '123', parent_domain: { id: 1 } });
+
+		expect(res.status).toBe(400);
+		expect(res.body.details).toEqual(['"password" length must be at least 6 characters long']);
+	});
+
+	test('POST /api/databases/users creates a database user', async () => {
+		const res = await ctx.api
+			.post('/api/databases/users')
+			.send({ login: 'shop_user', password: 'secret123', parent_domain: { id: 1 }, database_id: 1 });
+
+		expect(res.status).toBe(200);
+		expect(ctx.fake.store.listDatabaseUsers(1).map((user) => user.login)).toContain('shop_user');
+	});
+
+	test('PUT /api/databases/users/:id updates a database user', async () => {
+		const res = await ctx.api.put('/api/databases/users/1').send({ login: 'renamed_user' });
+
+		expect(res.status).toBe(200);
+		expect(ctx.fake.store.findDatabaseUser(1).login).toBe('renamed_user');
+	});
+
+	test('PUT /api/databases/users/:id rejects a non-numeric ID', async () => {
+		const res = await ctx.api.put('/api/databases/users/abc').send({ login: 'renamed_user' });
+
+		expect(res.status).toBe(400);
+		expect(res.body.error).toBe('Invalid user ID. Must be a number.');
+	});
+
+	test('DELETE /api/databases/users/:id propagates the Plesk 404', async () => {
+		const res = await ctx.api.delete('/api/databases/users/999');
+
+		expect(res.status).toBe(404);
+		expect(res.body.details.message).toBe('Database user with ID 999 does not exist');
+	});
+
+	test('GET /api/databases/servers lists database servers', async () => {
+		const res = await ctx.api.get('/api/databases/servers');
+
+		expect(res.status).toBe(200);
+		expect(res.body.data[0].type).toBe('mysql');
+	});
+});
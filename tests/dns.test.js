@@ -0,0 +1,95 @@
+const { createTestApp } = require('./helpers/app');
+
+describe('DNS routes (/api/dns)', () => {
+	let ctx;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	beforeEach(() => {
+		ctx.fake.reset();
+	});
+
+	test('GET /api/dns/records requires the domain parameter', async () => {
+		const res = await ctx.api.get('/api/dns/records');
+
+		expect(res.status).toBe(400);
+		expect(res.body).toMatchObject({ success: false, error: 'Domain parameter is required', code: 'VALIDATION_ERROR' });
+	});
+
+	test('GET /api/dns/records lists the records of a domain', async () => {
+		const res = await ctx.api.get('/api/dns/records').query({ domain: 'example.com' });
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.map((record) => record.type)).toEqual(['A', 'CNAME', 'MX']);
+	});
+
+	test('GET /api/dns/records propagates an unknown domain', async () => {
+		const res = await ctx.api.get('/api/dns/records').query({ domain: 'missing.example' });
+
+		expect(res.status).toBe(404);
+		expect(res.body.error).toBe('Domain missing.example does not exist');
+	});
+
+	test('POST /api/dns/records validates the record type', async () => {
+		const res = await ctx.api.post('/api/dns/records').query({ domain: 'example.com' }).send({ type: 'BOGUS', host: 'x', value: 'y' });
+
+		expect(res.status).toBe(400);
+		expect(res.body.error).toBe('Validation error');
+		expect(res.body.details[0]).toMatch(/"type" must be one of/);
+	});
+
+	test('POST /api/dns/records creates a record', async () => {
+		const res = await ctx.api.post('/api/dns/records').query({ domain: 'example.com' }).send({ type: 'TXT', host: 'example.com.', value: 'v=spf1 -all' });
+
+		expect(res.status).toBe(200);
+		expect(ctx.fake.store.findDnsRecord(res.body.data.id).value).toBe('v=spf1 -all');
+	});
+
+	test('GET /api/dns/records/:id returns a record', async () => {
+		const res = await ctx.api.get('/api/dns/records/3');
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.type).toBe('MX');
+	});
+
+	test('GET /api/dns/records/:id rejects a non-numeric ID', async () => {
+		const res = await ctx.api.get('/api/dns/records/abc');
+
+		expect(res.status).toBe(400);
+		expect(res.body.error).toBe('Invalid record ID. Must be a number.');
+	});
+
+	test('PUT /api/dns/records/:id validates the TTL', async () => {
+		const res = await ctx.api.put('/api/dns/records/1').send({ ttl: 0 });
+
+		expect(res.status).toBe(400);
+		expect(res.body.details).toEqual(['"ttl" must be greater than or equal to 1']);
+	});
+
+	test('PUT /api/dns/records/:id updates a record', async () => {
+		const res = await ctx.api.put('/api/dns/records/1').send({ value: '192.168.1.200' });
+
+		expect(res.status).toBe(200);
+		expect(ctx.fake.store.findDnsRecord(1).value).toBe('192.168.1.200');
+	});
+
+	test('DELETE /api/dns/records/:id deletes a record', async () => {
+		const res = await ctx.api.delete('/api/dns/records/2');
+
+		expect(res.status).toBe(200);
+		expect(ctx.fake.store.dnsRecords.map((record) => record.id)).not.toContain(2);
+	});
+
+	test('DELETE /api/dns/records/:id propagates the Plesk 404', async () => {
+		const res = await ctx.api.delete('/api/dns/records/999');
+
+		expect(res.status).toBe(404);
+		expect(res.body.details.code).toBe(1013);
+	});
+});
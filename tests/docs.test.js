@@ -0,0 +1,95 @@
+const Joi = require('joi');
+const request = require('supertest');
+const { createTestApp } = require('./helpers/app');
+const { joiToOpenApi } = require('../lib/openapi/joiSchema');
+
+describe('joiToOpenApi', () => {
+	test('converts types, constraints, defaults and required keys', () => {
+		const schema = Joi.object({
+			name: Joi.string().domain().required(),
+			port: Joi.number().integer().min(1).max(65535).default(8443),
+			status: Joi.string().valid('active', 'suspended').required(),
+			tags: Joi.array().items(Joi.string().max(20)).min(1),
+			note: Joi.string().allow(null),
+		});
+
+		expect(joiToOpenApi(schema)).toEqual({
+			type: 'object',
+			additionalProperties: false,
+			required: ['name', 'status'],
+			properties: {
+				name: { type: 'string', format: 'hostname' },
+				port: { type: 'integer', minimum: 1, maximum: 65535, default: 8443 },
+				status: { type: 'string', enum: ['active', 'suspended'] },
+				tags: { type: 'array', items: { type: 'string', maxLength: 20 }, minItems: 1 },
+				note: { type: 'string', nullable: true },
+			},
+		});
+	});
+
+	test('maps xor peers to oneOf', () => {
+		const schema = Joi.object({ id: Joi.string(), url: Joi.string().uri() }).xor('id', 'url');
+
+		expect(joiToOpenApi(schema).oneOf).toEqual([{ required: ['id'] }, { required: ['url'] }]);
+	});
+});
+
+describe('API documentation', () => {
+	let ctx;
+	let spec;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+		spec = (await request(ctx.app).get('/api/docs/openapi.json').expect(200)).body;
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	test('GET /api/docs/openapi.json documents every theme', () => {
+		expect(spec.openapi).toBe('3.0.3');
+		expect(spec.tags.map((tag) => tag.name)).toEqual(expect.arrayContaining(['plesk/domains', 'admin/extensions', 'management/dns', 'system/servers', 'system/users']));
+		expect(Object.keys(spec.paths)).toEqual(expect.arrayContaining(['/api/plesk/domains/{id}', '/api/admin/cli/{id}/call', '/api/servers/{id}/tls/accept']));
+	});
+
+	test('request bodies come from the Joi schemas', () => {
+		const body = spec.paths['/api/users/register'].post.requestBody.content['application/json'].schema;
+
+		expect(body.required).toEqual(['username', 'email', 'password', 'firstName', 'lastName']);
+		expect(body.properties.email).toEqual({ type: 'string', format: 'email' });
+	});
+
+	test('operations carry summaries, server selection parameters and security', () => {
+		const listDomains = spec.paths['/api/plesk/domains'].get;
+
+		expect(listDomains.summary).toBe('List all domains');
+		expect(listDomains.parameters.map((parameter) => parameter.name)).toEqual(['serverId', 'X-Plesk-Server-Id']);
+		expect(spec.paths['/api/users/profile'].get.security).toEqual([{ bearerAuth: [] }, { apiKeyAuth: [] }]);
+		expect(spec.paths['/api/plesk/domains/{id}'].get.parameters[0]).toMatchObject({ name: 'id', in: 'path', required: true });
+	});
+
+	test('routes shadowed by an earlier router are documented once', () => {
+		expect(spec.paths['/api/plesk/customers'].get.tags).toEqual(['plesk/domains']);
+	});
+
+	test('GET /api/docs serves Swagger UI', async () => {
+		await request(ctx.app).get('/api/docs').expect(301).expect('Location', '/api/docs/');
+
+		const res = await request(ctx.app).get('/api/docs/');
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('swagger-ui');
+	});
+
+	test('GET /api/postman.json exports a Postman collection', async () => {
+		const res = await request(ctx.app).get('/api/postman.json');
+
+		expect(res.status).toBe(200);
+		expect(res.body.info.schema).toMatch(/v2\.1\.0/);
+
+		const extensions = res.body.item.find((folder) => folder.name === 'admin/extensions');
+		const install = extensions.item.find((item) => item.name === 'POST /api/admin/extensions');
+		expect(JSON.parse(install.request.body.raw)).toEqual({ id: 'xxxxxx' });
+	});
+});
@@ -0,0 +1,264 @@
+const { createTestApp } = require('./helpers/app');
+const { describeWithDb } = require('./helpers/db');
+const PleskAPIClient = require('../lib/pleskClient');
+
+describe('Domain routes (/api/plesk)', () => {
+	let ctx;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	beforeEach(() => {
+		ctx.fake.reset();
+	});
+
+	test('GET /api/plesk describes the domain endpoints', async () => {
+		const res = await ctx.api.get('/api/plesk');
+
+		expect(res.status).toBe(200);
+		expect(res.body.basePath).toBe('/api/plesk');
+	});
+
+	test('GET /api/plesk/domains lists domains from Plesk', async () => {
+		const res = await ctx.api.get('/api/plesk/domains');
+
+		expect(res.status).toBe(200);
+		expect(res.body.success).toBe(true);
+		expect(res.body.data.map((domain) => domain.name)).toEqual(['example.com', 'test.org', 'demo.net']);
+	});
+
+	test('GET /api/plesk/domains?name filters by name', async () => {
+		const res = await ctx.api.get('/api/plesk/domains').query({ name: 'test.org' });
+
+		expect(res.status).toBe(200);
+		expect(res.body.data).toHaveLength(1);
+		expect(res.body.data[0].id).toBe(2);
+	});
+
+	test('GET /api/plesk/domains/:id returns a domain', async () => {
+		const res = await ctx.api.get('/api/plesk/domains/1');
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.name).toBe('example.com');
+	});
+
+	test('GET /api/plesk/domains/:id rejects a non-numeric ID', async () => {
+		const res = await ctx.api.get('/api/plesk/domains/abc');
+
+		expect(res.status).toBe(400);
+		expect(res.body).toMatchObject({ success: false, error: 'Invalid domain ID. Must be a number.', code: 'VALIDATION_ERROR' });
+	});
+
+	test.each([
+		['/domains/metadata', 'getCacheMetadata'],
+		['/domains/sync/stats', 'getSyncStats'],
+	])('GET /api/plesk%s is not taken for a domain ID', async (path, method) => {
+		const read = jest.spyOn(PleskAPIClient.prototype, method).mockResolvedValue({ success: true, data: { total_domains: 3 } });
+
+		try {
+			const res = await ctx.api.get(`/api/plesk${path}`);
+
+			expect(res.status).toBe(200);
+			expect(res.body.data).toEqual({ total_domains: 3 });
+			expect(read).toHaveBeenCalled();
+		} finally {
+			read.mockRestore();
+		}
+	});
+
+	test('GET /api/plesk/domains/:id propagates the Plesk 404 and details', async () => {
+		const res = await ctx.api.get('/api/plesk/domains/999');
+
+		expect(res.status).toBe(404);
+		expect(res.body.success).toBe(false);
+		expect(res.body.error).toBe('Domain with ID 999 does not exist');
+		expect(res.body.details).toEqual({ code: 1013, message: 'Domain with ID 999 does not exist' });
+	});
+
+	test('POST /api/plesk/domains validates the body', async () => {
+		const res = await ctx.api.post('/api/plesk/domains').send({ name: 'not a domain' });
+
+		expect(res.status).toBe(400);
+		expect(res.body.error).toBe('Validation error');
+		expect(res.body.details).toEqual(['"name" must contain a valid domain name']);
+	});
+
+	test('POST /api/plesk/domains creates a domain', async () => {
+		const res = await ctx.api.post('/api/plesk/domains').send({ name: 'new-site.com' });
+
+		expect(res.status).toBe(201);
+		expect(res.body.success).toBe(true);
+		expect(ctx.fake.store.domains.map((domain) => domain.name)).toContain('new-site.com');
+	});
+
+	test('POST /api/plesk/domains propagates a Plesk conflict', async () => {
+		const res = await ctx.api.post('/api/plesk/domains').send({ name: 'example.com' });
+
+		expect(res.status).toBe(409);
+		expect(res.body.details.message).toBe('Domain example.com already exists');
+	});
+
+	test('PUT /api/plesk/domains/:id updates a domain', async () => {
+		const res = await ctx.api.put('/api/plesk/domains/3').send({ name: 'demo-renamed.net' });
+
+		expect(res.status).toBe(200);
+		expect(ctx.fake.store.findDomain(3).name).toBe('demo-renamed.net');
+	});
+
+	test('DELETE /api/plesk/domains/:id deletes a domain', async () => {
+		const res = await ctx.api.delete('/api/plesk/domains/3');
+
+		expect(res.status).toBe(200);
+		expect(ctx.fake.store.domains.map((domain) => domain.id)).not.toContain(3);
+	});
+
+	test('GET /api/plesk/domains/:id/status returns the status', async () => {
+		const res = await ctx.api.get('/api/plesk/domains/2/status');
+
+		expect(res.status).toBe(200);
+		expect(res.body.data).toEqual({ status: 'suspended' });
+	});
+
+	test('PUT /api/plesk/domains/:id/status rejects an unknown status', async () => {
+		const res = await ctx.api.put('/api/plesk/domains/2/status').send({ status: 'paused' });
+
+		expect(res.status).toBe(400);
+		expect(res.body.error).toBe('Invalid status. Must be one of: active, suspended, disabled');
+	});
+
+	test('PUT /api/plesk/domains/:id/status updates the status', async () => {
+		const res = await ctx.api.put('/api/plesk/domains/2/status').send({ status: 'active' });
+
+		expect(res.status).toBe(200);
+		expect(ctx.fake.store.findDomain(2).status).toBe('active');
+	});
+
+	test('retries a transient 502 on reads', async () => {
+		ctx.fake.addFault({ method: 'GET', path: '/domains', status: 502, times: 1 });
+
+		const res = await ctx.api.get('/api/plesk/domains');
+
+		expect(res.status).toBe(200);
+		expect(ctx.fake.requests.filter((entry) => entry.path === '/domains')).toHaveLength(2);
+	});
+
+	test('reports a persistent Plesk 5xx as a bad gateway', async () => {
+		ctx.fake.addFault({ method: 'GET', path: '/domains', status: 500, message: 'Internal error' });
+
+		const res = await ctx.api.get('/api/plesk/domains');
+
+		expect(res.status).toBe(502);
+		expect(res.body).toMatchObject({ error: 'Internal error', code: 'PLESK_UNAVAILABLE', pleskStatus: 500 });
+		expect(res.body.details).toEqual({ code: 0, message: 'Internal error' });
+	});
+
+	test('reports Plesk authentication failures as a bad gateway', async () => {
+		ctx.fake.setFaults({ authFailure: true });
+
+		const res = await ctx.api.get('/api/plesk/domains/1');
+
+		expect(res.status).toBe(502);
+		expect(res.body).toMatchObject({ error: 'Authentication failed', code: 'PLESK_AUTH_FAILED', pleskStatus: 401 });
+	});
+
+	test('rejects a non-numeric serverId', async () => {
+		const res = await ctx.api.get('/api/plesk/domains').query({ serverId: 'abc' });
+
+		expect(res.status).toBe(400);
+		expect(res.body.error).toBe('Invalid serverId. Must be a positive integer.');
+	});
+
+	test('rejects a zero or partly numeric server ID instead of using the default server', async () => {
+		const zero = await ctx.api.get('/api/plesk/domains').query({ serverId: '0' });
+		const header = await ctx.api.get('/api/plesk/domains').set('X-Plesk-Server-Id', '0');
+		const partial = await ctx.api.get('/api/plesk/domains').query({ serverId: '1abc' });
+
+		for (const res of [zero, header, partial]) {
+			expect(res.status).toBe(400);
+			expect(res.body.error).toBe('Invalid serverId. Must be a positive integer.');
+		}
+	});
+
+	describeWithDb('domain cache', () => {
+		const waitForStatusSync = async () => {
+			for (let attempt = 0; attempt < 50; attempt++) {
+				const res = await ctx.api.get('/api/plesk/domains/sync/stats');
+				if (Number(res.body.data.unknown_domains) === 0) {
+					return res;
+				}
+				await new Promise((resolve) => setTimeout(resolve, 100));
+			}
+			throw new Error('Status sync did not finish');
+		};
+
+		test('POST /api/plesk/domains/refresh fills the cache and syncs statuses', async () => {
+			const res = await ctx.api.post('/api/plesk/domains/refresh');
+
+			expect(res.status).toBe(200);
+			expect(res.body.data).toEqual({ count: 3 });
+
+			const stats = await waitForStatusSync();
+			expect(Number(stats.body.data.total_domains)).toBe(3);
+			expect(Number(stats.body.data.active_domains)).toBe(2);
+			expect(Number(stats.body.data.suspended_domains)).toBe(1);
+		});
+
+		test('GET /api/plesk/domains/metadata reports cached counts', async () => {
+			const res = await ctx.api.get('/api/plesk/domains/metadata');
+
+			expect(res.status).toBe(200);
+			expect(Number(res.body.data.total_domains)).toBe(3);
+		});
+
+		test('refresh replaces cached domains that no longer exist', async () => {
+			ctx.fake.store.deleteDomain(3);
+
+			const res = await ctx.api.post('/api/plesk/domains/refresh');
+			expect(res.body.data).toEqual({ count: 2 });
+
+			const stats = await waitForStatusSync();
+			expect(Number(stats.body.data.total_domains)).toBe(2);
+		});
+
+		test('a failed status fetch keeps the cached status and records the error', async () => {
+			await ctx.api.post('/api/plesk/domains/refresh');
+			await waitForStatusSync();
+
+			ctx.fake.addFault({ method: 'GET', path: '/domains/2/status', status: 500 });
+			await ctx.container.registry.getEnvClient().performStatusSync();
+
+			const [rows] = await ctx.db.execute('SELECT status, sync_error FROM domain_cache WHERE server_id = 0 AND id = 2');
+			expect(rows[0].status).toBe('suspended');
+			expect(rows[0].sync_error).toMatch(/Injected fault/);
+		});
+
+		test('POST /api/plesk/domains/sync starts a background sync', async () => {
+			const res = await ctx.api.post('/api/plesk/domains/sync');
+
+			expect(res.status).toBe(200);
+			expect(ctx.container.syncEngine.isRunning(0, 'domains')).toBe(true);
+			await ctx.container.syncEngine.waitForIdle();
+
+			const stats = await ctx.api.get('/api/plesk/domains/sync/stats');
+			expect(Number(stats.body.data.total_domains)).toBe(3);
+			expect(Number(stats.body.data.error_domains)).toBe(0);
+		});
+
+		test('refresh reports a Plesk failure without clearing statuses of other servers', async () => {
+			await ctx.db.execute("INSERT INTO domain_cache (server_id, id, name, status) VALUES (42, 1, 'other.example', 'active')");
+			ctx.fake.addFault({ method: 'GET', path: '/domains', status: 500, message: 'Plesk down' });
+
+			const res = await ctx.api.post('/api/plesk/domains/refresh');
+
+			expect(res.status).toBe(502);
+			expect(res.body.error).toBe('Plesk down');
+			const [rows] = await ctx.db.execute('SELECT COUNT(*) AS count FROM domain_cache WHERE server_id = 42');
+			expect(Number(rows[0].count)).toBe(1);
+		});
+	});
+});
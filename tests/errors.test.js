@@ -0,0 +1,111 @@
+const express = require('express');
+const request = require('supertest');
+const requestId = require('../lib/requestId');
+const { LocalDbError, PleskAuthError, PleskError, PleskNotFound, PleskUnavailable, PleskValidation, ValidationError, errorHandler, fromPleskResponse, notFoundHandler, toAppError } = require('../lib/errors');
+
+const axiosError = (status, data, code) => {
+	const error = new Error(status ? `Request failed with status code ${status}` : 'socket hang up');
+	error.code = code;
+	if (status) {
+		error.response = { status, data, headers: {} };
+	}
+	return error;
+};
+
+describe('fromPleskResponse', () => {
+	test.each([
+		[401, PleskAuthError, 502, 'PLESK_AUTH_FAILED'],
+		[403, PleskAuthError, 502, 'PLESK_AUTH_FAILED'],
+		[404, PleskNotFound, 404, 'PLESK_NOT_FOUND'],
+		[400, PleskValidation, 400, 'PLESK_VALIDATION_FAILED'],
+		[409, PleskValidation, 409, 'PLESK_VALIDATION_FAILED'],
+		[422, PleskValidation, 422, 'PLESK_VALIDATION_FAILED'],
+		[429, PleskUnavailable, 503, 'PLESK_UNAVAILABLE'],
+		[500, PleskUnavailable, 502, 'PLESK_UNAVAILABLE'],
+		[503, PleskUnavailable, 503, 'PLESK_UNAVAILABLE'],
+		[504, PleskUnavailable, 504, 'PLESK_UNAVAILABLE'],
+		[405, PleskError, 502, 'PLESK_ERROR'],
+	])('maps Plesk %i to %p', (pleskStatus, Type, status, code) => {
+		const error = fromPleskResponse(axiosError(pleskStatus, { code: 1, message: 'Plesk says no' }));
+
+		expect(error).toBeInstanceOf(Type);
+		expect(error).toMatchObject({ status, code, pleskStatus, message: 'Plesk says no', details: { code: 1, message: 'Plesk says no' } });
+	});
+
+	test('maps transport failures to PleskUnavailable', () => {
+		expect(fromPleskResponse(axiosError(null, null, 'ECONNREFUSED'))).toMatchObject({ status: 503, code: 'PLESK_UNAVAILABLE', pleskStatus: null });
+		expect(fromPleskResponse(axiosError(null, null, 'ECONNABORTED'))).toMatchObject({ status: 504, code: 'PLESK_UNAVAILABLE' });
+	});
+});
+
+describe('toAppError', () => {
+	test('wraps mysql2 errors in LocalDbError', () => {
+		const sqlError = Object.assign(new Error("Table 'users' doesn't exist"), { code: 'ER_NO_SUCH_TABLE', sqlState: '42S02' });
+		const unreachable = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED', fatal: true });
+
+		expect(toAppError(sqlError)).toBeInstanceOf(LocalDbError);
+		expect(toAppError(sqlError)).toMatchObject({ status: 500, message: 'Local database error', cause: sqlError });
+		expect(toAppError(unreachable)).toMatchObject({ status: 503, message: 'Local database unavailable' });
+	});
+
+	test('hides the message of unexpected errors', () => {
+		expect(toAppError(new Error('secret internals'))).toMatchObject({ status: 500, code: 'INTERNAL_ERROR', message: 'Internal server error' });
+	});
+});
+
+describe('error middleware', () => {
+	const app = express();
+	app.use(requestId());
+	app.use(express.json());
+	app.get('/validation', () => {
+		throw new ValidationError('Validation error', ['"name" is required']);
+	});
+	app.get('/plesk', (req, res, next) => next(fromPleskResponse(axiosError(404, { code: 1013, message: 'Domain with ID 9 does not exist' }))));
+	app.get('/crash', async (req, res, next) => next(new TypeError('cannot read properties of undefined')));
+	app.post('/echo', (req, res) => res.json(req.body));
+	app.use(notFoundHandler());
+	app.use(errorHandler());
+
+	test('returns the envelope with the request id from the header', async () => {
+		const res = await request(app).get('/validation').set('X-Request-Id', 'client-req-1');
+
+		expect(res.status).toBe(400);
+		expect(res.headers['x-request-id']).toBe('client-req-1');
+		expect(res.body).toEqual({ success: false, error: 'Validation error', code: 'VALIDATION_ERROR', status: 400, requestId: 'client-req-1', details: ['"name" is required'] });
+	});
+
+	test('generates a request id when none (or an unusable one) is sent', async () => {
+		const res = await request(app).get('/validation').set('X-Request-Id', 'bad id with spaces');
+
+		expect(res.body.requestId).toMatch(/^[0-9a-f-]{36}$/);
+		expect(res.headers['x-request-id']).toBe(res.body.requestId);
+	});
+
+	test('carries the Plesk status and details', async () => {
+		const res = await request(app).get('/plesk');
+
+		expect(res.status).toBe(404);
+		expect(res.body).toMatchObject({ code: 'PLESK_NOT_FOUND', pleskStatus: 404, details: { code: 1013, message: 'Domain with ID 9 does not exist' } });
+	});
+
+	test('reports unexpected errors as internal errors', async () => {
+		const res = await request(app).get('/crash');
+
+		expect(res.status).toBe(500);
+		expect(res.body).toMatchObject({ error: 'Internal server error', code: 'INTERNAL_ERROR', details: null });
+	});
+
+	test('rejects malformed JSON bodies', async () => {
+		const res = await request(app).post('/echo').set('Content-Type', 'application/json').send('{"name":');
+
+		expect(res.status).toBe(400);
+		expect(res.body.error).toBe('Malformed JSON request body');
+	});
+
+	test('reports unknown routes', async () => {
+		const res = await request(app).delete('/missing');
+
+		expect(res.status).toBe(404);
+		expect(res.body).toMatchObject({ code: 'ROUTE_NOT_FOUND', error: 'Route DELETE /missing not found' });
+	});
+});
@@ -0,0 +1,89 @@
+const { createTestApp } = require('./helpers/app');
+
+describe('FTP user routes (/api/ftpusers)', () => {
+	let ctx;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	beforeEach(() => {
+		ctx.fake.reset();
+	});
+
+	test('GET /api/ftpusers lists FTP users', async () => {
+		const res = await ctx.api.get('/api/ftpusers');
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.map((user) => user.name)).toEqual(['example_ftp']);
+	});
+
+	test('GET /api/ftpusers?domain propagates an unknown domain', async () => {
+		const res = await ctx.api.get('/api/ftpusers').query({ domain: 'missing.example' });
+
+		expect(res.status).toBe(404);
+		expect(res.body.details).toEqual({ code: 1013, message: 'Domain missing.example does not exist' });
+	});
+
+	test('POST /api/ftpusers validates the body', async () => {
+		const res = await ctx.api.post('/api/ftpusers').send({ name: 'ftp2', password: 'secret123' });
+
+		expect(res.status).toBe(400);
+		expect(res.body.error).toBe('Validation error');
+		expect(res.body.details).toEqual(['"parent_domain" is required']);
+	});
+
+	test('POST /api/ftpusers creates an FTP user with defaults', async () => {
+		const res = await ctx.api
+			.post('/api/ftpusers')
+			.send({ name: 'ftp2', password: 'secret123', parent_domain: { name: 'test.org' } });
+
+		expect(res.status).toBe(200);
+		expect(ctx.fake.store.findFtpUser('ftp2')).toMatchObject({ home: '/httpdocs', quota: -1, parent_domain: 2 });
+	});
+
+	test('POST /api/ftpusers propagates a duplicate name', async () => {
+		const res = await ctx.api
+			.post('/api/ftpusers')
+			.send({ name: 'example_ftp', password: 'secret123', parent_domain: { id: 1 } });
+
+		expect(res.status).toBe(409);
+		expect(res.body.error).toBe('FTP user example_ftp already exists');
+	});
+
+	test('PUT /api/ftpusers/:name validates permissions', async () => {
+		const res = await ctx.api
+			.put('/api/ftpusers/example_ftp')
+			.send({ permissions: { write: 'yes' } });
+
+		expect(res.status).toBe(400);
+		expect(res.body.details).toEqual(['"permissions.write" must be one of [true, false]']);
+	});
+
+	test('PUT /api/ftpusers/:name updates an FTP user', async () => {
+		const res = await ctx.api.put('/api/ftpusers/example_ftp').send({ quota: 1024 });
+
+		expect(res.status).toBe(200);
+		expect(ctx.fake.store.findFtpUser('example_ftp').quota).toBe(1024);
+	});
+
+	test('DELETE /api/ftpusers/:name deletes an FTP user', async () => {
+		const res = await ctx.api.delete('/api/ftpusers/example_ftp');
+
+		expect(res.status).toBe(200);
+		expect(ctx.fake.store.ftpusers).toEqual([]);
+	});
+
+	test('DELETE /api/ftpusers/:name is not retried after a timeout', async () => {
+		ctx.fake.addFault({ method: 'DELETE', path: '/ftpusers/example_ftp', status: 504, times: 1 });
+
+		const res = await ctx.api.delete('/api/ftpusers/example_ftp');
+
+		expect(res.status).toBe(504);
+		expect(ctx.fake.requests.filter((entry) => entry.method === 'DELETE')).toHaveLength(1);
+	});
+});
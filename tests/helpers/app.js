@@ -0,0 +1,84 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { createApp } = require('../../server');
+const { createContainer } = require('../../lib/container');
+const { createPool } = require('../../lib/database');
+const { FakePleskServer } = require('../../lib/fakePlesk');
+const { PolicyEngine, toGrant } = require('../../lib/permissions');
+const { SessionStore } = require('../../lib/sessions');
+const { AppSettings } = require('../../lib/settings');
+const { createUnavailableDb, getTestDbConfig, hasDatabase, truncateTables } = require('./db');
+
+/**
+ * Sign an access token the way POST /api/users/login does
+ * @param {Object} payload - id, username, role, sid
+ * @returns {string}
+ */
+function signToken(payload) {
+	return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+/**
+ * Boot the Express app against the disposable test schema (when available)
+ * and a fake Plesk server listening on a random port.
+ * @param {Object} options - fake: FakePleskServer options
+ * @returns {Promise<Object>} - { app, api, as, token, grants, sessions, container, fake, db, close }
+ *   `token(role)` signs an access token with that role, `as(role)` is a supertest
+ *   agent using one and `api` the admin agent.
+ *   Route permission checks read `grants` (user_permissions rows) instead of MySQL,
+ *   and those tokens belong to `sessions` (user_sessions rows) kept in memory, so
+ *   they can be tested without a database. Sessions opened by POST /api/users/login
+ *   are still looked up in MySQL. Rate limits are off unless a test sets them.
+ */
+async function createTestApp(options = {}) {
+	const fake = new FakePleskServer(options.fake);
+	process.env.PLESK_URL = await fake.start();
+
+	const db = hasDatabase ? createPool({ ...getTestDbConfig(), database: process.env.TEST_DB_SCHEMA }) : createUnavailableDb();
+	if (hasDatabase) {
+		await truncateTables(db);
+	}
+
+	const grants = [];
+	const permissions = new PolicyEngine({ dbPool: db, loadGrants: async (userId) => grants.filter((row) => row.user_id === userId).map(toGrant) });
+
+	// In-memory session IDs start far above the AUTO_INCREMENT IDs of the test schema
+	const sessions = [];
+	const dbSessions = new SessionStore({ dbPool: db });
+	const findSession = async (id) => sessions.find((row) => row.id === id) || (hasDatabase ? dbSessions.findSession(id) : null);
+
+	const settings = new AppSettings({ dbPool: db, defaults: { api_rate_limit: 0, rate_limit_groups: {} } });
+
+	const container = createContainer({ db, permissions, settings, sessions: new SessionStore({ dbPool: db, findSession }) });
+	await container.start();
+
+	const token = (role, claims = {}) => {
+		const session = { id: 1000000 + sessions.length, user_id: claims.id || 1, is_active: 1, expires_at: new Date(Date.now() + 3600000) };
+		sessions.push(session);
+		return signToken({ id: 1, username: role, role, sid: session.id, ...claims });
+	};
+
+	const app = createApp(container);
+	const as = (role, claims = {}) => request.agent(app).set('Authorization', `Bearer ${token(role, claims)}`);
+
+	return {
+		app,
+		api: as('admin'),
+		as,
+		token,
+		grants,
+		sessions,
+		container,
+		fake,
+		db,
+		close: async () => {
+			await container.stop();
+			await fake.stop();
+		},
+	};
+}
+
+module.exports = {
+	createTestApp,
+	signToken,
+};
@@ -0,0 +1,105 @@
+const bcrypt = require('bcrypt');
+const { getTestDbConfig } = require('../setup/dbConfig');
+
+// Set by tests/setup/globalSetup.js when the schema could be created
+const hasDatabase = Boolean(process.env.TEST_DB_SCHEMA);
+
+// describe() for suites that need MySQL, skipped when no server is reachable
+const describeWithDb = hasDatabase ? describe : describe.skip;
+
+/**
+ * Pool stand-in used when MySQL is not available: every query fails immediately
+ * the way an unreachable database does.
+ * @returns {Object}
+ */
+function createUnavailableDb() {
+	const fail = async () => {
+		const error = new Error('connect ECONNREFUSED (test database not available)');
+		error.code = 'ECONNREFUSED';
+		error.fatal = true;
+		throw error;
+	};
+
+	return {
+		execute: fail,
+		query: fail,
+		getConnection: fail,
+		end: async () => {},
+	};
+}
+
+/**
+ * Pool wrapper for suites keeping user_activity_log in memory. `execute` answers
+ * the activity log statements it knows (returning undefined passes the others on
+ * to `db`); the hash chain head and the transaction logActivity writes in are
+ * handled here.
+ * @param {Object} db - mysql2 promise pool
+ * @param {Function} execute - async (sql, params) => result or undefined
+ * @returns {Object}
+ */
+function withActivityLog(db, execute) {
+	let head = [];
+	const run = async (sql, params) => {
+		if (sql.startsWith('SELECT last_hash FROM activity_log_chain')) {
+			return [head];
+		}
+		if (sql.startsWith('INSERT INTO activity_log_chain')) {
+			head = [{ last_id: params[0], last_hash: params[1] }];
+			return [{ affectedRows: 1 }];
+		}
+		const result = await execute(sql, params);
+		return result === undefined ? db.execute(sql, params) : result;
+	};
+	const connection = { execute: run, beginTransaction: async () => {}, commit: async () => {}, rollback: async () => {}, release: () => {} };
+
+	return {
+		execute: run,
+		query: (...args) => db.query(...args),
+		getConnection: async () => connection,
+		end: async () => {},
+	};
+}
+
+/**
+ * Empty the tables the routes write to
+ * @param {Object} db - mysql2 promise pool
+ */
+async function truncateTables(db) {
+	await db.query('SET foreign_key_checks = 0');
+	for (const table of ['user_activity_log', 'activity_log_chain', 'activity_log_checkpoints', 'api_request_log', 'user_notifications', 'login_throttle', 'user_invitations', 'api_keys', 'rate_limit_counters', 'oidc_login_requests', 'user_sessions', 'user_permissions', 'user_recovery_codes', 'app_settings', 'users', 'plesk_servers', 'domain_cache']) {
+		await db.query(`TRUNCATE TABLE ${table}`);
+	}
+	await db.query('SET foreign_key_checks = 1');
+}
+
+/**
+ * Insert an active user directly, bypassing the registration rules
+ * @param {Object} db - mysql2 promise pool
+ * @param {Object} fields - username, email, password (default secret123), role
+ * @returns {Promise<number>} - The user ID
+ */
+async function createUser(db, fields = {}) {
+	const username = fields.username || 'alice';
+	const passwordHash = await bcrypt.hash(fields.password || 'secret123', 4);
+	const [result] = await db.execute('INSERT INTO users (username, email, password_hash, first_name, last_name, role) VALUES (?, ?, ?, ?, ?, ?)', [username, fields.email || `${username}@example.com`, passwordHash, 'Test', 'User', fields.role || 'user']);
+	return result.insertId;
+}
+
+/**
+ * Let anyone register without approval (suites that register their users through the API)
+ * @param {Object} db - mysql2 promise pool
+ */
+async function openRegistration(db) {
+	await db.query("INSERT INTO app_settings (`key`, value, type) VALUES ('registration_mode', 'open', 'string'), ('registration_requires_approval', 'false', 'boolean') ON DUPLICATE KEY UPDATE value = VALUES(value)");
+}
+
+module.exports = {
+	createUnavailableDb,
+	createUser,
+	describeWithDb,
+	getTestDbConfig,
+	hasDatabase,
+	openRegistration,
+	truncateTables,
+	withActivityLog,
+};
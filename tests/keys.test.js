@@ -0,0 +1,47 @@
+const { createTestApp } = require('./helpers/app');
+
+describe('Plesk secret key routes (/api/auth/keys)', () => {
+	let ctx;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	beforeEach(() => {
+		ctx.fake.reset();
+	});
+
+	test('POST /api/auth/keys validates the IP address', async () => {
+		const res = await ctx.api.post('/api/auth/keys').send({ ip: 'not-an-ip' });
+
+		expect(res.status).toBe(400);
+		expect(res.body.error).toBe('Validation error');
+	});
+
+	test('POST /api/auth/keys generates a key', async () => {
+		const res = await ctx.api.post('/api/auth/keys').send({ description: 'CI' });
+
+		expect(res.status).toBe(201);
+		expect(ctx.fake.store.apiKeys.has(res.body.data.key)).toBe(true);
+	});
+
+	test('DELETE /api/auth/keys/:key deletes a key', async () => {
+		const { key } = ctx.fake.store.createApiKey();
+
+		const res = await ctx.api.delete(`/api/auth/keys/${key}`);
+
+		expect(res.status).toBe(200);
+		expect(ctx.fake.store.apiKeys.has(key)).toBe(false);
+	});
+
+	test('DELETE /api/auth/keys/:key propagates an unknown key', async () => {
+		const res = await ctx.api.delete('/api/auth/keys/unknown');
+
+		expect(res.status).toBe(404);
+		expect(res.body.details).toEqual({ code: 1013, message: 'API key does not exist' });
+	});
+});
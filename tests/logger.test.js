@@ -0,0 +1,103 @@
+const { createTestApp } = require('./helpers/app');
+const { Logger, logger, redactUrl } = require('../lib/logger');
+const DomainSyncEngine = require('../lib/syncEngine');
+
+/**
+ * Logger collecting its entries
+ * @param {string} level
+ * @returns {Object} - { log, entries }
+ */
+function memoryLogger(level = 'debug') {
+	const entries = [];
+	return { log: new Logger({ level, write: (entryLevel, line) => entries.push(JSON.parse(line)) }), entries };
+}
+
+describe('Logger', () => {
+	test('entries are JSON with the level, message and bound fields', () => {
+		const { log, entries } = memoryLogger();
+
+		log.child({ requestId: 'req-1' }).child({ serverId: 2 }).info('Domain cache cleared', { domains: 3 });
+
+		expect(entries).toEqual([{ time: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/), level: 'info', msg: 'Domain cache cleared', requestId: 'req-1', serverId: 2, domains: 3 }]);
+	});
+
+	test('entries below the level are dropped', () => {
+		const { log, entries } = memoryLogger('warn');
+
+		log.debug('debug');
+		log.info('info');
+		log.warn('warn');
+		log.error('error');
+
+		expect(entries.map((entry) => entry.level)).toEqual(['warn', 'error']);
+		expect(new Logger({ level: 'silent' }).isLevelEnabled('error')).toBe(false);
+	});
+
+	test('secrets are redacted at any depth and errors keep their stack', () => {
+		const { log, entries } = memoryLogger();
+
+		log.error('Failed', { body: { username: 'jane', password: 'hunter2', nested: [{ apiKey: 'k' }] }, authorization: 'Bearer x', error: new TypeError('boom') });
+
+		expect(entries[0]).toMatchObject({ body: { username: 'jane', password: '[REDACTED]', nested: [{ apiKey: '[REDACTED]' }] }, authorization: '[REDACTED]', error: { message: 'boom', stack: expect.stringContaining('TypeError: boom') } });
+	});
+
+	test('secret query parameters are redacted from URLs', () => {
+		expect(redactUrl('/api/users/verify-email?token=abc&next=/home')).toBe('/api/users/verify-email?token=[REDACTED]&next=/home');
+		expect(redactUrl('/api/plesk/domains')).toBe('/api/plesk/domains');
+	});
+
+	test('sync jobs log under the request that started them', async () => {
+		const { log, entries } = memoryLogger();
+		const engine = new DomainSyncEngine({});
+
+		engine.run(3, 'status', async (jobLog) => {
+			jobLog.info('Status sync started');
+			throw new Error('Plesk went away');
+		}, log.child({ requestId: 'req-2' }));
+		await engine.waitForIdle();
+
+		expect(entries).toEqual([expect.objectContaining({ msg: 'Status sync started', requestId: 'req-2', serverId: 3, job: 'status' }), expect.objectContaining({ level: 'error', msg: 'Background status sync failed', requestId: 'req-2', error: 'Plesk went away' })]);
+	});
+});
+
+describe('Request logging', () => {
+	let ctx;
+	let entries;
+	const { level, write } = logger;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	beforeEach(() => {
+		ctx.fake.reset();
+		entries = [];
+		logger.level = 'debug';
+		logger.write = (entryLevel, line) => entries.push(JSON.parse(line));
+	});
+
+	afterEach(() => {
+		logger.level = level;
+		logger.write = write;
+	});
+
+	test('requests and their Plesk calls are logged with the request ID', async () => {
+		const res = await ctx.api.get('/api/plesk/domains/1').set('X-Request-Id', 'trace-42').expect(200);
+
+		expect(res.headers['x-request-id']).toBe('trace-42');
+		expect(entries).toContainEqual(expect.objectContaining({ level: 'debug', requestId: 'trace-42', serverId: 0, method: 'GET', endpoint: '/domains/1', status: 200, durationMs: expect.any(Number) }));
+		expect(entries).toContainEqual(expect.objectContaining({ level: 'info', msg: 'GET /api/plesk/domains/1 200', requestId: 'trace-42', status: 200, userId: 1 }));
+	});
+
+	test('failed requests are logged as warnings with a generated request ID', async () => {
+		const res = await ctx.api.get('/api/plesk/domains/999').expect(404);
+
+		const access = entries.find((entry) => entry.path === '/api/plesk/domains/999');
+		expect(access).toMatchObject({ level: 'warn', status: 404, requestId: res.headers['x-request-id'] });
+		expect(entries).toContainEqual(expect.objectContaining({ level: 'warn', msg: 'Plesk GET /domains/999 failed', requestId: res.headers['x-request-id'], code: 'PLESK_NOT_FOUND' }));
+	});
+});
@@ -0,0 +1,152 @@
+const request = require('supertest');
+const { createTestApp } = require('./helpers/app');
+const { createUser, describeWithDb, truncateTables } = require('./helpers/db');
+const { LoginThrottle, loginAttempt, progressiveDelay } = require('../lib/loginThrottle');
+
+describe('Login throttle', () => {
+	test.each([
+		[1, 0],
+		[2, 1],
+		[3, 2],
+		[5, 8],
+		[12, 30],
+	])('after %i failures the next attempt waits %i seconds', (failures, seconds) => {
+		expect(progressiveDelay(failures)).toBe(seconds);
+	});
+
+	test('accounts are counted by user ID, unknown names by the lowercased name', () => {
+		expect(loginAttempt('Alice@Example.com', { id: 4 }, '10.0.0.1')).toEqual({ account: { subject: 'user:4', userId: 4 }, ip: '10.0.0.1' });
+		expect(loginAttempt('Nobody', null, '10.0.0.1').account).toEqual({ subject: 'name:nobody', userId: null });
+	});
+
+	test.each([
+		[{ scope: 'account', locked_for: 600, wait_for: null }, 'ACCOUNT_LOCKED', 600],
+		[{ scope: 'ip', locked_for: 60, wait_for: null }, 'IP_LOCKED', 60],
+		[{ scope: 'account', locked_for: null, wait_for: 4 }, 'LOGIN_THROTTLED', 4],
+	])('refuses %o with %s', async (row, code, retryAfter) => {
+		const throttle = new LoginThrottle({ dbPool: { execute: async () => [[row]] } });
+
+		await expect(throttle.check(loginAttempt('alice', null, '10.0.0.1'))).rejects.toMatchObject({ status: 429, code, retryAfter });
+	});
+
+	test('lets attempts through once delays and lockouts are over', async () => {
+		const throttle = new LoginThrottle({ dbPool: { execute: async () => [[{ scope: 'account', locked_for: -5, wait_for: -1 }]] } });
+
+		await expect(throttle.check(loginAttempt('alice', null, '10.0.0.1'))).resolves.toBeUndefined();
+	});
+});
+
+describe('Brute-force protection', () => {
+	let ctx;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	test('only admins list and clear lockouts', async () => {
+		await ctx.as('user').get('/api/users/lockouts').expect(403);
+		await ctx.as('user').delete('/api/users/2/lockout').expect(403);
+		await ctx.as('user').delete('/api/users/lockouts/ip/10.0.0.1').expect(403);
+	});
+
+	test('IP unlocks validate the address', async () => {
+		await ctx.api.delete('/api/users/lockouts/ip/not-an-ip').expect(400);
+	});
+
+	describeWithDb('with MySQL', () => {
+		const login = (username, password) => request(ctx.app).post('/api/users/login').send({ username, password });
+		// Skip the progressive delays so a test can reach the threshold quickly
+		const fail = async (username, times) => {
+			for (let i = 0; i < times; i += 1) {
+				await ctx.db.query('UPDATE login_throttle SET next_attempt_at = NULL');
+				await login(username, 'wrong');
+			}
+		};
+
+		let admin;
+
+		beforeEach(async () => {
+			await truncateTables(ctx.db);
+			await createUser(ctx.db, { username: 'root', role: 'admin' });
+			await createUser(ctx.db, { username: 'alice' });
+			admin = (await login('root', 'secret123')).body.data;
+		});
+
+		test('failures after the first delay the next attempt', async () => {
+			await login('alice', 'wrong').expect(401);
+			await login('alice', 'wrong').expect(401);
+
+			const throttled = await login('alice', 'secret123');
+			expect(throttled.status).toBe(429);
+			expect(throttled.body.code).toBe('LOGIN_THROTTLED');
+			expect(throttled.headers['retry-after']).toBe('1');
+		});
+
+		test('the account locks at the threshold, the lockout is logged and admins are notified', async () => {
+			await fail('alice', 5);
+
+			const locked = await login('alice', 'secret123');
+			expect(locked.status).toBe(429);
+			expect(locked.body.code).toBe('ACCOUNT_LOCKED');
+			expect(Number(locked.headers['retry-after'])).toBeGreaterThan(800);
+
+			// Email and username share the counter
+			expect((await login('alice@example.com', 'secret123')).body.code).toBe('ACCOUNT_LOCKED');
+
+			const [activity] = await ctx.db.query("SELECT activity_type FROM user_activity_log WHERE activity_type IN ('LOGIN_FAILED', 'ACCOUNT_LOCKED') ORDER BY id");
+			expect(activity.map((row) => row.activity_type)).toEqual(['LOGIN_FAILED', 'LOGIN_FAILED', 'LOGIN_FAILED', 'LOGIN_FAILED', 'LOGIN_FAILED', 'ACCOUNT_LOCKED']);
+
+			const notifications = await request(ctx.app).get('/api/users/notifications?unread=true').set('Authorization', `Bearer ${admin.token}`);
+			expect(notifications.body.data).toEqual([expect.objectContaining({ type: 'warning', title: 'Account locked out', isRead: false })]);
+			expect(notifications.body.data[0].message).toContain('Account alice locked for 15 minutes');
+
+			const lockouts = await request(ctx.app).get('/api/users/lockouts').set('Authorization', `Bearer ${admin.token}`);
+			expect(lockouts.body.data).toEqual([expect.objectContaining({ scope: 'account', username: 'alice' })]);
+		});
+
+		test('an admin unlock lets the user log in again', async () => {
+			await fail('alice', 5);
+			const [[alice]] = await ctx.db.query("SELECT id FROM users WHERE username = 'alice'");
+
+			await request(ctx.app).delete(`/api/users/${alice.id}/lockout`).set('Authorization', `Bearer ${admin.token}`).expect(200);
+
+			await login('alice', 'secret123').expect(200);
+		});
+
+		test('unknown names lock like real accounts', async () => {
+			await fail('ghost', 5);
+
+			expect((await login('ghost', 'whatever')).body.code).toBe('ACCOUNT_LOCKED');
+		});
+
+		test('the IP locks at its own threshold across accounts until an admin unlocks it', async () => {
+			await ctx.container.settings.set('max_login_attempts_per_ip', 3, 'number');
+			await fail('alice', 2);
+			await fail('bob', 1);
+
+			const locked = await login('root', 'secret123');
+			expect(locked.body.code).toBe('IP_LOCKED');
+
+			const [rows] = await ctx.db.query("SELECT user_id, description FROM user_activity_log WHERE activity_type = 'IP_LOCKED'");
+			expect(rows).toEqual([{ user_id: null, description: expect.stringContaining('locked for 15 minutes') }]);
+
+			const [[lockout]] = await ctx.db.query("SELECT subject FROM login_throttle WHERE scope = 'ip'");
+			await ctx.db.query("DELETE FROM login_throttle WHERE scope = 'account'");
+			await request(ctx.app).delete(`/api/users/lockouts/ip/${lockout.subject}`).set('Authorization', `Bearer ${admin.token}`).expect(200);
+
+			await login('root', 'secret123').expect(200);
+		});
+
+		test('a successful login clears the account counter', async () => {
+			await login('alice', 'wrong');
+			await login('alice', 'secret123').expect(200);
+
+			const [rows] = await ctx.db.query("SELECT * FROM login_throttle WHERE scope = 'account'");
+			expect(rows).toHaveLength(0);
+		});
+	});
+});
@@ -0,0 +1,315 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const request = require('supertest');
+const { createTestApp } = require('./helpers/app');
+const { createUser, describeWithDb, truncateTables } = require('./helpers/db');
+const { FakeOidcProvider } = require('../lib/fakeOidc');
+const { OidcClient, mapRole, pkceChallenge } = require('../lib/oidc');
+
+const REDIRECT_URI = 'http://app.test/login/oidc';
+
+const ROLE_GROUPS = { admin: ['manager-admins'], user: ['manager-users'], viewer: ['manager-viewers'] };
+
+/**
+ * Client of the mock provider
+ * @param {FakeOidcProvider} provider
+ * @param {Object} overrides
+ * @returns {OidcClient}
+ */
+function clientFor(provider, overrides = {}) {
+	return new OidcClient({ issuer: provider.issuer, clientId: provider.clientId, clientSecret: provider.clientSecret, redirectUri: REDIRECT_URI, postLogoutRedirectUri: 'http://app.test/login', roleGroups: ROLE_GROUPS, defaultRole: null, ...overrides });
+}
+
+/**
+ * Follow an authorization URL on the mock provider and read the redirect back to the app
+ * @param {string} url
+ * @returns {Promise<URLSearchParams>} - code, state or error
+ */
+async function authorize(url) {
+	const res = await axios.get(url, { maxRedirects: 0, validateStatus: (status) => status === 302 });
+	return new URL(res.headers.location).searchParams;
+}
+
+describe('OIDC role mapping', () => {
+	test('the highest role of the groups wins', () => {
+		expect(mapRole(['manager-viewers', 'manager-admins'], ROLE_GROUPS)).toBe('admin');
+		expect(mapRole(['manager-viewers'], ROLE_GROUPS)).toBe('viewer');
+	});
+
+	test('users without a matching group get the default role or none', () => {
+		expect(mapRole(['sales'], ROLE_GROUPS)).toBeNull();
+		expect(mapRole(undefined, ROLE_GROUPS, 'viewer')).toBe('viewer');
+	});
+});
+
+describe('OIDC protocol', () => {
+	let provider;
+
+	beforeAll(async () => {
+		provider = new FakeOidcProvider();
+		await provider.start();
+	});
+
+	afterAll(async () => {
+		await provider.stop();
+	});
+
+	beforeEach(() => {
+		provider.reset();
+	});
+
+	/**
+	 * Authorization request with a fresh verifier and nonce
+	 * @param {Object} params - Extra parameters
+	 * @returns {Promise<Object>} - { code, verifier, nonce }
+	 */
+	async function startLogin(params = {}) {
+		const verifier = crypto.randomBytes(32).toString('base64url');
+		const nonce = crypto.randomBytes(8).toString('hex');
+		const query = new URLSearchParams({ response_type: 'code', client_id: provider.clientId, redirect_uri: REDIRECT_URI, state: 's', nonce, code_challenge: pkceChallenge(verifier), code_challenge_method: 'S256', ...params });
+		const result = await authorize(`${provider.issuer}/authorize?${query}`);
+		return { code: result.get('code'), verifier, nonce };
+	}
+
+	test('a code exchanged with its verifier yields a verified ID token', async () => {
+		const client = clientFor(provider);
+		const { code, verifier, nonce } = await startLogin({ login_hint: 'oidcviewer' });
+
+		const tokens = await client.exchangeCode(code, verifier);
+		const claims = await client.verifyIdToken(tokens.id_token, nonce);
+
+		expect(claims).toMatchObject({ sub: 'fake-viewer', email: 'oidcviewer@example.com', groups: ['manager-viewers'], iss: provider.issuer, aud: provider.clientId });
+		expect(client.roleFor(claims)).toBe('viewer');
+	});
+
+	test('a wrong code verifier or a reused code is refused', async () => {
+		const client = clientFor(provider);
+		const { code, verifier } = await startLogin();
+
+		await expect(client.exchangeCode(code, 'not-the-verifier')).rejects.toMatchObject({ code: 'OIDC_LOGIN_FAILED', status: 401 });
+		await expect(client.exchangeCode(code, verifier)).rejects.toMatchObject({ code: 'OIDC_LOGIN_FAILED' });
+	});
+
+	test('the provider requires PKCE', async () => {
+		const result = await authorize(`${provider.issuer}/authorize?${new URLSearchParams({ response_type: 'code', client_id: provider.clientId, redirect_uri: REDIRECT_URI, state: 's' })}`);
+
+		expect(result.get('error')).toBe('invalid_request');
+		expect(result.get('state')).toBe('s');
+	});
+
+	test('ID tokens with a wrong nonce, audience, signature or expiry are refused', async () => {
+		const client = clientFor(provider);
+		const user = provider.findUser('oidcuser');
+
+		await expect(client.verifyIdToken(provider.issueIdToken(user, { nonce: 'a' }), 'b')).rejects.toMatchObject({ code: 'OIDC_LOGIN_FAILED' });
+		await expect(client.verifyIdToken(provider.issueIdToken(user, { nonce: 'a', audience: 'other-client' }), 'a')).rejects.toMatchObject({ code: 'OIDC_LOGIN_FAILED' });
+		await expect(client.verifyIdToken(provider.issueIdToken(user, { nonce: 'a', expiresIn: -10 }), 'a')).rejects.toMatchObject({ code: 'OIDC_LOGIN_FAILED' });
+
+		// Same key ID, another key
+		const forger = new FakeOidcProvider();
+		forger.keyId = provider.keyId;
+		forger.url = provider.issuer;
+		await expect(client.verifyIdToken(forger.issueIdToken(user, { nonce: 'a' }), 'a')).rejects.toMatchObject({ code: 'OIDC_LOGIN_FAILED' });
+
+		await expect(client.verifyIdToken('not-a-token', 'a')).rejects.toMatchObject({ code: 'OIDC_LOGIN_FAILED' });
+	});
+
+	test('users without a role are refused unless a default role is set', () => {
+		const claims = provider.findUser('outsider');
+
+		expect(() => clientFor(provider).roleFor(claims)).toThrow(expect.objectContaining({ code: 'OIDC_NO_ROLE', status: 403 }));
+		expect(clientFor(provider, { defaultRole: 'viewer' }).roleFor(claims)).toBe('viewer');
+	});
+
+	test('the logout URL ends the provider session', async () => {
+		const client = clientFor(provider);
+		const idToken = provider.issueIdToken(provider.findUser('oidcadmin'));
+
+		const url = new URL(await client.logoutUrl(idToken));
+		expect(`${url.origin}${url.pathname}`).toBe(`${provider.issuer}/logout`);
+		expect(url.searchParams.get('id_token_hint')).toBe(idToken);
+		expect(url.searchParams.get('post_logout_redirect_uri')).toBe('http://app.test/login');
+
+		await authorize(url.toString());
+		expect(provider.logouts).toEqual([{ subject: 'fake-admin', postLogoutRedirectUri: 'http://app.test/login' }]);
+	});
+
+	test('an unreachable provider is reported as such', async () => {
+		const client = clientFor(provider, { issuer: 'http://127.0.0.1:1' });
+
+		await expect(client.discover()).rejects.toMatchObject({ code: 'OIDC_UNAVAILABLE', status: 502 });
+	});
+});
+
+describe('OIDC login', () => {
+	let ctx;
+	let provider;
+	let oidc;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+		provider = new FakeOidcProvider();
+		await provider.start();
+		oidc = ctx.container.oidc;
+	});
+
+	afterAll(async () => {
+		ctx.container.oidc = oidc;
+		await provider.stop();
+		await ctx.close();
+	});
+
+	beforeEach(() => {
+		provider.reset();
+		ctx.container.oidc = clientFor(provider, { dbPool: ctx.db });
+	});
+
+	test('single sign-on is off without an issuer', async () => {
+		ctx.container.oidc = new OidcClient({ dbPool: ctx.db, issuer: '', clientId: '' });
+
+		const methods = await request(ctx.app).get('/api/users/login/methods').expect(200);
+		expect(methods.body.data).toEqual({ password: true, oidc: { enabled: false } });
+
+		const res = await request(ctx.app).get('/api/users/login/oidc');
+		expect(res.status).toBe(404);
+		expect(res.body.code).toBe('OIDC_DISABLED');
+	});
+
+	test('the login page learns about the provider', async () => {
+		const res = await request(ctx.app).get('/api/users/login/methods').expect(200);
+
+		expect(res.body.data.oidc).toEqual({ enabled: true, name: 'Single sign-on', url: '/api/users/login/oidc' });
+	});
+
+	test('requests are validated', async () => {
+		await request(ctx.app).get('/api/users/login/oidc?returnTo=https://evil.test').expect(400);
+		await request(ctx.app).get('/api/users/login/oidc?returnTo=//evil.test').expect(400);
+		await request(ctx.app).post('/api/users/login/oidc').send({ code: 'abc' }).expect(400);
+	});
+
+	describeWithDb('with MySQL', () => {
+		beforeEach(async () => {
+			await truncateTables(ctx.db);
+		});
+
+		/**
+		 * Log in through the manager and the mock provider
+		 * @param {string} username - Provider user
+		 * @param {string} returnTo
+		 * @returns {Promise<Object>} - Response of POST /api/users/login/oidc
+		 */
+		async function ssoLogin(username, returnTo = null) {
+			provider.signInAs(username);
+
+			const start = await request(ctx.app).get(`/api/users/login/oidc${returnTo ? `?returnTo=${encodeURIComponent(returnTo)}` : ''}`).expect(302);
+			const url = new URL(start.headers.location);
+			expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+
+			const callback = await authorize(start.headers.location);
+			return request(ctx.app).post('/api/users/login/oidc').send({ code: callback.get('code'), state: callback.get('state') });
+		}
+
+		test('the first login provisions the user with the role of their groups', async () => {
+			const res = await ssoLogin('oidcadmin', '/domains');
+
+			expect(res.status).toBe(200);
+			expect(res.body.data).toMatchObject({ user: { username: 'oidcadmin', email: 'oidcadmin@example.com', firstName: 'Ada', role: 'admin' }, returnTo: '/domains' });
+			expect(res.body.data.refreshToken).toBeDefined();
+
+			await request(ctx.app).get('/api/users/profile').set('Authorization', `Bearer ${res.body.data.token}`).expect(200);
+
+			const [users] = await ctx.db.query("SELECT auth_provider, oidc_subject, email_verified FROM users WHERE username = 'oidcadmin'");
+			expect(users).toEqual([{ auth_provider: 'oidc', oidc_subject: 'fake-admin', email_verified: 1 }]);
+
+			const [log] = await ctx.db.query('SELECT activity_type FROM user_activity_log ORDER BY id');
+			expect(log.map((row) => row.activity_type)).toEqual(['USER_PROVISIONED', 'LOGIN']);
+		});
+
+		test('later logins reuse the account and follow group changes', async () => {
+			const first = await ssoLogin('oidcuser');
+			expect(first.body.data.user.role).toBe('user');
+
+			provider.findUser('oidcuser').groups = ['manager-viewers'];
+			try {
+				const res = await ssoLogin('oidcuser');
+				expect(res.body.data.user.role).toBe('viewer');
+
+				// Sessions opened with the previous role are signed out
+				await request(ctx.app).get('/api/users/profile').set('Authorization', `Bearer ${first.body.data.token}`).expect(401);
+				await request(ctx.app).get('/api/users/profile').set('Authorization', `Bearer ${res.body.data.token}`).expect(200);
+			} finally {
+				provider.findUser('oidcuser').groups = ['manager-users'];
+			}
+
+			const [users] = await ctx.db.query("SELECT COUNT(*) AS count FROM users WHERE oidc_subject = 'fake-user'");
+			expect(users[0].count).toBe(1);
+		});
+
+		test('an existing account is linked by its verified email address', async () => {
+			const id = await createUser(ctx.db, { username: 'uma', email: 'oidcuser@example.com', role: 'viewer' });
+
+			const res = await ssoLogin('oidcuser');
+			expect(res.body.data.user).toMatchObject({ id, username: 'uma', role: 'user' });
+
+			// The local password keeps working for linked accounts
+			await request(ctx.app).post('/api/users/login').send({ username: 'uma', password: 'secret123' }).expect(200);
+		});
+
+		test('provisioned accounts cannot log in with a password or reset one', async () => {
+			await ssoLogin('oidcviewer');
+
+			const login = await request(ctx.app).post('/api/users/login').send({ username: 'oidcviewer', password: '!' });
+			expect(login.status).toBe(401);
+
+			await request(ctx.app).post('/api/users/forgot-password').send({ email: 'oidcviewer@example.com' }).expect(200);
+			expect(ctx.container.mailer.transport.sent).toEqual([]);
+		});
+
+		test('users outside the mapped groups are refused', async () => {
+			const res = await ssoLogin('outsider');
+
+			expect(res.status).toBe(403);
+			expect(res.body.code).toBe('OIDC_NO_ROLE');
+
+			const [users] = await ctx.db.query('SELECT id FROM users');
+			expect(users).toEqual([]);
+		});
+
+		test('a state can only be used once', async () => {
+			provider.signInAs('oidcuser');
+			const start = await request(ctx.app).get('/api/users/login/oidc').expect(302);
+			const callback = await authorize(start.headers.location);
+			const body = { code: callback.get('code'), state: callback.get('state') };
+
+			await request(ctx.app).post('/api/users/login/oidc').send(body).expect(200);
+
+			const replay = await request(ctx.app).post('/api/users/login/oidc').send(body);
+			expect(replay.status).toBe(401);
+			expect(replay.body.code).toBe('INVALID_OIDC_STATE');
+
+			const forged = await request(ctx.app).post('/api/users/login/oidc').send({ code: 'abc', state: 'made-up' });
+			expect(forged.body.code).toBe('INVALID_OIDC_STATE');
+		});
+
+		test('logout returns the URL ending the provider session', async () => {
+			const login = await ssoLogin('oidcadmin');
+			const token = login.body.data.token;
+
+			const res = await request(ctx.app).post('/api/users/logout').set('Authorization', `Bearer ${token}`).expect(200);
+			expect(res.body.data.logoutUrl).toContain(`${provider.issuer}/logout?id_token_hint=`);
+
+			await authorize(res.body.data.logoutUrl);
+			expect(provider.logouts).toEqual([{ subject: 'fake-admin', postLogoutRedirectUri: 'http://app.test/login' }]);
+
+			await request(ctx.app).get('/api/users/profile').set('Authorization', `Bearer ${token}`).expect(401);
+		});
+
+		test('password sessions log out without a provider URL', async () => {
+			await createUser(ctx.db, { username: 'alice' });
+			const login = await request(ctx.app).post('/api/users/login').send({ username: 'alice', password: 'secret123' }).expect(200);
+
+			const res = await request(ctx.app).post('/api/users/logout').set('Authorization', `Bearer ${login.body.data.token}`).expect(200);
+			expect(res.body.data).toBeUndefined();
+		});
+	});
+});
@@ -0,0 +1,218 @@
+const request = require('supertest');
+const { createTestApp } = require('./helpers/app');
+const { describeWithDb, truncateTables } = require('./helpers/db');
+const { PermissionScope, PolicyEngine, toGrant } = require('../lib/permissions');
+
+const SUPPORT_ID = 7;
+
+const grant = (fields) => ({ id: 1, user_id: SUPPORT_ID, plesk_server_id: null, customer_id: null, ...fields });
+
+describe('PermissionScope', () => {
+	const client = { serverId: 2 };
+
+	test('matches resource type, action, server and customer', () => {
+		const scope = new PermissionScope([toGrant(grant({ plesk_server_id: 2, customer_id: 14, resource_type: 'dns', actions: 'read,update' }))], client);
+
+		expect(scope.allows('dns', 'update', 14)).toBe(true);
+		expect(scope.allows('dns', 'delete', 14)).toBe(false);
+		expect(scope.allows('dns', 'update', 15)).toBe(false);
+		expect(scope.allows('dns', 'update')).toBe(false);
+		expect(scope.allows('domains', 'read', 14)).toBe(false);
+		expect(new PermissionScope(scope.grants, { serverId: 3 }).allows('dns', 'read', 14)).toBe(false);
+	});
+
+	test('a grant without customer covers the whole server', () => {
+		const scope = new PermissionScope([toGrant(grant({ resource_type: '*', actions: 'read' }))], client);
+
+		expect(scope.allows('customers', 'read', 99)).toBe(true);
+		expect(scope.customerIds('domains', 'read')).toBeNull();
+	});
+});
+
+describe('Permission grants on the Plesk routes', () => {
+	let ctx;
+	let support;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+		support = ctx.as('user', { id: SUPPORT_ID, username: 'support' });
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	beforeEach(() => {
+		ctx.fake.reset();
+		ctx.grants.length = 0;
+	});
+
+	describe('DNS for one customer', () => {
+		beforeEach(() => {
+			// client1 (ID 2) owns test.org
+			ctx.grants.push(grant({ customer_id: 2, resource_type: 'dns', actions: 'read,create,update,delete' }));
+		});
+
+		test('records of the customer domains are reachable', async () => {
+			const res = await support.get('/api/dns/records?domain=test.org');
+
+			expect(res.status).toBe(200);
+			expect(res.body.data.map((record) => record.id)).toEqual([4]);
+		});
+
+		test('records of other customers are refused', async () => {
+			const res = await support.get('/api/dns/records?domain=example.com');
+
+			expect(res.status).toBe(403);
+			expect(res.body).toMatchObject({ code: 'PERMISSION_DENIED', error: 'Not permitted to read dns' });
+		});
+
+		test('records are deleted only on the customer domains', async () => {
+			await support.delete('/api/dns/records/4').expect(200);
+
+			const refused = await support.delete('/api/dns/records/1');
+			expect(refused.status).toBe(403);
+			expect(ctx.fake.store.dnsRecords.some((record) => record.id === 1)).toBe(true);
+		});
+
+		test('grants replace the role defaults elsewhere', async () => {
+			await support.get('/api/plesk/domains').expect(403);
+			await support.get('/api/plesk/server/info').expect(403);
+		});
+
+		test('admin-only themes stay admin-only', async () => {
+			const res = await support.get('/api/admin/server');
+
+			expect(res.status).toBe(403);
+			expect(res.body.error).toBe('Admin access required');
+		});
+
+		test('a viewer with a grant may write within it', async () => {
+			const viewer = ctx.as('viewer', { id: SUPPORT_ID });
+
+			const res = await viewer.post('/api/dns/records?domain=test.org').send({ type: 'TXT', host: 'test.org', value: 'v=spf1 -all' });
+
+			expect(res.status).toBe(200);
+		});
+	});
+
+	describe('domains', () => {
+		beforeEach(() => {
+			ctx.grants.push(grant({ customer_id: 2, resource_type: 'domains', actions: 'read,suspend' }));
+		});
+
+		test('listDomains only returns the customer domains', async () => {
+			const res = await support.get('/api/plesk/domains');
+
+			expect(res.status).toBe(200);
+			expect(res.body.data.map((domain) => domain.name)).toEqual(['test.org']);
+		});
+
+		test('may suspend but not delete', async () => {
+			await support.put('/api/plesk/domains/2/status').send({ status: 'suspended' }).expect(200);
+			expect(ctx.fake.store.findDomain(2).status).toBe('suspended');
+
+			const res = await support.delete('/api/plesk/domains/2');
+			expect(res.status).toBe(403);
+			expect(ctx.fake.store.domains.some((domain) => domain.id === 2)).toBe(true);
+		});
+
+		test('other customers domains are refused', async () => {
+			await support.get('/api/plesk/domains/1').expect(403);
+		});
+
+		test('grants for another server do not apply', async () => {
+			ctx.grants.length = 0;
+			ctx.grants.push(grant({ plesk_server_id: 5, resource_type: 'domains', actions: 'read' }));
+
+			await support.get('/api/plesk/domains').expect(403);
+		});
+	});
+
+	test('listCustomers only returns granted customers', async () => {
+		ctx.grants.push(grant({ customer_id: 3, resource_type: 'customers', actions: 'read' }));
+
+		const res = await support.get('/api/plesk/customers');
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.map((customer) => customer.id)).toEqual([3]);
+		await support.get('/api/plesk/customers/2').expect(403);
+	});
+
+	test('FTP users and databases are filtered by their domain', async () => {
+		ctx.grants.push(grant({ customer_id: 2, resource_type: 'ftpusers', actions: 'read' }));
+		ctx.grants.push(grant({ customer_id: 1, resource_type: 'databases', actions: 'read' }));
+
+		const ftp = await support.get('/api/ftpusers');
+		const databases = await support.get('/api/databases');
+
+		expect(ftp.body.data).toEqual([]);
+		expect(databases.body.data.map((database) => database.name)).toEqual(['example_wp']);
+	});
+
+	test('users without grants keep their role defaults', async () => {
+		const res = await ctx.as('user', { id: 8 }).get('/api/plesk/domains');
+
+		expect(res.status).toBe(200);
+		expect(res.body.data).toHaveLength(3);
+	});
+
+	test('every route calling Plesk declares its permission', () => {
+		const files = ['plesk/domains', 'plesk/customers', 'plesk/server-info', 'management/dns', 'management/databases', 'management/ftpusers'];
+
+		for (const file of files) {
+			for (const layer of require(`../routes/${file}`).stack.filter((item) => item.route)) {
+				const handles = layer.route.stack.map((item) => item.handle);
+				if (handles.some((handle) => handle.openapi?.parameters)) {
+					expect({ file, path: layer.route.path, permission: handles.some((handle) => handle.openapi?.permission) }).toEqual({ file, path: layer.route.path, permission: true });
+				}
+			}
+		}
+	});
+
+	describe('grant management (/api/permissions)', () => {
+		test('is admin-only', async () => {
+			await support.get('/api/permissions').expect(403);
+		});
+
+		test('validates the grant', async () => {
+			const res = await ctx.api.post('/api/permissions').send({ userId: SUPPORT_ID, resourceType: 'dns', actions: ['purge'] });
+
+			expect(res.status).toBe(400);
+			expect(res.body.details).toEqual(['"actions[0]" must be one of [read, create, update, suspend, delete]']);
+		});
+
+		describeWithDb('with MySQL', () => {
+			beforeEach(async () => {
+				await truncateTables(ctx.db);
+				await ctx.db.execute("INSERT INTO users (id, username, email, password_hash, first_name, last_name, role) VALUES (?, 'support', 'support@example.com', 'x', 'Sup', 'Port', 'user')", [SUPPORT_ID]);
+			});
+
+			test('grants are stored, loaded by the policy engine and revoked', async () => {
+				const created = await ctx.api.post('/api/permissions').send({ userId: SUPPORT_ID, customerId: 2, resourceType: 'dns', actions: ['read', 'update'] });
+
+				expect(created.status).toBe(201);
+				expect(created.body.data).toMatchObject({ userId: SUPPORT_ID, serverId: null, customerId: 2, resourceType: 'dns', actions: ['read', 'update'] });
+
+				const engine = new PolicyEngine({ dbPool: ctx.db });
+				expect(await engine.loadGrants(SUPPORT_ID)).toHaveLength(1);
+
+				await ctx.api.delete(`/api/permissions/${created.body.data.id}`).expect(200);
+				expect(await engine.loadGrants(SUPPORT_ID)).toEqual([]);
+			});
+
+			test('granting to an unknown user returns 404', async () => {
+				const res = await ctx.api.post('/api/permissions').send({ userId: 999, resourceType: 'dns', actions: ['read'] });
+
+				expect(res.status).toBe(404);
+			});
+		});
+	});
+
+	test('the OpenAPI document lists the permission of each operation', async () => {
+		const { body } = await request(ctx.app).get('/api/docs/openapi.json');
+
+		expect(body.paths['/api/dns/records/{id}'].delete['x-permission']).toBe('dns:delete');
+		expect(body.paths['/api/plesk/domains/{id}/status'].put['x-permission']).toBe('domains:suspend');
+	});
+});
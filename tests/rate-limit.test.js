@@ -0,0 +1,185 @@
+const request = require('supertest');
+const { createTestApp } = require('./helpers/app');
+const { describeWithDb, truncateTables } = require('./helpers/db');
+const { RateLimiter } = require('../lib/rateLimit');
+
+/**
+ * Rate limiter counting in memory, with fixed settings
+ * @param {Object} values - Settings
+ * @returns {RateLimiter}
+ */
+function memoryLimiter(values) {
+	const counters = new Map();
+	return new RateLimiter({
+		settings: { get: async (key) => values[key] },
+		increment: async (bucket, windowStart) => {
+			const key = `${bucket}@${windowStart.getTime()}`;
+			counters.set(key, (counters.get(key) || 0) + 1);
+			return counters.get(key);
+		},
+	});
+}
+
+describe('RateLimiter', () => {
+	test('counts hits in a fixed window', async () => {
+		const limiter = memoryLimiter({});
+
+		const first = await limiter.hit('user:1', 2, 60);
+		expect(first).toMatchObject({ limit: 2, remaining: 1, windowSeconds: 60, exceeded: false });
+		expect(first.reset).toBeGreaterThan(0);
+		expect(first.reset).toBeLessThanOrEqual(60);
+
+		await limiter.hit('user:1', 2, 60);
+		expect(await limiter.hit('user:1', 2, 60)).toMatchObject({ remaining: 0, exceeded: true });
+		expect((await limiter.hit('user:2', 2, 60)).exceeded).toBe(false);
+	});
+
+	test('applies the user limit, the key limit and the route group limits', async () => {
+		const limiter = memoryLimiter({ api_rate_limit: 100, rate_limit_groups: { cli: { limit: 5, windowSeconds: 600 } } });
+		const req = { user: { id: 4 }, apiKey: { id: 9, rateLimitPerHour: 1000 } };
+
+		expect(await limiter.limitsFor(req)).toEqual([expect.objectContaining({ bucket: 'user:4', limit: 100, windowSeconds: 60 }), expect.objectContaining({ bucket: 'key:9', limit: 1000, windowSeconds: 3600 })]);
+		expect(await limiter.limitsFor(req, 'cli')).toEqual([expect.objectContaining({ bucket: 'group:cli:user:4', limit: 5, windowSeconds: 600 })]);
+		expect(await limiter.limitsFor(req, 'unknown')).toEqual([]);
+	});
+
+	test('a limit of 0 disables the user limit', async () => {
+		expect(await memoryLimiter({ api_rate_limit: 0 }).limitsFor({ user: { id: 4 } })).toEqual([]);
+	});
+});
+
+describe('Rate limits', () => {
+	let ctx;
+	let limiter;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+		limiter = ctx.container.rateLimiter;
+	});
+
+	afterAll(async () => {
+		ctx.container.rateLimiter = limiter;
+		await ctx.close();
+	});
+
+	beforeEach(() => {
+		ctx.fake.reset();
+		ctx.container.rateLimiter = memoryLimiter({ api_rate_limit: 3, rate_limit_groups: { 'plesk-refresh': { limit: 1, windowSeconds: 3600 } } });
+	});
+
+	test('responses carry RateLimit headers and the request over the limit gets a 429', async () => {
+		const alice = ctx.as('user', { id: 5 });
+
+		for (const remaining of ['2', '1', '0']) {
+			const res = await alice.get('/api/plesk/domains');
+			expect(res.status).toBe(200);
+			expect(res.headers['ratelimit-limit']).toBe('3');
+			expect(res.headers['ratelimit-remaining']).toBe(remaining);
+			expect(res.headers['ratelimit-policy']).toBe('3;w=60');
+		}
+
+		const limited = await alice.get('/api/plesk/domains');
+		expect(limited.status).toBe(429);
+		expect(limited.body.code).toBe('TOO_MANY_REQUESTS');
+		expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+
+		// Other users have their own counters
+		await ctx.as('user', { id: 6 }).get('/api/plesk/domains').expect(200);
+	});
+
+	test('route groups have their own, tighter limit', async () => {
+		const alice = ctx.as('user', { id: 5 });
+
+		// Refreshing needs the domain cache, only the limit matters here
+		const first = await alice.post('/api/plesk/domains/refresh');
+		expect(first.status).not.toBe(429);
+		expect(first.headers['ratelimit-limit']).toBe('1');
+		expect(first.headers['ratelimit-remaining']).toBe('0');
+
+		const second = await alice.post('/api/plesk/domains/sync');
+		expect(second.status).toBe(429);
+		expect(second.body.error).toContain('the plesk-refresh routes');
+
+		await alice.get('/api/plesk/domains').expect(200);
+	});
+
+	test('API keys are limited by rate_limit_per_hour', async () => {
+		const apiKeys = ctx.container.apiKeys;
+		ctx.container.apiKeys = { authenticate: async () => ({ user: { id: 7, username: 'bot', role: 'user', apiKeyId: 2 }, apiKey: { id: 2, name: 'ci', scopes: ['*:*'], serverId: null, rateLimitPerHour: 1 } }) };
+
+		try {
+			const first = await request(ctx.app).get('/api/plesk/domains').set('X-API-Key', 'pam_ci');
+			expect(first.headers['ratelimit-limit']).toBe('1');
+			expect(first.headers['ratelimit-policy']).toBe('1;w=3600');
+
+			const second = await request(ctx.app).get('/api/plesk/domains').set('X-API-Key', 'pam_ci');
+			expect(second.status).toBe(429);
+			expect(second.body.error).toContain('this API key');
+		} finally {
+			ctx.container.apiKeys = apiKeys;
+		}
+	});
+
+	test('a request passing several mounts is authenticated and counted once', async () => {
+		const apiKeys = ctx.container.apiKeys;
+		const authenticate = jest.fn(async () => ({ user: { id: 7, username: 'bot', role: 'admin', apiKeyId: 2 }, apiKey: { id: 2, name: 'ci', scopes: ['*:*'], serverId: null, rateLimitPerHour: 1 } }));
+		ctx.container.apiKeys = { authenticate };
+
+		try {
+			// /api/plesk/server/test goes through the /api/plesk and the /api/plesk/server mounts
+			const res = await request(ctx.app).post('/api/plesk/server/test').set('X-API-Key', 'pam_ci');
+			expect(res.status).toBe(200);
+			expect(res.headers['ratelimit-policy']).toBe('1;w=3600');
+			expect(authenticate).toHaveBeenCalledTimes(1);
+
+			const user = await ctx.as('user', { id: 5 }).post('/api/plesk/server/test');
+			expect(user.headers['ratelimit-remaining']).toBe('2');
+		} finally {
+			ctx.container.apiKeys = apiKeys;
+		}
+	});
+
+	test('routers authenticating their own routes count them too', async () => {
+		const alice = ctx.as('user', { id: 5 });
+
+		expect((await alice.get('/api/users/sessions')).headers['ratelimit-remaining']).toBe('2');
+		expect((await alice.get('/api/users/api-keys')).headers['ratelimit-remaining']).toBe('1');
+		expect((await alice.get('/api/users/two-factor')).headers['ratelimit-remaining']).toBe('0');
+
+		const limited = await alice.get('/api/users/sessions');
+		expect(limited.status).toBe(429);
+	});
+
+	test('requests go through when the counters are unavailable', async () => {
+		ctx.container.rateLimiter = new RateLimiter({ settings: { get: async () => 1 }, increment: async () => Promise.reject(new Error('ECONNREFUSED')) });
+
+		await ctx.api.get('/api/plesk/domains').expect(200);
+		await ctx.api.get('/api/plesk/domains').expect(200);
+	});
+
+	test('group limits are documented on the operation', async () => {
+		const spec = (await request(ctx.app).get('/api/docs/openapi.json')).body;
+
+		expect(spec.paths['/api/plesk/domains/refresh'].post['x-rate-limit-group']).toBe('plesk-refresh');
+		expect(spec.paths['/api/admin/cli/{id}/call'].post['x-rate-limit-group']).toBe('cli');
+	});
+
+	describeWithDb('with MySQL', () => {
+		beforeEach(async () => {
+			await truncateTables(ctx.db);
+			ctx.container.rateLimiter = limiter;
+			await ctx.container.settings.set('api_rate_limit', 2, 'number');
+		});
+
+		test('counters are kept in rate_limit_counters', async () => {
+			const alice = ctx.as('user', { id: 5 });
+
+			await alice.get('/api/plesk/domains').expect(200);
+			await alice.get('/api/plesk/domains').expect(200);
+			await alice.get('/api/plesk/domains').expect(429);
+
+			const [rows] = await ctx.db.query("SELECT hits FROM rate_limit_counters WHERE bucket = 'user:5'");
+			expect(rows).toEqual([{ hits: 3 }]);
+		});
+	});
+});
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const { createTestApp } = require('./helpers/app');
+const { createUser, describeWithDb, truncateTables } = require('./helpers/db');
+const { invitationStatus } = require('../lib/invitations');
+
+const newUser = (overrides = {}) => ({
+	username: 'alice',
+	email: 'alice@example.com',
+	password: 'secret123',
+	firstName: 'Alice',
+	lastName: 'Smith',
+	...overrides,
+});
+
+describe('Invitations', () => {
+	test.each([
+		[{ accepted_at: new Date(), revoked_at: null, expires_at: new Date(Date.now() + 60000) }, 'accepted'],
+		[{ accepted_at: null, revoked_at: new Date(), expires_at: new Date(Date.now() + 60000) }, 'revoked'],
+		[{ accepted_at: null, revoked_at: null, expires_at: new Date(Date.now() - 60000) }, 'expired'],
+		[{ accepted_at: null, revoked_at: null, expires_at: new Date(Date.now() + 60000) }, 'pending'],
+	])('%o is %s', (row, status) => {
+		expect(invitationStatus(row)).toBe(status);
+	});
+});
+
+describe('Registration', () => {
+	let ctx;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	test('a role cannot be chosen at registration', async () => {
+		const res = await request(ctx.app).post('/api/users/register').send(newUser({ role: 'admin' }));
+
+		expect(res.status).toBe(400);
+		expect(res.body.details).toEqual(['"role" is not allowed']);
+	});
+
+	test('only admins manage invitations, registration settings and the approval queue', async () => {
+		await request(ctx.app).get('/api/users/invitations').expect(401);
+		await ctx.as('user').get('/api/users/invitations').expect(403);
+		await ctx.as('user').post('/api/users/invitations').send({ role: 'admin' }).expect(403);
+		await ctx.as('user').put('/api/users/registration').send({ mode: 'open' }).expect(403);
+		await ctx.as('user').get('/api/users/pending').expect(403);
+		await ctx.as('user').post('/api/users/2/approve').expect(403);
+	});
+
+	test('invitations and settings validate their bodies', async () => {
+		await ctx.api.post('/api/users/invitations').send({ role: 'superuser' }).expect(400);
+		await ctx.api.post('/api/users/invitations').send({ expiresInHours: 0 }).expect(400);
+		await ctx.api.put('/api/users/registration').send({ mode: 'everyone' }).expect(400);
+		await ctx.api.put('/api/users/registration').send({}).expect(400);
+	});
+
+	describeWithDb('with MySQL', () => {
+		const register = (overrides) => request(ctx.app).post('/api/users/register').send(newUser(overrides));
+		const login = (username = 'alice') => request(ctx.app).post('/api/users/login').send({ username, password: 'secret123' });
+		const sent = () => ctx.container.mailer.transport.sent;
+
+		let admin;
+
+		beforeEach(async () => {
+			await truncateTables(ctx.db);
+			sent().length = 0;
+			await createUser(ctx.db, { username: 'root', role: 'admin' });
+			admin = request.agent(ctx.app).set('Authorization', `Bearer ${(await login('root')).body.data.token}`);
+		});
+
+		test('registration is invite-only by default', async () => {
+			const settings = await request(ctx.app).get('/api/users/registration');
+			expect(settings.body.data).toEqual({ mode: 'invite', approvalRequired: true });
+
+			const res = await register();
+			expect(res.status).toBe(403);
+			expect(res.body.code).toBe('INVITATION_REQUIRED');
+		});
+
+		test('an invitation carries its role, is mailed and works once', async () => {
+			const invitation = await admin.post('/api/users/invitations').send({ email: 'alice@example.com', role: 'admin', expiresInHours: 24 });
+			expect(invitation.status).toBe(201);
+			expect(invitation.body.data).toMatchObject({ email: 'alice@example.com', role: 'admin', status: 'pending', mailed: true });
+			expect(sent()[0].text).toContain(invitation.body.data.url);
+
+			const { token } = invitation.body.data;
+			expect((await register({ email: 'mallory@example.com', invitationToken: token })).status).toBe(400);
+
+			const registered = await register({ invitationToken: token });
+			expect(registered.status).toBe(201);
+			expect(registered.body.data).toMatchObject({ role: 'admin', approvalStatus: 'approved' });
+			expect((await register({ username: 'alice2', invitationToken: token })).status).toBe(400);
+
+			// The invitation went to this address, so it counts as verified and no verification mail is sent
+			const [[alice]] = await ctx.db.query("SELECT email_verified FROM users WHERE username = 'alice'");
+			expect(alice.email_verified).toBe(1);
+			expect(sent()).toHaveLength(1);
+
+			await login().expect(200);
+
+			const list = await admin.get('/api/users/invitations?status=accepted');
+			expect(list.body.data).toEqual([expect.objectContaining({ id: invitation.body.data.id, acceptedUserId: registered.body.data.id })]);
+		});
+
+		test('revoked and expired invitations are refused', async () => {
+			const revoked = (await admin.post('/api/users/invitations').send({})).body.data;
+			const expired = (await admin.post('/api/users/invitations').send({})).body.data;
+
+			await admin.delete(`/api/users/invitations/${revoked.id}`).expect(200);
+			await ctx.db.query('UPDATE user_invitations SET expires_at = DATE_SUB(NOW(), INTERVAL 1 MINUTE) WHERE id = ?', [expired.id]);
+
+			expect((await register({ invitationToken: revoked.token })).status).toBe(400);
+			expect((await register({ invitationToken: expired.token })).status).toBe(400);
+		});
+
+		test('disabled registration refuses invitations too', async () => {
+			const { token } = (await admin.post('/api/users/invitations').send({})).body.data;
+			await admin.put('/api/users/registration').send({ mode: 'disabled' }).expect(200);
+
+			const res = await register({ invitationToken: token });
+			expect(res.status).toBe(403);
+			expect(res.body.code).toBe('REGISTRATION_DISABLED');
+		});
+
+		test('open registration queues accounts for approval and notifies admins', async () => {
+			await admin.put('/api/users/registration').send({ mode: 'open' }).expect(200);
+
+			const registered = await register();
+			expect(registered.status).toBe(201);
+			expect(registered.body.data).toMatchObject({ role: 'user', approvalStatus: 'pending' });
+
+			const pendingLogin = await login();
+			expect(pendingLogin.status).toBe(403);
+			expect(pendingLogin.body.code).toBe('ACCOUNT_PENDING_APPROVAL');
+
+			const notifications = await admin.get('/api/users/notifications');
+			expect(notifications.body.data[0]).toMatchObject({ title: 'Account awaiting approval' });
+
+			const queue = await admin.get('/api/users/pending');
+			expect(queue.body.data.map((user) => user.username)).toEqual(['alice']);
+
+			await admin.post(`/api/users/${registered.body.data.id}/approve`).send({ role: 'viewer' }).expect(200);
+			await admin.post(`/api/users/${registered.body.data.id}/approve`).expect(409);
+
+			const approved = await login();
+			expect(approved.status).toBe(200);
+			expect(approved.body.data.user.role).toBe('viewer');
+		});
+
+		test('rejected accounts cannot log in', async () => {
+			await admin.put('/api/users/registration').send({ mode: 'open' }).expect(200);
+			const { id } = (await register()).body.data;
+
+			await admin.post(`/api/users/${id}/reject`).expect(200);
+
+			expect((await login()).body.code).toBe('INVALID_CREDENTIALS');
+			expect((await admin.get('/api/users/pending')).body.data).toEqual([]);
+		});
+
+		test('open registration without approval activates accounts right away', async () => {
+			await admin.put('/api/users/registration').send({ mode: 'open', approvalRequired: false }).expect(200);
+
+			expect((await register()).body.data.approvalStatus).toBe('approved');
+			await login().expect(200);
+		});
+	});
+});
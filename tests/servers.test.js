@@ -0,0 +1,146 @@
+const { createTestApp } = require('./helpers/app');
+const { describeWithDb, truncateTables } = require('./helpers/db');
+const { PleskServerRegistry } = require('../lib/serverRegistry');
+const { vault } = require('../lib/vault');
+
+describe('Server registry routes (/api/servers)', () => {
+	let ctx;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	beforeEach(() => {
+		ctx.fake.reset();
+	});
+
+	test('POST /api/servers validates the body', async () => {
+		const res = await ctx.api.post('/api/servers').send({ name: 'Fake', host: 'plesk.local' });
+
+		expect(res.status).toBe(400);
+		expect(res.body.error).toBe('Validation error');
+		expect(res.body.details).toEqual(['"username" is required']);
+	});
+
+	test('POST /api/servers rejects an invalid fingerprint', async () => {
+		const res = await ctx.api.post('/api/servers').send({ name: 'Fake', host: 'plesk.local', username: 'admin', tlsFingerprint: 'abc' });
+
+		expect(res.status).toBe(400);
+		expect(res.body.error).toBe('Validation error');
+	});
+
+	test.each([
+		['get', '/api/servers/abc'],
+		['put', '/api/servers/abc'],
+		['delete', '/api/servers/abc'],
+		['post', '/api/servers/abc/test'],
+	])('%s %s rejects a non-numeric ID', async (method, path) => {
+		const res = await ctx.api[method](path).send({});
+
+		expect(res.status).toBe(400);
+		expect(res.body.error).toBe('Invalid server ID. Must be a number.');
+	});
+
+	test('a disabled server stays unreachable after a connection test', async () => {
+		const row = { id: 7, name: 'Fake', host: ctx.fake.url, username: 'admin', api_key_encrypted: vault.encrypt(ctx.fake.credentials.apiKey), password_encrypted: null, ssl_verify: 0, is_active: 1 };
+		const dbPool = {
+			execute: async (sql, params) => {
+				if (sql.startsWith('SELECT * FROM plesk_servers WHERE id')) {
+					return [params[0] === row.id ? [{ ...row }] : []];
+				}
+				if (sql.startsWith('UPDATE plesk_servers SET is_active = FALSE')) {
+					row.is_active = 0;
+				}
+				return [{ affectedRows: 1 }];
+			},
+		};
+		const registry = new PleskServerRegistry({ dbPool, syncEngine: ctx.container.syncEngine });
+
+		await registry.getClient(7);
+		await registry.setServerActive(7, false);
+
+		expect(await registry.checkServer(7)).toMatchObject({ connected: true });
+		await expect(registry.getClient(7)).rejects.toMatchObject({ status: 409, code: 'SERVER_DISABLED' });
+
+		// A stale cache entry of a disabled server is refused as well
+		registry.registerClient({ ...row });
+		await expect(registry.getClient(7)).rejects.toMatchObject({ code: 'SERVER_DISABLED' });
+	});
+
+	describeWithDb('with MySQL', () => {
+		const fakeServer = () => ({ name: 'Fake', host: ctx.fake.url, username: 'admin', apiKey: ctx.fake.credentials.apiKey });
+
+		beforeEach(async () => {
+			await truncateTables(ctx.db);
+			ctx.container.registry.invalidate();
+		});
+
+		test('registers a server without returning credentials', async () => {
+			const res = await ctx.api.post('/api/servers').send(fakeServer());
+
+			expect(res.status).toBe(201);
+			expect(res.body.data).toMatchObject({ name: 'Fake', hasApiKey: true, hasPassword: false });
+			expect(JSON.stringify(res.body)).not.toContain(ctx.fake.credentials.apiKey);
+
+			const list = await ctx.api.get('/api/servers');
+			expect(list.body.data.map((server) => server.name)).toEqual(['Fake']);
+		});
+
+		test('tests the connection of a registered server', async () => {
+			const { id } = (await ctx.api.post('/api/servers').send(fakeServer())).body.data;
+
+			const res = await ctx.api.post(`/api/servers/${id}/test`);
+
+			expect(res.status).toBe(200);
+			expect(res.body.connected).toBe(true);
+			expect(res.body.data.version).toBe('18.0.61');
+		});
+
+		test('routes Plesk requests to the server selected with ?serverId', async () => {
+			const { id } = (await ctx.api.post('/api/servers').send(fakeServer())).body.data;
+			ctx.fake.store.createDomain({ name: 'registered.com' });
+
+			const res = await ctx.api.get('/api/plesk/domains').query({ serverId: id });
+
+			expect(res.status).toBe(200);
+			expect(res.body.data.map((domain) => domain.name)).toContain('registered.com');
+		});
+
+		test('returns 404 for an unknown server', async () => {
+			const res = await ctx.api.get('/api/plesk/domains').query({ serverId: 999 });
+
+			expect(res.status).toBe(404);
+		});
+
+		test('a disabled server is not reachable again after a connection test or an update', async () => {
+			const { id } = (await ctx.api.post('/api/servers').send(fakeServer())).body.data;
+			await ctx.api.get('/api/plesk/domains').query({ serverId: id }).expect(200);
+
+			await ctx.api.put(`/api/servers/${id}/disable`).expect(200);
+			await ctx.api.post(`/api/servers/${id}/test`).expect(200);
+			const afterTest = await ctx.api.get('/api/plesk/domains').query({ serverId: id });
+			expect(afterTest.status).toBe(409);
+			expect(afterTest.body.code).toBe('SERVER_DISABLED');
+
+			await ctx.api.put(`/api/servers/${id}`).send({ name: 'Renamed' }).expect(200);
+			const afterUpdate = await ctx.api.get('/api/plesk/domains').set('X-Plesk-Server-Id', String(id));
+			expect(afterUpdate.status).toBe(409);
+		});
+
+		test('disables, enables and deletes a server', async () => {
+			const { id } = (await ctx.api.post('/api/servers').send(fakeServer())).body.data;
+
+			await ctx.api.put(`/api/servers/${id}/disable`).expect(200);
+			const disabled = await ctx.api.get(`/api/servers/${id}`);
+			expect(disabled.body.data.isActive).toBe(false);
+
+			await ctx.api.put(`/api/servers/${id}/enable`).expect(200);
+			await ctx.api.delete(`/api/servers/${id}`).expect(200);
+			await ctx.api.get(`/api/servers/${id}`).expect(404);
+		});
+	});
+});
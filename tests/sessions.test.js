@@ -0,0 +1,236 @@
+const request = require('supertest');
+const { createTestApp, signToken } = require('./helpers/app');
+const { createUser, describeWithDb, openRegistration, truncateTables } = require('./helpers/db');
+const { SessionStore, describeDevice, hashToken, parseRefreshToken } = require('../lib/sessions');
+
+describe('SessionStore', () => {
+	// Just enough of a pool for rotate() and revoke()
+	const createStore = (rows) =>
+		new SessionStore({
+			findSession: async (id) => rows.find((row) => row.id === id) || null,
+			dbPool: {
+				execute: async (sql, params) => {
+					const row = rows.find((item) => item.id === (sql.includes('SET token_hash') ? params[3] : params[0]));
+					if (sql.includes('SET token_hash')) {
+						if (!row || row.token_hash !== params[4] || !row.is_active) return [{ affectedRows: 0 }];
+						row.token_hash = params[0];
+						return [{ affectedRows: 1 }];
+					}
+					if (!row || !row.is_active) return [{ affectedRows: 0 }];
+					row.is_active = 0;
+					return [{ affectedRows: 1 }];
+				},
+			},
+		});
+
+	const secret = 'a'.repeat(43);
+	let rows;
+	let store;
+
+	beforeEach(() => {
+		rows = [{ id: 5, user_id: 1, token_hash: hashToken(secret), is_active: 1, expires_at: new Date(Date.now() + 60000) }];
+		store = createStore(rows);
+	});
+
+	test('rotates the refresh token', async () => {
+		const rotated = await store.rotate(`5.${secret}`, {});
+
+		expect(rotated).toMatchObject({ userId: 1, sessionId: 5 });
+		expect(rotated.refreshToken).toMatch(/^5\./);
+		expect(rows[0].token_hash).toBe(hashToken(parseRefreshToken(rotated.refreshToken).secret));
+		expect(await store.verify(5, 1)).toBe(true);
+	});
+
+	test('reusing a rotated refresh token revokes the session', async () => {
+		const rotated = await store.rotate(`5.${secret}`, {});
+
+		await expect(store.rotate(`5.${secret}`, {})).rejects.toMatchObject({ status: 401, code: 'REFRESH_TOKEN_REUSED' });
+		await expect(store.rotate(rotated.refreshToken, {})).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+		expect(await store.verify(5, 1)).toBe(false);
+	});
+
+	test('refuses malformed, unknown and expired refresh tokens', async () => {
+		rows[0].expires_at = new Date(Date.now() - 1000);
+
+		for (const token of ['nope', `6.${secret}`, `5.${secret}`]) {
+			await expect(store.rotate(token, {})).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+		}
+	});
+
+	test('verify checks the owner of the session', async () => {
+		expect(await store.verify(5, 2)).toBe(false);
+	});
+
+	test('describes the device from the User-Agent', () => {
+		expect(describeDevice('Mozilla/5.0 (X11; Linux x86_64; rv:128.0) Gecko/20100101 Firefox/128.0', 'Work laptop')).toEqual({ name: 'Work laptop', platform: 'Linux', client: 'Firefox' });
+		expect(describeDevice('curl/8.5.0')).toEqual({ name: null, platform: 'unknown', client: 'curl' });
+	});
+});
+
+describe('Sessions (/api/users/sessions)', () => {
+	let ctx;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	test('a token whose session was revoked is refused', async () => {
+		const token = ctx.token('admin');
+		const auth = { Authorization: `Bearer ${token}` };
+
+		await request(ctx.app).get('/api/plesk/server/info').set(auth).expect(200);
+		ctx.sessions[ctx.sessions.length - 1].is_active = 0;
+
+		const res = await request(ctx.app).get('/api/plesk/server/info').set(auth);
+		expect(res.status).toBe(401);
+		expect(res.body).toMatchObject({ code: 'SESSION_REVOKED', error: 'Session expired or revoked' });
+	});
+
+	test('a token whose session expired is refused', async () => {
+		const token = ctx.token('admin');
+		ctx.sessions[ctx.sessions.length - 1].expires_at = new Date(Date.now() - 1000);
+
+		const res = await request(ctx.app).get('/api/plesk/server/info').set('Authorization', `Bearer ${token}`);
+
+		expect(res.status).toBe(401);
+	});
+
+	test('a token without a session or with the session of another user is refused', async () => {
+		ctx.token('admin', { id: 2 });
+		const foreignSession = ctx.sessions[ctx.sessions.length - 1].id;
+
+		for (const token of [signToken({ id: 1, username: 'admin', role: 'admin' }), signToken({ id: 1, username: 'admin', role: 'admin', sid: foreignSession })]) {
+			const res = await request(ctx.app).get('/api/plesk/server/info').set('Authorization', `Bearer ${token}`);
+			expect(res.status).toBe(401);
+		}
+	});
+
+	test('POST /api/users/refresh validates the body and the token', async () => {
+		const missing = await request(ctx.app).post('/api/users/refresh').send({});
+		const malformed = await request(ctx.app).post('/api/users/refresh').send({ refreshToken: 'not-a-refresh-token' });
+
+		expect(missing.status).toBe(400);
+		expect(malformed.status).toBe(401);
+		expect(malformed.body.code).toBe('INVALID_REFRESH_TOKEN');
+	});
+
+	test('session routes require a token', async () => {
+		await request(ctx.app).get('/api/users/sessions').expect(401);
+		await request(ctx.app).delete('/api/users/sessions').expect(401);
+	});
+
+	test('only admins revoke the sessions of other users', async () => {
+		const res = await ctx.as('user').delete('/api/users/2/sessions');
+
+		expect(res.status).toBe(403);
+		expect(res.body.error).toBe('Admin access required');
+	});
+
+	describeWithDb('with MySQL', () => {
+		const register = (overrides = {}) =>
+			request(ctx.app)
+				.post('/api/users/register')
+				.send({ username: 'alice', email: 'alice@example.com', password: 'secret123', firstName: 'Alice', lastName: 'Smith', ...overrides });
+		const login = (username = 'alice', device = {}) => request(ctx.app).post('/api/users/login').set('User-Agent', 'curl/8.5.0').send({ username, password: 'secret123', ...device });
+		const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+		beforeEach(async () => {
+			await truncateTables(ctx.db);
+			await openRegistration(ctx.db);
+			await register();
+		});
+
+		test('login stores a session with a hashed refresh token', async () => {
+			const { refreshToken } = (await login('alice', { deviceName: 'CI' })).body.data;
+			const [rows] = await ctx.db.query('SELECT * FROM user_sessions');
+
+			expect(rows).toHaveLength(1);
+			expect(rows[0].token_hash).toBe(hashToken(parseRefreshToken(refreshToken).secret));
+			expect(rows[0].token_hash).not.toContain(parseRefreshToken(refreshToken).secret);
+			expect(rows[0].device_info).toEqual({ name: 'CI', platform: 'unknown', client: 'curl' });
+		});
+
+		test('lists the sessions of the current user', async () => {
+			await login();
+			const { token } = (await login()).body.data;
+
+			const res = await request(ctx.app).get('/api/users/sessions').set(bearer(token));
+
+			expect(res.status).toBe(200);
+			expect(res.body.data).toHaveLength(2);
+			expect(res.body.data.filter((session) => session.current)).toHaveLength(1);
+		});
+
+		test('refresh rotates the refresh token and detects reuse', async () => {
+			const first = (await login()).body.data;
+
+			const refreshed = await request(ctx.app).post('/api/users/refresh').send({ refreshToken: first.refreshToken });
+			expect(refreshed.status).toBe(200);
+			await request(ctx.app).get('/api/users/profile').set(bearer(refreshed.body.data.token)).expect(200);
+
+			const reused = await request(ctx.app).post('/api/users/refresh').send({ refreshToken: first.refreshToken });
+			expect(reused.status).toBe(401);
+			expect(reused.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+			// The whole session is gone, including the tokens issued by the rotation
+			await request(ctx.app).get('/api/users/profile').set(bearer(refreshed.body.data.token)).expect(401);
+			await request(ctx.app).post('/api/users/refresh').send({ refreshToken: refreshed.body.data.refreshToken }).expect(401);
+		});
+
+		test('logout revokes the session', async () => {
+			const { token, refreshToken } = (await login()).body.data;
+
+			await request(ctx.app).post('/api/users/logout').set(bearer(token)).expect(200);
+
+			await request(ctx.app).get('/api/users/profile').set(bearer(token)).expect(401);
+			await request(ctx.app).post('/api/users/refresh').send({ refreshToken }).expect(401);
+		});
+
+		test('revokes one session, or all but the current one', async () => {
+			const other = (await login()).body.data;
+			const current = (await login()).body.data;
+			const third = (await login()).body.data;
+			const sessions = (await request(ctx.app).get('/api/users/sessions').set(bearer(current.token))).body.data;
+			const otherId = parseRefreshToken(other.refreshToken).sessionId;
+
+			await request(ctx.app).delete(`/api/users/sessions/${otherId}`).set(bearer(current.token)).expect(200);
+			await request(ctx.app).get('/api/users/profile').set(bearer(other.token)).expect(401);
+			await request(ctx.app).delete(`/api/users/sessions/${otherId}`).set(bearer(current.token)).expect(404);
+			expect(sessions).toHaveLength(3);
+
+			const all = await request(ctx.app).delete('/api/users/sessions?keepCurrent=true').set(bearer(current.token));
+			expect(all.body.data.revoked).toBe(1);
+			await request(ctx.app).get('/api/users/profile').set(bearer(third.token)).expect(401);
+			await request(ctx.app).get('/api/users/profile').set(bearer(current.token)).expect(200);
+		});
+
+		test('cannot revoke the session of another user', async () => {
+			await register({ username: 'bob', email: 'bob@example.com' });
+			const alice = (await login()).body.data;
+			const bob = (await login('bob')).body.data;
+
+			await request(ctx.app).delete(`/api/users/sessions/${parseRefreshToken(bob.refreshToken).sessionId}`).set(bearer(alice.token)).expect(404);
+			await request(ctx.app).get('/api/users/profile').set(bearer(bob.token)).expect(200);
+		});
+
+		test('an admin revokes every session of a user', async () => {
+			await createUser(ctx.db, { username: 'root', role: 'admin' });
+			const alice = (await login()).body.data;
+			const admin = (await login('root')).body.data;
+
+			const listed = await request(ctx.app).get(`/api/users/${alice.user.id}/sessions`).set(bearer(admin.token));
+			expect(listed.body.data).toHaveLength(1);
+
+			const res = await request(ctx.app).delete(`/api/users/${alice.user.id}/sessions`).set(bearer(admin.token));
+			expect(res.body.data.revoked).toBe(1);
+			await request(ctx.app).get('/api/users/profile').set(bearer(alice.token)).expect(401);
+
+			const [activity] = await ctx.db.query("SELECT description FROM user_activity_log WHERE activity_type = 'SESSION_REVOKE'");
+			expect(activity[0].description).toBe(`Revoked 1 session(s) of user alice (ID: ${alice.user.id})`);
+		});
+	});
+});
@@ -0,0 +1,17 @@
+/**
+ * Connection settings for the disposable test schema.
+ * TEST_DB_* variables take precedence over the regular DB_* settings.
+ * @returns {Object}
+ */
+function getTestDbConfig() {
+	return {
+		host: process.env.TEST_DB_HOST || process.env.DB_HOST || 'localhost',
+		port: parseInt(process.env.TEST_DB_PORT || process.env.DB_PORT, 10) || 3306,
+		user: process.env.TEST_DB_USER || process.env.DB_USER || 'root',
+		password: process.env.TEST_DB_PASSWORD || process.env.DB_PASSWORD || '',
+	};
+}
+
+module.exports = {
+	getTestDbConfig,
+};
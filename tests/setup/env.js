@@ -0,0 +1,21 @@
+// Environment for the test suite (loaded before every test file)
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+// Fixed vault key so server credentials can be stored and read back
+process.env.VAULT_MASTER_KEYS = '1:' + Buffer.alloc(32, 7).toString('base64');
+delete process.env.VAULT_ACTIVE_KEY_VERSION;
+
+// Credentials accepted by the fake Plesk server
+process.env.PLESK_API_KEY = 'fake-plesk-key';
+delete process.env.PLESK_USERNAME;
+delete process.env.PLESK_PASSWORD;
+
+// Keep retries fast and the circuit breaker out of the way unless a test configures it
+process.env.PLESK_RETRY_ATTEMPTS = '3';
+process.env.PLESK_RETRY_BASE_DELAY_MS = '1';
+process.env.PLESK_RETRY_MAX_DELAY_MS = '5';
+process.env.PLESK_BREAKER_THRESHOLD = '1000';
+
+// Mails are kept in container.mailer.transport.sent
+process.env.MAIL_TRANSPORT = 'memory';
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+const { getTestDbConfig } = require('./dbConfig');
+
+/**
+ * Create a disposable MySQL schema from database/schema.sql.
+ * When MySQL is not reachable the database-backed suites are skipped.
+ */
+module.exports = async () => {
+	const schema = `plesk_manager_test_${process.pid}_${Date.now()}`;
+	let connection;
+
+	try {
+		connection = await mysql.createConnection({ ...getTestDbConfig(), multipleStatements: true, connectTimeout: 3000 });
+		await connection.query(`CREATE DATABASE \`${schema}\``);
+		await connection.query(`USE \`${schema}\``);
+		await connection.query(fs.readFileSync(path.join(__dirname, '../../database/schema.sql'), 'utf8'));
+		process.env.TEST_DB_SCHEMA = schema;
+	} catch (error) {
+		console.warn(`\nMySQL not available (${error.message}), database-backed tests will be skipped. Set TEST_DB_HOST, TEST_DB_USER and TEST_DB_PASSWORD to run them.`);
+		if (connection) {
+			await connection.query(`DROP DATABASE IF EXISTS \`${schema}\``).catch(() => {});
+		}
+	} finally {
+		if (connection) {
+			await connection.end();
+		}
+	}
+};
@@ -0,0 +1,15 @@
+const mysql = require('mysql2/promise');
+const { getTestDbConfig } = require('./dbConfig');
+
+/**
+ * Drop the schema created by globalSetup.js
+ */
+module.exports = async () => {
+	if (!process.env.TEST_DB_SCHEMA) {
+		return;
+	}
+
+	const connection = await mysql.createConnection(getTestDbConfig());
+	await connection.query(`DROP DATABASE IF EXISTS \`${process.env.TEST_DB_SCHEMA}\``);
+	await connection.end();
+};
@@ -0,0 +1,230 @@
+const request = require('supertest');
+const { createTestApp, signToken } = require('./helpers/app');
+const { createUser, describeWithDb, openRegistration, truncateTables } = require('./helpers/db');
+const { TwoFactorService, base32Decode, base32Encode, hashRecoveryCode, issueChallengeToken, totp, verifyChallengeToken, verifyTotp } = require('../lib/twoFactor');
+
+// RFC 6238 appendix B (SHA-1), truncated to 6 digits
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+	test.each([
+		[59, '287082'],
+		[1111111109, '081804'],
+		[1234567890, '005924'],
+		[2000000000, '279037'],
+	])('matches the RFC 6238 test vector at %i', (seconds, code) => {
+		expect(totp(RFC_SECRET, seconds * 1000)).toBe(code);
+	});
+
+	test('base32 round-trips', () => {
+		const bytes = Buffer.from('two-factor');
+
+		expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+		expect(base32Decode(base32Encode(bytes).toLowerCase())).toEqual(bytes);
+	});
+
+	test('accepts one step of clock drift and refuses replays', () => {
+		const time = 1234567890 * 1000;
+		const previous = totp(RFC_SECRET, time - 30000);
+		const step = verifyTotp(RFC_SECRET, previous, { time });
+
+		expect(step).toBe(Math.floor(time / 30000) - 1);
+		expect(verifyTotp(RFC_SECRET, previous, { time, lastStep: step })).toBeNull();
+		expect(verifyTotp(RFC_SECRET, totp(RFC_SECRET, time - 90000), { time })).toBeNull();
+		expect(verifyTotp(RFC_SECRET, '12345', { time })).toBeNull();
+	});
+
+	test('recovery codes are compared without case, spaces or dashes', () => {
+		expect(hashRecoveryCode('AB12C-3DE45')).toBe(hashRecoveryCode('ab12c 3de45'));
+	});
+
+	test('only challenge tokens are accepted as challenges', () => {
+		const challenge = issueChallengeToken({ id: 4 }, 'verify');
+
+		expect(verifyChallengeToken(challenge)).toEqual({ id: 4, step: 'verify' });
+		expect(() => verifyChallengeToken(signToken({ id: 4, sid: 1 }))).toThrow('Invalid or expired two-factor challenge');
+		expect(() => verifyChallengeToken('garbage')).toThrow('Invalid or expired two-factor challenge');
+	});
+
+	test.each([
+		['off', { role: 'admin' }, false],
+		['admins', { role: 'admin' }, true],
+		['admins', { role: 'user' }, false],
+		['all', { role: 'viewer' }, true],
+		['off', { role: 'user', two_factor_required: 1 }, true],
+	])('enforcement %s for %o: required %s', async (enforcement, user, required) => {
+		const service = new TwoFactorService({ settings: { get: async () => enforcement } });
+
+		expect(await service.isRequired(user)).toBe(required);
+	});
+});
+
+describe('Two-factor authentication', () => {
+	let ctx;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	test('the second login step validates its body', async () => {
+		const both = await request(ctx.app).post('/api/users/login/two-factor').send({ challengeToken: 'x', code: '123456', recoveryCode: 'abcde-12345' });
+		const neither = await request(ctx.app).post('/api/users/login/two-factor').send({ challengeToken: 'x' });
+
+		expect(both.status).toBe(400);
+		expect(neither.status).toBe(400);
+	});
+
+	test('an invalid challenge is refused', async () => {
+		const res = await request(ctx.app).post('/api/users/login/two-factor').send({ challengeToken: 'not-a-challenge', code: '123456' });
+
+		expect(res.status).toBe(401);
+		expect(res.body.code).toBe('INVALID_TWO_FACTOR_CHALLENGE');
+	});
+
+	test('a challenge token cannot be used as an access token', async () => {
+		const res = await request(ctx.app).get('/api/plesk/server/info').set('Authorization', `Bearer ${issueChallengeToken({ id: 1 }, 'verify')}`);
+
+		expect(res.status).toBe(401);
+	});
+
+	test('enrolment routes require a token', async () => {
+		await request(ctx.app).get('/api/users/two-factor').expect(401);
+		await request(ctx.app).post('/api/users/two-factor/setup').expect(401);
+	});
+
+	test('only admins reset or require two-factor authentication', async () => {
+		await ctx.as('user').delete('/api/users/2/two-factor').expect(403);
+		await ctx.as('user').put('/api/users/2/two-factor').send({ required: true }).expect(403);
+	});
+
+	describeWithDb('with MySQL', () => {
+		const register = (overrides = {}) =>
+			request(ctx.app)
+				.post('/api/users/register')
+				.send({ username: 'alice', email: 'alice@example.com', password: 'secret123', firstName: 'Alice', lastName: 'Smith', ...overrides });
+		const login = (username = 'alice') => request(ctx.app).post('/api/users/login').send({ username, password: 'secret123' });
+		const secondStep = (body) => request(ctx.app).post('/api/users/login/two-factor').send(body);
+		const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+		const nextCode = (secret) => totp(secret, Date.now() + 30000);
+
+		// Log in, enrol and return { token, secret, recoveryCodes }
+		const enrol = async () => {
+			const { token } = (await login()).body.data;
+			const setup = await request(ctx.app).post('/api/users/two-factor/setup').set(bearer(token));
+			const enabled = await request(ctx.app).post('/api/users/two-factor/enable').set(bearer(token)).send({ code: totp(setup.body.data.secret) });
+
+			expect(enabled.status).toBe(200);
+			return { token, secret: setup.body.data.secret, recoveryCodes: enabled.body.data.recoveryCodes };
+		};
+
+		beforeEach(async () => {
+			await truncateTables(ctx.db);
+			await openRegistration(ctx.db);
+			await register();
+		});
+
+		test('enrolment returns an otpauth URI and ten recovery codes', async () => {
+			const { token } = (await login()).body.data;
+
+			const setup = await request(ctx.app).post('/api/users/two-factor/setup').set(bearer(token));
+			expect(setup.body.data.otpauthUrl).toBe(`otpauth://totp/Plesk%20API%20Manager:alice?secret=${setup.body.data.secret}&issuer=Plesk%20API%20Manager&algorithm=SHA1&digits=6&period=30`);
+
+			const wrong = await request(ctx.app).post('/api/users/two-factor/enable').set(bearer(token)).send({ code: '000000' });
+			expect(wrong.status).toBe(401);
+
+			const enabled = await request(ctx.app).post('/api/users/two-factor/enable').set(bearer(token)).send({ code: totp(setup.body.data.secret) });
+			expect(enabled.body.data.recoveryCodes).toHaveLength(10);
+
+			const [rows] = await ctx.db.query('SELECT two_factor_secret FROM users');
+			expect(rows[0].two_factor_secret).toMatch(/^vault:/);
+
+			const status = await request(ctx.app).get('/api/users/two-factor').set(bearer(token));
+			expect(status.body.data).toEqual({ enabled: true, required: false, pendingSetup: false, recoveryCodesRemaining: 10 });
+		});
+
+		test('login becomes two-step and each code works once', async () => {
+			const { secret } = await enrol();
+
+			const first = await login();
+			expect(first.body.data).toEqual({ twoFactor: 'verify', challengeToken: expect.any(String) });
+
+			const { challengeToken } = first.body.data;
+			expect((await secondStep({ challengeToken, code: '000000' })).status).toBe(401);
+
+			const verified = await secondStep({ challengeToken, code: nextCode(secret) });
+			expect(verified.status).toBe(200);
+			await request(ctx.app).get('/api/users/profile').set(bearer(verified.body.data.token)).expect(200);
+
+			const replayed = await secondStep({ challengeToken: (await login()).body.data.challengeToken, code: nextCode(secret) });
+			expect(replayed.status).toBe(401);
+		});
+
+		test('recovery codes are single-use', async () => {
+			const { recoveryCodes } = await enrol();
+
+			const used = await secondStep({ challengeToken: (await login()).body.data.challengeToken, recoveryCode: recoveryCodes[0].toUpperCase() });
+			const reused = await secondStep({ challengeToken: (await login()).body.data.challengeToken, recoveryCode: recoveryCodes[0] });
+
+			expect(used.status).toBe(200);
+			expect(reused.status).toBe(401);
+		});
+
+		test('disabling needs the password and a code', async () => {
+			const { token, secret } = await enrol();
+
+			await request(ctx.app).post('/api/users/two-factor/disable').set(bearer(token)).send({ password: 'wrong', code: nextCode(secret) }).expect(401);
+			await request(ctx.app).post('/api/users/two-factor/disable').set(bearer(token)).send({ password: 'secret123', code: nextCode(secret) }).expect(200);
+
+			expect((await login()).body.data.token).toEqual(expect.any(String));
+		});
+
+		test('an admin can require enrolment, which happens during login', async () => {
+			await createUser(ctx.db, { username: 'root', role: 'admin' });
+			const admin = (await login('root')).body.data;
+			const alice = (await login()).body.data;
+
+			await request(ctx.app).put(`/api/users/${alice.user.id}/two-factor`).set(bearer(admin.token)).send({ required: true }).expect(200);
+
+			const challenge = await login();
+			expect(challenge.body.data.twoFactor).toBe('enroll');
+
+			const setup = await request(ctx.app).post('/api/users/login/two-factor/setup').send({ challengeToken: challenge.body.data.challengeToken });
+			const enrolled = await secondStep({ challengeToken: challenge.body.data.challengeToken, code: totp(setup.body.data.secret) });
+
+			expect(enrolled.status).toBe(200);
+			expect(enrolled.body.data.recoveryCodes).toHaveLength(10);
+			expect(enrolled.body.data.token).toEqual(expect.any(String));
+
+			const disable = await request(ctx.app).post('/api/users/two-factor/disable').set(bearer(enrolled.body.data.token)).send({ password: 'secret123', code: nextCode(setup.body.data.secret) });
+			expect(disable.status).toBe(403);
+			expect(disable.body.code).toBe('TWO_FACTOR_REQUIRED');
+		});
+
+		test('the app setting enforces two-factor authentication for admins', async () => {
+			await createUser(ctx.db, { username: 'root', role: 'admin' });
+			await ctx.container.settings.set('two_factor_enforcement', 'admins');
+
+			expect((await login('root')).body.data.twoFactor).toBe('enroll');
+			expect((await login()).body.data.token).toEqual(expect.any(String));
+		});
+
+		test('an admin reset lets the user log in with the password again, and every step is logged', async () => {
+			await createUser(ctx.db, { username: 'root', role: 'admin' });
+			const admin = (await login('root')).body.data;
+			await enrol();
+			const [alice] = (await ctx.db.query("SELECT id FROM users WHERE username = 'alice'"))[0];
+
+			await secondStep({ challengeToken: (await login()).body.data.challengeToken, code: '000000' });
+			await request(ctx.app).delete(`/api/users/${alice.id}/two-factor`).set(bearer(admin.token)).expect(200);
+
+			expect((await login()).body.data.token).toEqual(expect.any(String));
+
+			const [rows] = await ctx.db.query("SELECT activity_type FROM user_activity_log WHERE user_id = ? AND activity_type LIKE 'TWO_FACTOR_%' ORDER BY id", [alice.id]);
+			expect(rows.map((row) => row.activity_type)).toEqual(['TWO_FACTOR_SETUP', 'TWO_FACTOR_ENABLE', 'TWO_FACTOR_CHALLENGE', 'TWO_FACTOR_FAILED', 'TWO_FACTOR_RESET']);
+		});
+	});
+});
@@ -0,0 +1,214 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { createTestApp } = require('./helpers/app');
+const { createUser, describeWithDb, hasDatabase, openRegistration, truncateTables, withActivityLog } = require('./helpers/db');
+
+const newUser = (overrides = {}) => ({
+	username: 'alice',
+	email: 'alice@example.com',
+	password: 'secret123',
+	firstName: 'Alice',
+	lastName: 'Smith',
+	...overrides,
+});
+
+describe('User routes (/api/users)', () => {
+	let ctx;
+
+	beforeAll(async () => {
+		ctx = await createTestApp();
+	});
+
+	afterAll(async () => {
+		await ctx.close();
+	});
+
+	test('POST /api/users/register validates the body', async () => {
+		const res = await request(ctx.app).post('/api/users/register').send(newUser({ username: 'a!' }));
+
+		expect(res.status).toBe(400);
+		expect(res.body.error).toBe('Validation error');
+		expect(res.body.details).toEqual(['"username" must only contain alpha-numeric characters']);
+	});
+
+	test('POST /api/users/login validates the body', async () => {
+		const res = await request(ctx.app).post('/api/users/login').send({ username: 'alice' });
+
+		expect(res.status).toBe(400);
+		expect(res.body.details).toEqual(['"password" is required']);
+	});
+
+	test('protected routes require a token', async () => {
+		const res = await request(ctx.app).get('/api/users/profile');
+
+		expect(res.status).toBe(401);
+		expect(res.body.error).toBe('Access token required');
+	});
+
+	test('protected routes reject an invalid token', async () => {
+		const res = await request(ctx.app).get('/api/users/profile').set('Authorization', 'Bearer not-a-token');
+
+		expect(res.status).toBe(403);
+		expect(res.body.error).toBe('Invalid or expired token');
+	});
+
+	test('admin routes reject non-admin users', async () => {
+		const token = ctx.token('user', { username: 'alice' });
+
+		const list = await request(ctx.app).get('/api/users').set('Authorization', `Bearer ${token}`);
+		const update = await request(ctx.app).put('/api/users/2').set('Authorization', `Bearer ${token}`).send({ role: 'admin' });
+		const remove = await request(ctx.app).delete('/api/users/2').set('Authorization', `Bearer ${token}`);
+
+		for (const res of [list, update, remove]) {
+			expect(res.status).toBe(403);
+			expect(res.body.error).toBe('Admin access required');
+		}
+	});
+
+	test('a role change signs the user out of their sessions', async () => {
+		const db = ctx.container.db;
+		const revokeAll = jest.spyOn(ctx.container.sessions, 'revokeAll').mockImplementation(async (userId) => {
+			ctx.sessions.filter((session) => session.user_id === userId).forEach((session) => (session.is_active = 0));
+		});
+		ctx.container.db = withActivityLog(db, async (sql) => {
+			if (sql.startsWith('SELECT id, role FROM users')) {
+				return [[{ id: 2, role: 'admin' }]];
+			}
+			if (sql.startsWith('UPDATE users') || sql.startsWith('INSERT INTO user_activity_log')) {
+				return [{ affectedRows: 1 }];
+			}
+			return undefined;
+		});
+
+		try {
+			const demoted = ctx.token('admin', { id: 2, username: 'bob' });
+			await request(ctx.app).get('/api/plesk/domains/1').set('Authorization', `Bearer ${demoted}`).expect(200);
+
+			await ctx.api.put('/api/users/2').send({ firstName: 'Bob', lastName: 'Jones', email: 'bob@example.com', role: 'user', isActive: true }).expect(200);
+
+			expect(revokeAll).toHaveBeenCalledWith(2);
+			const res = await request(ctx.app).get('/api/plesk/domains/1').set('Authorization', `Bearer ${demoted}`);
+			expect(res.status).toBe(401);
+			expect(res.body.code).toBe('SESSION_REVOKED');
+		} finally {
+			ctx.container.db = db;
+			revokeAll.mockRestore();
+		}
+	});
+
+	test('an update keeping the role leaves the sessions alone', async () => {
+		const db = ctx.container.db;
+		const revokeAll = jest.spyOn(ctx.container.sessions, 'revokeAll').mockResolvedValue(0);
+		ctx.container.db = withActivityLog(db, async (sql) => {
+			if (sql.startsWith('SELECT id, role FROM users')) {
+				return [[{ id: 2, role: 'user' }]];
+			}
+			if (sql.startsWith('UPDATE users') || sql.startsWith('INSERT INTO user_activity_log')) {
+				return [{ affectedRows: 1 }];
+			}
+			return undefined;
+		});
+
+		try {
+			await ctx.api.put('/api/users/2').send({ firstName: 'Bob', lastName: 'Jones', email: 'bob@example.com', role: 'user', isActive: true }).expect(200);
+			expect(revokeAll).not.toHaveBeenCalled();
+		} finally {
+			ctx.container.db = db;
+			revokeAll.mockRestore();
+		}
+	});
+
+	(hasDatabase ? test.skip : test)('reports an unreachable database without leaking the driver error', async () => {
+		const res = await request(ctx.app).post('/api/users/register').send(newUser());
+
+		expect(res.status).toBe(503);
+		expect(res.body).toMatchObject({ success: false, error: 'Local database unavailable', code: 'LOCAL_DB_ERROR', details: null });
+	});
+
+	describeWithDb('with MySQL', () => {
+		beforeEach(async () => {
+			await truncateTables(ctx.db);
+			await openRegistration(ctx.db);
+		});
+
+		const register = (overrides) => request(ctx.app).post('/api/users/register').send(newUser(overrides));
+		const login = (username = 'alice', password = 'secret123') => request(ctx.app).post('/api/users/login').send({ username, password });
+
+		test('registers a user and rejects duplicates', async () => {
+			const first = await register();
+			const duplicate = await register({ username: 'alice2' });
+
+			expect(first.status).toBe(201);
+			expect(first.body.data).toMatchObject({ username: 'alice', role: 'user' });
+			expect(duplicate.status).toBe(409);
+			expect(duplicate.body.error).toBe('Username or email already exists');
+		});
+
+		test('logs in by username or email and records the activity', async () => {
+			await register();
+
+			const byName = await login();
+			const byEmail = await login('alice@example.com');
+			const [rows] = await ctx.db.query("SELECT activity_type FROM user_activity_log WHERE activity_type = 'LOGIN'");
+
+			expect(byName.status).toBe(200);
+			expect(jwt.verify(byName.body.data.token, process.env.JWT_SECRET).username).toBe('alice');
+			expect(byEmail.status).toBe(200);
+			expect(rows).toHaveLength(2);
+		});
+
+		test('rejects a wrong password', async () => {
+			await register();
+
+			const res = await login('alice', 'wrong-password');
+
+			expect(res.status).toBe(401);
+			expect(res.body.error).toBe('Invalid credentials');
+		});
+
+		test('returns the profile of the logged-in user', async () => {
+			await register();
+			const { token } = (await login()).body.data;
+
+			const res = await request(ctx.app).get('/api/users/profile').set('Authorization', `Bearer ${token}`);
+
+			expect(res.status).toBe(200);
+			expect(res.body.data.username).toBe('alice');
+		});
+
+		test('lets an admin list, update and delete users', async () => {
+			await createUser(ctx.db, { username: 'root', role: 'admin' });
+			const target = (await register()).body.data;
+			const { token } = (await login('root')).body.data;
+			const auth = { Authorization: `Bearer ${token}` };
+
+			const list = await request(ctx.app).get('/api/users').set(auth);
+			expect(list.status).toBe(200);
+			expect(list.body.data.map((user) => user.username).sort()).toEqual(['alice', 'root']);
+
+			const update = await request(ctx.app).put(`/api/users/${target.id}`).set(auth).send({ firstName: 'Alicia', lastName: 'Smith', email: 'alice@example.com', role: 'user', isActive: true });
+			expect(update.status).toBe(200);
+
+			const remove = await request(ctx.app).delete(`/api/users/${target.id}`).set(auth);
+			expect(remove.status).toBe(200);
+
+			const missing = await request(ctx.app).delete(`/api/users/${target.id}`).set(auth);
+			expect(missing.status).toBe(404);
+		});
+
+		test('a demoted admin loses admin access immediately', async () => {
+			await createUser(ctx.db, { username: 'root', role: 'admin' });
+			const bossId = await createUser(ctx.db, { username: 'boss', email: 'boss@example.com', role: 'admin' });
+			const root = { Authorization: `Bearer ${(await login('root')).body.data.token}` };
+			const boss = { Authorization: `Bearer ${(await login('boss')).body.data.token}` };
+			await request(ctx.app).get('/api/users').set(boss).expect(200);
+
+			await request(ctx.app).put(`/api/users/${bossId}`).set(root).send({ firstName: 'Test', lastName: 'User', email: 'boss@example.com', role: 'user', isActive: true }).expect(200);
+
+			const res = await request(ctx.app).get('/api/users').set(boss);
+			expect(res.status).toBe(401);
+			expect(res.body.code).toBe('SESSION_REVOKED');
+			await request(ctx.app).get('/api/users').set(root).expect(200);
+		});
+	});
+});